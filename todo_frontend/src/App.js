@@ -1,18 +1,97 @@
-import React, { useCallback, useEffect, useMemo, useState } from "react";
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
 import "./App.css";
-import api, { ApiError } from "./api/client";
+import api, { ApiError, CancelledError, latestRequest } from "./api/client";
 import Login from "./components/Login";
 import TaskFilters from "./components/TaskFilters";
 import TaskList from "./components/TaskList";
 import TaskDetail from "./components/TaskDetail";
 import TaskForm from "./components/TaskForm";
+import TaskCalendar from "./components/TaskCalendar";
+import TaskBoard from "./components/TaskBoard";
+import TagManager from "./components/TagManager";
+import QuickAdd from "./components/QuickAdd";
+import PendingChanges from "./components/PendingChanges";
+import BulkActionBar from "./components/BulkActionBar";
+import TaskTrash from "./components/TaskTrash";
+import ICalImport from "./components/ICalImport";
+import BackupRestore from "./components/BackupRestore";
+import SavedViews from "./components/SavedViews";
+import CommandPalette from "./components/CommandPalette";
+import ShortcutHelp from "./components/ShortcutHelp";
+import ReauthModal from "./components/ReauthModal";
+import SignUp from "./components/SignUp";
+import ForgotPassword from "./components/ForgotPassword";
+import ResetPassword from "./components/ResetPassword";
+import AccountSettings from "./components/AccountSettings";
+import DayPlanner from "./components/DayPlanner";
+import TodayList from "./components/TodayList";
+import DependencyGraph from "./components/DependencyGraph";
+import { isTempId, makeTempId } from "./api/offlineQueue";
+import { insertAt, patchItem, recordFrom, removeItem, replaceItem, revertPatch } from "./utils/optimistic";
+import { isTypingTarget, shortcutFor } from "./utils/shortcuts";
+import { bulkOperations } from "./utils/bulk";
+import { reopensTask } from "./utils/board";
+import { loadTrashRetention, saveTrashRetention } from "./utils/trash";
+import { parseICalendar, planICalImport, tasksToICalendar } from "./utils/ical";
+import { downloadFile, readFileText, slugify } from "./utils/download";
+import { BackupError, applyRestore, backupToJson, parseCsv, parseJsonBackup, planRestore, tasksToCsv } from "./utils/backup";
+import { toIsoDate } from "./utils/recurrence";
+import { mergeSubtaskEvent, mergeTaskEvent } from "./utils/liveMerge";
+import { describeError } from "./utils/errorMessages";
+import { DEFAULT_FILTERS, formatQuery, formatRoute, parseQuery, parseRoute } from "./utils/routes";
+import { createView, moveView, sameFilters, taskQueryParams } from "./utils/savedViews";
+import { loadTodayPlan, moveEntry, saveTodayPlan } from "./utils/planner";
+import { blockerIds, dependentsOf, indexTasks, linkedTasks, openBlockers } from "./utils/dependencies";
+import { appendPosition, subtreeIds } from "./utils/subtaskTree";
+
+const VIEWS = [
+  { value: "list", label: "List" },
+  { value: "calendar", label: "Calendar" },
+  { value: "board", label: "Board" },
+  { value: "trash", label: "Trash" },
+];
+
+// How long the "Undo" action stays available after a delete
+const UNDO_MS = 6000;
+
+// Search text is sent once typing pauses for this long
+const SEARCH_DEBOUNCE_MS = 250;
+
+// Tasks per page in the list view (calendar and board load every task)
+const TASK_PAGE_SIZE = 50;
+
+// Screens shown while logged out, besides the login form
+const AUTH_PAGES = ["signup", "forgot", "reset"];
+
+/** Route, filters and view from the address bar. Unknown paths and views fall back to the list. */
+function readLocation() {
+  const { filters, view } = parseQuery(window.location.search);
+  return {
+    route: parseRoute(window.location.pathname),
+    filters,
+    view: VIEWS.some((v) => v.value === view) ? view : "list",
+  };
+}
+
+function routeTaskId(route) {
+  return route.name === "task" || route.name === "edit" ? route.id : null;
+}
 
 // PUBLIC_INTERFACE
 /**
  * App is the main entrypoint responsible for:
- * - Session handling (login/logout/me)
- * - Fetching and rendering tasks with search/sort/filter
- * - CRUD actions for tasks and subtasks
+ * - Session handling (login/logout/me), sign-up, password reset and account settings
+ * - Fetching and rendering tasks with search/sort/filter, as a list, calendar or board
+ * - CRUD actions for tasks and subtasks, applied optimistically with per-change rollback
+ * - Multi-select with bulk actions (complete, delete, priority, due date shift, tags)
+ * - Undoable deletes and a trash view with restore/purge and automatic purge
+ * - iCalendar (.ics) export of the listed tasks or one task, and import with preview
+ * - JSON/CSV backup of all tasks, and restore with a diff, CSV column mapping and resumable apply
+ * - URL routes (/tasks/:id, /tasks/:id/edit, /tasks/new) with filters and view in the query string
+ * - Saved views: named filter presets pinned in the sidebar with live counts, one applied on login
+ * - Tags: filtering and management (rename/recolor/merge/delete)
+ * - Offline queue status (pending/failed changes) and replay
+ * - Keyboard shortcuts and a Ctrl/Cmd-K command palette
  * - Responsive layout: sidebar (filters/list) + main panel (details/form)
  * - Dark theme support via data-theme
  */
@@ -27,42 +106,126 @@ function App() {
   const [user, setUser] = useState(null);
   const [loadingUser, setLoadingUser] = useState(true);
   const [authError, setAuthError] = useState(null);
+  // Session expiry: the re-login modal, and how to resume the requests waiting for it
+  const [reauth, setReauth] = useState(null);
+  const reauthResolveRef = useRef(null);
 
   const [tasks, setTasks] = useState([]);
   const [subtasks, setSubtasks] = useState([]);
   const [loading, setLoading] = useState(false);
+  const [nextTasksPage, setNextTasksPage] = useState(null);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [offPageTask, setOffPageTask] = useState(null);
   const [flash, setFlash] = useState(null);
+  const [flashAction, setFlashAction] = useState(null);
   const [error, setError] = useState(null);
 
-  const [selectedTaskId, setSelectedTaskId] = useState(null);
-  const [showTaskForm, setShowTaskForm] = useState(false);
+  // The address bar seeds the selection, form, filters and view
+  const [initialLocation] = useState(readLocation);
+
+  const [selectedTaskId, setSelectedTaskId] = useState(() => routeTaskId(initialLocation.route));
+  const [showTaskForm, setShowTaskForm] = useState(initialLocation.route.name === "new");
   const [editingTask, setEditingTask] = useState(null);
+  const [formDraft, setFormDraft] = useState(null);
+  // The task open in the form was changed ({ task }) or deleted ({ deleted: true }) elsewhere
+  const [remoteEdit, setRemoteEdit] = useState(null);
+  const [liveStatus, setLiveStatus] = useState("stopped");
+  // A linked task that no longer exists, and a linked edit waiting for its task to load
+  const [missingTaskId, setMissingTaskId] = useState(null);
+  const [pendingEditId, setPendingEditId] = useState(
+    initialLocation.route.name === "edit" ? initialLocation.route.id : null
+  );
+
+  // Logged out: login, or one of AUTH_PAGES. Logged in: the account page, over the task panel
+  const [authPage, setAuthPage] = useState(
+    AUTH_PAGES.includes(initialLocation.route.name) ? initialLocation.route.name : "login"
+  );
+  const [showAccount, setShowAccount] = useState(initialLocation.route.name === "account");
+  // Profile edits stay out of `user`, whose identity the session effects depend on
+  const [profile, setProfile] = useState(null);
+
+  const [view, setView] = useState(initialLocation.view);
+
+  const [syncStatus, setSyncStatus] = useState(() => api.syncStatus());
+  const [syncedAt, setSyncedAt] = useState(0);
+
+  const [filters, setFilters] = useState(initialLocation.filters);
+  const [savedViews, setSavedViews] = useState([]);
+  const [viewCounts, setViewCounts] = useState({});
+
+  const [tagList, setTagList] = useState([]);
+  const [showTagManager, setShowTagManager] = useState(false);
+  const tagColors = useMemo(() => Object.fromEntries(tagList.map((t) => [t.name, t.color])), [tagList]);
+
+  const [selecting, setSelecting] = useState(false);
+  const [checkedIds, setCheckedIds] = useState([]);
+  const [bulkBusy, setBulkBusy] = useState(false);
+
+  const [trash, setTrash] = useState([]);
+  const [trashLoading, setTrashLoading] = useState(false);
+  const [trashRetention, setTrashRetention] = useState(loadTrashRetention);
+
+  const [icalImport, setICalImport] = useState(null);
+  const [importProgress, setImportProgress] = useState(null);
+  const [backupSource, setBackupSource] = useState(null);
+
+  const [planner, setPlanner] = useState(null);
+  const [todayPlan, setTodayPlan] = useState([]);
+
+  // Tasks with dependency links (any page or filter); listed tasks are fresher and win
+  const [dependencies, setDependencies] = useState([]);
+  const [showDependencyGraph, setShowDependencyGraph] = useState(false);
+  const dependencyIndex = useMemo(() => indexTasks(dependencies, tasks), [dependencies, tasks]);
+  const blockedBy = useMemo(
+    () =>
+      Object.fromEntries(
+        tasks.map((t) => [t.id, openBlockers(t, dependencyIndex)]).filter(([, blockers]) => blockers.length)
+      ),
+    [tasks, dependencyIndex]
+  );
 
-  const [filters, setFilters] = useState({
-    search: "",
-    sort: "",
-    priorities: [],
-    dueWithinDays: "",
-  });
+  const [showPalette, setShowPalette] = useState(false);
+  const [showShortcutHelp, setShowShortcutHelp] = useState(false);
+  const searchRef = useRef(null);
+
+  // Latest selection for async callbacks that outlive the render they started in
+  const selectedTaskIdRef = useRef(selectedTaskId);
+  selectedTaskIdRef.current = selectedTaskId;
+  const showTaskFormRef = useRef(showTaskForm);
+  showTaskFormRef.current = showTaskForm;
+
+  // Routing: whether the next URL update replaces the history entry instead of pushing one
+  const replaceUrlRef = useRef(true);
 
   const selectedTask = useMemo(
-    () => tasks.find((t) => t.id === selectedTaskId) || null,
-    [tasks, selectedTaskId]
+    () =>
+      tasks.find((t) => t.id === selectedTaskId) || (offPageTask && offPageTask.id === selectedTaskId ? offPageTask : null),
+    [tasks, selectedTaskId, offPageTask]
   );
 
   // Helpers
-  const showError = (e) => {
-    const message =
-      e instanceof ApiError
-        ? e.data?.message || e.message || "Request failed"
-        : e?.message || "Something went wrong";
-    setError(message);
-    clearAfter(() => setError(null), 4000);
+  const showError = (e, context) => {
+    const message = describeError(e);
+    // Cancelled requests were superseded on purpose; expired sessions get the re-login modal
+    if (!message || (e instanceof ApiError && e.code === "auth" && e.status === 401)) return;
+    setError(context ? `${context}: ${message}` : message);
+    // Messages that ask for an action stay up a little longer
+    clearAfter(() => setError(null), e instanceof ApiError && e.code !== "http" ? 6000 : 4000);
   };
 
-  const showFlash = (msg) => {
+  // A newer flash replaces the current one, including its timer and action
+  const flashTimerRef = useRef(null);
+  const showFlash = (msg, action = null) => {
     setFlash(msg);
-    clearAfter(() => setFlash(null), 2500);
+    setFlashAction(action);
+    clearTimeout(flashTimerRef.current);
+    flashTimerRef.current = setTimeout(
+      () => {
+        setFlash(null);
+        setFlashAction(null);
+      },
+      action ? UNDO_MS : 2500
+    );
   };
 
   function clearAfter(fn, ms) {
@@ -89,58 +252,370 @@ function App() {
     })();
   }, []);
 
+  // Offline queue: track status and follow ID changes once offline creations reach the server
+  useEffect(() => {
+    return api.subscribeSync((status, event) => {
+      setSyncStatus(status);
+      if (event?.type === "synced" && event.synced > 0) {
+        replaceUrlRef.current = true;
+        setSelectedTaskId((id) => (id in event.idMap ? event.idMap[id] : id));
+        setSyncedAt(Date.now());
+      }
+    });
+  }, []);
+
+  // A selected task missing from the list may only be filtered out; one the server no longer
+  // has (e.g. a stale link) gets the not-found state instead of a silently cleared selection
+  const checkSelectionGone = useCallback((id) => {
+    const clear = () => {
+      setPendingEditId((current) => (current === id ? null : current));
+      replaceUrlRef.current = true;
+      setSelectedTaskId((current) => (current === id ? null : current));
+    };
+    if (isTempId(id)) {
+      clear();
+      return;
+    }
+    api.getTask(id).then(clear, (e) => {
+      if (e instanceof ApiError && e.status === 404) setMissingTaskId(id);
+      clear();
+    });
+  }, []);
+
+  // The filters the task list is loaded with. They follow the sidebar at once, except that
+  // search text waits for a pause in typing.
+  const [queryFilters, setQueryFilters] = useState(filters);
+  // Read at request time, so a reload started from an older render still uses the current filters
+  const queryFiltersRef = useRef(queryFilters);
+  queryFiltersRef.current = queryFilters;
+
+  useEffect(() => {
+    const apply = () => setQueryFilters(filters);
+    if (!sameFilters({ ...filters, search: "" }, { ...queryFiltersRef.current, search: "" })) {
+      apply();
+      return undefined;
+    }
+    const timer = setTimeout(apply, SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [filters]);
+
+  // Each load supersedes the previous one; only the newest result is rendered. Loading the
+  // next page is cancelled by any (re)load, as the page may no longer follow the list.
+  const tasksRequest = useMemo(() => latestRequest(), []);
+  const moreTasksRequest = useMemo(() => latestRequest(), []);
+  const paged = view !== "calendar" && view !== "board";
+  // How many tasks are loaded for the current query; a refresh reloads as many to keep the scroll position
+  const loadedRef = useRef({ query: null, count: 0 });
+  const listScrollRef = useRef(0);
+
   // Load tasks based on filters
   const loadTasks = useCallback(async () => {
     if (!user) return;
     setLoading(true);
     setError(null);
+    moreTasksRequest.cancel();
+    setLoadingMore(false);
     try {
-      const params = {
-        search: filters.search || undefined,
-        sort: filters.sort || undefined,
-        priority: (filters.priorities || []).length ? filters.priorities : undefined,
-        due_within_days:
-          filters.dueWithinDays === "" ? undefined : Number(filters.dueWithinDays),
-      };
-      const list = await api.getTasks(params);
-      setTasks(Array.isArray(list) ? list : list?.items || []);
-      // if selected no longer exists, clear selection
-      if (selectedTaskId && !list.find?.((t) => t.id === selectedTaskId)) {
-        setSelectedTaskId(null);
+      const params = taskQueryParams(queryFiltersRef.current);
+      const query = JSON.stringify(params);
+      const limit = loadedRef.current.query === query ? Math.max(TASK_PAGE_SIZE, loadedRef.current.count) : TASK_PAGE_SIZE;
+      const { items, next } = await tasksRequest.run(async (signal) => {
+        if (paged) return api.getTaskPage(params, { limit, signal });
+        const list = await api.getTasks(params, { signal });
+        return { items: Array.isArray(list) ? list : list?.items || [], next: null };
+      });
+      if (loadedRef.current.query !== query) listScrollRef.current = 0;
+      loadedRef.current = { query, count: items.length };
+      setTasks(items);
+      setNextTasksPage(next);
+      // if selected is no longer listed, clear selection (it may be on a page not loaded yet)
+      if (!next && selectedTaskId && !items.find((t) => t.id === selectedTaskId)) {
+        checkSelectionGone(selectedTaskId);
       }
     } catch (e) {
+      // A newer load is running and owns the loading state
+      if (e instanceof CancelledError) return;
       showError(e);
-    } finally {
-      setLoading(false);
     }
-  }, [user, filters, selectedTaskId]);
+    setLoading(false);
+  }, [user, paged, selectedTaskId, checkSelectionGone, tasksRequest, moreTasksRequest]);
+
+  // Infinite scroll: append the next page of the current query
+  const loadMoreTasks = async () => {
+    if (!nextTasksPage || loading) return;
+    setLoadingMore(true);
+    try {
+      const params = taskQueryParams(queryFiltersRef.current);
+      const { items, next } = await moreTasksRequest.run((signal) =>
+        api.getTaskPage(params, { page: nextTasksPage, limit: TASK_PAGE_SIZE, signal })
+      );
+      setTasks((list) => {
+        // Tasks that moved between pages since the first one was loaded are listed once
+        const ids = new Set(list.map((t) => t.id));
+        const merged = [...list, ...items.filter((t) => !ids.has(t.id))];
+        loadedRef.current = { ...loadedRef.current, count: merged.length };
+        return merged;
+      });
+      setNextTasksPage(next);
+    } catch (e) {
+      if (e instanceof CancelledError) return;
+      showError(e, "Could not load more tasks");
+    }
+    setLoadingMore(false);
+  };
+
+  // A selected task on a page not loaded yet (e.g. opened from a link) is fetched on its own
+  useEffect(() => {
+    if (!selectedTaskId || !nextTasksPage || isTempId(selectedTaskId)) return undefined;
+    if (tasks.some((t) => t.id === selectedTaskId)) return undefined;
+    let cancelled = false;
+    api.getTask(selectedTaskId).then(
+      (task) => !cancelled && setOffPageTask(task),
+      () => {
+        // Not found or offline: the detail panel stays empty
+      }
+    );
+    return () => {
+      cancelled = true;
+    };
+  }, [selectedTaskId, nextTasksPage, tasks]);
 
   // When user or filters change, refresh
   useEffect(() => {
     if (user) {
       loadTasks();
+    } else {
+      tasksRequest.cancel();
+    }
+  }, [user, loadTasks, syncedAt, queryFilters, tasksRequest]);
+
+  // Tags across all tasks (for filter chips, autocomplete and colors)
+  const loadTags = useCallback(async () => {
+    try {
+      setTagList(await api.getTags());
+    } catch {
+      // Tags are an enhancement; keep the last known list
+    }
+  }, []);
+
+  useEffect(() => {
+    if (user) loadTags();
+  }, [user, loadTags, syncedAt]);
+
+  // Dependency links across all tasks (for blocked badges and the graph)
+  const loadDependencies = useCallback(async () => {
+    try {
+      setDependencies(await api.getDependencies());
+    } catch {
+      // Keep the last known links; listed tasks still carry their own
     }
-  }, [user, loadTasks]);
+  }, []);
+
+  useEffect(() => {
+    if (user) loadDependencies();
+  }, [user, loadDependencies, syncedAt]);
 
-  // Load subtasks for selected task
+  // Saved views: loaded per user; the default one applies on login unless the URL sets filters
+  const userKey = user ? String(user.username || user.id) : null;
+
+  useEffect(() => {
+    if (!userKey) return undefined;
+    let cancelled = false;
+    const linkedFilters = Boolean(window.location.search);
+    api
+      .getSavedViews(userKey)
+      .then((views) => {
+        if (cancelled) return;
+        setSavedViews(views);
+        const preferred = views.find((v) => v.is_default);
+        if (preferred && !linkedFilters) setFilters({ ...DEFAULT_FILTERS, ...preferred.filters });
+      })
+      .catch(() => {
+        // Views are an enhancement; the filters still work without them
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [userKey]);
+
+  // Today list: the accepted day plan, kept per user in this browser
+  useEffect(() => {
+    setTodayPlan(userKey ? loadTodayPlan(userKey) : []);
+  }, [userKey]);
+
+  // Pinned view counts are asked of the server per view (debounced). They refresh when the
+  // views change, after each list load and when tasks are added or removed, not on every edit.
+  const taskCount = tasks.length;
+  useEffect(() => {
+    const pinned = savedViews.filter((v) => v.pinned);
+    if (!user || loading || !pinned.length) return undefined;
+    const timer = setTimeout(async () => {
+      try {
+        const counts = await Promise.all(pinned.map((v) => api.countTasks(taskQueryParams(v.filters))));
+        setViewCounts(Object.fromEntries(pinned.map((v, i) => [v.id, counts[i]])));
+      } catch {
+        // Keep the last counts
+      }
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [user, loading, taskCount, savedViews]);
+
+  // Trash: listed while the trash view is open; expired tasks are purged on login and
+  // whenever the retention period changes
+  const loadTrash = useCallback(async () => {
+    setTrashLoading(true);
+    try {
+      setTrash(await api.getTrash());
+    } catch {
+      // Keep the last known list; the trash view shows it
+    } finally {
+      setTrashLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (user && view === "trash") loadTrash();
+  }, [user, view, loadTrash, syncedAt]);
+
+  useEffect(() => {
+    if (!user) return;
+    api
+      .purgeExpiredTrash(trashRetention)
+      .catch(() => 0)
+      .then((purged) => purged && loadTrash());
+  }, [user, trashRetention, loadTrash]);
+
+  // Load subtasks for selected task; switching tasks quickly never shows the previous task's subtasks
+  const subtasksRequest = useMemo(() => latestRequest(), []);
   const loadSubtasks = useCallback(async () => {
     if (!selectedTaskId) {
+      subtasksRequest.cancel();
       setSubtasks([]);
       return;
     }
     try {
-      const items = await api.listSubtasks(selectedTaskId);
+      const items = await subtasksRequest.run((signal) => api.listSubtasks(selectedTaskId, { signal }));
       setSubtasks(Array.isArray(items) ? items : items?.items || []);
     } catch (e) {
-      showError(e);
+      if (!(e instanceof CancelledError)) showError(e);
     }
-  }, [selectedTaskId]);
+  }, [selectedTaskId, subtasksRequest]);
 
   useEffect(() => {
     if (selectedTaskId) {
       loadSubtasks();
     }
-  }, [selectedTaskId, loadSubtasks]);
+  }, [selectedTaskId, loadSubtasks, syncedAt]);
+
+  // Live updates: changes made in other tabs and on other devices are merged into the lists on
+  // screen. An open form keeps what was typed; it is only told that its task changed.
+  const liveHandlerRef = useRef(null);
+  liveHandlerRef.current = async (event) => {
+    if (event.type === "reset") {
+      loadTasks();
+      loadTags();
+      loadDependencies();
+      if (selectedTaskIdRef.current) loadSubtasks();
+      return;
+    }
+    if (event.type.startsWith("subtask.")) {
+      if (String(event.task_id) === String(selectedTaskIdRef.current)) setSubtasks((list) => mergeSubtaskEvent(list, event));
+      return;
+    }
+    if (!event.type.startsWith("task.")) return;
+    let change = event;
+    if (event.type !== "task.deleted" && !event.task) {
+      try {
+        change = { ...event, task: recordFrom(await api.getTask(event.task_id)) };
+      } catch {
+        return;
+      }
+    }
+    const sameTask = (task) => task && String(task.id) === String(event.task_id);
+    setTasks((list) => mergeTaskEvent(list, change, taskQueryParams(queryFiltersRef.current)));
+    setOffPageTask((task) => (sameTask(task) && change.task ? { ...task, ...change.task } : task));
+    const editingThis = showTaskForm && sameTask(editingTask);
+    if (editingThis) setRemoteEdit({ deleted: event.type === "task.deleted", task: change.task || null });
+    if (event.type === "task.deleted" && !editingThis && String(selectedTaskIdRef.current) === String(event.task_id)) {
+      replaceUrlRef.current = true;
+      setSelectedTaskId(null);
+    }
+    if ((change.task?.tags || []).some((name) => !tagList.some((t) => t.name === name))) loadTags();
+    if (blockerIds(change.task).length || dependencies.some(sameTask)) loadDependencies();
+  };
+
+  useEffect(() => {
+    if (!user) return undefined;
+    const live = api.liveUpdates();
+    const offEvents = live.subscribe((event) => liveHandlerRef.current(event));
+    const offStatus = live.subscribeStatus(setLiveStatus);
+    live.start();
+    setLiveStatus(live.status());
+    return () => {
+      offEvents();
+      offStatus();
+      live.stop();
+    };
+  }, [user]);
+
+  // A notice about remote changes belongs to the form it was shown in
+  useEffect(() => {
+    setRemoteEdit(null);
+  }, [showTaskForm, editingTask?.id]);
+
+  // URL routing: state changes are written to the address bar (pushing when the route or view
+  // changes, replacing for filter tweaks and automatic changes), and back/forward re-applies it
+  useEffect(() => {
+    const onPopState = () => {
+      const { route, filters: next, view: nextView } = readLocation();
+      const id = routeTaskId(route);
+      setFilters((current) => (formatQuery(current) === formatQuery(next) ? current : next));
+      setView(nextView);
+      setPendingEditId(route.name === "edit" ? id : null);
+      setMissingTaskId(null);
+      setShowTagManager(false);
+      setPlanner(null);
+      setShowDependencyGraph(false);
+      setSelectedTaskId((current) => (route.name === "new" ? current : id));
+      setEditingTask(null);
+      setShowTaskForm(route.name === "new");
+      setShowAccount(route.name === "account");
+      setAuthPage(AUTH_PAGES.includes(route.name) ? route.name : "login");
+    };
+    window.addEventListener("popstate", onPopState);
+    return () => window.removeEventListener("popstate", onPopState);
+  }, []);
+
+  // /tasks/:id/edit opens the form once the task is loaded
+  useEffect(() => {
+    if (selectedTask && pendingEditId === selectedTask.id) {
+      setPendingEditId(null);
+      setEditingTask(selectedTask);
+      setShowTaskForm(true);
+    }
+  }, [selectedTask, pendingEditId]);
+
+  useEffect(() => {
+    if (selectedTaskId !== null || showTaskForm) setMissingTaskId(null);
+  }, [selectedTaskId, showTaskForm]);
+
+  useEffect(() => {
+    if (!user) return;
+    let route = { name: "tasks" };
+    if (showTaskForm) route = editingTask ? { name: "edit", id: editingTask.id } : { name: "new" };
+    else if (showAccount) route = { name: "account" };
+    else if (pendingEditId !== null) route = { name: "edit", id: pendingEditId };
+    else if (selectedTaskId !== null) route = { name: "task", id: selectedTaskId };
+    else if (missingTaskId !== null) route = { name: "task", id: missingTaskId };
+
+    const path = formatRoute(route);
+    const url = path + formatQuery(filters, view);
+    const { pathname, search } = window.location;
+    const replace = replaceUrlRef.current || (path === pathname && parseQuery(search).view === view);
+    replaceUrlRef.current = false;
+    if (url === pathname + search) return;
+    window.history[replace ? "replaceState" : "pushState"](null, "", url);
+  }, [user, showTaskForm, showAccount, editingTask, pendingEditId, selectedTaskId, missingTaskId, filters, view]);
 
   // Auth Handlers
   // PUBLIC_INTERFACE
@@ -155,38 +630,303 @@ function App() {
       setAuthError(
         e instanceof ApiError && e.status === 401
           ? "Invalid credentials"
-          : e.message || "Login failed"
+          : describeError(e) || "Login failed"
       );
     }
   };
 
+  // Requests that hit an expired session wait for the user to log in again in a modal; the view
+  // below stays mounted, so open forms keep their unsaved content
+  useEffect(() => {
+    if (!user) return undefined;
+    api.setAuthHandler(
+      () =>
+        new Promise((resolve) => {
+          reauthResolveRef.current = resolve;
+          setReauth({ loading: false, error: null });
+        })
+    );
+    return () => api.setAuthHandler(null);
+  }, [user]);
+
+  const finishReauth = (retry) => {
+    const resolve = reauthResolveRef.current;
+    reauthResolveRef.current = null;
+    setReauth(null);
+    if (resolve) resolve(retry);
+  };
+
+  // PUBLIC_INTERFACE
+  const handleReauth = async (username, password) => {
+    setReauth({ loading: true, error: null });
+    try {
+      await api.login(username, password);
+      const me = await api.currentUser();
+      const next = me?.user || me || null;
+      const sameUser = next && (next.id !== undefined ? next.id === user.id : next.username === user.username);
+      if (sameUser) {
+        finishReauth(true);
+        showFlash("Logged in again");
+        return;
+      }
+      // Someone else: nothing of the previous session carries over, and its waiting requests are dropped.
+      // Signing them in made the API client drop the previous user's queued changes, cache and trash.
+      finishReauth(false);
+      resetSession();
+      setUser(next);
+      showFlash(`Logged in as ${next?.username || username}`);
+    } catch (e) {
+      setReauth({
+        loading: false,
+        error: e instanceof ApiError && e.status === 401 ? "Invalid credentials" : describeError(e) || "Login failed",
+      });
+    }
+  };
+
+  // Logged-out screens have their own paths (/signup, /forgot-password, /reset-password)
+  const showAuthPage = (page) => {
+    setAuthError(null);
+    setAuthPage(page);
+    window.history.pushState(null, "", page === "login" ? formatRoute({ name: "tasks" }) : formatRoute({ name: page }));
+  };
+
+  // PUBLIC_INTERFACE
+  const handleSignUp = async (data) => {
+    await api.register(data);
+    let me = null;
+    try {
+      me = await api.currentUser();
+    } catch {
+      // A server that does not sign new users in: they log in themselves
+    }
+    if (!me) {
+      showAuthPage("login");
+      showFlash("Account created. Log in to continue.");
+      return;
+    }
+    setUser(me.user || me);
+    showFlash(`Welcome, ${data.name || data.username}!`);
+  };
+
+  // PUBLIC_INTERFACE
+  const handleSaveProfile = async (changes) => {
+    const result = await api.updateAccount(changes);
+    setProfile((p) => ({ ...p, ...changes, ...(result?.user || {}) }));
+  };
+
+  // Everything that belongs to the logged-in user
+  const resetSession = () => {
+    setTasks([]);
+    setProfile(null);
+    setShowAccount(false);
+    setAuthPage("login");
+    setNextTasksPage(null);
+    setOffPageTask(null);
+    loadedRef.current = { query: null, count: 0 };
+    listScrollRef.current = 0;
+    setSelectedTaskId(null);
+    setSubtasks([]);
+    setShowTaskForm(false);
+    setEditingTask(null);
+    setTagList([]);
+    setShowTagManager(false);
+    setShowPalette(false);
+    setShowShortcutHelp(false);
+    setSelecting(false);
+    setCheckedIds([]);
+    setTrash([]);
+    setICalImport(null);
+    setBackupSource(null);
+    setPlanner(null);
+    setShowDependencyGraph(false);
+    setDependencies([]);
+    setMissingTaskId(null);
+    setPendingEditId(null);
+    setSavedViews([]);
+    setViewCounts({});
+    setFilters(DEFAULT_FILTERS);
+    window.history.replaceState(null, "", formatRoute({ name: "tasks" }));
+  };
+
   // PUBLIC_INTERFACE
   const handleLogout = async () => {
+    finishReauth(false);
     try {
+      // Also drops this user's queued changes, cache and trash, even if the server cannot be reached
       await api.logout();
     } catch {
       // ignore
     } finally {
       setUser(null);
-      setTasks([]);
-      setSelectedTaskId(null);
-      setSubtasks([]);
-      setShowTaskForm(false);
-      setEditingTask(null);
+      resetSession();
     }
   };
 
   // Filter change
   const updateFilters = (patch) => setFilters((f) => ({ ...f, ...patch }));
 
+  // Saved views: every change saves the whole ordered list
+  const activeViewId = savedViews.find((v) => sameFilters(v.filters, filters))?.id || null;
+
+  const applySavedView = (view) => setFilters({ ...DEFAULT_FILTERS, ...view.filters });
+
+  const persistViews = (next, label) => {
+    const previous = savedViews;
+    return runOptimistic({
+      label,
+      apply: () => setSavedViews(next),
+      request: () => api.saveSavedViews(userKey, next),
+      revert: () => setSavedViews(previous),
+    });
+  };
+
+  const saveView = (name) =>
+    persistViews([...savedViews, createView(name, filters)], `save view "${name}"`).then(
+      (saved) => saved && showFlash(`Saved view "${name}"`)
+    );
+
+  const updateView = (id, patch) => {
+    const view = savedViews.find((v) => v.id === id);
+    const next = savedViews.map((v) => {
+      if (v.id === id) return { ...v, ...patch };
+      // Only one view can be the default
+      return patch.is_default ? { ...v, is_default: false } : v;
+    });
+    persistViews(next, `update view "${view?.name}"`);
+  };
+
+  const moveSavedView = (id, step) => persistViews(moveView(savedViews, id, step), "reorder views");
+
+  const deleteView = (id) => {
+    const view = savedViews.find((v) => v.id === id);
+    if (!view) return;
+    const previous = savedViews;
+    persistViews(
+      previous.filter((v) => v.id !== id),
+      `delete view "${view.name}"`
+    ).then(
+      (saved) =>
+        saved &&
+        showFlash(`Deleted view "${view.name}"`, {
+          label: "Undo",
+          run: () => persistViews(previous, `restore view "${view.name}"`),
+        })
+    );
+  };
+
+  // Plan my day: the planner works from all open tasks, not only the filtered list
+  const openPlanner = async () => {
+    setShowDependencyGraph(false);
+    setShowTaskForm(false);
+    setShowTagManager(false);
+    setShowAccount(false);
+    setICalImport(null);
+    setBackupSource(null);
+    setPlanner({ tasks: [], loading: true });
+    try {
+      const all = await api.getAllTasks();
+      setPlanner((current) => current && { tasks: all, loading: false });
+    } catch (e) {
+      setPlanner(null);
+      showError(e, "Could not load tasks to plan");
+    }
+  };
+
+  const updateTodayPlan = (entries) => {
+    setTodayPlan(entries);
+    saveTodayPlan(userKey, entries);
+  };
+
+  const acceptDayPlan = (entries) => {
+    updateTodayPlan(entries);
+    setPlanner(null);
+    showFlash(`Planned ${entries.length} task${entries.length === 1 ? "" : "s"} for today`);
+  };
+
+  // Show a task from the planner, the Today list or the dependency graph; it may be outside the
+  // current filters
+  const openTask = (id) => {
+    setPlanner(null);
+    setShowDependencyGraph(false);
+    setSelectedTaskId(id);
+    if (!tasks.some((t) => t.id === id)) {
+      api.getTask(id).then(setOffPageTask, () => {
+        // Deleted in the meantime: the detail panel stays empty
+      });
+    }
+  };
+
+  // Dependencies: links are stored on the blocked task (`blocked_by`)
+  const openDependencyGraph = () => {
+    setShowTaskForm(false);
+    setShowTagManager(false);
+    setShowAccount(false);
+    setPlanner(null);
+    setICalImport(null);
+    setBackupSource(null);
+    setShowDependencyGraph(true);
+    loadDependencies();
+  };
+
+  const setBlockers = (task, ids, label) => {
+    const patch = { blocked_by: ids };
+    // The task may be shown from outside the list
+    const patchOffPage = (changes) => setOffPageTask((t) => (t && t.id === task.id ? { ...t, ...changes } : t));
+    return runOptimistic({
+      label,
+      apply: () => {
+        setTasks((list) => patchItem(list, task.id, patch));
+        patchOffPage(patch);
+        setDependencies((list) => [...list.filter((t) => t.id !== task.id), { ...task, ...patch }]);
+      },
+      request: () => api.updateTask(task.id, patch),
+      commit: (result) => {
+        const record = recordFrom(result);
+        if (record) setTasks((list) => patchItem(list, task.id, record));
+        loadDependencies();
+      },
+      revert: () => {
+        setTasks((list) => revertPatch(list, task.id, patch, task));
+        patchOffPage({ blocked_by: blockerIds(task) });
+        loadDependencies();
+      },
+    });
+  };
+
+  const linkBlocker = (task, blocker) =>
+    setBlockers(task, [...blockerIds(task), blocker.id], `mark "${task.title}" as blocked by "${blocker.title}"`);
+
+  const unlinkBlocker = (task, blocker) =>
+    setBlockers(
+      task,
+      blockerIds(task).filter((id) => String(id) !== String(blocker.id)),
+      `unlink "${blocker.title}" from "${task.title}"`
+    );
+
   // Task Actions
+  const openAccount = () => {
+    setShowTaskForm(false);
+    setShowTagManager(false);
+    setPlanner(null);
+    setShowDependencyGraph(false);
+    setShowAccount(true);
+  };
+
   const startCreateTask = () => {
+    setShowAccount(false);
+    setPlanner(null);
+    setShowDependencyGraph(false);
+    setShowTagManager(false);
     setEditingTask(null);
     setShowTaskForm(true);
   };
 
   const startEditTask = () => {
     if (!selectedTask) return;
+    setShowAccount(false);
+    setPlanner(null);
+    setShowDependencyGraph(false);
+    setShowTagManager(false);
     setEditingTask(selectedTask);
     setShowTaskForm(true);
   };
@@ -196,90 +936,733 @@ function App() {
     setShowTaskForm(false);
   };
 
+  // A failed save brings back what the user typed, unless another form was opened meanwhile
+  const reopenForm = (task, draft) => {
+    if (showTaskFormRef.current) return;
+    setEditingTask(task);
+    setFormDraft(draft);
+    setShowTaskForm(true);
+  };
+
+  // Optimistic changes: apply locally first, reconcile with the server response,
+  // and undo only this change (naming it in the error toast) if the request fails.
+  const runOptimistic = async ({ label, apply, request, commit, revert }) => {
+    apply();
+    try {
+      const result = await request();
+      if (commit) commit(result);
+      return result;
+    } catch (e) {
+      revert();
+      showError(e, `Could not ${label}`);
+      return undefined;
+    }
+  };
+
+  const createTask = async (data) => {
+    const tempId = makeTempId();
+    await runOptimistic({
+      label: `create "${data.title}"`,
+      apply: () => setTasks((list) => [...list, { completed: false, ...data, id: tempId, pending: true }]),
+      request: () => api.createTask(data),
+      commit: (result) => {
+        const record = recordFrom(result);
+        if (record) {
+          // A live update may have listed the new task already
+          setTasks((list) => replaceItem(removeItem(list, record.id), tempId, record));
+          if (selectedTaskIdRef.current === tempId) replaceUrlRef.current = true;
+          setSelectedTaskId((id) => (id === tempId ? record.id : id));
+        } else {
+          loadTasks();
+        }
+        if (data.tags && data.tags.length) loadTags();
+        showFlash("Task created");
+      },
+      revert: () => {
+        setTasks((list) => removeItem(list, tempId));
+        reopenForm(null, data);
+      },
+    });
+  };
+
   const saveTask = async (data) => {
+    setShowTaskForm(false);
+    setEditingTask(null);
+    setFormDraft(null);
+    if (editingTask) {
+      const previous = tasks.find((t) => t.id === editingTask.id) || editingTask;
+      await runOptimistic({
+        label: `update "${previous.title}"`,
+        apply: () => setTasks((list) => patchItem(list, previous.id, data)),
+        request: () => api.updateTask(previous.id, data),
+        commit: (result) => {
+          const record = recordFrom(result);
+          if (record) setTasks((list) => patchItem(list, previous.id, record));
+          if (data.tags) loadTags();
+          showFlash("Task updated");
+        },
+        revert: () => {
+          setTasks((list) => revertPatch(list, previous.id, data, previous));
+          reopenForm({ ...previous, ...data }, null);
+        },
+      });
+    } else {
+      await createTask(data);
+    }
+  };
+
+  // Deletes move tasks to the trash right away; the toast offers "Undo" for a few seconds
+  const deleteTask = async () => {
+    if (!selectedTask) return;
+    const task = selectedTask;
+    const index = tasks.findIndex((t) => t.id === task.id);
+    await runOptimistic({
+      label: `delete "${task.title}"`,
+      apply: () => {
+        setTasks((list) => removeItem(list, task.id));
+        setSelectedTaskId(null);
+        setSubtasks([]);
+      },
+      request: () => api.deleteTask(task.id),
+      commit: () => showFlash(`Moved "${task.title}" to Trash`, { label: "Undo", run: () => restoreTasks([task]) }),
+      revert: () => setTasks((list) => insertAt(list, task, index)),
+    });
+  };
+
+  // Restored tasks can come back with a new ID (backends without soft-delete), so reload
+  const restoreTasks = async (deleted) => {
+    const results = await Promise.allSettled(deleted.map((t) => api.restoreTask(t.id)));
+    const failed = results.filter((r) => r.status === "rejected");
+    await Promise.all([loadTasks(), loadTrash()]);
+    if (failed.length) {
+      showError(failed[0].reason, `Could not restore ${failed.length} of ${deleted.length} tasks`);
+    } else {
+      showFlash(deleted.length === 1 ? `Restored "${deleted[0].title}"` : `Restored ${deleted.length} tasks`);
+    }
+  };
+
+  const purgeTask = async (task) => {
+    setTrash((list) => removeItem(list, task.id));
+    try {
+      await api.purgeTask(task.id);
+      showFlash(`Deleted "${task.title}" forever`);
+    } catch (e) {
+      showError(e, `Could not delete "${task.title}"`);
+      loadTrash();
+    }
+  };
+
+  const emptyTrash = async () => {
+    const count = `${trash.length} task${trash.length === 1 ? "" : "s"}`;
+    if (!window.confirm(`Permanently delete ${count}? This cannot be undone.`)) return;
+    const results = await Promise.allSettled(trash.map((t) => api.purgeTask(t.id)));
+    const failed = results.filter((r) => r.status === "rejected");
+    await loadTrash();
+    if (failed.length) showError(failed[0].reason, `Could not delete ${failed.length} of ${trash.length} tasks`);
+    else showFlash(`Deleted ${count} forever`);
+  };
+
+  const changeTrashRetention = (days) => {
+    setTrashRetention(days);
+    saveTrashRetention(days);
+  };
+
+  // iCalendar export/import
+  const exportICal = async () => {
+    // The list may hold only the first pages; export every task matching the filters
+    let listed = tasks;
+    if (nextTasksPage) {
+      try {
+        listed = await api.getAllTasks(taskQueryParams(queryFilters));
+      } catch (e) {
+        showError(e, "Export failed");
+        return;
+      }
+    }
+    if (!listed.length) {
+      showFlash("No tasks to export");
+      return;
+    }
+    const entries = await Promise.all(
+      listed.map(async (task) => ({ task, subtasks: await api.listSubtasks(task.id).catch(() => []) }))
+    );
+    downloadFile("tasks.ics", tasksToICalendar(entries), "text/calendar");
+    showFlash(`Exported ${listed.length} task${listed.length === 1 ? "" : "s"}`);
+  };
+
+  const exportTaskICal = () => {
+    if (!selectedTask) return;
+    downloadFile(`${slugify(selectedTask.title)}.ics`, tasksToICalendar([{ task: selectedTask, subtasks }]), "text/calendar");
+  };
+
+  const startICalImport = async (file) => {
     try {
-      if (editingTask) {
-        await api.updateTask(editingTask.id, data);
-        showFlash("Task updated");
+      const items = parseICalendar(await readFileText(file));
+      if (!items.length) {
+        showError(new Error("No to-dos or events found"), `Could not import ${file.name}`);
+        return;
+      }
+      // De-duplicate against all tasks, not only the filtered list
+      const plan = planICalImport(items, await api.getAllTasks());
+      setShowTaskForm(false);
+      setShowTagManager(false);
+      setShowAccount(false);
+      setPlanner(null);
+      setShowDependencyGraph(false);
+      setICalImport({ fileName: file.name, plan });
+    } catch (e) {
+      showError(e, `Could not import ${file.name}`);
+    }
+  };
+
+  const importICal = async (entries) => {
+    let imported = 0;
+    const failed = [];
+    setImportProgress({ done: 0, total: entries.length });
+    for (const { item, subtasks: items } of entries) {
+      try {
+        const task = await api.createTask({
+          title: item.title,
+          description: item.description,
+          priority: item.priority || "medium",
+          due_date: item.due_date,
+          completed: item.completed,
+          tags: item.tags,
+          recurrence: item.recurrence,
+          ical_uid: item.uid || undefined,
+        });
+        for (const sub of items) {
+          await api.createSubtask(task.id, { title: sub.title, completed: sub.completed });
+        }
+        imported += 1;
+      } catch (e) {
+        failed.push(`"${item.title}" (${e.message})`);
+      }
+      setImportProgress({ done: imported + failed.length, total: entries.length });
+    }
+    setImportProgress(null);
+    setICalImport(null);
+    await Promise.all([loadTasks(), loadTags()]);
+    if (failed.length) showError(new Error(failed.join(", ")), `Imported ${imported} of ${entries.length}; failed`);
+    else showFlash(`Imported ${imported} task${imported === 1 ? "" : "s"}`);
+  };
+
+  // Backup/restore
+  const exportBackup = async (format) => {
+    try {
+      const entries = await api.getBackupEntries();
+      const stamp = toIsoDate(new Date());
+      if (format === "csv") downloadFile(`tasks-${stamp}.csv`, tasksToCsv(entries), "text/csv");
+      else downloadFile(`tasks-backup-${stamp}.json`, backupToJson(entries), "application/json");
+      showFlash(`Exported ${entries.length} task${entries.length === 1 ? "" : "s"}`);
+    } catch (e) {
+      showError(e, "Export failed");
+    }
+  };
+
+  const startRestore = async (file) => {
+    try {
+      const text = await readFileText(file);
+      let source;
+      if (/\.csv$/i.test(file.name) || file.type === "text/csv") {
+        const rows = parseCsv(text);
+        if (rows.length < 2) throw new BackupError("The CSV file has no rows");
+        source = { fileName: file.name, kind: "csv", rows };
       } else {
-        await api.createTask(data);
-        showFlash("Task created");
+        source = { fileName: file.name, kind: "json", ...parseJsonBackup(text) };
       }
       setShowTaskForm(false);
-      setEditingTask(null);
-      await loadTasks();
+      setShowTagManager(false);
+      setShowAccount(false);
+      setPlanner(null);
+      setShowDependencyGraph(false);
+      setICalImport(null);
+      setBackupSource(source);
     } catch (e) {
-      showError(e);
+      showError(e, `Could not restore ${file.name}`);
     }
   };
 
-  const deleteTask = async () => {
-    if (!selectedTask) return;
-    if (!window.confirm("Delete this task?")) return;
+  const planBackupRestore = async (entries) => {
     try {
-      await api.deleteTask(selectedTask.id);
-      showFlash("Task deleted");
-      setSelectedTaskId(null);
-      await loadTasks();
-      setSubtasks([]);
+      return planRestore(entries, await api.getBackupEntries());
     } catch (e) {
-      showError(e);
+      showError(e, "Could not compare with current tasks");
+      throw e;
     }
   };
 
+  const applyBackupRestore = async (changes, options) => {
+    const result = await applyRestore(changes, api, options);
+    await Promise.all([loadTasks(), loadTags()]);
+    return result;
+  };
+
+  const finishRestore = (applied) => {
+    setBackupSource(null);
+    showFlash(`Restored ${applied} task${applied === 1 ? "" : "s"}`);
+  };
+
   const toggleTaskComplete = async (task) => {
+    const patch = { completed: !task.completed };
+    // Completing a task whose blockers are open needs a confirmation (and is then forced)
+    const blockers = patch.completed ? openBlockers(task, dependencyIndex) : [];
+    if (blockers.length) {
+      const names = blockers.map((t) => `"${t.title}"`).join(", ");
+      if (!window.confirm(`"${task.title}" is blocked by ${names}. Complete it anyway?`)) return;
+    }
+    await runOptimistic({
+      label: `mark "${task.title}" ${patch.completed ? "complete" : "incomplete"}`,
+      apply: () => setTasks((list) => patchItem(list, task.id, patch)),
+      request: () =>
+        api.markTaskComplete(task.id, patch.completed, { force: blockers.length > 0 }).catch((e) => {
+          // Blocked by tasks this browser did not know about: load them, so the next try can confirm
+          if (e instanceof ApiError && e.data?.error === "blocked") loadDependencies();
+          throw e;
+        }),
+      commit: (result) => {
+        const record = recordFrom(result);
+        if (record && record.id === task.id) setTasks((list) => patchItem(list, task.id, record));
+        // Completing a recurring task schedules its next instance
+        if (result?.next_task) {
+          setTasks((list) => insertAt(list, result.next_task, list.length));
+          showFlash(`Next "${task.title}" scheduled for ${result.next_task.due_date}`);
+        }
+        // Completion may cascade to subtasks on the server
+        if (selectedTaskIdRef.current === task.id) loadSubtasks();
+      },
+      revert: () => setTasks((list) => revertPatch(list, task.id, patch, task)),
+    });
+  };
+
+  // The calendar passes the new day with the task's time of day, if it has one
+  const rescheduleTask = async (task, dueDate) => {
+    const patch = { due_date: dueDate };
+    const day = dueDate.slice(0, 10);
+    await runOptimistic({
+      label: `move "${task.title}" to ${day}`,
+      apply: () => setTasks((list) => patchItem(list, task.id, patch)),
+      request: () => api.updateTask(task.id, patch),
+      commit: (result) => {
+        const record = recordFrom(result);
+        if (record) setTasks((list) => patchItem(list, task.id, record));
+        showFlash(`"${task.title}" moved to ${day}`);
+      },
+      revert: () => setTasks((list) => revertPatch(list, task.id, patch, task)),
+    });
+  };
+
+  // Board: moving a card into a completing column goes through markTaskComplete;
+  // moving a completed card elsewhere reopens it.
+  const moveTask = async (task, column) => {
+    if (column.completes) {
+      if (!task.completed) await toggleTaskComplete(task);
+      return;
+    }
+    const reopen = reopensTask(task, column);
+    const patch = { ...column.patch, ...(reopen ? { completed: false } : {}) };
+    await runOptimistic({
+      label: `move "${task.title}" to ${column.label}`,
+      apply: () => setTasks((list) => patchItem(list, task.id, patch)),
+      request: async () => {
+        if (reopen) await api.markTaskComplete(task.id, false);
+        return api.updateTask(task.id, column.patch);
+      },
+      commit: (result) => {
+        const record = recordFrom(result);
+        if (record) setTasks((list) => patchItem(list, task.id, record));
+      },
+      revert: () => setTasks((list) => revertPatch(list, task.id, patch, task)),
+    });
+  };
+
+  // "Select all" means every task matching the filters: pages not loaded yet are loaded first,
+  // so bulk actions (which work on listed tasks) reach them too
+  const selectAllTasks = async () => {
+    if (!nextTasksPage) {
+      setCheckedIds(tasks.map((t) => t.id));
+      return;
+    }
+    setBulkBusy(true);
     try {
-      await api.markTaskComplete(task.id, !task.completed);
-      await loadTasks();
-      if (selectedTaskId === task.id) await loadSubtasks();
+      const params = taskQueryParams(queryFiltersRef.current);
+      const rest = [];
+      let page = nextTasksPage;
+      while (page) {
+        const current = page;
+        const { items, next } = await moreTasksRequest.run((signal) =>
+          api.getTaskPage(params, { page: current, limit: TASK_PAGE_SIZE, signal })
+        );
+        rest.push(...items);
+        page = next;
+      }
+      const loaded = new Set(tasks.map((t) => t.id));
+      const added = rest.filter((t) => !loaded.has(t.id));
+      setTasks((list) => {
+        const ids = new Set(list.map((t) => t.id));
+        const merged = [...list, ...added.filter((t) => !ids.has(t.id))];
+        loadedRef.current = { ...loadedRef.current, count: merged.length };
+        return merged;
+      });
+      setNextTasksPage(null);
+      setCheckedIds([...tasks.map((t) => t.id), ...added.map((t) => t.id)]);
     } catch (e) {
-      showError(e);
+      if (!(e instanceof CancelledError)) showError(e, "Could not select every matching task");
     }
+    setBulkBusy(false);
   };
 
-  // Subtask actions
-  const addSubtask = async (title) => {
-    if (!selectedTask) return;
+  // Keep the bulk selection to tasks that are still listed (filters may have changed)
+  useEffect(() => {
+    setCheckedIds((ids) => {
+      const kept = ids.filter((id) => tasks.some((t) => t.id === id));
+      return kept.length === ids.length ? ids : kept;
+    });
+  }, [tasks]);
+
+  // Bulk actions: applied optimistically to every checked task; only the tasks the
+  // server rejected are rolled back, and the error toast lists them.
+  const runBulkAction = async (action, value) => {
+    const operations = bulkOperations(
+      tasks.filter((t) => checkedIds.includes(t.id)),
+      action,
+      value
+    );
+    if (!operations.length) {
+      showFlash("Nothing to change");
+      return;
+    }
+    const count = `${operations.length} task${operations.length === 1 ? "" : "s"}`;
+
+    const before = Object.fromEntries(
+      operations.map((op) => [op.id, { task: tasks.find((t) => t.id === op.id), index: tasks.findIndex((t) => t.id === op.id) }])
+    );
+    const applyOp = (list, op) => (op.action === "delete" ? removeItem(list, op.id) : patchItem(list, op.id, op.data));
+    const revertOp = (list, op) =>
+      op.action === "delete"
+        ? insertAt(list, before[op.id].task, before[op.id].index)
+        : revertPatch(list, op.id, op.data, before[op.id].task);
+
+    setBulkBusy(true);
+    setTasks((list) => operations.reduce(applyOp, list));
+    let report;
     try {
-      await api.createSubtask(selectedTask.id, { title });
-      await loadSubtasks();
-      showFlash("Subtask added");
+      report = await api.batchTasks(operations);
     } catch (e) {
-      showError(e);
+      setTasks((list) => operations.reduce(revertOp, list));
+      showError(e, `Could not update ${count}`);
+      setBulkBusy(false);
+      return;
+    }
+
+    setTasks((list) =>
+      report.results.reduce((next, r, i) => {
+        const op = operations[i];
+        if (!r.ok) return revertOp(next, op);
+        if (op.action === "delete") return next;
+        const record = recordFrom(r.result);
+        let updated = record && record.id === op.id ? patchItem(next, op.id, record) : next;
+        // Completing a recurring task schedules its next instance
+        if (r.result?.next_task) updated = insertAt(updated, r.result.next_task, updated.length);
+        return updated;
+      }, list)
+    );
+    if (action === "delete") {
+      const failed = new Set(report.failed.map((f) => f.id));
+      setCheckedIds((ids) => ids.filter((id) => failed.has(id) || !before[id]));
+      if (before[selectedTaskIdRef.current] && !failed.has(selectedTaskIdRef.current)) {
+        setSelectedTaskId(null);
+        setSubtasks([]);
+      }
+    } else if (action === "complete" && before[selectedTaskIdRef.current]) {
+      // Completion may cascade to subtasks on the server
+      loadSubtasks();
+    }
+    if (action === "tags") loadTags();
+    setBulkBusy(false);
+
+    if (report.failed.length) {
+      const names = report.failed.map((f) => `"${before[f.id].task.title}" (${f.error?.message || "failed"})`);
+      showError(new Error(names.join(", ")), `${report.failed.length} of ${operations.length} tasks were not changed`);
+      return;
+    }
+    const done = {
+      complete: "Completed",
+      uncomplete: "Reopened",
+      priority: `Set priority to ${value} for`,
+      shift: `Shifted due dates by ${value} day${Math.abs(value) === 1 ? "" : "s"} for`,
+      tags: "Tagged",
+    };
+    if (action === "delete") {
+      const deleted = operations.map((op) => before[op.id].task);
+      showFlash(`Moved ${count} to Trash`, { label: "Undo", run: () => restoreTasks(deleted) });
+      return;
     }
+    showFlash(`${done[action]} ${count}`);
   };
 
-  const updateSubtask = async (subtask, data) => {
-    if (!selectedTask) return;
+  // Tag management: changes span many tasks, so reload tasks and tags afterwards
+  const runTagChange = async (request, message, filterPatch) => {
     try {
-      await api.updateSubtask(selectedTask.id, subtask.id, data);
-      await loadSubtasks();
-      showFlash("Subtask updated");
+      await request();
+      if (filterPatch) {
+        setFilters((f) => ({ ...f, tags: filterPatch(f.tags || []) }));
+      }
+      showFlash(message);
     } catch (e) {
       showError(e);
+    } finally {
+      await Promise.all([loadTasks(), loadTags()]);
     }
   };
 
+  const renameTag = (name, newName) =>
+    runTagChange(
+      () => api.updateTag(name, { name: newName }),
+      `Renamed #${name} to #${newName}`,
+      (tags) => tags.map((t) => (t === name ? newName : t))
+    );
+
+  const recolorTag = (name, color) => runTagChange(() => api.updateTag(name, { color }), `Updated #${name}`);
+
+  const mergeTags = (sources, target) =>
+    runTagChange(
+      () => api.mergeTags(sources, target),
+      `Merged into #${target}`,
+      (tags) => Array.from(new Set(tags.map((t) => (sources.includes(t) ? target : t))))
+    );
+
+  const deleteTag = (name) => {
+    if (!window.confirm(`Remove #${name} from all tasks?`)) return;
+    return runTagChange(() => api.deleteTag(name), `Deleted #${name}`, (tags) => tags.filter((t) => t !== name));
+  };
+
+  // Subtask actions
+  const addSubtask = async (title, parentId = null) => {
+    if (!selectedTask) return;
+    const taskId = selectedTask.id;
+    const tempId = makeTempId();
+    const nested = parentId === null ? {} : { parent_id: parentId };
+    const position = appendPosition(subtasks, parentId);
+    await runOptimistic({
+      label: `add subtask "${title}"`,
+      apply: () =>
+        setSubtasks((list) => [...list, { id: tempId, title, completed: false, parent_id: parentId, position, pending: true }]),
+      request: () => api.createSubtask(taskId, { title, ...nested }),
+      commit: (result) => {
+        const record = recordFrom(result);
+        if (record) setSubtasks((list) => replaceItem(list, tempId, record));
+        else if (selectedTaskIdRef.current === taskId) loadSubtasks();
+        showFlash("Subtask added");
+      },
+      revert: () => setSubtasks((list) => removeItem(list, tempId)),
+    });
+  };
+
+  const updateSubtask = async (subtask, data) => {
+    if (!selectedTask) return;
+    const taskId = selectedTask.id;
+    await runOptimistic({
+      label: `update subtask "${subtask.title}"`,
+      apply: () => setSubtasks((list) => patchItem(list, subtask.id, data)),
+      request: () => api.updateSubtask(taskId, subtask.id, data),
+      commit: (result) => {
+        const record = recordFrom(result);
+        if (record) setSubtasks((list) => patchItem(list, subtask.id, record));
+        showFlash("Subtask updated");
+      },
+      revert: () => setSubtasks((list) => revertPatch(list, subtask.id, data, subtask)),
+    });
+  };
+
+  // Indent/outdent (see utils/subtaskTree)
+  const moveSubtask = async (subtask, patch) => {
+    if (!selectedTask) return;
+    const taskId = selectedTask.id;
+    await runOptimistic({
+      label: `move subtask "${subtask.title}"`,
+      apply: () => setSubtasks((list) => patchItem(list, subtask.id, patch)),
+      request: () => api.moveSubtask(taskId, subtask.id, patch),
+      commit: (result) => {
+        const record = recordFrom(result);
+        if (record) setSubtasks((list) => patchItem(list, subtask.id, record));
+      },
+      revert: () => setSubtasks((list) => revertPatch(list, subtask.id, patch, subtask)),
+    });
+  };
+
+  // Subtasks nested under the deleted one go with it
   const deleteSubtask = async (subtask) => {
     if (!selectedTask) return;
-    if (!window.confirm("Delete this subtask?")) return;
+    const taskId = selectedTask.id;
+    const index = subtasks.findIndex((s) => s.id === subtask.id);
+    const ids = subtreeIds(subtasks, subtask.id);
+    const nested = subtasks.filter((s) => s.id !== subtask.id && ids.includes(s.id));
+    await runOptimistic({
+      label: `delete subtask "${subtask.title}"`,
+      apply: () => setSubtasks((list) => list.filter((s) => !ids.includes(s.id))),
+      request: () => api.deleteSubtask(taskId, subtask.id),
+      commit: () =>
+        showFlash(`Deleted subtask "${subtask.title}"`, { label: "Undo", run: () => restoreSubtask(taskId, subtask) }),
+      revert: () => {
+        if (selectedTaskIdRef.current === taskId) setSubtasks((list) => [...insertAt(list, subtask, index), ...nested]);
+      },
+    });
+  };
+
+  const restoreSubtask = async (taskId, subtask) => {
     try {
-      await api.deleteSubtask(selectedTask.id, subtask.id);
-      await loadSubtasks();
-      showFlash("Subtask deleted");
+      await api.restoreSubtask(taskId, subtask);
+      if (selectedTaskIdRef.current === taskId) setSubtasks(await api.listSubtasks(taskId));
+      showFlash(`Restored subtask "${subtask.title}"`);
     } catch (e) {
-      showError(e);
+      showError(e, `Could not restore subtask "${subtask.title}"`);
     }
   };
 
   const toggleSubtaskComplete = async (subtask) => {
     if (!selectedTask) return;
+    const taskId = selectedTask.id;
+    const patch = { completed: !subtask.completed };
+    await runOptimistic({
+      label: `mark subtask "${subtask.title}" ${patch.completed ? "complete" : "incomplete"}`,
+      apply: () => setSubtasks((list) => patchItem(list, subtask.id, patch)),
+      request: () => api.markSubtaskComplete(taskId, subtask.id, patch.completed),
+      commit: (result) => {
+        const record = recordFrom(result);
+        if (record) setSubtasks((list) => patchItem(list, subtask.id, record));
+      },
+      revert: () => setSubtasks((list) => revertPatch(list, subtask.id, patch, subtask)),
+    });
+  };
+
+  // Promote/demote need the server: both rebuild subtasks there
+  const promoteSubtask = async (subtask) => {
+    if (!selectedTask) return;
+    const taskId = selectedTask.id;
+    try {
+      const task = await api.promoteSubtask(taskId, subtask.id);
+      if (selectedTaskIdRef.current === taskId) setSubtasks(await api.listSubtasks(taskId));
+      loadTasks();
+      showFlash(`Promoted "${subtask.title}" to a task`, { label: "Open", run: () => openTask(task.id) });
+    } catch (e) {
+      showError(e, `Could not promote "${subtask.title}"`);
+    }
+  };
+
+  const demoteTask = async (task, target) => {
+    if (!window.confirm(`Make "${task.title}" a subtask of "${target.title}"? It will no longer be a task of its own.`)) return;
     try {
-      await api.markSubtaskComplete(selectedTask.id, subtask.id, !subtask.completed);
-      await loadSubtasks();
+      await api.demoteTask(task.id, target.id);
+      setTasks((list) => removeItem(list, task.id));
+      setSelectedTaskId(target.id);
+      if (!tasks.some((t) => t.id === target.id)) setOffPageTask(target);
+      loadDependencies();
+      showFlash(`"${task.title}" is now a subtask of "${target.title}"`);
     } catch (e) {
-      showError(e);
+      showError(e, `Could not make "${task.title}" a subtask`);
+    }
+  };
+
+  // Keyboard shortcuts: one window listener reading the latest handlers through a ref
+  const moveSelection = (step) => {
+    if (!tasks.length) return;
+    const index = tasks.findIndex((t) => t.id === selectedTaskId);
+    const next = index === -1 ? (step > 0 ? 0 : tasks.length - 1) : Math.min(Math.max(index + step, 0), tasks.length - 1);
+    // Stepping through tasks should not fill the history with one entry per task
+    replaceUrlRef.current = true;
+    setSelectedTaskId(tasks[next].id);
+  };
+
+  const shortcutsRef = useRef(null);
+  shortcutsRef.current = {
+    overlay: reauth ? "reauth" : showPalette ? "palette" : showShortcutHelp ? "help" : null,
+    next: () => moveSelection(1),
+    previous: () => moveSelection(-1),
+    toggle: () => selectedTask && toggleTaskComplete(selectedTask),
+    edit: startEditTask,
+    new: startCreateTask,
+    search: () => searchRef.current && searchRef.current.focus(),
+    delete: deleteTask,
+    help: () => setShowShortcutHelp(true),
+    palette: () => setShowPalette(true),
+  };
+
+  useEffect(() => {
+    if (!user) return undefined;
+    const onKeyDown = (e) => {
+      const handlers = shortcutsRef.current;
+      const id = shortcutFor(e);
+      // Nothing else until the user has logged in again
+      if (handlers.overlay === "reauth") return;
+      if (handlers.overlay === "help") {
+        if (e.key === "Escape" || id === "help") setShowShortcutHelp(false);
+        return;
+      }
+      // The palette handles its own keys; Ctrl/Cmd-K closes it again
+      if (handlers.overlay === "palette") {
+        if (id === "palette") {
+          e.preventDefault();
+          setShowPalette(false);
+        }
+        return;
+      }
+      if (!id || e.defaultPrevented) return;
+      if (id !== "palette" && isTypingTarget(e.target)) return;
+      e.preventDefault();
+      handlers[id]();
+    };
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, [user]);
+
+  const paletteCommands = () => {
+    const commands = [{ id: "new", label: "New task", hint: "n", run: startCreateTask }];
+    if (selectedTask) {
+      commands.push(
+        { id: "edit", label: "Edit selected task", hint: "e", run: startEditTask },
+        {
+          id: "toggle",
+          label: selectedTask.completed ? "Mark selected task incomplete" : "Mark selected task complete",
+          hint: "x",
+          run: () => toggleTaskComplete(selectedTask),
+        },
+        { id: "delete", label: "Delete selected task", hint: "Delete", run: deleteTask }
+      );
     }
+    commands.push(
+      { id: "search", label: "Search tasks", hint: "/", run: () => searchRef.current && searchRef.current.focus() },
+      ...savedViews.map((v) => ({ id: `saved-${v.id}`, label: `Apply view: ${v.name}`, run: () => applySavedView(v) })),
+      ...VIEWS.map((v) => ({ id: `view-${v.value}`, label: `Show ${v.label.toLowerCase()} view`, run: () => setView(v.value) })),
+      {
+        id: "tags",
+        label: "Manage tags",
+        run: () => {
+          setShowTaskForm(false);
+          setShowAccount(false);
+          setPlanner(null);
+          setShowDependencyGraph(false);
+          setShowTagManager(true);
+        },
+      },
+      { id: "plan", label: "Plan my day", run: openPlanner },
+      { id: "dependencies", label: "Show dependency graph", run: openDependencyGraph },
+      { id: "export-ical", label: "Export listed tasks to calendar (.ics)", run: exportICal },
+      { id: "backup", label: "Back up all tasks (JSON)", run: () => exportBackup("json") },
+      { id: "refresh", label: "Refresh tasks", run: loadTasks }
+    );
+    if (syncStatus.pending) commands.push({ id: "sync", label: "Sync pending changes", run: () => api.flushQueue() });
+    commands.push(
+      {
+        id: "theme",
+        label: `Switch to ${theme === "light" ? "dark" : "light"} theme`,
+        run: () => setTheme((t) => (t === "light" ? "dark" : "light")),
+      },
+      { id: "help", label: "Keyboard shortcuts", hint: "?", run: () => setShowShortcutHelp(true) },
+      { id: "account", label: "Account settings", run: openAccount },
+      { id: "logout", label: "Log out", run: handleLogout }
+    );
+    return commands;
   };
 
   // UI
@@ -296,7 +1679,31 @@ function App() {
             <ThemeToggle theme={theme} setTheme={setTheme} />
           </div>
         </header>
-        <Login onLogin={handleLogin} loading={false} error={authError} />
+        {authPage === "signup" ? (
+          <SignUp onSignUp={handleSignUp} onShowLogin={() => showAuthPage("login")} />
+        ) : authPage === "forgot" ? (
+          <ForgotPassword onRequest={(email) => api.requestPasswordReset(email)} onShowLogin={() => showAuthPage("login")} />
+        ) : authPage === "reset" ? (
+          <ResetPassword
+            token={new URLSearchParams(window.location.search).get("token")}
+            onReset={(token, password) => api.resetPassword(token, password)}
+            onShowLogin={() => showAuthPage("login")}
+            onForgotPassword={() => showAuthPage("forgot")}
+          />
+        ) : (
+          <Login
+            onLogin={handleLogin}
+            loading={false}
+            error={authError}
+            onSignUp={() => showAuthPage("signup")}
+            onForgotPassword={() => showAuthPage("forgot")}
+          />
+        )}
+        {flash ? (
+          <div className="toast success" role="status">
+            {flash}
+          </div>
+        ) : null}
       </div>
     );
   }
@@ -306,7 +1713,28 @@ function App() {
       <header className="topbar">
         <div className="brand">Smart Task Organizer</div>
         <div className="topbar-actions">
-          <span className="user">Hi, {user.username || user.name || "User"}</span>
+          <PendingChanges
+            status={syncStatus}
+            onSync={() => api.flushQueue()}
+            onRetry={(op) => api.retryQueued(op.id)}
+            onDiscard={(op) => {
+              api.discardQueued(op.id);
+              loadTasks();
+              if (selectedTaskId) loadSubtasks();
+            }}
+          />
+          <button
+            className="btn btn-secondary"
+            onClick={() => setShowShortcutHelp(true)}
+            aria-label="Keyboard shortcuts"
+            title="Keyboard shortcuts (?)"
+          >
+            ⌨
+          </button>
+          <LiveIndicator status={liveStatus} />
+          <button className="btn-link user" onClick={openAccount} title="Account settings">
+            Hi, {user.username || user.name || "User"}
+          </button>
           <button className="btn btn-secondary" onClick={handleLogout}>
             Logout
           </button>
@@ -320,30 +1748,212 @@ function App() {
           onChange={updateFilters}
           onCreateTask={startCreateTask}
           onRefresh={loadTasks}
-        />
+          searchRef={searchRef}
+          onExportICal={exportICal}
+          onImportICal={startICalImport}
+          onExportBackup={exportBackup}
+          onRestoreBackup={startRestore}
+          tags={tagList}
+          onManageTags={() => {
+            setShowTaskForm(false);
+            setShowAccount(false);
+            setPlanner(null);
+            setShowDependencyGraph(false);
+            setShowTagManager(true);
+          }}
+        >
+          <SavedViews
+            views={savedViews}
+            counts={viewCounts}
+            activeId={activeViewId}
+            onApply={applySavedView}
+            onSave={saveView}
+            onUpdate={updateView}
+            onMove={moveSavedView}
+            onDelete={deleteView}
+          />
+          <TodayList
+            entries={todayPlan}
+            tasks={tasks}
+            selectedId={selectedTaskId}
+            onSelect={openTask}
+            onToggleComplete={toggleTaskComplete}
+            onMove={(id, step) => updateTodayPlan(moveEntry(todayPlan, id, step))}
+            onRemove={(id) => updateTodayPlan(todayPlan.filter((e) => e.id !== id))}
+            onPlan={openPlanner}
+          />
+        </TaskFilters>
 
-        <section className="content">
+        <section className={`content view-${view}`}>
           <div className="panel">
             <div className="panel-header">
               <h2>Tasks</h2>
-              {loading ? <div className="spinner" aria-label="loading" /> : null}
+              <div className="panel-header-actions">
+                {loading ? <div className="spinner" aria-label="loading" /> : null}
+                {view === "list" ? (
+                  <button
+                    className={`chip ${selecting ? "active" : ""}`}
+                    onClick={() => {
+                      setSelecting((v) => !v);
+                      setCheckedIds([]);
+                    }}
+                    aria-pressed={selecting}
+                  >
+                    Select
+                  </button>
+                ) : null}
+                <div className="view-switch" role="group" aria-label="Task view">
+                  {VIEWS.map((v) => (
+                    <button
+                      key={v.value}
+                      className={`chip ${view === v.value ? "active" : ""}`}
+                      onClick={() => setView(v.value)}
+                      aria-pressed={view === v.value}
+                    >
+                      {v.label}
+                    </button>
+                  ))}
+                </div>
+              </div>
             </div>
-            <TaskList
-              tasks={tasks}
-              selectedId={selectedTaskId}
-              onSelect={(t) => setSelectedTaskId(t.id)}
-              onToggleComplete={toggleTaskComplete}
-            />
+            {view !== "trash" ? <QuickAdd onCreate={createTask} tagColors={tagColors} /> : null}
+            {view === "trash" ? (
+              <TaskTrash
+                items={trash}
+                loading={trashLoading}
+                retentionDays={trashRetention}
+                onRetentionChange={changeTrashRetention}
+                onRestore={(t) => restoreTasks([t])}
+                onPurge={purgeTask}
+                onEmpty={emptyTrash}
+              />
+            ) : view === "calendar" ? (
+              <TaskCalendar
+                tasks={tasks}
+                selectedId={selectedTaskId}
+                onSelect={(t) => setSelectedTaskId(t.id)}
+                onReschedule={rescheduleTask}
+              />
+            ) : view === "board" ? (
+              <TaskBoard
+                key={userKey}
+                tasks={tasks}
+                userKey={userKey}
+                selectedId={selectedTaskId}
+                onSelect={(t) => setSelectedTaskId(t.id)}
+                onMove={moveTask}
+                onBlocked={(message) => showError(new Error(message))}
+              />
+            ) : (
+              <>
+                {selecting ? (
+                  <BulkActionBar
+                    count={checkedIds.length}
+                    total={nextTasksPage ? null : tasks.length}
+                    busy={bulkBusy}
+                    onSelectAll={selectAllTasks}
+                    onClear={() => setCheckedIds([])}
+                    onAction={runBulkAction}
+                    onDone={() => {
+                      setSelecting(false);
+                      setCheckedIds([]);
+                    }}
+                  />
+                ) : null}
+                <TaskList
+                  tasks={tasks}
+                  hasMore={!!nextTasksPage}
+                  loadingMore={loadingMore}
+                  onLoadMore={loadMoreTasks}
+                  scrollRef={listScrollRef}
+                  selectedId={selectedTaskId}
+                  onSelect={(t) => setSelectedTaskId(t.id)}
+                  onToggleComplete={toggleTaskComplete}
+                  tagColors={tagColors}
+                  blockedBy={blockedBy}
+                  selecting={selecting}
+                  checkedIds={checkedIds}
+                  onCheckedChange={setCheckedIds}
+                />
+              </>
+            )}
           </div>
 
           <div className="panel">
             {showTaskForm ? (
-              <TaskForm initial={editingTask} onCancel={cancelForm} onSave={saveTask} />
+              <TaskForm
+                initial={editingTask}
+                draft={formDraft}
+                remoteChange={remoteEdit}
+                onLoadRemote={() => {
+                  setEditingTask(remoteEdit.task);
+                  setRemoteEdit(null);
+                }}
+                onDismissRemote={() => setRemoteEdit(null)}
+                onCancel={cancelForm}
+                onSave={saveTask}
+                tagSuggestions={tagList}
+                tagColors={tagColors}
+              />
+            ) : showAccount ? (
+              <AccountSettings
+                key={user.id ?? user.username}
+                user={profile ? { ...user, ...profile } : user}
+                onSaveProfile={handleSaveProfile}
+                onChangePassword={(current, next) => api.changePassword(current, next)}
+                onClose={() => setShowAccount(false)}
+              />
+            ) : showDependencyGraph ? (
+              <DependencyGraph
+                tasks={linkedTasks([...dependencyIndex.values()])}
+                onSelectTask={(t) => openTask(t.id)}
+                onClose={() => setShowDependencyGraph(false)}
+              />
+            ) : planner ? (
+              <DayPlanner
+                tasks={planner.tasks}
+                loading={planner.loading}
+                hasTodayPlan={todayPlan.length > 0}
+                onAccept={acceptDayPlan}
+                onSelectTask={(t) => openTask(t.id)}
+                onClose={() => setPlanner(null)}
+              />
+            ) : showTagManager ? (
+              <TagManager
+                tags={tagList}
+                onRename={renameTag}
+                onRecolor={recolorTag}
+                onMerge={mergeTags}
+                onDelete={deleteTag}
+                onClose={() => setShowTagManager(false)}
+              />
+            ) : icalImport ? (
+              <ICalImport
+                key={icalImport.fileName}
+                fileName={icalImport.fileName}
+                plan={icalImport.plan}
+                progress={importProgress}
+                onImport={importICal}
+                onClose={() => setICalImport(null)}
+                tagColors={tagColors}
+              />
+            ) : backupSource ? (
+              <BackupRestore
+                key={backupSource.fileName}
+                source={backupSource}
+                onPlan={planBackupRestore}
+                onApply={applyBackupRestore}
+                onDone={finishRestore}
+                onClose={() => setBackupSource(null)}
+              />
             ) : (
               <TaskDetail
                 task={selectedTask}
+                missingId={selectedTask ? null : missingTaskId}
+                onDismissMissing={() => setMissingTaskId(null)}
                 onEdit={startEditTask}
                 onDelete={deleteTask}
+                onExport={exportTaskICal}
                 onToggleComplete={() => selectedTask && toggleTaskComplete(selectedTask)}
                 subtasks={subtasks}
                 subtaskHandlers={{
@@ -351,19 +1961,93 @@ function App() {
                   onUpdate: updateSubtask,
                   onDelete: deleteSubtask,
                   onToggleComplete: toggleSubtaskComplete,
+                  onMove: moveSubtask,
+                  onPromote: promoteSubtask,
                 }}
+                dependencies={
+                  selectedTask && {
+                    blockers: blockerIds(selectedTask)
+                      .map((id) => dependencyIndex.get(String(id)))
+                      .filter(Boolean),
+                    dependents: dependentsOf([...dependencyIndex.values()], selectedTask.id),
+                    candidates: tasks.filter((t) => !isTempId(t.id)),
+                    graphTasks: [...dependencyIndex.values()],
+                    onAddBlocker: (blocker) => linkBlocker(selectedTask, blocker),
+                    onRemoveBlocker: (blocker) => unlinkBlocker(selectedTask, blocker),
+                    onAddDependent: (dependent) => linkBlocker(dependent, selectedTask),
+                    onRemoveDependent: (dependent) => unlinkBlocker(dependent, selectedTask),
+                    onSelect: (t) => openTask(t.id),
+                    onShowGraph: openDependencyGraph,
+                  }
+                }
+                promotedFrom={(selectedTask && dependencyIndex.get(String(selectedTask.parent_task_id))) || null}
+                onOpenTask={openTask}
+                demoteTargets={selectedTask ? tasks.filter((t) => t.id !== selectedTask.id && !isTempId(t.id)) : []}
+                onDemote={(target) => selectedTask && demoteTask(selectedTask, target)}
+                tagColors={tagColors}
               />
             )}
           </div>
         </section>
       </div>
 
+      {showPalette ? (
+        <CommandPalette
+          commands={paletteCommands()}
+          tasks={tasks}
+          onSelectTask={(t) => setSelectedTaskId(t.id)}
+          onClose={() => setShowPalette(false)}
+        />
+      ) : null}
+      {showShortcutHelp ? <ShortcutHelp onClose={() => setShowShortcutHelp(false)} /> : null}
+      {reauth ? (
+        <ReauthModal
+          username={user.username}
+          onLogin={handleReauth}
+          onLogout={handleLogout}
+          loading={reauth.loading}
+          error={reauth.error}
+        />
+      ) : null}
+
       {error ? <div className="toast error">{error}</div> : null}
-      {flash ? <div className="toast success">{flash}</div> : null}
+      {flash ? (
+        <div className="toast success" role="status">
+          {flash}
+          {flashAction ? (
+            <button
+              className="btn btn-secondary toast-action"
+              onClick={() => {
+                setFlash(null);
+                setFlashAction(null);
+                flashAction.run();
+              }}
+            >
+              {flashAction.label}
+            </button>
+          ) : null}
+        </div>
+      ) : null}
     </div>
   );
 }
 
+const LIVE_LABELS = {
+  connecting: "Connecting to live updates...",
+  live: "Live updates on",
+  reconnecting: "Live updates interrupted; reconnecting...",
+  unavailable: "Live updates unavailable; changes from other devices show up on refresh",
+};
+
+function LiveIndicator({ status }) {
+  if (!LIVE_LABELS[status]) return null;
+  return (
+    <span className={`live-indicator ${status}`} title={LIVE_LABELS[status]} aria-label={LIVE_LABELS[status]} role="status">
+      ●{status === "reconnecting" ? " Reconnecting" : ""}
+    </span>
+  );
+}
+
 function ThemeToggle({ theme, setTheme }) {
   return (
     <button
@@ -1,7 +1,199 @@
-import { render, screen } from "@testing-library/react";
+import { fireEvent, render, screen, waitFor, within } from "@testing-library/react";
 import App from "./App";
+import api from "./api/client";
+import { installMockBackend } from "./api/mockBackend";
 
-test("renders app shell", () => {
+let mock;
+
+beforeEach(() => {
+  window.history.replaceState(null, "", "/");
+  window.localStorage.clear();
+  mock = installMockBackend({ baseUrl: api.baseUrl });
+});
+
+afterEach(() => {
+  mock.uninstall();
+});
+
+test("renders app shell", async () => {
+  render(<App />);
+  expect(await screen.findByRole("heading", { name: /Smart Task Organizer/i })).toBeInTheDocument();
+});
+
+test("logs in and shows seeded tasks", async () => {
+  render(<App />);
+  fireEvent.change(await screen.findByPlaceholderText("Enter username"), { target: { value: "demo" } });
+  fireEvent.change(screen.getByPlaceholderText("Enter password"), { target: { value: "demo" } });
+  fireEvent.click(screen.getByRole("button", { name: "Login" }));
+  expect(await screen.findByText("Prepare quarterly report")).toBeInTheDocument();
+  expect(screen.getByText(/Hi, demo/)).toBeInTheDocument();
+});
+
+test("logging in as someone else after the session expired drops the previous user's pending changes", async () => {
+  render(<App />);
+  fireEvent.change(await screen.findByPlaceholderText("Enter username"), { target: { value: "demo" } });
+  fireEvent.change(screen.getByPlaceholderText("Enter password"), { target: { value: "demo" } });
+  fireEvent.click(screen.getByRole("button", { name: "Login" }));
+  const [task] = await screen.findAllByText("Prepare quarterly report");
+  api.queue.enqueue({ kind: "updateTask", taskId: 1, data: { title: "Changed while offline" }, label: "Update" });
+  expect(await screen.findByText("1 change pending")).toBeInTheDocument();
+
+  mock.backend.expireSessions();
+  fireEvent.click(task);
+  const dialog = await screen.findByRole("dialog", { name: "Session expired" });
+  fireEvent.change(within(dialog).getByPlaceholderText("Enter username"), { target: { value: "alex" } });
+  fireEvent.change(within(dialog).getByPlaceholderText("Enter password"), { target: { value: "alex" } });
+  fireEvent.click(within(dialog).getByRole("button", { name: "Login" }));
+
+  expect(await screen.findByText("Logged in as alex")).toBeInTheDocument();
+  expect(screen.queryByText("1 change pending")).toBeNull();
+  expect(api.syncStatus().ops).toEqual([]);
+  await waitFor(() => expect(screen.queryByText("Prepare quarterly report")).toBeNull());
+  expect(mock.backend.db.tasks.find((t) => t.id === 1).title).toBe("Prepare quarterly report");
+});
+
+test("dragging a completed task between priority columns keeps it completed", async () => {
+  window.localStorage.setItem("sto.board.v1:demo", JSON.stringify({ groupBy: "priority", columns: {} }));
+  window.history.replaceState(null, "", "/?view=board");
+  render(<App />);
+  fireEvent.change(await screen.findByPlaceholderText("Enter username"), { target: { value: "demo" } });
+  fireEvent.change(screen.getByPlaceholderText("Enter password"), { target: { value: "demo" } });
+  fireEvent.click(screen.getByRole("button", { name: "Login" }));
+  await screen.findByText("Update onboarding docs");
+  const handle = jest.spyOn(mock.backend, "handle");
+
+  const high = [...document.querySelectorAll(".board-column")].find((c) => within(c).queryByText("High"));
+  fireEvent.drop(high, { dataTransfer: { getData: () => "6" } });
+
+  await waitFor(() => expect(mock.backend.db.tasks.find((t) => t.id === 6).priority).toBe("high"));
+  expect(mock.backend.db.tasks.find((t) => t.id === 6).completed).toBe(true);
+  expect(handle.mock.calls.map(([req]) => `${req.method} ${req.path}`)).not.toContain("POST /tasks/6/complete");
+});
+
+test("select all in checkbox mode takes in tasks on pages not loaded yet", async () => {
+  const created = new Date().toISOString();
+  for (let i = 1; i <= 60; i += 1) {
+    mock.backend.db.tasks.push({
+      id: 1000 + i,
+      user_id: 1,
+      title: `Bulk task ${i}`,
+      description: "",
+      priority: "low",
+      status: "todo",
+      tags: [],
+      due_date: null,
+      eta: null,
+      completed: false,
+      created_at: created,
+      updated_at: created,
+    });
+  }
   render(<App />);
-  expect(screen.getByText(/Smart Task Organizer/i)).toBeInTheDocument();
+  fireEvent.change(await screen.findByPlaceholderText("Enter username"), { target: { value: "demo" } });
+  fireEvent.change(screen.getByPlaceholderText("Enter password"), { target: { value: "demo" } });
+  fireEvent.click(screen.getByRole("button", { name: "Login" }));
+  await screen.findAllByText("Prepare quarterly report");
+
+  fireEvent.click(screen.getByRole("button", { name: "Select" }));
+  fireEvent.click(screen.getByRole("button", { name: "Select all matching" }));
+  const all = mock.backend.db.tasks.filter((t) => t.user_id === 1 && !t.deleted_at);
+  expect(all.length).toBeGreaterThan(50);
+  expect(await screen.findByText(`${all.length} selected`)).toBeInTheDocument();
+
+  fireEvent.change(screen.getByDisplayValue(/priority/i), { target: { value: "high" } });
+  await waitFor(() => expect(mock.backend.db.tasks.find((t) => t.id === 1060).priority).toBe("high"));
+});
+
+test("a failed create or update reopens the form with what was typed", async () => {
+  const handle = mock.backend.handle.bind(mock.backend);
+  jest.spyOn(mock.backend, "handle").mockImplementation((req) =>
+    ["POST", "PUT", "PATCH"].includes(req.method) && /^\/tasks(\/1)?$/.test(req.path)
+      ? { status: 400, body: { detail: "Title is not allowed" } }
+      : handle(req)
+  );
+  render(<App />);
+  fireEvent.change(await screen.findByPlaceholderText("Enter username"), { target: { value: "demo" } });
+  fireEvent.change(screen.getByPlaceholderText("Enter password"), { target: { value: "demo" } });
+  fireEvent.click(screen.getByRole("button", { name: "Login" }));
+  await screen.findAllByText("Prepare quarterly report");
+
+  fireEvent.click(screen.getByRole("button", { name: "+ New Task" }));
+  fireEvent.change(screen.getByPlaceholderText("Task title"), { target: { value: "Draft I typed" } });
+  fireEvent.change(screen.getByPlaceholderText("Describe the task..."), { target: { value: "With details" } });
+  fireEvent.click(screen.getByRole("button", { name: "Create Task" }));
+  expect(await screen.findByText(/Could not create "Draft I typed"/)).toBeInTheDocument();
+  expect(screen.getByRole("heading", { name: "New Task" })).toBeInTheDocument();
+  expect(screen.getByPlaceholderText("Task title")).toHaveValue("Draft I typed");
+  expect(screen.getByPlaceholderText("Describe the task...")).toHaveValue("With details");
+  expect(screen.queryByRole("button", { name: /Draft I typed/ })).toBeNull();
+  fireEvent.click(screen.getByRole("button", { name: "Cancel" }));
+
+  fireEvent.click(screen.getAllByText("Prepare quarterly report")[0]);
+  fireEvent.click(await screen.findByRole("button", { name: "Edit" }));
+  const title = await screen.findByDisplayValue("Prepare quarterly report");
+  fireEvent.change(title, { target: { value: "Renamed report" } });
+  fireEvent.click(screen.getByRole("button", { name: "Save Changes" }));
+  expect(await screen.findByText(/Could not update "Prepare quarterly report"/)).toBeInTheDocument();
+  expect(screen.getByRole("heading", { name: "Edit Task" })).toBeInTheDocument();
+  expect(screen.getByPlaceholderText("Task title")).toHaveValue("Renamed report");
+  expect(mock.backend.db.tasks.find((t) => t.id === 1).title).toBe("Prepare quarterly report");
+});
+
+test("pinned view counts are asked of the server per view instead of listing every task", async () => {
+  mock.backend.db.views.push({ id: "high", user_id: 1, name: "High", filters: { priorities: ["high"] }, pinned: true });
+  const handle = mock.backend.handle.bind(mock.backend);
+  const listings = [];
+  jest.spyOn(mock.backend, "handle").mockImplementation((req) => {
+    if (req.method === "GET" && req.path === "/tasks") listings.push(req.query.toString());
+    return handle(req);
+  });
+  render(<App />);
+  fireEvent.change(await screen.findByPlaceholderText("Enter username"), { target: { value: "demo" } });
+  fireEvent.change(screen.getByPlaceholderText("Enter password"), { target: { value: "demo" } });
+  fireEvent.click(screen.getByRole("button", { name: "Login" }));
+  await screen.findAllByText("Prepare quarterly report");
+
+  const high = mock.backend.db.tasks.filter((t) => t.user_id === 1 && !t.deleted_at && t.priority === "high").length;
+  const view = screen.getByRole("button", { name: /^High/ });
+  await waitFor(() => expect(within(view).getByText(String(high))).toBeInTheDocument());
+  expect(listings).toContain("priority=high&limit=1");
+  expect(listings.every((query) => query.includes("limit="))).toBe(true);
+});
+
+test("editing a task keeps the time of its due date", async () => {
+  mock.backend.db.tasks.find((t) => t.id === 1).due_date = "2024-05-10T15:00";
+  render(<App />);
+  fireEvent.change(await screen.findByPlaceholderText("Enter username"), { target: { value: "demo" } });
+  fireEvent.change(screen.getByPlaceholderText("Enter password"), { target: { value: "demo" } });
+  fireEvent.click(screen.getByRole("button", { name: "Login" }));
+  fireEvent.click((await screen.findAllByText("Prepare quarterly report"))[0]);
+  fireEvent.click(await screen.findByRole("button", { name: "Edit" }));
+
+  expect(await screen.findByLabelText("Due date")).toHaveValue("2024-05-10");
+  expect(screen.getByLabelText("Due time")).toHaveValue("15:00");
+  fireEvent.change(screen.getByLabelText("Due date"), { target: { value: "2024-05-11" } });
+  fireEvent.click(screen.getByRole("button", { name: "Save Changes" }));
+  await waitFor(() => expect(mock.backend.db.tasks.find((t) => t.id === 1).due_date).toBe("2024-05-11T15:00"));
+});
+
+test("dragging a task to another day in the calendar keeps its due time", async () => {
+  const today = new Date();
+  const iso = (d) =>
+    `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+  const target = new Date(today.getFullYear(), today.getMonth(), today.getDate() === 1 ? 2 : 1);
+  mock.backend.db.tasks.find((t) => t.id === 1).due_date = `${iso(today)}T09:15`;
+  window.history.replaceState(null, "", "/?view=calendar");
+  render(<App />);
+  fireEvent.change(await screen.findByPlaceholderText("Enter username"), { target: { value: "demo" } });
+  fireEvent.change(screen.getByPlaceholderText("Enter password"), { target: { value: "demo" } });
+  fireEvent.click(screen.getByRole("button", { name: "Login" }));
+  await screen.findByRole("button", { name: "Prepare quarterly report" });
+
+  const day = [...document.querySelectorAll(".calendar-day:not(.outside)")].find(
+    (cell) => cell.querySelector(".calendar-date").textContent === String(target.getDate())
+  );
+  fireEvent.drop(day, { dataTransfer: { getData: () => "1" } });
+
+  await waitFor(() => expect(mock.backend.db.tasks.find((t) => t.id === 1).due_date).toBe(`${iso(target)}T09:15`));
+  expect(within(day).getByRole("button", { name: "Prepare quarterly report" })).toBeInTheDocument();
 });
@@ -0,0 +1,222 @@
+//
+// Auth strategies for the API client
+// - Cookie mode: the server keeps a session cookie; requests are sent with credentials
+// - Token mode: a bearer access token in the Authorization header, renewed with a refresh token
+//   (POST /auth/refresh) when it expires; for backends on another domain or embedded apps
+// - Tokens are kept in localStorage so reloads and other tabs stay signed in
+//
+
+const STORAGE_KEY = "sto.auth.v1";
+// Refresh this long before the server's expiry, so a token does not run out mid-flight
+const EXPIRY_MARGIN_MS = 30000;
+
+function defaultStorage() {
+  try {
+    return typeof window !== "undefined" ? window.localStorage : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Session cookies set by the server. Nothing to store or refresh on this side.
+ */
+export class CookieAuth {
+  constructor() {
+    this.mode = "cookie";
+    // fetch credentials option
+    this.credentials = "include";
+  }
+
+  /** @returns {Object} Extra request headers */
+  headers() {
+    return {};
+  }
+
+  /** @returns {string|null} The access token requests are sent with */
+  accessToken() {
+    return null;
+  }
+
+  /**
+   * @param {string} url - Event stream URL
+   * @returns {string} The URL to open (EventSource cannot send headers)
+   */
+  eventsUrl(url) {
+    return url;
+  }
+
+  /** Keep what a POST /auth/login response carries (nothing in cookie mode). */
+  onLogin() {}
+
+  /** @returns {any} Body for POST /auth/logout */
+  logoutPayload() {
+    return undefined;
+  }
+
+  /** @returns {boolean} Whether requests should wait for a refresh before being sent */
+  shouldRefresh() {
+    return false;
+  }
+
+  /** @returns {Promise<boolean>} Whether requests can be retried with new credentials */
+  refresh() {
+    return Promise.resolve(false);
+  }
+
+  clear() {}
+}
+
+/**
+ * Bearer tokens from POST /auth/login:
+ *   { access_token, refresh_token, expires_in? }
+ * POST /auth/refresh takes { refresh_token } and answers the same shape (a new refresh token is
+ * optional). POST /auth/logout gets { refresh_token } so the server can revoke it.
+ */
+export class TokenAuth {
+  /**
+   * @param {Storage|null} [storage] - Defaults to window.localStorage when available
+   */
+  constructor(storage = defaultStorage()) {
+    this.mode = "token";
+    // The token identifies the user; cookies are not needed (nor allowed by most cross-site setups)
+    this.credentials = "omit";
+    this.storage = storage;
+    this.tokens = this._load();
+    this._refreshing = null;
+  }
+
+  _load() {
+    if (!this.storage) return null;
+    try {
+      const raw = this.storage.getItem(STORAGE_KEY);
+      return raw ? JSON.parse(raw) : null;
+    } catch {
+      return null;
+    }
+  }
+
+  _save() {
+    if (!this.storage) return;
+    try {
+      if (this.tokens) this.storage.setItem(STORAGE_KEY, JSON.stringify(this.tokens));
+      else this.storage.removeItem(STORAGE_KEY);
+    } catch {
+      // Storage full or unavailable; keep working from memory.
+    }
+  }
+
+  _store(data) {
+    const expiresIn = Number(data.expires_in);
+    this.tokens = {
+      access_token: data.access_token,
+      // Servers that do not rotate refresh tokens keep the one we have
+      refresh_token: data.refresh_token || this.tokens?.refresh_token || null,
+      expires_at: expiresIn > 0 ? Date.now() + expiresIn * 1000 : null,
+    };
+    this._save();
+  }
+
+  // PUBLIC_INTERFACE
+  /** @returns {Object} Authorization header when signed in */
+  headers() {
+    const token = this.accessToken();
+    return token ? { Authorization: `Bearer ${token}` } : {};
+  }
+
+  // PUBLIC_INTERFACE
+  /** @returns {string|null} */
+  accessToken() {
+    return this.tokens?.access_token || null;
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * EventSource cannot send headers, so the stream gets the token as a query parameter.
+   * @param {string} url
+   * @returns {string}
+   */
+  eventsUrl(url) {
+    const token = this.accessToken();
+    if (!token) return url;
+    return `${url}${url.includes("?") ? "&" : "?"}access_token=${encodeURIComponent(token)}`;
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * Keep the tokens of a login response.
+   * @param {any} data
+   */
+  onLogin(data) {
+    if (!data || !data.access_token) throw new Error("The server did not return an access token");
+    this._store(data);
+  }
+
+  // PUBLIC_INTERFACE
+  /** @returns {{refresh_token: string}|undefined} */
+  logoutPayload() {
+    return this.tokens?.refresh_token ? { refresh_token: this.tokens.refresh_token } : undefined;
+  }
+
+  // PUBLIC_INTERFACE
+  /** @returns {boolean} A refresh is running, or the access token has expired */
+  shouldRefresh() {
+    if (this._refreshing) return true;
+    const { expires_at: expiresAt, refresh_token: refreshToken } = this.tokens || {};
+    return Boolean(refreshToken && expiresAt && Date.now() >= expiresAt - EXPIRY_MARGIN_MS);
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * Get a new access token. Concurrent callers share one refresh request.
+   * @param {(refreshToken: string) => Promise<any>} send - Performs POST /auth/refresh
+   * @param {string|null} [failedToken] - Access token a request was rejected with; if it was
+   *   already replaced (by another refresh or another tab), nothing is refreshed
+   * @returns {Promise<boolean>} Whether there is a new access token; false when the refresh token
+   *   was rejected too (the tokens are then cleared)
+   */
+  refresh(send, failedToken) {
+    if (this._refreshing) return this._refreshing;
+    // Another tab may have refreshed already (and rotated the refresh token)
+    const stored = this._load();
+    if (stored) this.tokens = stored;
+    if (!this.tokens?.refresh_token) return Promise.resolve(false);
+    if (failedToken && this.tokens.access_token !== failedToken) return Promise.resolve(true);
+
+    this._refreshing = send(this.tokens.refresh_token)
+      .then((data) => {
+        if (!data || !data.access_token) return false;
+        this._store(data);
+        return true;
+      })
+      .catch((err) => {
+        // A refresh token the server rejects will not work later either
+        if (err && (err.status === 400 || err.status === 401)) {
+          this.clear();
+          return false;
+        }
+        throw err;
+      })
+      .finally(() => {
+        this._refreshing = null;
+      });
+    return this._refreshing;
+  }
+
+  // PUBLIC_INTERFACE
+  /** Forget the tokens (logout). */
+  clear() {
+    this.tokens = null;
+    this._save();
+  }
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Create the auth strategy for a mode.
+ * @param {"cookie"|"token"} [mode="cookie"]
+ * @returns {CookieAuth|TokenAuth}
+ */
+export function createAuthStrategy(mode = "cookie") {
+  return mode === "token" ? new TokenAuth() : new CookieAuth();
+}
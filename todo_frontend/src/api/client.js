@@ -1,13 +1,36 @@
 //
 // Frontend API Client for Todo App
 // - Configurable base URL via REACT_APP_API_BASE
-// - Session-aware requests using fetch with credentials
-// - PUBLIC_INTERFACE methods for login/logout/current user
+// - Session-aware requests: cookie sessions, or bearer tokens with refresh (REACT_APP_AUTH_MODE=token)
+// - PUBLIC_INTERFACE methods for login/logout/current user, sign-up, password reset and account settings
 // - PUBLIC_INTERFACE CRUD for tasks and subtasks, including mark-complete
+// - Nested subtasks: move within the tree, promote a subtask to a task, demote a task to a subtask
+// - Offline mode: mutations that cannot reach the server are queued and replayed later
+// - Trash: deleted tasks can be restored or purged (server soft-delete, or a local snapshot fallback)
+// - Saved views: per-user filter presets (server /views, or localStorage fallback)
+// - Requests take an AbortSignal and time out; latestRequest() keeps only the newest of a series
+// - Task pages: getTaskPage() reads cursor (next_cursor) or offset (offset/total) pagination
+// - Live updates: server-sent change events, and changes made here announced to other tabs
+// - Retries with backoff for idempotent requests and overloaded servers; errors are classified by `code`
+// - Expired sessions: 401 responses pause requests until an auth handler signs the user in again
 //
 
+import { OfflineQueue, isTempId, makeTempId } from "./offlineQueue";
+import { LocalTrash } from "./localTrash";
+import { LiveUpdates } from "./liveUpdates";
+import { createAuthStrategy } from "./authStrategy";
+import { queryTasks } from "./taskQuery";
+import { nextOccurrence, toIsoDate } from "../utils/recurrence";
+import { recordFrom } from "../utils/optimistic";
+import { collectTags, defaultTagColor, loadLocalTagColors, normalizeTags, saveLocalTagColors } from "../utils/tags";
+import { loadLocalViews, localViewsUnsynced, saveLocalViews, setLocalViewsUnsynced } from "../utils/savedViews";
+import { linkedTasks } from "../utils/dependencies";
+import { buildSubtaskTree } from "../utils/subtaskTree";
+
 /**
  * Error type returned by ApiClient on non-2xx responses or parsing failures.
+ * `code` classifies it: network, timeout, cancelled, auth, validation, not_found, conflict,
+ * rate_limited, server or http (any other status). Most codes have a subclass below.
  */
 export class ApiError extends Error {
   /**
@@ -20,7 +43,219 @@ export class ApiError extends Error {
     this.name = "ApiError";
     this.status = status;
     this.data = data;
+    this.code = status === 404 ? "not_found" : "http";
+  }
+}
+
+/**
+ * Error thrown when the server cannot be reached at all (offline, DNS, CORS, connection reset).
+ */
+export class NetworkError extends ApiError {
+  /**
+   * @param {string} [message]
+   * @param {Error} [cause] - Underlying fetch error
+   */
+  constructor(message = "Unable to reach the server", cause) {
+    super(message, 0);
+    this.name = "NetworkError";
+    this.code = "network";
+    this.cause = cause;
+  }
+}
+
+/**
+ * Error thrown when a request was cancelled through its AbortSignal, or superseded (see latestRequest).
+ * Callers normally ignore it: a newer request is on its way.
+ */
+export class CancelledError extends ApiError {
+  /**
+   * @param {string} [message]
+   */
+  constructor(message = "Request was cancelled") {
+    super(message, 0);
+    this.name = "CancelledError";
+    this.code = "cancelled";
+  }
+}
+
+/**
+ * Error thrown when the server does not answer within the request timeout.
+ * It is a NetworkError, so offline fallbacks apply; except for creates, which the server may
+ * have applied already and are not queued for a second try (see ApiClient#_mutate).
+ */
+export class TimeoutError extends NetworkError {
+  /**
+   * @param {number} ms - The timeout that elapsed
+   */
+  constructor(ms) {
+    super(`The server did not respond within ${Math.round(ms / 1000)}s`);
+    this.name = "TimeoutError";
+    this.code = "timeout";
+  }
+}
+
+/**
+ * Error for 401 (not signed in or session expired) and 403 (not allowed) responses.
+ */
+export class AuthError extends ApiError {
+  constructor(message, status, data) {
+    super(message, status, data);
+    this.name = "AuthError";
+    this.code = "auth";
+  }
+}
+
+/**
+ * Error for 400/422 responses: the request was rejected as invalid. `fields` maps field names
+ * to messages when the server reports them (`fields` or `errors` object in the body).
+ */
+export class ValidationError extends ApiError {
+  constructor(message, status, data) {
+    super(message, status, data);
+    this.name = "ValidationError";
+    this.code = "validation";
+    const fields = data && (data.fields || data.errors);
+    this.fields = fields && typeof fields === "object" && !Array.isArray(fields) ? fields : {};
+  }
+}
+
+/**
+ * Error for 409/412 responses: the change conflicts with the server's current state
+ * (e.g. the record was changed by someone else).
+ */
+export class ConflictError extends ApiError {
+  constructor(message, status, data) {
+    super(message, status, data);
+    this.name = "ConflictError";
+    this.code = "conflict";
+  }
+}
+
+/**
+ * Error for 429 responses. `retryAfter` is the wait the server asked for, in milliseconds (or null).
+ */
+export class RateLimitError extends ApiError {
+  constructor(message, status, data, retryAfter = null) {
+    super(message, status, data);
+    this.name = "RateLimitError";
+    this.code = "rate_limited";
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * Error for 5xx responses. `retryAfter` is set when the server said when to try again (e.g. 503).
+ */
+export class ServerError extends ApiError {
+  constructor(message, status, data, retryAfter = null) {
+    super(message, status, data);
+    this.name = "ServerError";
+    this.code = "server";
+    this.retryAfter = retryAfter;
+  }
+}
+
+// Milliseconds to wait from a Retry-After header (seconds or an HTTP date), or null
+function parseRetryAfter(value, now = Date.now()) {
+  if (!value) return null;
+  if (/^\d+$/.test(value.trim())) return Number(value.trim()) * 1000;
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - now);
+}
+
+// The error for a non-2xx response
+function responseError(resp, data) {
+  const status = resp.status;
+  const message = (data && (data.message || data.error)) || `Request failed with status ${status}`;
+  const retryAfter = parseRetryAfter(resp.headers.get("retry-after"));
+  if (status === 401 || status === 403) return new AuthError(message, status, data);
+  if (status === 400 || status === 422) return new ValidationError(message, status, data);
+  if (status === 409 || status === 412) return new ConflictError(message, status, data);
+  if (status === 429) return new RateLimitError(message, status, data, retryAfter);
+  if (status >= 500) return new ServerError(message, status, data, retryAfter);
+  return new ApiError(message, status, data);
+}
+
+// Methods that can be repeated without changing the result
+const IDEMPOTENT_METHODS = ["GET", "HEAD", "OPTIONS", "PUT", "DELETE"];
+const RETRYABLE_STATUSES = [502, 503, 504];
+const DEFAULT_RETRY = { retries: 2, baseDelay: 300, maxDelay: 5000, maxRetryAfter: 30000 };
+// Requests that obtain tokens are never retried with refreshed ones
+const TOKEN_PATHS = ["/auth/login", "/auth/refresh"];
+
+// Page size when every task is needed (backups, tag rewrites, planning)
+const ALL_TASKS_PAGE_SIZE = 200;
+
+// Resolve after `ms`, or reject with CancelledError when the signal aborts first
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(new CancelledError());
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new CancelledError());
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    if (signal) signal.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Keep only the newest of a series of requests (e.g. task lists for changing filters).
+ * Starting a request aborts the previous one, and a response that still arrives after a newer
+ * request started rejects with CancelledError instead of resolving, so stale results are never used.
+ * @returns {{run: <T>(request: (signal: AbortSignal) => Promise<T>) => Promise<T>, cancel: () => void}}
+ */
+export function latestRequest() {
+  let current = null;
+  return {
+    async run(request) {
+      if (current) current.abort();
+      const controller = new AbortController();
+      current = controller;
+      try {
+        const result = await request(controller.signal);
+        if (current !== controller) throw new CancelledError("Superseded by a newer request");
+        return result;
+      } finally {
+        if (current === controller) current = null;
+      }
+    },
+    cancel() {
+      if (current) current.abort();
+      current = null;
+    },
+  };
+}
+
+function hasQueryFilters(params = {}) {
+  return Object.values(params).some(
+    (v) => v !== undefined && v !== null && v !== "" && !(Array.isArray(v) && v.length === 0)
+  );
+}
+
+// The page after a paginated /tasks response, as query params (null on the last page)
+function nextTaskPage(list, items) {
+  if (!list || Array.isArray(list)) return null;
+  if (list.next_cursor) return { cursor: list.next_cursor };
+  if (typeof list.offset === "number" && typeof list.total === "number") {
+    const offset = list.offset + items.length;
+    return items.length && offset < list.total ? { offset } : null;
   }
+  return null;
+}
+
+// A subtask without the local "not synced yet" marker, as stored in the trash or a backup
+function withoutPending(subtask) {
+  const copy = { ...subtask };
+  delete copy.pending;
+  return copy;
 }
 
 /**
@@ -44,18 +279,48 @@ function toQueryString(params = {}) {
 
 /**
  * A minimal session-aware API client for the Todo backend.
- * - Uses fetch with credentials: 'include' to support cookie-based sessions.
+ * - Authenticates with cookie sessions (credentials: 'include') or bearer tokens (see authStrategy).
  * - Reads base URL from process.env.REACT_APP_API_BASE. Fallbacks to '/api'.
  * - Normalizes JSON requests/responses and throws ApiError on error responses.
+ * - Queues task/subtask mutations while offline and replays them in order once the server is reachable.
  */
 export class ApiClient {
   /**
    * @param {string} [baseUrl]
+   * @param {Object} [options]
+   * @param {OfflineQueue} [options.queue] - Offline queue (defaults to a localStorage-backed queue)
+   * @param {LocalTrash} [options.trash] - Local trash used when the backend has no soft-delete
+   * @param {number} [options.timeout=30000] - Default request timeout in milliseconds (0 for none)
+   * @param {{retries?: number, baseDelay?: number, maxDelay?: number, maxRetryAfter?: number}} [options.retry]
+   *   Retries after network errors, timeouts and 502/503/504 (idempotent methods only) and 429 (any method).
+   *   Delays grow exponentially from baseDelay with jitter, capped at maxDelay; a Retry-After header is
+   *   honored up to maxRetryAfter (longer waits fail right away). Defaults: 2 retries, 300ms, 5s, 30s.
+   * @param {"cookie"|"token"|Object} [options.auth] - Auth mode, or a strategy object (see authStrategy);
+   *   defaults to REACT_APP_AUTH_MODE, else "cookie"
    */
-  constructor(baseUrl) {
+  constructor(baseUrl, { queue, trash, timeout = 30000, retry = {}, auth } = {}) {
     const envBase = typeof process !== "undefined" ? process.env.REACT_APP_API_BASE : undefined;
+    const envAuth = typeof process !== "undefined" ? process.env.REACT_APP_AUTH_MODE : undefined;
     // Use provided baseUrl, else env var, else default '/api'
     this.baseUrl = (baseUrl || envBase || "/api").replace(/\/+$/, "");
+    this.queue = queue || new OfflineQueue();
+    this.trash = trash || new LocalTrash();
+    this.timeout = timeout;
+    this.retry = { ...DEFAULT_RETRY, ...retry };
+    this.auth = auth && typeof auth === "object" ? auth : createAuthStrategy(auth || envAuth);
+    // Whether the backend keeps deleted tasks in a trash: null until known
+    this._softDelete = null;
+    this._flushing = null;
+    this._live = null;
+    this._authHandler = null;
+    this._reauth = null;
+    this._unsyncedViewsKey = null;
+    if (typeof window !== "undefined" && window.addEventListener) {
+      window.addEventListener("online", () => {
+        this.flushQueue();
+        this._sendUnsyncedViews();
+      });
+    }
   }
 
   /**
@@ -70,14 +335,120 @@ export class ApiClient {
   }
 
   /**
-   * Internal: Perform a fetch with standard options and JSON handling.
+   * Internal: Perform a request, retrying transient failures (see the `retry` constructor option).
    * @param {string} path - API path starting with "/"
-   * @param {RequestInit & { expectJson?: boolean }} [options]
+   * @param {RequestInit & { expectJson?: boolean, timeout?: number, retries?: number, reauth?: boolean }} [options]
+   *   `signal` cancels the request (CancelledError); `timeout` overrides the client default (TimeoutError);
+   *   `retries` overrides the number of retries; `reauth: false` rejects a 401 instead of waiting for
+   *   the auth handler (the default for /auth/ paths). In token mode, a 401 first refreshes the access token.
    * @returns {Promise<any>} Parsed JSON or raw text depending on response content-type and expectJson flag.
    * @private
    */
   async _request(path, options = {}) {
-    const { expectJson = true, headers, body, ...rest } = options;
+    const { retries = this.retry.retries, reauth = !path.startsWith("/auth/"), ...attemptOptions } = options;
+    const method = String(options.method || "GET").toUpperCase();
+    const renewable = !TOKEN_PATHS.includes(path);
+    // Hold new requests while the user signs in again, or while the access token is being refreshed
+    if (reauth && this._reauth) await this._reauth;
+    if (renewable && this.auth.shouldRefresh()) await this._refreshAuth();
+    let refreshed = false;
+    for (let attempt = 0; ; attempt += 1) {
+      const token = this.auth.accessToken();
+      try {
+        return await this._attempt(path, attemptOptions);
+      } catch (err) {
+        if (err instanceof AuthError && err.status === 401) {
+          // An expired access token is refreshed once; after that, the user has to sign in again
+          if (renewable && !refreshed && (await this._refreshAuth(token))) {
+            refreshed = true;
+            continue;
+          }
+          if (reauth && this._authHandler && (await this._reauthenticate())) {
+            return this._request(path, { ...options, reauth: false });
+          }
+          throw err;
+        }
+        const delay = attempt < retries ? this._retryDelay(err, method, attempt) : null;
+        if (delay === null) throw err;
+        await wait(delay, options.signal);
+      }
+    }
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * Set what happens when a request fails with 401 (the session expired). The handler signs the
+   * user in again and resolves true to retry the request, or false to let it fail. Requests that
+   * fail or start meanwhile wait for the same handler call.
+   * @param {(() => Promise<boolean>)|null} handler
+   */
+  setAuthHandler(handler) {
+    this._authHandler = handler;
+  }
+
+  /**
+   * Internal: Refresh the credentials of the auth strategy (token mode).
+   * @param {string|null} [failedToken] - Access token a request was rejected with
+   * @returns {Promise<boolean>} Whether to retry with new credentials
+   * @private
+   */
+  _refreshAuth(failedToken) {
+    return this.auth.refresh(
+      (refreshToken) =>
+        this._attempt("/auth/refresh", { method: "POST", body: { refresh_token: refreshToken } }),
+      failedToken
+    );
+  }
+
+  /**
+   * Internal: Run the auth handler once for all requests waiting on it.
+   * @returns {Promise<boolean>} Whether to retry
+   * @private
+   */
+  _reauthenticate() {
+    if (!this._reauth) {
+      this._reauth = Promise.resolve()
+        .then(() => this._authHandler())
+        .then(Boolean, () => false)
+        .finally(() => {
+          this._reauth = null;
+        });
+    }
+    return this._reauth;
+  }
+
+  /**
+   * Internal: How long to wait before retrying a failed request, or null to give up.
+   * @param {Error} err
+   * @param {string} method
+   * @param {number} attempt - 0 for the first retry
+   * @returns {number|null}
+   * @private
+   */
+  _retryDelay(err, method, attempt) {
+    const { baseDelay, maxDelay, maxRetryAfter } = this.retry;
+    // Exponential backoff with jitter, so clients that failed together do not retry together
+    const backoff = Math.min(maxDelay, baseDelay * 2 ** attempt) * (0.5 + Math.random() / 2);
+    const honor = (retryAfter) => (retryAfter === null ? backoff : retryAfter <= maxRetryAfter ? retryAfter : null);
+    // A rate-limited request was not processed, so any method can be repeated
+    if (err instanceof RateLimitError) return honor(err.retryAfter);
+    if (!IDEMPOTENT_METHODS.includes(method)) return null;
+    if (err instanceof CancelledError) return null;
+    // Offline: fail now so offline fallbacks (cache, queue) kick in without waiting
+    if (err instanceof NetworkError) return this._isOnline() ? backoff : null;
+    if (err instanceof ServerError && RETRYABLE_STATUSES.includes(err.status)) return honor(err.retryAfter);
+    return null;
+  }
+
+  /**
+   * Internal: Perform a single fetch with standard options and JSON handling.
+   * @param {string} path - API path starting with "/"
+   * @param {RequestInit & { expectJson?: boolean, timeout?: number }} [options]
+   * @returns {Promise<any>}
+   * @private
+   */
+  async _attempt(path, options = {}) {
+    const { expectJson = true, headers, body, signal, timeout = this.timeout, ...rest } = options;
     const finalHeaders = new Headers(headers || {});
     // When sending an object body, default to JSON.
     let finalBody = body;
@@ -89,38 +460,67 @@ export class ApiClient {
     if (!finalHeaders.has("Accept")) {
       finalHeaders.set("Accept", "application/json");
     }
-
-    const resp = await fetch(this._url(path), {
-      method: "GET",
-      credentials: "include",
-      ...rest,
-      headers: finalHeaders,
-      body: finalBody,
+    Object.entries(this.auth.headers()).forEach(([name, value]) => {
+      if (!finalHeaders.has(name)) finalHeaders.set(name, value);
     });
 
-    const contentType = resp.headers.get("content-type") || "";
-    const isJson = contentType.includes("application/json");
+    if (signal && signal.aborted) throw new CancelledError();
+    // One controller aborts the fetch for either the caller's signal or the timeout
+    const controller = new AbortController();
+    let timedOut = false;
+    const onAbort = () => controller.abort();
+    if (signal) signal.addEventListener("abort", onAbort);
+    const timer =
+      timeout > 0
+        ? setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+          }, timeout)
+        : null;
+    const aborted = (err) => {
+      if (timedOut) return new TimeoutError(timeout);
+      if (signal && signal.aborted) return new CancelledError();
+      return err;
+    };
 
+    let resp;
     let data;
     try {
-      if (isJson) {
-        data = await resp.json();
-      } else {
-        const text = await resp.text();
-        data = expectJson ? { message: text } : text;
+      try {
+        resp = await fetch(this._url(path), {
+          method: "GET",
+          credentials: this.auth.credentials,
+          ...rest,
+          headers: finalHeaders,
+          body: finalBody,
+          signal: controller.signal,
+        });
+      } catch (err) {
+        // fetch only rejects when no response was received at all
+        throw aborted(new NetworkError(undefined, err));
       }
-    } catch (err) {
-      // Response body parse failed
-      if (!resp.ok) {
-        throw new ApiError(`Request failed with status ${resp.status}`, resp.status);
+
+      const contentType = resp.headers.get("content-type") || "";
+      const isJson = contentType.includes("application/json");
+
+      try {
+        if (isJson) {
+          data = await resp.json();
+        } else {
+          const text = await resp.text();
+          data = expectJson ? { message: text } : text;
+        }
+      } catch (err) {
+        // Response body parse failed (or the body was cut off by an abort)
+        if (!resp.ok) throw aborted(responseError(resp));
+        throw aborted(new ApiError("Failed to parse server response", resp.status));
       }
-      throw new ApiError("Failed to parse server response", resp.status);
+    } finally {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener("abort", onAbort);
     }
 
-    if (!resp.ok) {
-      const message = (data && (data.message || data.error)) || `Request failed with status ${resp.status}`;
-      throw new ApiError(message, resp.status, data);
-    }
+    if (!resp.ok) throw responseError(resp, data);
 
     return data;
   }
@@ -131,226 +531,1283 @@ export class ApiClient {
 
   // PUBLIC_INTERFACE
   /**
-   * Log in the user. Expects backend to set session cookie. Uses credentials: 'include'.
+   * Log in the user. In cookie mode the backend sets a session cookie; in token mode the
+   * access/refresh tokens of the response are kept for later requests.
    * @param {string} username
    * @param {string} password
    * @returns {Promise<{user: any}>} The current user payload (as provided by backend).
    */
   async login(username, password) {
-    return this._request("/auth/login", {
+    const data = await this._request("/auth/login", {
       method: "POST",
       body: { username, password },
     });
+    this.auth.onLogin(data);
+    this._useScope(data?.user);
+    return data;
   }
 
   // PUBLIC_INTERFACE
   /**
-   * Log out the current session.
+   * Log out the current session. In token mode the refresh token is sent for revocation, and the
+   * tokens are forgotten even if the server cannot be reached. The user's queued changes, cached
+   * tasks and local trash are dropped either way.
    * @returns {Promise<{success: boolean} | any>}
    */
   async logout() {
-    return this._request("/auth/logout", {
-      method: "POST",
-    });
+    try {
+      return await this._request("/auth/logout", {
+        method: "POST",
+        body: this.auth.logoutPayload(),
+      });
+    } finally {
+      this.auth.clear();
+      this.clearLocalData();
+      this._useScope(null);
+    }
   }
 
   // PUBLIC_INTERFACE
   /**
-   * Fetch the currently authenticated user.
-   * @returns {Promise<any>} The current user object or null if not authenticated.
+   * Drop what this browser keeps for the signed-in user: queued changes, cached tasks and
+   * subtasks, and the local trash.
    */
-  async currentUser() {
-    return this._request("/auth/me", {
-      method: "GET",
-    });
+  clearLocalData() {
+    this.queue.clear();
+    this.trash.clear();
   }
 
-  // =========================
-  // Tasks
-  // =========================
+  /**
+   * Internal: Keep the offline queue, cache and local trash of the signed-in user. When someone
+   * else signs in, the previous user's are dropped rather than shown or replayed.
+   * @param {any} user - The signed-in user, or null
+   * @private
+   */
+  _useScope(user) {
+    const id = user ? (user.id ?? user.username ?? null) : null;
+    const scope = id === null ? null : String(id);
+    if (scope === this.queue.scope) return;
+    if (scope !== null && this.queue.scope !== null) this.clearLocalData();
+    this._softDelete = null;
+    // Views saved offline are sent by their own user's next session
+    this._unsyncedViewsKey = null;
+    this.queue.setScope(scope);
+    this.trash.setScope(scope);
+    if (this.queue.pendingCount() && this._isOnline()) this.flushQueue();
+  }
 
   // PUBLIC_INTERFACE
   /**
-   * Get a list of tasks with optional search/sort/filter query params.
-   * @param {Object} [params]
-   * @param {string} [params.search]
-   * @param {string} [params.sort] - e.g., 'priority', 'due_date', 'eta'
-   * @param {string|string[]} [params.priority] - One or more priorities
-   * @param {number} [params.due_within_days] - For filtering by due date within X days
-   * @returns {Promise<any[]>}
+   * Create an account. The server signs the new user in (session cookie, or tokens in token mode).
+   * @param {{username: string, password: string, email: string, name?: string}} data
+   * @returns {Promise<{user: any}>}
+   * @throws {ValidationError} With `fields` for invalid values; ConflictError when the username or email is taken
    */
-  async getTasks(params = {}) {
-    return this._request(`/tasks${toQueryString(params)}`, {
-      method: "GET",
+  async register({ username, password, email, name }) {
+    const data = await this._request("/auth/register", {
+      method: "POST",
+      body: { username, password, email, name },
     });
+    if (data && data.access_token) this.auth.onLogin(data);
+    this._useScope(data?.user);
+    return data;
   }
 
   // PUBLIC_INTERFACE
   /**
-   * Get a single task by ID.
-   * @param {string|number} id
-   * @returns {Promise<any>}
+   * Ask for a password reset link by email. Succeeds whether or not the address has an account.
+   * @param {string} email
+   * @returns {Promise<{success: boolean} | any>}
    */
-  async getTask(id) {
-    return this._request(`/tasks/${encodeURIComponent(id)}`, {
-      method: "GET",
+  async requestPasswordReset(email) {
+    return this._request("/auth/password/forgot", {
+      method: "POST",
+      body: { email },
     });
   }
 
   // PUBLIC_INTERFACE
   /**
-   * Create a new task.
-   * @param {Object} data - Task payload
-   * @returns {Promise<any>}
+   * Choose a new password with the token from a reset link.
+   * @param {string} token
+   * @param {string} password
+   * @returns {Promise<{success: boolean} | any>}
+   * @throws {ValidationError} For an invalid or expired token, or a password that is not accepted
    */
-  async createTask(data) {
-    return this._request("/tasks", {
+  async resetPassword(token, password) {
+    return this._request("/auth/password/reset", {
       method: "POST",
-      body: data,
+      body: { token, password },
     });
   }
 
   // PUBLIC_INTERFACE
   /**
-   * Update a task by ID.
-   * @param {string|number} id
-   * @param {Object} data - Partial task payload (fields to update)
-   * @returns {Promise<any>}
+   * Fetch the currently authenticated user.
+   * @returns {Promise<any>} The current user object or null if not authenticated.
    */
-  async updateTask(id, data) {
-    return this._request(`/tasks/${encodeURIComponent(id)}`, {
+  async currentUser() {
+    const me = await this._request("/auth/me", {
+      method: "GET",
+    });
+    this._useScope(me?.user || me || null);
+    return me;
+  }
+
+  // =========================
+  // Account settings
+  // =========================
+
+  // PUBLIC_INTERFACE
+  /**
+   * Update the signed-in user's profile.
+   * @param {{name?: string, email?: string}} changes
+   * @returns {Promise<{user: any}>}
+   */
+  async updateAccount(changes) {
+    return this._request("/account", {
       method: "PATCH",
-      body: data,
+      body: changes,
     });
   }
 
   // PUBLIC_INTERFACE
   /**
-   * Delete a task by ID.
-   * @param {string|number} id
+   * Change the signed-in user's password.
+   * @param {string} currentPassword
+   * @param {string} newPassword
    * @returns {Promise<{success: boolean} | any>}
+   * @throws {ValidationError} With `fields.current_password` when the current password is wrong
    */
-  async deleteTask(id) {
-    return this._request(`/tasks/${encodeURIComponent(id)}`, {
-      method: "DELETE",
+  async changePassword(currentPassword, newPassword) {
+    return this._request("/account/password", {
+      method: "POST",
+      body: { current_password: currentPassword, new_password: newPassword },
     });
   }
 
-  // PUBLIC_INTERFACE
+  // =========================
+  // Offline queue
+  // =========================
+
   /**
-   * Mark task completion state. Uses dedicated route if available; falls back to updating 'completed' field.
-   * @param {string|number} id
-   * @param {boolean} [completed=true]
+   * Internal: Whether the browser reports a network connection.
+   * @returns {boolean}
+   * @private
+   */
+  _isOnline() {
+    return typeof navigator === "undefined" || navigator.onLine !== false;
+  }
+
+  /**
+   * Internal: Send a mutation now, or queue it when offline or behind other queued mutations.
+   * Resolves with the server response, or with a locally computed result when queued.
+   * @param {Object} op - Operation (see OfflineQueue)
    * @returns {Promise<any>}
+   * @private
    */
-  async markTaskComplete(id, completed = true) {
-    try {
-      // Try dedicated complete endpoint
-      return await this._request(`/tasks/${encodeURIComponent(id)}/complete`, {
-        method: "POST",
-        body: { completed },
-      });
-    } catch (err) {
-      if (err instanceof ApiError && err.status === 404) {
-        // Fallback to patching the task
-        return this.updateTask(id, { completed });
+  async _mutate(op) {
+    if (this.queue.pendingCount() === 0 && this._isOnline()) {
+      try {
+        const result = await this._dispatch(op);
+        this.queue.recordResult(op, result);
+        this._announce(op, result);
+        return result;
+      } catch (err) {
+        if (!(err instanceof NetworkError) || this._mayHaveApplied(op, err)) throw err;
       }
-      throw err;
     }
+    const queued = this.queue.enqueue({ ...op, label: this._describe(op) });
+    if (this._isOnline()) this.flushQueue();
+    return this.queue.localResult(queued);
   }
 
-  // =========================
-  // Subtasks
-  // =========================
+  /**
+   * Internal: Whether a failed mutation may have reached the server and must not be sent again.
+   * A create that timed out may have been applied: sending it again would create it twice.
+   * Updates, deletes and completions set a state, so repeating them is harmless.
+   * @param {Object} op
+   * @param {Error} err
+   * @returns {boolean}
+   * @private
+   */
+  _mayHaveApplied(op, err) {
+    return err instanceof TimeoutError && ["createTask", "createSubtask"].includes(op.kind);
+  }
 
-  // PUBLIC_INTERFACE
   /**
-   * List subtasks for a task.
-   * @param {string|number} taskId
-   * @returns {Promise<any[]>}
+   * Internal: Human readable label for a queued operation.
+   * @param {Object} op
+   * @returns {string}
+   * @private
    */
-  async listSubtasks(taskId) {
-    return this._request(`/tasks/${encodeURIComponent(taskId)}/subtasks`, {
-      method: "GET",
-    });
+  _describe(op) {
+    const task = op.taskId !== undefined ? this.queue.cachedTask(op.taskId) : null;
+    const taskName = task?.title ? `"${task.title}"` : "task";
+    const subtask =
+      op.subtaskId !== undefined ? this.queue.cachedSubtasks(op.taskId).find((s) => s.id === op.subtaskId) : null;
+    const subtaskName = subtask?.title ? `"${subtask.title}"` : "subtask";
+    switch (op.kind) {
+      case "createTask":
+        return `Create task "${op.data?.title || ""}"`;
+      case "updateTask":
+        return `Update ${taskName}`;
+      case "deleteTask":
+        return `Delete ${taskName}`;
+      case "completeTask":
+        return `Mark ${taskName} ${op.data?.completed ? "complete" : "incomplete"}`;
+      case "createSubtask":
+        return `Add subtask "${op.data?.title || ""}" to ${taskName}`;
+      case "updateSubtask":
+        return `Update ${subtaskName} of ${taskName}`;
+      case "deleteSubtask":
+        return `Delete ${subtaskName} of ${taskName}`;
+      case "completeSubtask":
+        return `Mark ${subtaskName} ${op.data?.completed ? "complete" : "incomplete"}`;
+      default:
+        return op.kind;
+    }
   }
 
-  // PUBLIC_INTERFACE
   /**
-   * Get a single subtask.
-   * @param {string|number} taskId
-   * @param {string|number} subtaskId
+   * Internal: Send a single mutation to the server.
+   * @param {Object} op
    * @returns {Promise<any>}
+   * @private
    */
-  async getSubtask(taskId, subtaskId) {
-    return this._request(`/tasks/${encodeURIComponent(taskId)}/subtasks/${encodeURIComponent(subtaskId)}`, {
-      method: "GET",
-    });
+  async _dispatch(op) {
+    const taskPath = `/tasks/${encodeURIComponent(op.taskId)}`;
+    const subtaskPath = `${taskPath}/subtasks/${encodeURIComponent(op.subtaskId)}`;
+    switch (op.kind) {
+      case "createTask":
+        return this._request("/tasks", { method: "POST", body: op.data });
+      case "updateTask":
+        return this._request(taskPath, { method: "PATCH", body: op.data });
+      case "deleteTask":
+        return this._request(taskPath, { method: "DELETE" });
+      case "completeTask": {
+        // `force` goes to the server only; it is not part of the task
+        const body = op.force ? { ...op.data, force: true } : op.data;
+        try {
+          // Try dedicated complete endpoint
+          return await this._request(`${taskPath}/complete`, { method: "POST", body });
+        } catch (err) {
+          if (err instanceof ApiError && err.status === 404) {
+            // Fallback to patching the task
+            return this._request(taskPath, { method: "PATCH", body });
+          }
+          throw err;
+        }
+      }
+      case "createSubtask":
+        return this._request(`${taskPath}/subtasks`, { method: "POST", body: op.data });
+      case "updateSubtask":
+        return this._request(subtaskPath, { method: "PATCH", body: op.data });
+      case "deleteSubtask":
+        return this._request(subtaskPath, { method: "DELETE" });
+      case "completeSubtask":
+        try {
+          return await this._request(`${subtaskPath}/complete`, { method: "POST", body: op.data });
+        } catch (err) {
+          if (err instanceof ApiError && err.status === 404) {
+            return this._request(subtaskPath, { method: "PATCH", body: op.data });
+          }
+          throw err;
+        }
+      default:
+        throw new ApiError(`Unknown operation: ${op.kind}`);
+    }
   }
 
   // PUBLIC_INTERFACE
   /**
-   * Create a subtask for the given task.
-   * @param {string|number} taskId
-   * @param {Object} data
-   * @returns {Promise<any>}
+   * Live change events from the server (GET /events) and from other tabs of this browser.
+   * Created on first use; start() it once signed in and stop() it on logout.
+   * @returns {LiveUpdates}
    */
-  async createSubtask(taskId, data) {
-    return this._request(`/tasks/${encodeURIComponent(taskId)}/subtasks`, {
-      method: "POST",
-      body: data,
-    });
+  liveUpdates() {
+    if (!this._live) {
+      this._live = new LiveUpdates(() => this.auth.eventsUrl(this._url("/events")), {
+        withCredentials: this.auth.credentials === "include",
+      });
+    }
+    return this._live;
   }
 
-  // PUBLIC_INTERFACE
   /**
-   * Update a subtask.
-   * @param {string|number} taskId
-   * @param {string|number} subtaskId
-   * @param {Object} data
-   * @returns {Promise<any>}
+   * Internal: Tell the other tabs about a mutation the server accepted.
+   * @param {Object} op - Operation (see OfflineQueue)
+   * @param {any} result - Server response
+   * @private
    */
-  async updateSubtask(taskId, subtaskId, data) {
-    return this._request(`/tasks/${encodeURIComponent(taskId)}/subtasks/${encodeURIComponent(subtaskId)}`, {
-      method: "PATCH",
-      body: data,
-    });
+  _announce(op, result) {
+    if (!this._live) return;
+    const record = recordFrom(result);
+    const taskId = op.kind === "createTask" ? record?.id : op.taskId;
+    if (taskId === undefined || isTempId(taskId)) return;
+    const subtaskId = op.kind === "createSubtask" ? record?.id : op.subtaskId;
+    const events = {
+      createTask: { type: "task.created", task_id: taskId, task: record },
+      updateTask: { type: "task.updated", task_id: taskId, task: record },
+      completeTask: { type: "task.updated", task_id: taskId, task: record },
+      deleteTask: { type: "task.deleted", task_id: taskId },
+      createSubtask: { type: "subtask.created", task_id: taskId, subtask_id: subtaskId, subtask: record },
+      updateSubtask: { type: "subtask.updated", task_id: taskId, subtask_id: subtaskId, subtask: record },
+      completeSubtask: { type: "subtask.updated", task_id: taskId, subtask_id: subtaskId, subtask: record },
+      deleteSubtask: { type: "subtask.deleted", task_id: taskId, subtask_id: subtaskId },
+    };
+    if (events[op.kind]) this._live.publish(events[op.kind]);
   }
 
   // PUBLIC_INTERFACE
   /**
-   * Delete a subtask.
-   * @param {string|number} taskId
-   * @param {string|number} subtaskId
-   * @returns {Promise<{success: boolean} | any>}
+   * Replay queued mutations in order. Stops at the first network failure (still offline);
+   * operations rejected by the server are marked failed and skipped.
+   * Concurrent calls share the same replay.
+   * @returns {Promise<{synced: number, idMap: Record<string, any>}>}
    */
-  async deleteSubtask(taskId, subtaskId) {
-    return this._request(`/tasks/${encodeURIComponent(taskId)}/subtasks/${encodeURIComponent(subtaskId)}`, {
-      method: "DELETE",
-    });
+  async flushQueue() {
+    if (this._flushing) return this._flushing;
+    this._flushing = (async () => {
+      let synced = 0;
+      const idMap = {};
+      this.queue.setSyncing(true);
+      try {
+        let op = this.queue.nextPending();
+        while (op) {
+          try {
+            const result = await this._dispatch(op);
+            this._announce(op, result);
+            const realId = this.queue.complete(op, result);
+            if (op.tempId && realId !== undefined) idMap[op.tempId] = realId;
+            synced += 1;
+          } catch (err) {
+            if (this._mayHaveApplied(op, err)) {
+              // Kept for the user to check: retry only if it did not arrive
+              this.queue.fail(op, `${err.message}; it may have been saved already`);
+            } else if (err instanceof NetworkError) {
+              break;
+            } else {
+              this.queue.fail(op, err?.message || "Request failed");
+            }
+          }
+          op = this.queue.nextPending();
+        }
+      } finally {
+        this._flushing = null;
+        this.queue.setSyncing(false, { type: "synced", synced, idMap });
+      }
+      return { synced, idMap };
+    })();
+    return this._flushing;
   }
 
   // PUBLIC_INTERFACE
   /**
-   * Mark a subtask as complete/incomplete. Uses dedicated endpoint when available; falls back to update.
-   * @param {string|number} taskId
-   * @param {string|number} subtaskId
-   * @param {boolean} [completed=true]
-   * @returns {Promise<any>}
+   * Subscribe to offline queue status changes (pending/failed counts, syncing flag).
+   * @param {(status: {ops: any[], pending: number, failed: number, syncing: boolean}, event?: any) => void} listener
+   * @returns {() => void} Unsubscribe function
    */
-  async markSubtaskComplete(taskId, subtaskId, completed = true) {
-    try {
-      return await this._request(
-        `/tasks/${encodeURIComponent(taskId)}/subtasks/${encodeURIComponent(subtaskId)}/complete`,
-        { method: "POST", body: { completed } }
+  subscribeSync(listener) {
+    return this.queue.subscribe(listener);
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * Current offline queue status.
+   * @returns {{ops: any[], pending: number, failed: number, syncing: boolean}}
+   */
+  syncStatus() {
+    return this.queue.status();
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * Re-queue a failed operation and try to sync it.
+   * @param {string} opId
+   * @returns {Promise<any>}
+   */
+  async retryQueued(opId) {
+    this.queue.retry(opId);
+    return this.flushQueue();
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * Drop a queued operation without sending it.
+   * @param {string} opId
+   */
+  discardQueued(opId) {
+    this.queue.discard(opId);
+  }
+
+  // =========================
+  // Tasks
+  // =========================
+
+  // PUBLIC_INTERFACE
+  /**
+   * Get a list of tasks with optional search/sort/filter query params.
+   * Pending offline changes are applied to the result. When the server is unreachable
+   * the last known tasks are filtered locally instead.
+   * @param {Object} [params]
+   * @param {string} [params.search]
+   * @param {string} [params.sort] - e.g., 'priority', 'due_date', 'eta'
+   * @param {string|string[]} [params.priority] - One or more priorities
+   * @param {number} [params.due_within_days] - For filtering by due date within X days
+   * @param {string|string[]} [params.tags] - One or more tags
+   * @param {"any"|"all"} [params.tag_match] - Whether tasks need any or all of the tags (default any)
+   * @param {{signal?: AbortSignal}} [options] - Abort to cancel (rejects with CancelledError)
+   * @returns {Promise<any[]>}
+   */
+  async getTasks(params = {}, { signal } = {}) {
+    let list;
+    try {
+      list = await this._request(`/tasks${toQueryString(params)}`, {
+        method: "GET",
+        signal,
+      });
+    } catch (err) {
+      if (!(err instanceof NetworkError)) throw err;
+      return queryTasks(this.queue.applyToTasks(this.queue.cachedTasks()), params);
+    }
+    const items = Array.isArray(list) ? list : list?.items || [];
+    this.queue.cacheTasks(items, !hasQueryFilters(params));
+    if (this.queue.pendingCount() > 0) this.flushQueue();
+    return Array.isArray(list) ? this.queue.applyToTasks(items) : { ...list, items: this.queue.applyToTasks(items) };
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * Get one page of tasks. Paginating servers answer `{ items, next_cursor }` or
+   * `{ items, offset, total }`; the returned `next` is passed back as `page` to get the
+   * following page and is null on the last one. A plain array response is a single page.
+   * Offline, the last known tasks are returned as one page.
+   * @param {Object} [params] - Filters, as for getTasks
+   * @param {Object} [options]
+   * @param {Object|null} [options.page] - `next` of the previous page; omit for the first page
+   * @param {number} [options.limit=50] - Page size
+   * @param {AbortSignal} [options.signal] - Abort to cancel (rejects with CancelledError)
+   * @returns {Promise<{items: any[], next: Object|null, total?: number}>} `total` when the server counts matches
+   */
+  async getTaskPage(params = {}, { page = null, limit = 50, signal } = {}) {
+    let list;
+    try {
+      list = await this._request(`/tasks${toQueryString({ ...params, ...page, limit })}`, {
+        method: "GET",
+        signal,
+      });
+    } catch (err) {
+      if (!(err instanceof NetworkError)) throw err;
+      const cached = page ? [] : queryTasks(this.queue.applyToTasks(this.queue.cachedTasks()), params);
+      return { items: cached, next: null };
+    }
+    const items = Array.isArray(list) ? list : list?.items || [];
+    const next = nextTaskPage(list, items);
+    this.queue.cacheTasks(items, !page && !next && !hasQueryFilters(params));
+    if (this.queue.pendingCount() > 0) this.flushQueue();
+    // Tasks created offline are listed once, on the first page
+    const applied = this.queue.applyToTasks(items);
+    const result = { items: page ? applied.filter((t) => !isTempId(t.id)) : applied, next };
+    if (!Array.isArray(list) && typeof list?.total === "number") result.total = list.total;
+    return result;
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * Get every task matching the filters, following pages until the last one, so callers do
+   * not depend on the server returning everything when no `limit` is given.
+   * @param {Object} [params] - Filters, as for getTasks
+   * @param {{signal?: AbortSignal}} [options] - Abort to cancel (rejects with CancelledError)
+   * @returns {Promise<any[]>}
+   */
+  async getAllTasks(params = {}, { signal } = {}) {
+    const all = [];
+    const seen = new Set();
+    let page = null;
+    do {
+      const result = await this.getTaskPage(params, { page, limit: ALL_TASKS_PAGE_SIZE, signal });
+      // Tasks that moved between pages while paging are listed once
+      result.items.filter((t) => !seen.has(t.id)).forEach((t) => {
+        seen.add(t.id);
+        all.push(t);
+      });
+      page = result.next;
+    } while (page);
+    return all;
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * Number of tasks matching the filters: the server's `total` when it reports one,
+   * otherwise the length of the filtered listing.
+   * @param {Object} [params] - Filters, as for getTasks
+   * @returns {Promise<number>}
+   */
+  async countTasks(params = {}) {
+    const first = await this.getTaskPage(params, { limit: 1 });
+    if (typeof first.total === "number") return first.total;
+    if (!first.next) return first.items.length;
+    return (await this.getAllTasks(params)).length;
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * Get a single task by ID.
+   * @param {string|number} id
+   * @returns {Promise<any>}
+   */
+  async getTask(id) {
+    return this._request(`/tasks/${encodeURIComponent(id)}`, {
+      method: "GET",
+    });
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * Create a new task. Queued with a temporary ID while offline.
+   * @param {Object} data - Task payload
+   * @returns {Promise<any>}
+   */
+  async createTask(data) {
+    return this._mutate({ kind: "createTask", data, tempId: makeTempId() });
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * Update a task by ID.
+   * @param {string|number} id
+   * @param {Object} data - Partial task payload (fields to update)
+   * @returns {Promise<any>}
+   */
+  async updateTask(id, data) {
+    return this._mutate({ kind: "updateTask", taskId: id, data });
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * Delete a task by ID (moving it to the trash). Unless the backend is known to keep its
+   * own trash, a snapshot of the task and its subtasks is kept locally for restoring.
+   * @param {string|number} id
+   * @returns {Promise<{success: boolean} | any>}
+   */
+  async deleteTask(id) {
+    if (this._softDelete !== true) await this._snapshotForTrash(id);
+    return this._mutate({ kind: "deleteTask", taskId: id });
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * Mark task completion state. Uses dedicated route if available; falls back to updating 'completed' field.
+   * Completing a recurring task (one with an RRULE `recurrence`) also creates its next instance,
+   * returned as `next_task`, unless the server already did so.
+   * Completing a task whose blockers are still open is rejected with a ConflictError whose
+   * `data.error` is "blocked"; `force` completes it anyway.
+   * @param {string|number} id
+   * @param {boolean} [completed=true]
+   * @param {{force?: boolean}} [options]
+   * @returns {Promise<any>}
+   */
+  async markTaskComplete(id, completed = true, { force = false } = {}) {
+    const result = await this._mutate({ kind: "completeTask", taskId: id, data: { completed }, ...(force ? { force } : {}) });
+    return this._withNextOccurrence(id, completed, result);
+  }
+
+  /**
+   * Internal: After a completion, create the next instance of a recurring task unless the
+   * server already did, and attach it to the result as `next_task`.
+   * @param {string|number} id
+   * @param {boolean} completed
+   * @param {any} result - Completion response
+   * @returns {Promise<any>}
+   * @private
+   */
+  async _withNextOccurrence(id, completed, result) {
+    if (!completed || (result && result.next_task)) return result;
+    const task = { ...(this.queue.cachedTask(id) || {}), ...(recordFrom(result) || {}) };
+    const nextTask = task.recurrence ? await this._createNextOccurrence({ ...task, id }) : null;
+    return nextTask ? { ...result, next_task: nextTask } : result;
+  }
+
+  /**
+   * Internal: Create the next instance of a completed recurring task, copying its
+   * subtasks as incomplete. Skipped when the series has ended or the next instance exists.
+   * @param {Object} task - The task that was just completed
+   * @returns {Promise<any|null>} The created task, or null
+   * @private
+   */
+  async _createNextOccurrence(task) {
+    const occurrence = Number(task.occurrence) || 1;
+    const dueDate = nextOccurrence(task.recurrence, task.due_date || toIsoDate(new Date()), occurrence);
+    if (!dueDate) return null;
+    if (this.queue.applyToTasks(this.queue.cachedTasks()).some((t) => t.recurrence_parent_id === task.id)) return null;
+
+    const subtasks = await this.listSubtasks(task.id).catch(() => []);
+    const nextTask = await this.createTask({
+      title: task.title,
+      description: task.description || "",
+      priority: task.priority,
+      eta: task.eta ?? null,
+      due_date: dueDate,
+      completed: false,
+      recurrence: task.recurrence,
+      occurrence: occurrence + 1,
+      recurrence_parent_id: task.id,
+    });
+    await this._copySubtasks(nextTask.id, subtasks, { completed: false });
+    return nextTask;
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * Apply changes to several tasks at once. Uses POST /tasks/bulk when available; falls back
+   * to concurrent per-task calls when the endpoint is missing (404/405), when offline, or while queued
+   * changes wait to be replayed (so ordering is kept). Individual failures do not reject:
+   * they are reported in `failed`.
+   * @param {Array<{id: string|number, action: "update"|"delete"|"complete", data?: Object}>} operations
+   * @returns {Promise<{
+   *   results: Array<{id: string|number, ok: boolean, result?: any, error?: Error}>,
+   *   succeeded: Array<string|number>,
+   *   failed: Array<{id: string|number, error: Error}>
+   * }>}
+   */
+  async batchTasks(operations) {
+    let results = null;
+    if (this.queue.pendingCount() === 0 && this._isOnline() && !operations.some((op) => isTempId(op.id))) {
+      // Like deleteTask: keep a restorable copy in case the backend has no soft-delete
+      const deletes = operations.filter((op) => op.action === "delete").map((op) => op.id);
+      if (this._softDelete !== true) await Promise.all(deletes.map((id) => this._snapshotForTrash(id)));
+      try {
+        const response = await this._request("/tasks/bulk", { method: "POST", body: { operations } });
+        results = await this._bulkResults(operations, response);
+        results.filter((r) => !r.ok && deletes.includes(r.id)).forEach((r) => this.trash.remove(r.id));
+        if (this._live) this._live.publish({ type: "reset" });
+      } catch (err) {
+        // 405: "/tasks/bulk" matched the "/tasks/:id" route of a backend without bulk support
+        if (!(err instanceof ApiError && ([404, 405].includes(err.status) || err instanceof NetworkError))) throw err;
+      }
+    }
+    if (!results) {
+      const settled = await Promise.allSettled(operations.map((op) => this._batchItem(op)));
+      results = settled.map((s, i) =>
+        s.status === "fulfilled"
+          ? { id: operations[i].id, ok: true, result: s.value }
+          : { id: operations[i].id, ok: false, error: s.reason }
       );
+    }
+    return {
+      results,
+      succeeded: results.filter((r) => r.ok).map((r) => r.id),
+      failed: results.filter((r) => !r.ok).map((r) => ({ id: r.id, error: r.error })),
+    };
+  }
+
+  /**
+   * Internal: Send one batch operation through the regular per-task methods.
+   * @param {{id: string|number, action: string, data?: Object}} op
+   * @returns {Promise<any>}
+   * @private
+   */
+  async _batchItem(op) {
+    switch (op.action) {
+      case "update":
+        return this.updateTask(op.id, op.data);
+      case "delete":
+        return this.deleteTask(op.id);
+      case "complete":
+        return this.markTaskComplete(op.id, op.data?.completed !== false);
+      default:
+        throw new ApiError(`Unknown batch action: ${op.action}`);
+    }
+  }
+
+  /**
+   * Internal: Turn a /tasks/bulk response into per-operation results, keeping the
+   * offline cache in step and scheduling next instances of completed recurring tasks.
+   * @param {Array<{id: string|number, action: string, data?: Object}>} operations
+   * @param {{results?: any[]}|any[]} response - One entry per operation, in order
+   * @returns {Promise<Array<{id: string|number, ok: boolean, result?: any, error?: Error}>>}
+   * @private
+   */
+  async _bulkResults(operations, response) {
+    const entries = Array.isArray(response) ? response : response?.results || [];
+    const kinds = { update: "updateTask", delete: "deleteTask", complete: "completeTask" };
+    const results = [];
+    for (const [i, op] of operations.entries()) {
+      const entry = entries[i] || {};
+      if (entry.ok === false) {
+        const message = entry.message || entry.error || "Request failed";
+        results.push({ id: op.id, ok: false, error: new ApiError(message, entry.status || 0, entry) });
+        continue;
+      }
+      let result = entry.task || entry.result || { success: true };
+      this.queue.recordResult({ kind: kinds[op.action], taskId: op.id, data: op.data }, result);
+      if (op.action === "complete") {
+        result = await this._withNextOccurrence(op.id, op.data?.completed !== false, result).catch(() => result);
+      }
+      results.push({ id: op.id, ok: true, result });
+    }
+    return results;
+  }
+
+  // =========================
+  // Trash
+  // =========================
+
+  /**
+   * Internal: Remember a task and its subtasks in the local trash before deleting it.
+   * @param {string|number} id
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _snapshotForTrash(id) {
+    const task = this.queue.applyToTasks(this.queue.cachedTasks()).find((t) => t.id === id) || this.queue.cachedTask(id);
+    if (!task) return;
+    const subtasks = await this.listSubtasks(id).catch(() => this.queue.cachedSubtasks(id));
+    this.trash.add(task, subtasks.map(withoutPending));
+  }
+
+  /**
+   * Internal: Whether an error means the backend has no such (soft-delete) route.
+   * @param {any} err
+   * @returns {boolean}
+   * @private
+   */
+  _isUnsupported(err) {
+    return err instanceof ApiError && [404, 405].includes(err.status);
+  }
+
+  /**
+   * Internal: Find a still-queued mutation, e.g. a delete that can simply be dropped on undo.
+   * @param {string} kind
+   * @param {string|number} taskId
+   * @param {string|number} [subtaskId]
+   * @returns {any|null}
+   * @private
+   */
+  _queuedOp(kind, taskId, subtaskId) {
+    return (
+      this.queue
+        .status()
+        .ops.find(
+          (o) => o.kind === kind && o.status === "pending" && o.taskId === taskId && (subtaskId === undefined || o.subtaskId === subtaskId)
+        ) || null
+    );
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * List deleted tasks, newest first. Uses GET /trash when the backend soft-deletes;
+   * otherwise the local snapshots.
+   * @returns {Promise<Array<Object & {deleted_at: string, subtask_count?: number}>>}
+   */
+  async getTrash() {
+    if (this._softDelete !== false) {
+      try {
+        const list = await this._request("/trash", { method: "GET" });
+        this._softDelete = true;
+        // The server keeps deleted tasks itself; local snapshots would only duplicate them
+        this.trash.clear();
+        return Array.isArray(list) ? list : list?.items || [];
+      } catch (err) {
+        if (this._isUnsupported(err)) this._softDelete = false;
+        else if (!(err instanceof NetworkError)) throw err;
+      }
+    }
+    return this.trash.list();
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * Restore a deleted task with its subtasks. A delete still waiting in the offline queue is
+   * simply dropped. Without server soft-delete the task is recreated from the local snapshot,
+   * so it comes back with a new ID.
+   * @param {string|number} id - ID of the deleted task
+   * @returns {Promise<any>} The restored task
+   */
+  async restoreTask(id) {
+    const queued = this._queuedOp("deleteTask", id);
+    if (queued) {
+      this.queue.discard(queued.id);
+      this.trash.remove(id);
+      return this.queue.cachedTask(id);
+    }
+    if (this._softDelete !== false) {
+      try {
+        const result = await this._request(`/tasks/${encodeURIComponent(id)}/restore`, { method: "POST" });
+        this._softDelete = true;
+        this.trash.remove(id);
+        if (this._live) this._live.publish({ type: "reset" });
+        return result;
+      } catch (err) {
+        if (!this._isUnsupported(err) || !this.trash.get(id)) throw err;
+      }
+    }
+    const entry = this.trash.get(id);
+    if (!entry) throw new ApiError("This task is no longer in the trash", 404);
+    // The server assigns these anew
+    const data = { ...entry.task };
+    ["id", "user_id", "created_at", "updated_at", "deleted_at"].forEach((key) => delete data[key]);
+    const task = await this.createTask(data);
+    await this._copySubtasks(task.id, entry.subtasks);
+    this.trash.remove(id);
+    return task;
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * Permanently delete a task from the trash.
+   * @param {string|number} id
+   * @returns {Promise<any>}
+   */
+  async purgeTask(id) {
+    if (this._softDelete === false) {
+      this.trash.remove(id);
+      return { success: true };
+    }
+    try {
+      const result = await this._request(`/trash/${encodeURIComponent(id)}`, { method: "DELETE" });
+      this.trash.remove(id);
+      return result;
+    } catch (err) {
+      // Without soft-delete the task is already gone on the server
+      if (!this._isUnsupported(err) || this._softDelete === true) throw err;
+      this.trash.remove(id);
+      return { success: true };
+    }
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * Purge trashed tasks deleted more than `retentionDays` days ago.
+   * @param {number} retentionDays
+   * @returns {Promise<number>} Number of purged tasks
+   */
+  async purgeExpiredTrash(retentionDays) {
+    if (!(retentionDays > 0)) return 0;
+    const cutoff = Date.now() - retentionDays * 86400000;
+    const expired = (await this.getTrash()).filter((t) => t.deleted_at && new Date(t.deleted_at).getTime() < cutoff);
+    for (const task of expired) {
+      await this.purgeTask(task.id);
+    }
+    return expired.length;
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * Restore a deleted subtask. A delete still waiting in the offline queue is dropped;
+   * without server soft-delete the subtask is recreated.
+   * @param {string|number} taskId
+   * @param {Object} subtask - The subtask as it was before deletion
+   * @returns {Promise<any>}
+   */
+  async restoreSubtask(taskId, subtask) {
+    const queued = this._queuedOp("deleteSubtask", taskId, subtask.id);
+    if (queued) {
+      this.queue.discard(queued.id);
+      return subtask;
+    }
+    if (this._softDelete !== false) {
+      try {
+        return await this._request(
+          `/tasks/${encodeURIComponent(taskId)}/subtasks/${encodeURIComponent(subtask.id)}/restore`,
+          { method: "POST" }
+        );
+      } catch (err) {
+        if (!this._isUnsupported(err)) throw err;
+      }
+    }
+    return this.createSubtask(taskId, {
+      title: subtask.title,
+      completed: !!subtask.completed,
+      parent_id: subtask.parent_id ?? null,
+      position: subtask.position,
+    });
+  }
+
+  // =========================
+  // Tags
+  // =========================
+
+  /**
+   * Internal: Client-side fallback for tag rename/merge/delete when the backend has no
+   * tag endpoints: rewrite the tags of every affected task and move local colors.
+   * @param {string[]} sources - Tags to replace
+   * @param {string|null} target - Replacement tag, or null to remove
+   * @param {string} [color] - Color for the target tag
+   * @returns {Promise<{updated: number}>}
+   * @private
+   */
+  async _retagTasks(sources, target, color) {
+    const from = normalizeTags(sources);
+    const to = target ? normalizeTags([target])[0] : null;
+    const colors = loadLocalTagColors();
+    if (to) {
+      const inherited = color || colors[to] || from.map((name) => colors[name]).find(Boolean);
+      if (inherited) colors[to] = inherited;
+    }
+    from.filter((name) => name !== to).forEach((name) => delete colors[name]);
+    saveLocalTagColors(colors);
+
+    let updated = 0;
+    if (from.length === 1 && from[0] === to) return { updated };
+    for (const task of await this.getAllTasks()) {
+      const tags = normalizeTags(task.tags);
+      if (!tags.some((t) => from.includes(t))) continue;
+      const next = normalizeTags(tags.map((t) => (from.includes(t) ? to : t)));
+      await this.updateTask(task.id, { tags: next });
+      updated += 1;
+    }
+    return { updated };
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * List tags with usage counts and colors. Uses GET /tags when available; otherwise
+   * derives them from the tasks and locally stored colors.
+   * @returns {Promise<Array<{name: string, color: string, count: number}>>}
+   */
+  async getTags() {
+    try {
+      const list = await this._request("/tags", { method: "GET" });
+      return Array.isArray(list) ? list : list?.items || [];
+    } catch (err) {
+      if (!(err instanceof ApiError && (err.status === 404 || err instanceof NetworkError))) throw err;
+      const tasks =
+        err instanceof NetworkError ? this.queue.applyToTasks(this.queue.cachedTasks()) : await this.getAllTasks();
+      const colors = loadLocalTagColors();
+      return collectTags(tasks).map((t) => ({ ...t, color: colors[t.name] || defaultTagColor(t.name) }));
+    }
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * Rename and/or recolor a tag across all tasks. Falls back to per-task updates when
+   * the backend has no tag endpoints.
+   * @param {string} name
+   * @param {{name?: string, color?: string}} changes
+   * @returns {Promise<any>}
+   */
+  async updateTag(name, changes) {
+    try {
+      const result = await this._request(`/tags/${encodeURIComponent(name)}`, { method: "PATCH", body: changes });
+      if (this._live) this._live.publish({ type: "reset" });
+      return result;
+    } catch (err) {
+      if (err instanceof ApiError && err.status === 404) {
+        return this._retagTasks([name], changes.name || name, changes.color);
+      }
+      throw err;
+    }
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * Merge several tags into one. Falls back to per-task updates when unsupported.
+   * @param {string[]} sources
+   * @param {string} target
+   * @returns {Promise<any>}
+   */
+  async mergeTags(sources, target) {
+    try {
+      const result = await this._request("/tags/merge", { method: "POST", body: { sources, target } });
+      if (this._live) this._live.publish({ type: "reset" });
+      return result;
+    } catch (err) {
+      if (err instanceof ApiError && err.status === 404) {
+        return this._retagTasks(sources, target);
+      }
+      throw err;
+    }
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * Remove a tag from every task. Falls back to per-task updates when unsupported.
+   * @param {string} name
+   * @returns {Promise<any>}
+   */
+  async deleteTag(name) {
+    try {
+      const result = await this._request(`/tags/${encodeURIComponent(name)}`, { method: "DELETE" });
+      if (this._live) this._live.publish({ type: "reset" });
+      return result;
     } catch (err) {
       if (err instanceof ApiError && err.status === 404) {
-        return this.updateSubtask(taskId, subtaskId, { completed });
+        return this._retagTasks([name], null);
       }
       throw err;
     }
   }
+
+  // =========================
+  // Dependencies
+  // =========================
+
+  // PUBLIC_INTERFACE
+  /**
+   * Every task that blocks or is blocked by another (see a task's `blocked_by`), for blocked
+   * badges and the dependency graph. Uses GET /dependencies when available; otherwise derives
+   * them from all tasks. Links are changed with updateTask(id, { blocked_by }).
+   * @returns {Promise<any[]>}
+   */
+  async getDependencies() {
+    try {
+      const list = await this._request("/dependencies", { method: "GET" });
+      return Array.isArray(list) ? list : list?.items || [];
+    } catch (err) {
+      if (!(this._isUnsupported(err) || err instanceof NetworkError)) throw err;
+      const tasks =
+        err instanceof NetworkError ? this.queue.applyToTasks(this.queue.cachedTasks()) : await this.getAllTasks();
+      return linkedTasks(tasks);
+    }
+  }
+
+  // =========================
+  // Subtasks
+  // =========================
+
+  // PUBLIC_INTERFACE
+  /**
+   * List subtasks for a task. Falls back to the last known subtasks when offline.
+   * @param {string|number} taskId
+   * @param {{signal?: AbortSignal}} [options] - Abort to cancel (rejects with CancelledError)
+   * @returns {Promise<any[]>}
+   */
+  async listSubtasks(taskId, { signal } = {}) {
+    let items = [];
+    if (!isTempId(taskId)) {
+      try {
+        const list = await this._request(`/tasks/${encodeURIComponent(taskId)}/subtasks`, {
+          method: "GET",
+          signal,
+        });
+        items = Array.isArray(list) ? list : list?.items || [];
+        this.queue.cacheSubtasks(taskId, items);
+      } catch (err) {
+        if (!(err instanceof NetworkError)) throw err;
+        items = this.queue.cachedSubtasks(taskId);
+      }
+    }
+    return this.queue.applyToSubtasks(taskId, items);
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * Get a single subtask.
+   * @param {string|number} taskId
+   * @param {string|number} subtaskId
+   * @returns {Promise<any>}
+   */
+  async getSubtask(taskId, subtaskId) {
+    return this._request(`/tasks/${encodeURIComponent(taskId)}/subtasks/${encodeURIComponent(subtaskId)}`, {
+      method: "GET",
+    });
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * Create a subtask for the given task. The task may still be an unsynced offline task.
+   * @param {string|number} taskId
+   * @param {Object} data
+   * @returns {Promise<any>}
+   */
+  async createSubtask(taskId, data) {
+    return this._mutate({ kind: "createSubtask", taskId, data, tempId: makeTempId() });
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * Update a subtask.
+   * @param {string|number} taskId
+   * @param {string|number} subtaskId
+   * @param {Object} data
+   * @returns {Promise<any>}
+   */
+  async updateSubtask(taskId, subtaskId, data) {
+    return this._mutate({ kind: "updateSubtask", taskId, subtaskId, data });
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * Delete a subtask.
+   * @param {string|number} taskId
+   * @param {string|number} subtaskId
+   * @returns {Promise<{success: boolean} | any>}
+   */
+  async deleteSubtask(taskId, subtaskId) {
+    return this._mutate({ kind: "deleteSubtask", taskId, subtaskId });
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * Mark a subtask as complete/incomplete. Uses dedicated endpoint when available; falls back to update.
+   * @param {string|number} taskId
+   * @param {string|number} subtaskId
+   * @param {boolean} [completed=true]
+   * @returns {Promise<any>}
+   */
+  async markSubtaskComplete(taskId, subtaskId, completed = true) {
+    return this._mutate({ kind: "completeSubtask", taskId, subtaskId, data: { completed } });
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * Move a subtask within its task's tree (see utils/subtaskTree for indent/outdent patches).
+   * Queued offline like other subtask changes.
+   * @param {string|number} taskId
+   * @param {string|number} subtaskId
+   * @param {{parent_id: string|number|null, position: number}} move - New parent (null for the top level) and position among its siblings
+   * @returns {Promise<any>}
+   */
+  async moveSubtask(taskId, subtaskId, { parent_id = null, position }) {
+    return this.updateSubtask(taskId, subtaskId, { parent_id, position });
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * Promote a subtask to a task of its own, linked to its former task by `parent_task_id`.
+   * Subtasks nested under it become the new task's subtasks. Needs a connection.
+   * @param {string|number} taskId
+   * @param {string|number} subtaskId
+   * @returns {Promise<any>} The new task
+   */
+  async promoteSubtask(taskId, subtaskId) {
+    const result = await this._request(
+      `/tasks/${encodeURIComponent(taskId)}/subtasks/${encodeURIComponent(subtaskId)}/promote`,
+      { method: "POST" }
+    );
+    if (this._live) this._live.publish({ type: "reset" });
+    return recordFrom(result);
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * Demote a task to a subtask of another task; its own subtasks are nested under it and the
+   * task itself is removed. Needs a connection.
+   * @param {string|number} taskId
+   * @param {string|number} targetTaskId - The task it becomes a subtask of
+   * @param {{parentId?: string|number|null}} [options] - Nest it under this subtask of the target
+   * @returns {Promise<any>} The new subtask
+   */
+  async demoteTask(taskId, targetTaskId, { parentId = null } = {}) {
+    const result = await this._request(`/tasks/${encodeURIComponent(taskId)}/demote`, {
+      method: "POST",
+      body: { task_id: targetTaskId, parent_id: parentId },
+    });
+    if (this._live) this._live.publish({ type: "reset" });
+    return recordFrom(result);
+  }
+
+  /**
+   * Internal: Recreate subtasks under another task, parents before their children so nesting is kept.
+   * @param {string|number} taskId
+   * @param {any[]} subtasks
+   * @param {{completed?: boolean}} [options] - Override every subtask's completed flag
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _copySubtasks(taskId, subtasks, { completed } = {}) {
+    const copy = async (nodes, parentId) => {
+      for (const { subtask, children } of nodes) {
+        const created = await this.createSubtask(taskId, {
+          title: subtask.title,
+          completed: completed ?? !!subtask.completed,
+          parent_id: parentId,
+        });
+        await copy(children, created.id);
+      }
+    };
+    await copy(buildSubtaskTree(subtasks), null);
+  }
+
+  // =========================
+  // Saved views
+  // =========================
+
+  // PUBLIC_INTERFACE
+  /**
+   * List the user's saved views, in display order. Uses GET /views when available;
+   * otherwise the copy stored in this browser.
+   * @param {string} userKey - Scopes the local copy to the logged-in user
+   * @returns {Promise<Array<{id: string, name: string, filters: Object, pinned: boolean, is_default: boolean}>>}
+   */
+  async getSavedViews(userKey) {
+    // Views changed offline are sent first, so the server's older copy does not replace them
+    if (localViewsUnsynced(userKey)) return this.saveSavedViews(userKey, loadLocalViews(userKey));
+    try {
+      const list = await this._request("/views", { method: "GET" });
+      const views = Array.isArray(list) ? list : list?.items || [];
+      saveLocalViews(userKey, views);
+      return views;
+    } catch (err) {
+      if (!(this._isUnsupported(err) || err instanceof NetworkError)) throw err;
+      return loadLocalViews(userKey);
+    }
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * Replace the user's saved views (create, rename, reorder and delete all go through here).
+   * Uses PUT /views when available; otherwise stores them in this browser. While the server is
+   * unreachable they are kept in this browser and sent once it is back.
+   * @param {string} userKey
+   * @param {any[]} views
+   * @returns {Promise<any[]>}
+   */
+  async saveSavedViews(userKey, views) {
+    try {
+      const list = await this._request("/views", { method: "PUT", body: { views } });
+      const saved = Array.isArray(list) ? list : list?.items || views;
+      saveLocalViews(userKey, saved);
+      setLocalViewsUnsynced(userKey, false);
+      return saved;
+    } catch (err) {
+      if (err instanceof NetworkError) {
+        this._unsyncedViewsKey = userKey;
+        setLocalViewsUnsynced(userKey, true);
+      } else if (this._isUnsupported(err)) {
+        setLocalViewsUnsynced(userKey, false);
+      } else {
+        throw err;
+      }
+      saveLocalViews(userKey, views);
+      return views;
+    }
+  }
+
+  /**
+   * Internal: Send views saved while offline, once the browser is back online.
+   * @private
+   */
+  _sendUnsyncedViews() {
+    const userKey = this._unsyncedViewsKey;
+    if (!userKey || !localViewsUnsynced(userKey)) return;
+    this.saveSavedViews(userKey, loadLocalViews(userKey)).catch(() => {
+      // Sent again with the next read or save of the views
+    });
+  }
+
+  // =========================
+  // Backup
+  // =========================
+
+  // PUBLIC_INTERFACE
+  /**
+   * Every task (unfiltered) with its subtasks, fetched one task at a time.
+   * @param {(done: number, total: number) => void} [onProgress]
+   * @returns {Promise<Array<{task: any, subtasks: any[]}>>}
+   */
+  async getBackupEntries(onProgress) {
+    const tasks = await this.getAllTasks();
+    const entries = [];
+    for (const task of tasks) {
+      const subtasks = await this.listSubtasks(task.id);
+      entries.push({ task, subtasks: subtasks.map(withoutPending) });
+      if (onProgress) onProgress(entries.length, tasks.length);
+    }
+    return entries;
+  }
 }
 
 // PUBLIC_INTERFACE
@@ -0,0 +1,522 @@
+import { waitFor } from "@testing-library/react";
+import {
+  ApiClient,
+  AuthError,
+  CancelledError,
+  ConflictError,
+  ServerError,
+  TimeoutError,
+  ValidationError,
+  latestRequest,
+} from "./client";
+import { installMockBackend } from "./mockBackend";
+import { TokenAuth } from "./authStrategy";
+
+let mock;
+
+beforeEach(() => {
+  window.localStorage.clear();
+});
+
+afterEach(() => {
+  if (mock) mock.uninstall();
+  mock = null;
+});
+
+function deferred() {
+  let resolve;
+  const promise = new Promise((r) => (resolve = r));
+  return { promise, resolve };
+}
+
+test("latestRequest discards responses that arrive after a newer request started", async () => {
+  const latest = latestRequest();
+  const slow = deferred();
+  const fast = deferred();
+  const signals = [];
+
+  const first = latest.run((signal) => {
+    signals.push(signal);
+    return slow.promise;
+  });
+  const second = latest.run((signal) => {
+    signals.push(signal);
+    return fast.promise;
+  });
+
+  expect(signals[0].aborted).toBe(true);
+  expect(signals[1].aborted).toBe(false);
+
+  fast.resolve("new");
+  slow.resolve("old");
+  await expect(second).resolves.toBe("new");
+  await expect(first).rejects.toBeInstanceOf(CancelledError);
+});
+
+test("aborting a request rejects with CancelledError instead of using the offline cache", async () => {
+  const client = new ApiClient("/api");
+  mock = installMockBackend({ baseUrl: "/api", delay: 50 });
+  await client.login("demo", "demo");
+
+  const controller = new AbortController();
+  const pending = client.getTasks({}, { signal: controller.signal });
+  controller.abort();
+  await expect(pending).rejects.toBeInstanceOf(CancelledError);
+});
+
+test("requests time out with a TimeoutError", async () => {
+  const client = new ApiClient("/api", { timeout: 20, retry: { retries: 0 } });
+  mock = installMockBackend({ baseUrl: "/api", delay: ({ path }) => (path === "/auth/me" ? 200 : 0) });
+
+  await expect(client.currentUser()).rejects.toBeInstanceOf(TimeoutError);
+});
+
+test("out-of-order task responses only render the latest query", async () => {
+  const client = new ApiClient("/api");
+  // The first (broader) query is answered last
+  mock = installMockBackend({
+    baseUrl: "/api",
+    delay: ({ query }) => (query.get("search") === "re" ? 120 : 10),
+  });
+  await client.login("demo", "demo");
+
+  const latest = latestRequest();
+  const rendered = [];
+  const load = (search) =>
+    latest.run((signal) => client.getTasks({ search }, { signal })).then(
+      (list) => rendered.push(list.map((t) => t.title)),
+      (err) => {
+        if (!(err instanceof CancelledError)) throw err;
+      }
+    );
+
+  await Promise.all([load("re"), load("quarterly")]);
+  expect(rendered).toEqual([["Prepare quarterly report"]]);
+});
+
+test("getTaskPage follows next cursors until the last page", async () => {
+  const client = new ApiClient("/api");
+  mock = installMockBackend({ baseUrl: "/api" });
+  await client.login("demo", "demo");
+
+  const first = await client.getTaskPage({}, { limit: 3 });
+  expect(first.items).toHaveLength(3);
+  expect(first.next).toEqual({ cursor: "3" });
+
+  const titles = first.items.map((t) => t.title);
+  let page = first.next;
+  while (page) {
+    const result = await client.getTaskPage({}, { page, limit: 3 });
+    titles.push(...result.items.map((t) => t.title));
+    page = result.next;
+  }
+  const all = await client.getTasks();
+  expect(titles).toEqual(all.map((t) => t.title));
+});
+
+test("getAllTasks pages through servers that paginate by default", async () => {
+  const client = new ApiClient("/api");
+  mock = installMockBackend({ baseUrl: "/api" });
+  const handle = mock.backend.handle.bind(mock.backend);
+  // A server that answers one page even when no limit is asked for
+  jest.spyOn(mock.backend, "handle").mockImplementation((req) =>
+    req.method === "GET" && req.path === "/tasks" && !req.query.has("limit")
+      ? handle({ ...req, query: new URLSearchParams([...req.query, ["limit", "50"]]) })
+      : handle(req)
+  );
+  const created = new Date().toISOString();
+  for (let i = 1; i <= 250; i += 1) {
+    mock.backend.db.tasks.push({ id: 1000 + i, user_id: 1, title: `Task ${i}`, tags: [], completed: false, created_at: created });
+  }
+  await client.login("demo", "demo");
+
+  const own = mock.backend.db.tasks.filter((t) => t.user_id === 1 && !t.deleted_at);
+  expect((await client.getTasks()).items).toHaveLength(50);
+  const all = await client.getAllTasks();
+  expect(all).toHaveLength(own.length);
+  expect(new Set(all.map((t) => t.id)).size).toBe(own.length);
+  expect(await client.getAllTasks({ search: "Task 25" })).toHaveLength(2);
+  expect(await client.getBackupEntries()).toHaveLength(own.length);
+});
+
+test("countTasks uses the server's total and otherwise counts the filtered listing", async () => {
+  const client = new ApiClient("/api");
+  mock = installMockBackend({ baseUrl: "/api" });
+  await client.login("demo", "demo");
+  const requests = [];
+  const handle = mock.backend.handle.bind(mock.backend);
+  const spy = jest.spyOn(mock.backend, "handle").mockImplementation((req) => {
+    requests.push(req.query.toString());
+    return handle(req);
+  });
+
+  const high = (await client.getTasks({ priority: "high" })).length;
+  requests.length = 0;
+  expect(await client.countTasks({ priority: "high" })).toBe(high);
+  expect(requests).toEqual(["priority=high&limit=1"]);
+
+  // A cursor-only server: the matches are counted page by page
+  spy.mockImplementation((req) => {
+    const response = handle(req);
+    if (response.body && response.body.items) delete response.body.total;
+    return response;
+  });
+  expect(await client.countTasks({ priority: "high" })).toBe(high);
+  expect(await client.countTasks()).toBe(mock.backend.db.tasks.filter((t) => t.user_id === 1 && !t.deleted_at).length);
+});
+
+test("live updates reconnect and catch up on events missed while disconnected", async () => {
+  const client = new ApiClient("/api");
+  mock = installMockBackend({ baseUrl: "/api" });
+  await client.login("demo", "demo");
+
+  const live = client.liveUpdates();
+  const received = [];
+  live.subscribe((event) => received.push(event));
+  live.start();
+  await waitFor(() => expect(live.status()).toBe("live"));
+  await waitFor(() => expect(live.lastSeq).toBe(0));
+
+  mock.backend.handle({ method: "PATCH", path: "/tasks/3", body: { title: "Renamed while connected" } });
+  await waitFor(() => expect(received).toHaveLength(1));
+
+  // The connection drops; a change happens before the client reconnects
+  live.source.onerror();
+  expect(live.status()).toBe("reconnecting");
+  mock.backend.handle({ method: "DELETE", path: "/tasks/3" });
+
+  await waitFor(() => expect(received).toHaveLength(2), { timeout: 3000 });
+  expect(received.map((e) => e.type)).toEqual(["task.updated", "task.deleted"]);
+  expect(received[0].task.title).toBe("Renamed while connected");
+  expect(live.status()).toBe("live");
+  live.stop();
+});
+
+// A fetch answering with the given statuses in turn (the last one repeats)
+function fakeFetch(statuses, headers = {}) {
+  const calls = [];
+  window.fetch = jest.fn(async (url, init) => {
+    calls.push(init.method);
+    const status = statuses[Math.min(calls.length - 1, statuses.length - 1)];
+    const all = { "content-type": "application/json", ...headers };
+    return {
+      ok: status < 300,
+      status,
+      headers: { get: (name) => all[name.toLowerCase()] || null },
+      json: async () => (status < 300 ? { ok: true } : { message: `Status ${status}`, fields: { title: "is required" } }),
+    };
+  });
+  return calls;
+}
+
+test("retries idempotent requests on 502/503/504, honoring Retry-After, but not other methods", async () => {
+  const originalFetch = window.fetch;
+  try {
+    const client = new ApiClient("/api", { retry: { baseDelay: 1 } });
+    let calls = fakeFetch([503, 502, 200], { "retry-after": "0" });
+    await expect(client.getTask(1)).resolves.toEqual({ ok: true });
+    expect(calls).toHaveLength(3);
+
+    calls = fakeFetch([503, 200]);
+    await expect(client.createTask({ title: "Once" })).rejects.toBeInstanceOf(ServerError);
+    expect(calls).toEqual(["POST"]);
+
+    // A rate-limited request was not processed, so even a POST is repeated
+    calls = fakeFetch([429, 200], { "retry-after": "0" });
+    await expect(client.createTask({ title: "Twice" })).resolves.toEqual({ ok: true });
+    expect(calls).toEqual(["POST", "POST"]);
+
+    calls = fakeFetch([504]);
+    await expect(client.getTask(1)).rejects.toMatchObject({ code: "server", status: 504 });
+    expect(calls).toHaveLength(3);
+  } finally {
+    window.fetch = originalFetch;
+  }
+});
+
+test("classifies error responses", async () => {
+  const originalFetch = window.fetch;
+  try {
+    const client = new ApiClient("/api", { retry: { retries: 0 } });
+    fakeFetch([401]);
+    await expect(client.getTask(1)).rejects.toBeInstanceOf(AuthError);
+    fakeFetch([422]);
+    const invalid = await client.getTask(1).catch((e) => e);
+    expect(invalid).toBeInstanceOf(ValidationError);
+    expect(invalid.fields).toEqual({ title: "is required" });
+    fakeFetch([409]);
+    await expect(client.getTask(1)).rejects.toBeInstanceOf(ConflictError);
+    fakeFetch([404]);
+    await expect(client.getTask(1)).rejects.toMatchObject({ code: "not_found" });
+  } finally {
+    window.fetch = originalFetch;
+  }
+});
+
+test("requests that hit an expired session wait for one re-login and are then retried", async () => {
+  const client = new ApiClient("/api");
+  mock = installMockBackend({ baseUrl: "/api" });
+  await client.login("demo", "demo");
+  mock.backend.expireSessions();
+
+  const login = deferred();
+  const handler = jest.fn(() => login.promise);
+  client.setAuthHandler(handler);
+  const pending = Promise.all([client.getTask(1), client.listSubtasks(1)]);
+  await waitFor(() => expect(handler).toHaveBeenCalled());
+
+  await client.login("demo", "demo");
+  login.resolve(true);
+  const [task, subtasks] = await pending;
+  expect(task.id).toBe(1);
+  expect(Array.isArray(subtasks)).toBe(true);
+  expect(handler).toHaveBeenCalledTimes(1);
+
+  // Declining (e.g. someone else logged in) fails the request; auth calls never wait
+  mock.backend.expireSessions();
+  client.setAuthHandler(() => Promise.resolve(false));
+  await expect(client.getTask(1)).rejects.toBeInstanceOf(AuthError);
+  await expect(client.currentUser()).rejects.toBeInstanceOf(AuthError);
+});
+
+test("token mode sends a bearer token and refreshes it once for concurrent requests", async () => {
+  const auth = new TokenAuth(null);
+  const client = new ApiClient("/api", { auth });
+  mock = installMockBackend({ baseUrl: "/api" });
+  const handle = jest.spyOn(mock.backend, "handle");
+  const calls = () => handle.mock.calls.map(([req]) => req);
+  await client.login("demo", "demo");
+  expect(auth.accessToken()).toMatch(/^acc-/);
+  expect((await client.getTask(1)).id).toBe(1);
+  // No cookies: the token alone identifies the user
+  expect(calls().every((req) => !req.withSession)).toBe(true);
+  expect(calls()[1].token).toBe(auth.accessToken());
+
+  mock.backend.expireAccessTokens();
+  const [task, subtasks, me] = await Promise.all([client.getTask(1), client.listSubtasks(1), client.currentUser()]);
+  expect(task.id).toBe(1);
+  expect(Array.isArray(subtasks)).toBe(true);
+  expect(me.user.username).toBe("demo");
+  expect(calls().filter((req) => req.path === "/auth/refresh")).toHaveLength(1);
+
+  // Logout revokes the refresh token and forgets both tokens
+  const { refresh_token: refreshToken } = auth.tokens;
+  await client.logout();
+  expect(auth.accessToken()).toBeNull();
+  expect(mock.backend.handle({ method: "POST", path: "/auth/refresh", body: { refresh_token: refreshToken } }).status).toBe(401);
+  await expect(client.getTask(1)).rejects.toBeInstanceOf(AuthError);
+});
+
+test("bulk operations in token mode run as the signed-in user", async () => {
+  const client = new ApiClient("/api", { auth: new TokenAuth(null) });
+  mock = installMockBackend({ baseUrl: "/api" });
+  const handle = jest.spyOn(mock.backend, "handle");
+  await client.login("demo", "demo");
+  // The browser's cookie session belongs to someone else
+  await new ApiClient("/api").login("alex", "alex");
+
+  const { succeeded, failed } = await client.batchTasks([
+    { id: 1, action: "update", data: { priority: "low" } },
+    { id: 2, action: "complete", data: { completed: true } },
+  ]);
+  expect(handle.mock.calls.map(([req]) => req.path)).toContain("/tasks/bulk");
+  expect(failed).toEqual([]);
+  expect(succeeded).toEqual([1, 2]);
+  expect(mock.backend.db.tasks.find((t) => t.id === 1).priority).toBe("low");
+  expect(mock.backend.db.tasks.find((t) => t.id === 2).completed).toBe(true);
+});
+
+test("task dependencies reject cycles and keep blocked tasks open unless forced", async () => {
+  const client = new ApiClient("/api");
+  mock = installMockBackend({ baseUrl: "/api" });
+  await client.login("demo", "demo");
+
+  await client.updateTask(2, { blocked_by: [1] });
+  await client.updateTask(3, { blocked_by: [2] });
+  const cycle = await client.updateTask(1, { blocked_by: [3] }).catch((e) => e);
+  expect(cycle).toBeInstanceOf(ValidationError);
+  expect(cycle.fields.blocked_by).toBe(
+    'would create a cycle: "Prepare quarterly report" → "Book team offsite venue" → "Fix login redirect bug" → "Prepare quarterly report"'
+  );
+  expect((await client.getDependencies()).map((t) => t.id)).toEqual([1, 2, 3]);
+
+  const blocked = await client.markTaskComplete(2).catch((e) => e);
+  expect(blocked).toBeInstanceOf(ConflictError);
+  expect(blocked.data).toMatchObject({ error: "blocked", blocked_by: [1] });
+  await expect(client.markTaskComplete(2, true, { force: true })).resolves.toMatchObject({ id: 2, completed: true });
+  expect((await client.getTask(2)).force).toBeUndefined();
+});
+
+test("nested subtasks move within the tree and can be promoted to tasks and demoted back", async () => {
+  const client = new ApiClient("/api");
+  mock = installMockBackend({ baseUrl: "/api" });
+  await client.login("demo", "demo");
+
+  // "Check the numbers with finance" (7) is nested under "Draft summary slides" (2)
+  const loop = await client.moveSubtask(1, 2, { parent_id: 7, position: 0 }).catch((e) => e);
+  expect(loop).toBeInstanceOf(ValidationError);
+  expect(loop.fields.parent_id).toBe("cannot be the subtask itself or one nested under it");
+  await expect(client.moveSubtask(1, 3, { parent_id: 2, position: 0 })).resolves.toMatchObject({ parent_id: 2 });
+  const appendix = await client.createSubtask(1, { title: "Appendix", parent_id: 3 });
+
+  const promoted = await client.promoteSubtask(1, 3);
+  expect(promoted).toMatchObject({ title: "Review with manager", parent_task_id: 1, completed: false });
+  expect((await client.listSubtasks(1)).map((s) => s.id)).toEqual([1, 2, 7]);
+  const [moved] = await client.listSubtasks(promoted.id);
+  expect(moved).toMatchObject({ title: "Appendix", parent_id: null });
+  expect(moved.id).not.toBe(appendix.id);
+
+  const demoted = await client.demoteTask(promoted.id, 2);
+  expect(demoted).toMatchObject({ task_id: 2, parent_id: null, title: "Review with manager" });
+  expect((await client.listSubtasks(2)).find((s) => s.title === "Appendix").parent_id).toBe(demoted.id);
+  await expect(client.getTask(promoted.id)).rejects.toMatchObject({ status: 404 });
+});
+
+test("queued changes belong to the user who made them", async () => {
+  const client = new ApiClient("/api");
+  mock = installMockBackend({ baseUrl: "/api" });
+  await client.login("demo", "demo");
+  client.queue.enqueue({ kind: "updateTask", taskId: 1, data: { title: "Not yours" } });
+
+  // Another account signing in on this browser does not see or replay them
+  await client.login("alex", "alex");
+  expect(client.syncStatus().ops).toEqual([]);
+  await client.login("demo", "demo");
+  expect(client.syncStatus().ops).toEqual([]);
+
+  client.queue.enqueue({ kind: "updateTask", taskId: 1, data: { title: "Later" } });
+  await client.logout();
+  expect(client.syncStatus().ops).toEqual([]);
+  expect(Object.keys(window.localStorage).filter((k) => k.startsWith("sto.offlineQueue"))).toEqual([]);
+});
+
+test("without server soft-delete, deleted tasks are restored from the local trash of their user", async () => {
+  const client = new ApiClient("/api");
+  mock = installMockBackend({ baseUrl: "/api" });
+  const handle = mock.backend.handle.bind(mock.backend);
+  jest
+    .spyOn(mock.backend, "handle")
+    .mockImplementation((req) =>
+      /^\/trash|\/restore$/.test(req.path) ? { status: 404, body: { error: "not_found" } } : handle(req)
+    );
+  await client.login("demo", "demo");
+  await client.getTasks();
+
+  await client.deleteTask(1);
+  await client.deleteTask(3);
+  expect((await client.getTrash()).map((t) => [t.id, t.subtask_count])).toEqual([
+    [3, 1],
+    [1, 4],
+  ]);
+
+  const restored = await client.restoreTask(1);
+  expect(restored).toMatchObject({ title: "Prepare quarterly report" });
+  expect(restored.id).not.toBe(1);
+  const subtasks = await client.listSubtasks(restored.id);
+  const parent = subtasks.find((s) => s.title === "Draft summary slides");
+  expect(subtasks.find((s) => s.title === "Check the numbers with finance").parent_id).toBe(parent.id);
+
+  await client.purgeTask(3);
+  expect(await client.getTrash()).toEqual([]);
+  await expect(client.restoreTask(3)).rejects.toMatchObject({ status: 404 });
+
+  await client.deleteTask(2);
+  await client.login("alex", "alex");
+  expect(await client.getTrash()).toEqual([]);
+});
+
+test("tasks deleted through the bulk endpoint can be restored without server soft-delete", async () => {
+  const client = new ApiClient("/api");
+  mock = installMockBackend({ baseUrl: "/api" });
+  const handle = mock.backend.handle.bind(mock.backend);
+  const requests = [];
+  jest.spyOn(mock.backend, "handle").mockImplementation((req) => {
+    requests.push(`${req.method} ${req.path}`);
+    return /^\/trash|\/restore$/.test(req.path) ? { status: 404, body: { error: "not_found" } } : handle(req);
+  });
+  await client.login("demo", "demo");
+  await client.getTasks();
+
+  const { succeeded, failed } = await client.batchTasks([
+    { id: 1, action: "delete" },
+    { id: 999, action: "delete" },
+  ]);
+  expect(requests).toContain("POST /tasks/bulk");
+  expect(succeeded).toEqual([1]);
+  expect(failed.map((f) => f.id)).toEqual([999]);
+  expect((await client.getTrash()).map((t) => [t.id, t.subtask_count])).toEqual([[1, 4]]);
+
+  const restored = await client.restoreTask(1);
+  expect(restored).toMatchObject({ title: "Prepare quarterly report" });
+  expect(await client.listSubtasks(restored.id)).toHaveLength(4);
+});
+
+test("a purge that fails keeps the task in the local trash", async () => {
+  const client = new ApiClient("/api", { retry: { retries: 0 } });
+  mock = installMockBackend({ baseUrl: "/api" });
+  await client.login("demo", "demo");
+  await client.getTasks();
+  await client.deleteTask(3);
+  expect(client.trash.get(3)).not.toBeNull();
+
+  const handle = mock.backend.handle.bind(mock.backend);
+  const spy = jest
+    .spyOn(mock.backend, "handle")
+    .mockImplementation((req) => (req.method === "DELETE" ? { status: 500, body: { error: "server_error" } } : handle(req)));
+  await expect(client.purgeTask(3)).rejects.toBeInstanceOf(ServerError);
+  expect(client.trash.get(3)).not.toBeNull();
+
+  spy.mockRestore();
+  await client.purgeTask(3);
+  expect(client.trash.get(3)).toBeNull();
+  expect(mock.backend.db.tasks.some((t) => t.id === 3)).toBe(false);
+});
+
+test("saved views changed offline are kept locally and sent once the server is back", async () => {
+  const client = new ApiClient("/api", { retry: { retries: 0 } });
+  mock = installMockBackend({ baseUrl: "/api" });
+  await client.login("demo", "demo");
+  const serverFetch = window.fetch;
+  window.fetch = (url, init) =>
+    String(url).endsWith("/views") ? Promise.reject(new TypeError("Failed to fetch")) : serverFetch(url, init);
+  const views = [{ id: "v1", name: "Urgent", filters: { priorities: ["high"] }, pinned: true, is_default: false }];
+  try {
+    expect(await client.saveSavedViews("demo", views)).toEqual(views);
+    expect(await client.getSavedViews("demo")).toEqual(views);
+    expect(mock.backend.db.views).toEqual([]);
+  } finally {
+    window.fetch = serverFetch;
+  }
+
+  window.dispatchEvent(new Event("online"));
+  await waitFor(() => expect(mock.backend.db.views.map((v) => v.name)).toEqual(["Urgent"]));
+  expect(await client.getSavedViews("demo")).toEqual(views);
+
+  // After a reload, views saved offline are sent with the first read
+  const other = new ApiClient("/api");
+  await other.login("demo", "demo");
+  window.localStorage.setItem("sto.savedViews.v1:demo", JSON.stringify([{ ...views[0], name: "Renamed offline" }]));
+  window.localStorage.setItem("sto.savedViews.unsynced.v1:demo", "1");
+  expect((await other.getSavedViews("demo")).map((v) => v.name)).toEqual(["Renamed offline"]);
+  expect(mock.backend.db.views.map((v) => v.name)).toEqual(["Renamed offline"]);
+});
+
+test("a create that timed out is not queued to be sent again", async () => {
+  const client = new ApiClient("/api", { timeout: 20, retry: { retries: 0 } });
+  mock = installMockBackend({
+    baseUrl: "/api",
+    delay: ({ method, path }) => (method === "POST" && /subtasks$|^\/tasks$/.test(path) ? 60 : 0),
+  });
+  await client.login("demo", "demo");
+
+  await expect(client.createTask({ title: "Maybe saved" })).rejects.toBeInstanceOf(TimeoutError);
+  await expect(client.createSubtask(1, { title: "Maybe saved" })).rejects.toBeInstanceOf(TimeoutError);
+  expect(client.syncStatus().ops).toEqual([]);
+
+  // Replayed creates that time out wait for the user instead of being sent once more
+  client.queue.enqueue({ kind: "createTask", tempId: "tmp-1", data: { title: "Queued" }, label: "Create" });
+  await client.flushQueue();
+  expect(client.syncStatus()).toMatchObject({ pending: 0, failed: 1 });
+  expect(client.syncStatus().ops[0].error).toMatch(/may have been saved already/);
+  await new Promise((r) => setTimeout(r, 80));
+});
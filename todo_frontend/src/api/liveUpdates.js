@@ -0,0 +1,196 @@
+//
+// Live updates for the API client
+// - Task/subtask change events pushed by the server over Server-Sent Events (GET /events)
+// - Reconnects with backoff and asks for the events it missed (?since=<last seq>)
+// - Tabs of the same browser share their own changes over a BroadcastChannel
+//
+
+const CHANNEL_NAME = "sto.live.v1";
+const MIN_RETRY_MS = 1000;
+const MAX_RETRY_MS = 30000;
+// Without a single successful connection, give up after this many attempts (no /events support)
+const MAX_FAILED_ATTEMPTS = 3;
+
+/**
+ * Event shape, from the server or another tab:
+ *   { type, seq?, task_id?, task?, subtask_id?, subtask? }
+ * where type is one of task.created, task.updated, task.deleted, subtask.created,
+ * subtask.updated, subtask.deleted, or "reset" (missed events cannot be replayed: reload everything).
+ * The server also sends { type: "hello", last_seq } when a connection opens.
+ *
+ * Status is one of "stopped", "connecting", "live", "reconnecting" or "unavailable".
+ */
+export class LiveUpdates {
+  /**
+   * @param {string|(() => string)} url - Event stream URL, or a function giving it for each connection
+   *   (e.g. with a current access token)
+   * @param {Object} [options]
+   * @param {string} [options.channelName] - BroadcastChannel name shared by tabs
+   * @param {boolean} [options.withCredentials=true] - Send cookies with the stream
+   */
+  constructor(url, { channelName = CHANNEL_NAME, withCredentials = true } = {}) {
+    this.url = url;
+    this.channelName = channelName;
+    this.withCredentials = withCredentials;
+    this.listeners = new Set();
+    this.statusListeners = new Set();
+    this.state = "stopped";
+    this.source = null;
+    this.channel = null;
+    this.lastSeq = null;
+    this.failures = 0;
+    this.connected = false;
+    this.retryTimer = null;
+    this._onOnline = () => {
+      if (this.state === "reconnecting" || this.state === "unavailable") this._reconnectNow();
+    };
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * Subscribe to change events.
+   * @param {(event: Object, source: "server"|"tab") => void} listener
+   * @returns {() => void} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * Subscribe to connection status changes.
+   * @param {(status: string) => void} listener
+   * @returns {() => void} Unsubscribe function
+   */
+  subscribeStatus(listener) {
+    this.statusListeners.add(listener);
+    return () => this.statusListeners.delete(listener);
+  }
+
+  /** @returns {string} Current connection status. */
+  status() {
+    return this.state;
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * Open the event stream and the tab channel. Calling it again while running does nothing.
+   */
+  start() {
+    if (this.state !== "stopped") return;
+    if (typeof BroadcastChannel !== "undefined") {
+      this.channel = new BroadcastChannel(this.channelName);
+      this.channel.onmessage = (e) => this._emit(e.data, "tab");
+    }
+    if (typeof window !== "undefined") window.addEventListener("online", this._onOnline);
+    this.connected = false;
+    this.failures = 0;
+    this._setStatus("connecting");
+    this._connect();
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * Close the event stream and the tab channel (e.g. on logout). Missed events are not replayed
+   * after a restart; callers reload instead.
+   */
+  stop() {
+    clearTimeout(this.retryTimer);
+    if (this.source) this.source.close();
+    this.source = null;
+    if (this.channel) this.channel.close();
+    this.channel = null;
+    if (typeof window !== "undefined") window.removeEventListener("online", this._onOnline);
+    this.lastSeq = null;
+    this._setStatus("stopped");
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * Tell the other tabs of this browser about a change made here.
+   * @param {Object} event
+   */
+  publish(event) {
+    if (!this.channel) return;
+    try {
+      this.channel.postMessage(event);
+    } catch {
+      // Closed channel or an event that cannot be cloned; the other tabs catch up on their next load
+    }
+  }
+
+  _setStatus(status) {
+    if (this.state === status) return;
+    this.state = status;
+    this.statusListeners.forEach((fn) => fn(status));
+  }
+
+  _emit(event, source) {
+    if (!event || typeof event.type !== "string") return;
+    this.listeners.forEach((fn) => fn(event, source));
+  }
+
+  _connect() {
+    if (typeof EventSource === "undefined") {
+      this._setStatus("unavailable");
+      return;
+    }
+    const base = typeof this.url === "function" ? this.url() : this.url;
+    const url =
+      this.lastSeq === null
+        ? base
+        : `${base}${base.includes("?") ? "&" : "?"}since=${encodeURIComponent(this.lastSeq)}`;
+    const source = new EventSource(url, { withCredentials: this.withCredentials });
+    this.source = source;
+    source.onopen = () => {
+      this.connected = true;
+      this.failures = 0;
+      this._setStatus("live");
+    };
+    source.onmessage = (e) => this._receive(e);
+    source.onerror = () => {
+      // Reconnect ourselves (with ?since) rather than rely on the browser's retry
+      source.close();
+      if (this.source !== source) return;
+      this.source = null;
+      this.failures += 1;
+      if (!this.connected && this.failures >= MAX_FAILED_ATTEMPTS) {
+        this._setStatus("unavailable");
+        return;
+      }
+      this._setStatus("reconnecting");
+      const delay = Math.min(MAX_RETRY_MS, MIN_RETRY_MS * 2 ** (this.failures - 1));
+      this.retryTimer = setTimeout(() => this._connect(), delay * (0.5 + Math.random() / 2));
+    };
+  }
+
+  _reconnectNow() {
+    clearTimeout(this.retryTimer);
+    if (this.source) this.source.close();
+    this.source = null;
+    this.failures = 0;
+    this._setStatus("reconnecting");
+    this._connect();
+  }
+
+  _receive(e) {
+    let event;
+    try {
+      event = JSON.parse(e.data);
+    } catch {
+      return;
+    }
+    if (!event) return;
+    if (event.type === "hello") {
+      // Replayed events come before the greeting; it only sets where a fresh stream starts
+      if (this.lastSeq === null && event.last_seq !== undefined) this.lastSeq = event.last_seq;
+      return;
+    }
+    if (event.seq !== undefined && event.seq !== null) {
+      if (this.lastSeq !== null && event.seq <= this.lastSeq) return;
+      this.lastSeq = event.seq;
+    }
+    this._emit(event, "server");
+  }
+}
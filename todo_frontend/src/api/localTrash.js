@@ -0,0 +1,128 @@
+//
+// Local trash for backends without soft-delete
+// - Keeps a snapshot of each deleted task (and its subtasks) in localStorage, per user
+// - Restoring recreates the task from the snapshot
+//
+
+// Stored per user as `${STORAGE_KEY}.<user id>`
+const STORAGE_KEY = "sto.trash.v1";
+
+function defaultStorage() {
+  try {
+    return typeof window !== "undefined" ? window.localStorage : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Snapshots of deleted tasks, newest first.
+ *
+ * Each entry has the shape:
+ *   { id, task, subtasks, deleted_at }
+ * where `id` is the ID the task had before it was deleted. Nothing is stored until the
+ * signed-in user is known (see setScope).
+ */
+export class LocalTrash {
+  /**
+   * @param {Storage|null} [storage] - Defaults to window.localStorage when available
+   */
+  constructor(storage = defaultStorage()) {
+    this.storage = storage;
+    this.scope = null;
+    this.entries = [];
+  }
+
+  _key() {
+    return this.scope === null ? null : `${STORAGE_KEY}.${this.scope}`;
+  }
+
+  _load() {
+    if (!this.storage || !this._key()) return [];
+    try {
+      const raw = this.storage.getItem(this._key());
+      return raw ? JSON.parse(raw) : [];
+    } catch {
+      return [];
+    }
+  }
+
+  _save() {
+    if (!this.storage || !this._key()) return;
+    try {
+      this.storage.setItem(this._key(), JSON.stringify(this.entries));
+    } catch {
+      // Storage full or unavailable; keep working from memory.
+    }
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * Switch to the snapshots of a user.
+   * @param {string|number|null} userId - null while nobody is signed in (kept in memory only)
+   */
+  setScope(userId) {
+    const scope = userId === null || userId === undefined ? null : String(userId);
+    if (scope === this.scope) return;
+    this.scope = scope;
+    this.entries = this._load();
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * Store a snapshot of a task that is being deleted.
+   * @param {Object} task
+   * @param {any[]} [subtasks]
+   */
+  add(task, subtasks = []) {
+    const copy = { ...task };
+    delete copy.pending;
+    this.entries = [
+      { id: task.id, task: copy, subtasks, deleted_at: new Date().toISOString() },
+      ...this.entries.filter((e) => e.id !== task.id),
+    ];
+    this._save();
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * @param {string|number} id
+   * @returns {{id: any, task: Object, subtasks: any[], deleted_at: string}|null}
+   */
+  get(id) {
+    return this.entries.find((e) => String(e.id) === String(id)) || null;
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * Trashed tasks in the shape of GET /trash items.
+   * @returns {any[]}
+   */
+  list() {
+    return this.entries.map((e) => ({ ...e.task, id: e.id, deleted_at: e.deleted_at, subtask_count: e.subtasks.length }));
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * Forget a snapshot.
+   * @param {string|number} id
+   */
+  remove(id) {
+    this.entries = this.entries.filter((e) => String(e.id) !== String(id));
+    this._save();
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * Forget all snapshots of the current user (e.g. once the server is known to keep its own
+   * trash, or on logout).
+   */
+  clear() {
+    this.entries = [];
+    try {
+      if (this.storage && this._key()) this.storage.removeItem(this._key());
+    } catch {
+      // Storage unavailable
+    }
+  }
+}
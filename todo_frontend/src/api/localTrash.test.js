@@ -0,0 +1,39 @@
+import { LocalTrash } from "./localTrash";
+
+beforeEach(() => {
+  window.localStorage.clear();
+});
+
+function trashFor(userId) {
+  const trash = new LocalTrash(window.localStorage);
+  trash.setScope(userId);
+  return trash;
+}
+
+test("keeps snapshots newest first, in the shape of GET /trash items", () => {
+  const trash = trashFor(1);
+  trash.add({ id: 1, title: "Old", pending: true }, [{ id: 7, title: "Step" }]);
+  trash.add({ id: 2, title: "New" });
+  // Deleting the same task again replaces its snapshot
+  trash.add({ id: 1, title: "Old again" });
+
+  expect(trash.list().map((t) => [t.id, t.title, t.subtask_count])).toEqual([
+    [1, "Old again", 0],
+    [2, "New", 0],
+  ]);
+  expect(trash.get("2").task).toEqual({ id: 2, title: "New" });
+  trash.remove(2);
+  expect(trash.get(2)).toBeNull();
+});
+
+test("snapshots survive a reload and are only offered to the user who deleted them", () => {
+  trashFor(1).add({ id: 1, title: "Mine" });
+
+  expect(trashFor(1).list().map((t) => t.title)).toEqual(["Mine"]);
+  expect(trashFor(2).list()).toEqual([]);
+  expect(new LocalTrash(window.localStorage).list()).toEqual([]);
+
+  const trash = trashFor(1);
+  trash.clear();
+  expect(trashFor(1).list()).toEqual([]);
+});
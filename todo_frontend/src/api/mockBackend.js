@@ -0,0 +1,1193 @@
+//
+// In-browser mock backend
+// - Implements the /auth and /tasks contract used by ApiClient via a fetch interceptor
+// - Cookie-like sessions and bearer tokens (with refresh), 401/404/400 error shapes and seeded demo data
+// - Sign-up, password reset (links are "mailed" to an outbox) and account settings
+// - Live change events for GET /events through a stand-in EventSource
+// - Task dependencies (`blocked_by`): cycles are rejected, and completing a blocked task needs `force`
+// - Nested subtasks (`parent_id`, `position`); subtasks can be promoted to tasks and tasks demoted to subtasks
+// - Enabled with REACT_APP_MOCK_API=true (see src/index.js) and used by the tests
+//
+
+import { queryTasks } from "./taskQuery";
+import { collectTags, defaultTagColor, normalizeTag, normalizeTags } from "../utils/tags";
+import { validateEmail, validatePassword, validateUsername } from "../utils/accountForms";
+import { findCycle, indexTasks, linkedTasks, openBlockers } from "../utils/dependencies";
+import { appendPosition, subtreeIds } from "../utils/subtaskTree";
+
+const DB_KEY = "sto.mockBackend.db.v1";
+const SESSION_KEY = "sto.mockBackend.session";
+const TOKENS_KEY = "sto.mockBackend.tokens";
+// Access token lifetime in seconds
+const ACCESS_TOKEN_TTL = 900;
+// How long a password reset link works
+const RESET_TOKEN_TTL_MS = 60 * 60 * 1000;
+// Change events kept for catching up reconnecting clients
+const MAX_EVENTS = 200;
+
+/**
+ * Seed users. Passwords are stored in clear text; this is demo data only.
+ */
+const SEED_USERS = [
+  { id: 1, username: "demo", password: "demo", name: "Demo User", email: "demo@example.com" },
+  { id: 2, username: "alex", password: "alex", name: "Alex Kim", email: "alex@example.com" },
+];
+
+function isoDay(offsetDays, now = new Date()) {
+  const d = new Date(now);
+  d.setDate(d.getDate() + offsetDays);
+  const mm = String(d.getMonth() + 1).padStart(2, "0");
+  const dd = String(d.getDate()).padStart(2, "0");
+  return `${d.getFullYear()}-${mm}-${dd}`;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Build the initial mock database with demo users, tasks and subtasks.
+ * Due dates are relative to `now` so filters like "due within 3 days" have matches.
+ * @param {Date} [now]
+ * @returns {{users: any[], tasks: any[], subtasks: any[], nextId: number}}
+ */
+export function createSeedData(now = new Date()) {
+  const created = now.toISOString();
+  const task = (id, userId, title, priority, dueOffset, eta, extra = {}) => ({
+    id,
+    user_id: userId,
+    title,
+    description: "",
+    priority,
+    status: "todo",
+    tags: [],
+    due_date: dueOffset === null ? null : isoDay(dueOffset, now),
+    eta,
+    completed: false,
+    created_at: created,
+    updated_at: created,
+    ...extra,
+  });
+  const subtask = (id, taskId, title, completed = false, parentId = null) => ({
+    id,
+    task_id: taskId,
+    parent_id: parentId,
+    position: id,
+    title,
+    completed,
+  });
+  return {
+    users: SEED_USERS.map((u) => ({ ...u })),
+    tasks: [
+      task(1, 1, "Prepare quarterly report", "high", 2, 4, {
+        description: "Collect numbers from finance and draft the summary slides.",
+        tags: ["finance", "reporting"],
+      }),
+      task(2, 1, "Fix login redirect bug", "critical", 0, 1.5, { status: "in_progress", tags: ["bug"] }),
+      task(3, 1, "Book team offsite venue", "medium", 10, 1),
+      task(4, 1, "Renew domain names", "low", -1, 0.5),
+      task(5, 1, "Read architecture RFC", "medium", null, 2),
+      task(6, 1, "Update onboarding docs", "low", 5, 3, { completed: true }),
+      task(8, 1, "Send weekly status report", "medium", 1, 1, {
+        recurrence: "FREQ=WEEKLY;BYDAY=FR",
+        occurrence: 1,
+        tags: ["reporting"],
+      }),
+      task(7, 2, "Plan sprint demo", "high", 3, 2),
+    ],
+    subtasks: [
+      subtask(1, 1, "Export revenue figures", true),
+      subtask(2, 1, "Draft summary slides"),
+      subtask(3, 1, "Review with manager"),
+      subtask(7, 1, "Check the numbers with finance", false, 2),
+      subtask(4, 2, "Reproduce on staging"),
+      subtask(5, 2, "Write regression test"),
+      subtask(6, 3, "Collect date preferences"),
+    ],
+    tags: [{ user_id: 1, name: "bug", color: "#ff6767" }],
+    views: [],
+    nextId: 100,
+  };
+}
+
+class HttpError extends Error {
+  constructor(status, error, message, fields) {
+    super(message);
+    this.status = status;
+    this.body = fields ? { error, message, fields } : { error, message };
+  }
+}
+
+// Problems by field, as a 400 with `fields`
+function checkFields(checks) {
+  const fields = Object.fromEntries(Object.entries(checks).filter(([, problem]) => problem));
+  if (Object.keys(fields).length) throw new HttpError(400, "validation_error", "Some fields are invalid", fields);
+}
+
+const notFound = (what) => new HttpError(404, "not_found", `${what} not found`);
+
+function pickTaskFields(body = {}) {
+  const allowed = [
+    "title",
+    "description",
+    "priority",
+    "due_date",
+    "eta",
+    "completed",
+    "status",
+    "tags",
+    "recurrence",
+    "occurrence",
+    "recurrence_parent_id",
+    "ical_uid",
+    "blocked_by",
+  ];
+  const data = Object.fromEntries(Object.entries(body).filter(([k]) => allowed.includes(k)));
+  if ("tags" in data) data.tags = normalizeTags(data.tags);
+  if ("blocked_by" in data) {
+    checkFields({ blocked_by: Array.isArray(data.blocked_by) ? null : "must be a list of task IDs" });
+    data.blocked_by = [...new Set(data.blocked_by.map(Number))];
+  }
+  return data;
+}
+
+function validateTask(data, partial) {
+  if (!partial || "title" in data) {
+    if (!data.title || !String(data.title).trim()) {
+      throw new HttpError(400, "validation_error", "Title is required");
+    }
+  }
+  if (data.priority !== undefined && !["low", "medium", "high", "critical"].includes(data.priority)) {
+    throw new HttpError(400, "validation_error", "Priority must be one of low, medium, high, critical");
+  }
+  if (data.status !== undefined && !["todo", "in_progress", "blocked"].includes(data.status)) {
+    throw new HttpError(400, "validation_error", "Status must be one of todo, in_progress, blocked");
+  }
+  if (data.eta !== undefined && data.eta !== null && (isNaN(Number(data.eta)) || Number(data.eta) < 0)) {
+    throw new HttpError(400, "validation_error", "ETA must be a non-negative number");
+  }
+}
+
+/**
+ * The fake server. Holds the database and answers requests with { status, body }.
+ */
+export class MockBackend {
+  /**
+   * @param {Object} [options]
+   * @param {Storage|null} [options.storage] - Where to persist data and session (null keeps them in memory)
+   * @param {() => any} [options.seed] - Factory for the initial database
+   * @param {(mail: {to: string, subject: string, text: string}) => void} [options.onMail] - Called for
+   *   each email sent (also kept in `outbox`)
+   */
+  constructor({ storage = null, seed = createSeedData, onMail = null } = {}) {
+    this.storage = storage;
+    this.seed = seed;
+    this.db = this._read(DB_KEY) || seed();
+    this.sessions = {};
+    this.session = this._read(SESSION_KEY);
+    if (this.session) this.sessions[this.session.id] = this.session.userId;
+    // Bearer tokens: access token -> { userId, expires_at }, refresh token -> userId
+    this.tokens = this._read(TOKENS_KEY) || { access: {}, refresh: {} };
+    // Password reset token -> { userId, expires_at }
+    this.resetTokens = {};
+    this.outbox = [];
+    this.onMail = onMail;
+    this.routes = [];
+    this.events = [];
+    this.eventSeq = 0;
+    this.subscribers = new Set();
+    this._registerRoutes();
+  }
+
+  _read(key) {
+    if (!this.storage) return null;
+    try {
+      const raw = this.storage.getItem(key);
+      return raw ? JSON.parse(raw) : null;
+    } catch {
+      return null;
+    }
+  }
+
+  _write(key, value) {
+    if (!this.storage) return;
+    try {
+      if (value === null) this.storage.removeItem(key);
+      else this.storage.setItem(key, JSON.stringify(value));
+    } catch {
+      // ignore persistence failures
+    }
+  }
+
+  _persist() {
+    this._write(DB_KEY, this.db);
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * Restore the seeded database and drop all sessions.
+   */
+  reset() {
+    this.db = this.seed();
+    this.sessions = {};
+    this.session = null;
+    this.tokens = { access: {}, refresh: {} };
+    this._persist();
+    this._write(SESSION_KEY, null);
+    this._write(TOKENS_KEY, null);
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * End all sessions as if they had expired; the next request gets a 401.
+   */
+  expireSessions() {
+    this.sessions = {};
+    this.session = null;
+    this.tokens = { access: {}, refresh: {} };
+    this._write(SESSION_KEY, null);
+    this._write(TOKENS_KEY, null);
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * Expire all access tokens; refresh tokens keep working.
+   */
+  expireAccessTokens() {
+    this.tokens.access = {};
+    this._write(TOKENS_KEY, this.tokens);
+  }
+
+  _startSession(user) {
+    const id = `sess-${Math.random().toString(36).slice(2)}`;
+    this.sessions[id] = user.id;
+    this.session = { id, userId: user.id };
+    this._write(SESSION_KEY, this.session);
+    // Cookie clients ignore the tokens
+    return { user: publicUser(user), ...this._issueTokens(user.id) };
+  }
+
+  _sendMail(mail) {
+    this.outbox.push(mail);
+    if (this.onMail) this.onMail(mail);
+  }
+
+  _emailTaken(email, exceptId) {
+    const normalized = String(email).trim().toLowerCase();
+    return this.db.users.some((u) => u.id !== exceptId && String(u.email || "").toLowerCase() === normalized);
+  }
+
+  _issueTokens(userId) {
+    const random = () => Math.random().toString(36).slice(2);
+    const access = `acc-${random()}${random()}`;
+    const refresh = `ref-${random()}${random()}`;
+    this.tokens.access[access] = { userId, expires_at: Date.now() + ACCESS_TOKEN_TTL * 1000 };
+    this.tokens.refresh[refresh] = userId;
+    this._write(TOKENS_KEY, this.tokens);
+    return { access_token: access, refresh_token: refresh, token_type: "Bearer", expires_in: ACCESS_TOKEN_TTL };
+  }
+
+  _nextId() {
+    const id = this.db.nextId;
+    this.db.nextId += 1;
+    return id;
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * Register a route handler.
+   * @param {string} method - HTTP method
+   * @param {string} pattern - Path pattern, e.g. "/tasks/:id"
+   * @param {(ctx: {params: Record<string,string>, query: URLSearchParams, body: any, user: any}) => any} handler
+   * @param {{auth?: boolean, status?: number}} [options] - auth defaults to true (401 without a session); status is the success code
+   */
+  route(method, pattern, handler, { auth = true, status = 200 } = {}) {
+    const keys = [];
+    const regex = new RegExp(
+      `^${pattern.replace(/:(\w+)/g, (_, key) => {
+        keys.push(key);
+        return "([^/]+)";
+      })}/?$`
+    );
+    this.routes.push({ method, regex, keys, handler, auth, status });
+  }
+
+  _registerRoutes() {
+    // Auth
+    this.route(
+      "POST",
+      "/auth/login",
+      ({ body }) => {
+        const user = this.db.users.find((u) => u.username === body?.username);
+        if (!user || user.password !== body?.password) {
+          throw new HttpError(401, "invalid_credentials", "Invalid username or password");
+        }
+        return this._startSession(user);
+      },
+      { auth: false }
+    );
+    this.route(
+      "POST",
+      "/auth/register",
+      ({ body = {} }) => {
+        checkFields({
+          username: validateUsername(body.username),
+          email: validateEmail(body.email),
+          password: validatePassword(body.password),
+        });
+        const username = String(body.username).trim();
+        if (this.db.users.some((u) => u.username.toLowerCase() === username.toLowerCase())) {
+          throw new HttpError(409, "conflict", "That username is taken", { username: "is already taken" });
+        }
+        if (this._emailTaken(body.email)) {
+          throw new HttpError(409, "conflict", "That email is already registered", { email: "is already registered" });
+        }
+        const user = {
+          id: this._nextId(),
+          username,
+          password: body.password,
+          name: String(body.name || "").trim() || username,
+          email: String(body.email).trim(),
+        };
+        this.db.users.push(user);
+        // Registering signs the new user in
+        return this._startSession(user);
+      },
+      { auth: false, status: 201 }
+    );
+    this.route(
+      "POST",
+      "/auth/password/forgot",
+      ({ body = {} }) => {
+        checkFields({ email: validateEmail(body.email) });
+        const email = String(body.email).trim().toLowerCase();
+        const user = this.db.users.find((u) => String(u.email || "").toLowerCase() === email);
+        // Same answer either way, so the form does not reveal who has an account
+        if (user) {
+          const token = `reset-${Math.random().toString(36).slice(2)}${Math.random().toString(36).slice(2)}`;
+          this.resetTokens[token] = { userId: user.id, expires_at: Date.now() + RESET_TOKEN_TTL_MS };
+          this._sendMail({
+            to: user.email,
+            subject: "Reset your password",
+            text: `Open /reset-password?token=${token} within an hour to choose a new password.`,
+            token,
+          });
+        }
+        return { success: true };
+      },
+      { auth: false }
+    );
+    this.route(
+      "POST",
+      "/auth/password/reset",
+      ({ body = {} }) => {
+        const entry = this.resetTokens[body.token];
+        if (!entry || entry.expires_at <= Date.now()) {
+          throw new HttpError(400, "invalid_token", "This reset link is invalid or has expired");
+        }
+        checkFields({ password: validatePassword(body.password) });
+        const user = this.db.users.find((u) => u.id === entry.userId);
+        user.password = body.password;
+        delete this.resetTokens[body.token];
+        return { success: true };
+      },
+      { auth: false }
+    );
+    this.route(
+      "POST",
+      "/auth/refresh",
+      ({ body }) => {
+        const userId = this.tokens.refresh[body?.refresh_token];
+        if (userId === undefined) throw new HttpError(401, "invalid_token", "Refresh token is invalid or revoked");
+        // Refresh tokens are single-use: each refresh rotates it
+        delete this.tokens.refresh[body.refresh_token];
+        return this._issueTokens(userId);
+      },
+      { auth: false }
+    );
+    this.route(
+      "POST",
+      "/auth/logout",
+      ({ body, token }) => {
+        if (token || body?.refresh_token) {
+          delete this.tokens.access[token];
+          delete this.tokens.refresh[body?.refresh_token];
+          this._write(TOKENS_KEY, this.tokens);
+          return { success: true };
+        }
+        if (this.session) delete this.sessions[this.session.id];
+        this.session = null;
+        this._write(SESSION_KEY, null);
+        return { success: true };
+      },
+      { auth: false }
+    );
+    this.route("GET", "/auth/me", ({ user }) => ({ user: publicUser(user) }));
+
+    // Account settings
+    this.route("PATCH", "/account", ({ user, body = {} }) => {
+      const changes = {};
+      if ("name" in body) changes.name = String(body.name || "").trim() || user.username;
+      if ("email" in body) {
+        checkFields({ email: validateEmail(body.email) });
+        if (this._emailTaken(body.email, user.id)) {
+          throw new HttpError(409, "conflict", "That email is already registered", { email: "is already registered" });
+        }
+        changes.email = String(body.email).trim();
+      }
+      Object.assign(user, changes);
+      return { user: publicUser(user) };
+    });
+    this.route("POST", "/account/password", ({ user, body = {} }) => {
+      checkFields({
+        current_password: body.current_password === user.password ? null : "is incorrect",
+        new_password: validatePassword(body.new_password),
+      });
+      user.password = body.new_password;
+      return { success: true };
+    });
+
+    // Tasks
+    this.route("GET", "/tasks", ({ user, query }) => {
+      const priority = query
+        .getAll("priority")
+        .flatMap((p) => p.split(","))
+        .filter(Boolean);
+      const tasks = queryTasks(this._tasksOf(user), {
+        search: query.get("search") || undefined,
+        sort: query.get("sort") || undefined,
+        priority,
+        due_within_days: query.get("due_within_days") ?? undefined,
+        tags: query.getAll("tags"),
+        tag_match: query.get("tag_match") || undefined,
+      });
+      // Paginated when a limit is given; the cursor is the offset of the next page and
+      // `total` counts every match
+      if (!query.has("limit")) return tasks;
+      const limit = Math.min(Math.max(Number(query.get("limit")) || 50, 1), 500);
+      const start = Number(query.get("cursor")) || 0;
+      const end = start + limit;
+      return { items: tasks.slice(start, end), next_cursor: end < tasks.length ? String(end) : null, total: tasks.length };
+    });
+    this.route("POST", "/tasks", ({ user, body }) => {
+      const data = pickTaskFields(body);
+      validateTask(data, false);
+      const id = this._nextId();
+      if (data.blocked_by) this._checkBlockers(user, id, data.blocked_by);
+      const now = new Date().toISOString();
+      const task = {
+        description: "",
+        priority: "medium",
+        status: "todo",
+        tags: [],
+        due_date: null,
+        eta: null,
+        completed: false,
+        blocked_by: [],
+        ...data,
+        id,
+        user_id: user.id,
+        created_at: now,
+        updated_at: now,
+      };
+      this.db.tasks.push(task);
+      return task;
+    }, { status: 201 });
+    // Registered before "/tasks/:id" routes; results are per operation, in order
+    // Each operation runs as its own request, with the caller's session or token
+    this.route("POST", "/tasks/bulk", ({ body, token, withSession }) => {
+      const operations = Array.isArray(body?.operations) ? body.operations : [];
+      if (!operations.length) throw new HttpError(400, "validation_error", "operations are required");
+      const requests = {
+        update: (path, data) => ({ method: "PATCH", path, body: data }),
+        delete: (path) => ({ method: "DELETE", path }),
+        complete: (path, data) => ({ method: "POST", path: `${path}/complete`, body: data }),
+      };
+      return {
+        results: operations.map((op) => {
+          const request = requests[op?.action];
+          if (!request) return { id: op?.id, ok: false, status: 400, error: "validation_error", message: "Unknown action" };
+          const res = this.handle({ ...request(`/tasks/${encodeURIComponent(op.id)}`, op.data), token, withSession });
+          if (res.status >= 300) return { id: op.id, ok: false, status: res.status, ...res.body };
+          return op.action === "delete" ? { id: op.id, ok: true } : { id: op.id, ok: true, task: res.body };
+        }),
+      };
+    });
+    this.route("GET", "/tasks/:id", ({ user, params }) => this._task(user, params.id));
+    this.route("PATCH", "/tasks/:id", ({ user, params, body }) => {
+      const task = this._task(user, params.id);
+      const data = pickTaskFields(body);
+      validateTask(data, true);
+      if (data.blocked_by) this._checkBlockers(user, task.id, data.blocked_by);
+      if (data.completed && !task.completed && !body.force) this._checkUnblocked(user, { ...task, ...data });
+      Object.assign(task, data, { updated_at: new Date().toISOString() });
+      return task;
+    });
+    // Deleting moves a task (with its subtasks) to the trash
+    this.route("DELETE", "/tasks/:id", ({ user, params }) => {
+      const task = this._task(user, params.id);
+      task.deleted_at = new Date().toISOString();
+      return { success: true };
+    });
+    this.route("POST", "/tasks/:id/restore", ({ user, params }) => {
+      const task = this._trashed(user, params.id);
+      delete task.deleted_at;
+      task.updated_at = new Date().toISOString();
+      return task;
+    });
+    this.route("POST", "/tasks/:id/complete", ({ user, params, body }) => {
+      const task = this._task(user, params.id);
+      const completed = body?.completed !== false;
+      if (completed && !task.completed && !body?.force) this._checkUnblocked(user, task);
+      task.completed = completed;
+      task.updated_at = new Date().toISOString();
+      return task;
+    });
+
+    // Dependencies: every task that blocks or is blocked by another
+    this.route("GET", "/dependencies", ({ user }) => linkedTasks(this._tasksOf(user)));
+
+    // Trash
+    this.route("GET", "/trash", ({ user }) =>
+      this.db.tasks
+        .filter((t) => t.user_id === user.id && t.deleted_at)
+        .sort((a, b) => b.deleted_at.localeCompare(a.deleted_at))
+        .map((t) => ({ ...t, subtask_count: this.db.subtasks.filter((s) => s.task_id === t.id && !s.deleted_at).length }))
+    );
+    this.route("DELETE", "/trash/:id", ({ user, params }) => {
+      const task = this._trashed(user, params.id);
+      this.db.tasks = this.db.tasks.filter((t) => t !== task);
+      this.db.subtasks = this.db.subtasks.filter((s) => s.task_id !== task.id);
+      // Gone for good: nothing waits for it anymore
+      this._tasksOf(user)
+        .filter((t) => (t.blocked_by || []).includes(task.id))
+        .forEach((t) => {
+          t.blocked_by = t.blocked_by.filter((id) => id !== task.id);
+        });
+      return { success: true };
+    });
+
+    // Tags
+    this.route("GET", "/tags", ({ user }) => {
+      const colors = this._tagColors(user);
+      return collectTags(this._tasksOf(user)).map((t) => ({ ...t, color: colors[t.name] || defaultTagColor(t.name) }));
+    });
+    this.route("PATCH", "/tags/:name", ({ user, params, body }) => {
+      const name = normalizeTag(params.name);
+      const target = body?.name ? normalizeTag(body.name) : name;
+      if (!target) throw new HttpError(400, "validation_error", "Tag name is required");
+      const updated = this._retag(user, [name], target);
+      if (body?.color) this._setTagColor(user, target, body.color);
+      return { updated };
+    });
+    this.route("POST", "/tags/merge", ({ user, body }) => {
+      const target = normalizeTag(body?.target);
+      const sources = normalizeTags(body?.sources);
+      if (!target || !sources.length) throw new HttpError(400, "validation_error", "Sources and target are required");
+      return { updated: this._retag(user, sources, target) };
+    });
+    this.route("DELETE", "/tags/:name", ({ user, params }) => ({
+      updated: this._retag(user, [normalizeTag(params.name)], null),
+    }));
+
+    // Saved views: the whole ordered list is replaced on every change
+    this.route("GET", "/views", ({ user }) =>
+      (this.db.views || [])
+        .filter((v) => v.user_id === user.id)
+        .map((v) => {
+          const view = { ...v };
+          delete view.user_id;
+          return view;
+        })
+    );
+    this.route("PUT", "/views", ({ user, body }) => {
+      const views = body?.views;
+      if (!Array.isArray(views) || views.some((v) => !v || !v.id || !String(v.name || "").trim())) {
+        throw new HttpError(400, "validation_error", "Every view needs an id and a name");
+      }
+      const defaultId = views.find((v) => v.is_default)?.id;
+      const stored = views.map((v) => ({
+        id: String(v.id),
+        name: String(v.name).trim(),
+        filters: v.filters || {},
+        pinned: !!v.pinned,
+        is_default: v.id === defaultId,
+      }));
+      this.db.views = [...(this.db.views || []).filter((v) => v.user_id !== user.id), ...stored.map((v) => ({ ...v, user_id: user.id }))];
+      return stored;
+    });
+
+    // Subtasks
+    this.route("GET", "/tasks/:id/subtasks", ({ user, params }) => {
+      const task = this._task(user, params.id);
+      return this.db.subtasks.filter((s) => s.task_id === task.id && !s.deleted_at);
+    });
+    this.route("POST", "/tasks/:id/subtasks", ({ user, params, body }) => {
+      const task = this._task(user, params.id);
+      if (!body?.title || !String(body.title).trim()) {
+        throw new HttpError(400, "validation_error", "Title is required");
+      }
+      const parentId = this._checkSubtaskParent(task, null, body.parent_id ?? null);
+      const subtask = {
+        id: this._nextId(),
+        task_id: task.id,
+        parent_id: parentId,
+        position: Number.isFinite(body.position) ? body.position : this._nextPosition(task.id, parentId),
+        title: body.title,
+        completed: !!body.completed,
+      };
+      this.db.subtasks.push(subtask);
+      return subtask;
+    }, { status: 201 });
+    this.route("GET", "/tasks/:id/subtasks/:sid", ({ user, params }) => this._subtask(user, params));
+    this.route("PATCH", "/tasks/:id/subtasks/:sid", ({ user, params, body }) => {
+      const subtask = this._subtask(user, params);
+      if ("title" in (body || {})) {
+        if (!String(body.title || "").trim()) throw new HttpError(400, "validation_error", "Title is required");
+        subtask.title = body.title;
+      }
+      if ("completed" in (body || {})) subtask.completed = !!body.completed;
+      if ("parent_id" in (body || {})) {
+        const parentId = this._checkSubtaskParent(this._task(user, params.id), subtask, body.parent_id ?? null);
+        subtask.parent_id = parentId;
+        if (!("position" in body)) subtask.position = this._nextPosition(subtask.task_id, parentId);
+      }
+      if ("position" in (body || {})) {
+        checkFields({ position: Number.isFinite(body.position) ? null : "must be a number" });
+        subtask.position = body.position;
+      }
+      return subtask;
+    });
+    // Nested subtasks go with their parent (and come back with it)
+    this.route("DELETE", "/tasks/:id/subtasks/:sid", ({ user, params }) => {
+      const subtask = this._subtask(user, params);
+      const deletedAt = new Date().toISOString();
+      const live = this.db.subtasks.filter((s) => s.task_id === subtask.task_id && !s.deleted_at);
+      subtreeIds(live, subtask.id).forEach((id) => {
+        live.find((s) => s.id === id).deleted_at = deletedAt;
+      });
+      return { success: true };
+    });
+    this.route("POST", "/tasks/:id/subtasks/:sid/restore", ({ user, params }) => {
+      const task = this._task(user, params.id);
+      const subtask = this.db.subtasks.find(
+        (s) => s.task_id === task.id && String(s.id) === String(params.sid) && s.deleted_at
+      );
+      if (!subtask) throw notFound("Subtask");
+      const deleted = this.db.subtasks.filter((s) => s.task_id === task.id && s.deleted_at === subtask.deleted_at);
+      subtreeIds(deleted, subtask.id).forEach((id) => {
+        delete deleted.find((s) => s.id === id).deleted_at;
+      });
+      // A parent deleted on its own since then leaves the subtask at the top level
+      if (!this.db.subtasks.some((s) => s.id === subtask.parent_id && !s.deleted_at)) subtask.parent_id = null;
+      return subtask;
+    });
+    this.route("POST", "/tasks/:id/subtasks/:sid/complete", ({ user, params, body }) => {
+      const subtask = this._subtask(user, params);
+      subtask.completed = body?.completed !== false;
+      return subtask;
+    });
+
+    // Promote: the subtask becomes a task linked to its former one (`parent_task_id`); its
+    // nested subtasks become the new task's subtasks
+    this.route("POST", "/tasks/:id/subtasks/:sid/promote", ({ user, params }) => {
+      const from = this._task(user, params.id);
+      const subtask = this._subtask(user, params);
+      const now = new Date().toISOString();
+      const task = {
+        description: "",
+        priority: from.priority || "medium",
+        status: "todo",
+        tags: [],
+        due_date: null,
+        eta: null,
+        blocked_by: [],
+        title: subtask.title,
+        completed: !!subtask.completed,
+        parent_task_id: from.id,
+        id: this._nextId(),
+        user_id: user.id,
+        created_at: now,
+        updated_at: now,
+      };
+      this.db.tasks.push(task);
+      this._moveSubtree(subtask, task.id, null, { keepRoot: false });
+      return task;
+    }, { status: 201 });
+
+    // Demote: the task becomes a subtask of another task (under `parent_id` when given), with its
+    // subtasks nested under it. The task itself is removed.
+    this.route("POST", "/tasks/:id/demote", ({ user, params, body = {} }) => {
+      const task = this._task(user, params.id);
+      const target = this._tasksOf(user).find((t) => String(t.id) === String(body.task_id));
+      checkFields({ task_id: !target ? "must be another task" : target.id === task.id ? "cannot be the task itself" : null });
+      const parentId = this._checkSubtaskParent(target, null, body.parent_id ?? null);
+      const subtask = {
+        id: this._nextId(),
+        task_id: target.id,
+        parent_id: parentId,
+        position: this._nextPosition(target.id, parentId),
+        title: task.title,
+        completed: !!task.completed,
+      };
+      this.db.subtasks.push(subtask);
+      this.db.subtasks
+        .filter((s) => s.task_id === task.id && !s.deleted_at && !s.parent_id)
+        .sort((a, b) => a.position - b.position)
+        .forEach((s) => this._moveSubtree(s, target.id, subtask.id));
+      this.db.tasks = this.db.tasks.filter((t) => t !== task);
+      this.db.subtasks = this.db.subtasks.filter((s) => s.task_id !== task.id);
+      this._tasksOf(user).forEach((t) => {
+        if ((t.blocked_by || []).includes(task.id)) t.blocked_by = t.blocked_by.filter((id) => id !== task.id);
+      });
+      return subtask;
+    }, { status: 201 });
+  }
+
+  /**
+   * A subtask's parent must be a live subtask of the same task, and not the subtask or one nested under it.
+   * Returns the parent's ID (null for the top level).
+   */
+  _checkSubtaskParent(task, subtask, parentId) {
+    if (parentId === null) return null;
+    const live = this.db.subtasks.filter((s) => s.task_id === task.id && !s.deleted_at);
+    const parent = live.find((s) => String(s.id) === String(parentId));
+    checkFields({
+      parent_id: !parent
+        ? "must be a subtask of the same task"
+        : subtask && subtreeIds(live, subtask.id).includes(parent.id)
+          ? "cannot be the subtask itself or one nested under it"
+          : null,
+    });
+    return parent.id;
+  }
+
+  _nextPosition(taskId, parentId) {
+    return appendPosition(this.db.subtasks.filter((s) => s.task_id === taskId && !s.deleted_at), parentId);
+  }
+
+  /**
+   * Recreate a subtask and everything nested under it in another task (under `parentId`), and
+   * remove the originals. With `keepRoot: false` only the nested subtasks are moved.
+   */
+  _moveSubtree(root, taskId, parentId, { keepRoot = true } = {}) {
+    const live = this.db.subtasks.filter((s) => s.task_id === root.task_id && !s.deleted_at);
+    const ids = subtreeIds(live, root.id);
+    const newIds = new Map([[root.id, keepRoot ? this._nextId() : null]]);
+    ids.forEach((id) => {
+      const original = live.find((s) => s.id === id);
+      if (id !== root.id) newIds.set(id, this._nextId());
+      if (id === root.id && !keepRoot) return;
+      const parent = id === root.id ? parentId : newIds.get(original.parent_id);
+      this.db.subtasks.push({
+        id: newIds.get(id),
+        task_id: taskId,
+        parent_id: parent ?? null,
+        position: id === root.id ? this._nextPosition(taskId, parentId) : original.position,
+        title: original.title,
+        completed: !!original.completed,
+      });
+    });
+    this.db.subtasks = this.db.subtasks.filter((s) => !(s.task_id === root.task_id && ids.includes(s.id)));
+  }
+
+  _tagColors(user) {
+    return Object.fromEntries(
+      (this.db.tags || []).filter((t) => t.user_id === user.id).map((t) => [t.name, t.color])
+    );
+  }
+
+  _setTagColor(user, name, color) {
+    this.db.tags = (this.db.tags || []).filter((t) => !(t.user_id === user.id && t.name === name));
+    this.db.tags.push({ user_id: user.id, name, color });
+  }
+
+  /** Replace `sources` with `target` (or drop them when null) on every task of the user. */
+  _retag(user, sources, target) {
+    const colors = this._tagColors(user);
+    const inherited = target && (colors[target] || sources.map((s) => colors[s]).find(Boolean));
+    let updated = 0;
+    this._tasksOf(user).forEach((task) => {
+      const tags = normalizeTags(task.tags);
+      if (!tags.some((t) => sources.includes(t))) return;
+      task.tags = normalizeTags(tags.map((t) => (sources.includes(t) ? target : t)));
+      updated += 1;
+    });
+    this.db.tags = (this.db.tags || []).filter((t) => !(t.user_id === user.id && sources.includes(t.name)));
+    if (inherited) this._setTagColor(user, target, inherited);
+    return updated;
+  }
+
+  /** Blockers must be other live tasks of the user, and must not make the task wait for itself. */
+  _checkBlockers(user, taskId, blockedBy) {
+    const tasks = this._tasksOf(user);
+    const byId = indexTasks(tasks);
+    const cycle = findCycle(tasks, taskId, blockedBy);
+    const title = (id) => `"${byId.get(String(id))?.title || "this task"}"`;
+    checkFields({
+      blocked_by: blockedBy.includes(taskId)
+        ? "cannot include the task itself"
+        : blockedBy.some((id) => !byId.has(String(id)))
+          ? "contains a task that does not exist"
+          : cycle
+            ? `would create a cycle: ${cycle.map(title).join(" → ")}`
+            : null,
+    });
+  }
+
+  /** Completing a task with open blockers is a 409 (the client may retry with `force`). */
+  _checkUnblocked(user, task) {
+    const open = openBlockers(task, indexTasks(this._tasksOf(user)));
+    if (!open.length) return;
+    const names = open.map((t) => `"${t.title}"`).join(", ");
+    const error = new HttpError(409, "blocked", `Blocked by ${open.length} open task${open.length === 1 ? "" : "s"}: ${names}`);
+    error.body.blocked_by = open.map((t) => t.id);
+    throw error;
+  }
+
+  _tasksOf(user) {
+    return this.db.tasks.filter((t) => t.user_id === user.id && !t.deleted_at);
+  }
+
+  _trashed(user, id) {
+    const task = this.db.tasks.find((t) => t.user_id === user.id && t.deleted_at && String(t.id) === String(id));
+    if (!task) throw notFound("Task");
+    return task;
+  }
+
+  _task(user, id) {
+    const task = this._tasksOf(user).find((t) => String(t.id) === String(id));
+    if (!task) throw notFound("Task");
+    return task;
+  }
+
+  _subtask(user, params) {
+    const task = this._task(user, params.id);
+    const subtask = this.db.subtasks.find(
+      (s) => s.task_id === task.id && String(s.id) === String(params.sid) && !s.deleted_at
+    );
+    if (!subtask) throw notFound("Subtask");
+    return subtask;
+  }
+
+  // Live task and subtask records, to compare before and after a request
+  _snapshot() {
+    const tasks = new Map();
+    this.db.tasks.filter((t) => !t.deleted_at).forEach((t) => tasks.set(t.id, JSON.stringify(t)));
+    const subtasks = new Map();
+    this.db.subtasks
+      .filter((st) => !st.deleted_at && tasks.has(st.task_id))
+      .forEach((st) => subtasks.set(st.id, JSON.stringify(st)));
+    return { tasks, subtasks };
+  }
+
+  // Turn the difference between two snapshots into change events
+  _recordChanges(before) {
+    const after = this._snapshot();
+    const changes = [];
+    const diff = (kind, prev, next) => {
+      next.forEach((json, id) => {
+        if (!prev.has(id)) changes.push({ type: `${kind}.created`, record: JSON.parse(json) });
+        else if (prev.get(id) !== json) changes.push({ type: `${kind}.updated`, record: JSON.parse(json) });
+      });
+      prev.forEach((json, id) => {
+        if (!next.has(id)) changes.push({ type: `${kind}.deleted`, record: JSON.parse(json) });
+      });
+    };
+    diff("task", before.tasks, after.tasks);
+    // Subtasks of a deleted (or restored) task go with it
+    diff(
+      "subtask",
+      new Map([...before.subtasks].filter(([, json]) => after.tasks.has(JSON.parse(json).task_id))),
+      new Map([...after.subtasks].filter(([, json]) => before.tasks.has(JSON.parse(json).task_id)))
+    );
+    changes.forEach(({ type, record }) => {
+      const deleted = type.endsWith(".deleted");
+      const event =
+        type.startsWith("task.")
+          ? { type, task_id: record.id, task: deleted ? undefined : record, user_id: record.user_id }
+          : {
+              type,
+              task_id: record.task_id,
+              subtask_id: record.id,
+              subtask: deleted ? undefined : record,
+              user_id: this.db.tasks.find((t) => t.id === record.task_id)?.user_id,
+            };
+      this._emitEvent(event);
+    });
+  }
+
+  _emitEvent(event) {
+    this.eventSeq += 1;
+    const entry = { ...event, seq: this.eventSeq };
+    this.events.push(entry);
+    if (this.events.length > MAX_EVENTS) this.events.shift();
+    this.subscribers.forEach((sub) => {
+      if (sub.userId === entry.user_id) sub.send(entry);
+    });
+  }
+
+  _sessionUser(withSession = true, token = null) {
+    let userId;
+    if (token) {
+      // A bearer token decides alone, even when a session cookie was sent too
+      const entry = this.tokens.access[token];
+      userId = entry && entry.expires_at > Date.now() ? entry.userId : undefined;
+    } else if (withSession && this.session) {
+      userId = this.sessions[this.session.id];
+    }
+    return this.db.users.find((u) => u.id === userId) || null;
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * Stream change events of the signed-in user, like GET /events. Events after `since` are
+   * replayed first (or a "reset" event when they are no longer kept), then a "hello" event
+   * with the latest sequence number.
+   * @param {number|null} since - Last sequence number the client has seen
+   * @param {(event: Object) => void} send
+   * @param {string|null} [token] - Access token (token mode), instead of the session
+   * @returns {(() => void)|null} Unsubscribe function, or null without a session
+   */
+  subscribeEvents(since, send, token = null) {
+    const user = this._sessionUser(true, token);
+    if (!user) return null;
+    const strip = (e) => {
+      const event = { ...e };
+      delete event.user_id;
+      return event;
+    };
+    if (since !== null && since !== undefined) {
+      const oldest = this.events.length ? this.events[0].seq : this.eventSeq + 1;
+      if (since < oldest - 1) send({ type: "reset" });
+      else this.events.filter((e) => e.seq > since && e.user_id === user.id).forEach((e) => send(strip(e)));
+    }
+    send({ type: "hello", last_seq: this.eventSeq });
+    const sub = { userId: user.id, send: (e) => send(strip(e)) };
+    this.subscribers.add(sub);
+    return () => this.subscribers.delete(sub);
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * Handle a request.
+   * @param {{method: string, path: string, query?: URLSearchParams, body?: any, withSession?: boolean, token?: string}} req
+   *   `token` is the bearer access token of an Authorization header
+   * @returns {{status: number, body: any}}
+   */
+  handle({ method, path, query = new URLSearchParams(), body, withSession = true, token = null }) {
+    const candidates = this.routes.filter((r) => r.regex.test(path));
+    if (candidates.length === 0) {
+      return { status: 404, body: { error: "not_found", message: `No route for ${path}` } };
+    }
+    const route = candidates.find((r) => r.method === method);
+    if (!route) {
+      return { status: 405, body: { error: "method_not_allowed", message: `${method} not allowed on ${path}` } };
+    }
+    const match = route.regex.exec(path);
+    const params = {};
+    route.keys.forEach((key, i) => {
+      params[key] = decodeURIComponent(match[i + 1]);
+    });
+
+    const user = this._sessionUser(withSession, token);
+    if (route.auth && !user) {
+      return { status: 401, body: { error: "unauthorized", message: "Not authenticated" } };
+    }
+
+    try {
+      const before = method === "GET" ? null : this._snapshot();
+      const result = route.handler({ params, query, body, user, token, withSession });
+      if (before) this._recordChanges(before);
+      this._persist();
+      return { status: route.status, body: result };
+    } catch (err) {
+      if (err instanceof HttpError) return { status: err.status, body: err.body };
+      return { status: 500, body: { error: "server_error", message: err.message || "Internal error" } };
+    }
+  }
+}
+
+function publicUser(user) {
+  const rest = { ...user };
+  delete rest.password;
+  return rest;
+}
+
+function makeResponse(status, body) {
+  const text = body === undefined ? "" : JSON.stringify(body);
+  const headers = { "content-type": "application/json" };
+  if (typeof Response !== "undefined") {
+    return new Response(text, { status, headers });
+  }
+  // Minimal Response stand-in for environments without the Fetch API (e.g. jsdom)
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    headers: { get: (name) => headers[String(name).toLowerCase()] || null },
+    json: async () => JSON.parse(text),
+    text: async () => text,
+  };
+}
+
+function readBody(body) {
+  if (body === undefined || body === null || body === "") return undefined;
+  if (typeof body !== "string") return body;
+  try {
+    return JSON.parse(body);
+  } catch {
+    return body;
+  }
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Replace the global fetch with one that answers API requests from a MockBackend.
+ * Requests outside of baseUrl are passed through to the original fetch.
+ * @param {Object} [options]
+ * @param {string} [options.baseUrl="/api"] - API base URL used by ApiClient
+ * @param {number|function({method: string, path: string, query: URLSearchParams}): number} [options.delay=0]
+ *   Artificial latency in milliseconds, or a function choosing it per request
+ * @param {Storage|null} [options.storage=null] - Persist data and session (e.g. window.localStorage)
+ * @param {MockBackend} [options.backend] - Use an existing backend instance
+ * @param {(mail: Object) => void} [options.onMail] - Called for each email the backend sends
+ * @returns {{backend: MockBackend, uninstall: () => void}}
+ */
+export function installMockBackend({ baseUrl = "/api", delay = 0, storage = null, backend, onMail = null } = {}) {
+  const server = backend || new MockBackend({ storage, onMail });
+  const originalFetch = window.fetch;
+  const origin = window.location.origin;
+  const base = new URL(baseUrl.replace(/\/+$/, ""), origin);
+
+  const mockFetch = async (input, init = {}) => {
+    const url = new URL(typeof input === "string" ? input : input.url, origin);
+    const basePath = base.pathname === "/" ? "" : base.pathname;
+    if (url.origin !== base.origin || !url.pathname.startsWith(basePath)) {
+      if (!originalFetch) throw new TypeError("Failed to fetch");
+      return originalFetch(input, init);
+    }
+    const request = {
+      method: String(init.method || "GET").toUpperCase(),
+      path: url.pathname.slice(basePath.length) || "/",
+      query: url.searchParams,
+    };
+    const ms = typeof delay === "function" ? delay(request) : delay;
+    // Like fetch, reject with an AbortError when the request's signal aborts
+    const signal = init.signal;
+    const abortError = () => new DOMException("The operation was aborted.", "AbortError");
+    if (ms > 0) {
+      await new Promise((resolve, reject) => {
+        const timer = setTimeout(resolve, ms);
+        if (signal) {
+          signal.addEventListener("abort", () => {
+            clearTimeout(timer);
+            reject(abortError());
+          });
+        }
+      });
+    }
+    if (signal && signal.aborted) throw abortError();
+    const authorization = new Headers(init.headers || {}).get("Authorization") || "";
+    const { status, body } = server.handle({
+      ...request,
+      body: readBody(init.body),
+      token: authorization.startsWith("Bearer ") ? authorization.slice(7) : null,
+      // Like a cookie, the session only travels with credentialed requests
+      withSession: init.credentials === "include" || init.credentials === "same-origin" || !init.credentials,
+    });
+    return makeResponse(status, body);
+  };
+
+  // EventSource for GET /events: delivers the backend's change events asynchronously, like a network stream
+  const OriginalEventSource = window.EventSource;
+  class MockEventSource {
+    constructor(url, init = {}) {
+      this.url = String(url);
+      this.withCredentials = !!init.withCredentials;
+      this.readyState = MockEventSource.CONNECTING;
+      this.onopen = null;
+      this.onmessage = null;
+      this.onerror = null;
+      this._listeners = {};
+      this._unsubscribe = null;
+      setTimeout(() => this._open(), 0);
+    }
+
+    addEventListener(type, fn) {
+      (this._listeners[type] = this._listeners[type] || []).push(fn);
+    }
+
+    removeEventListener(type, fn) {
+      this._listeners[type] = (this._listeners[type] || []).filter((f) => f !== fn);
+    }
+
+    close() {
+      this.readyState = MockEventSource.CLOSED;
+      if (this._unsubscribe) this._unsubscribe();
+      this._unsubscribe = null;
+    }
+
+    _dispatch(type, props = {}) {
+      const event = { type, target: this, ...props };
+      if (typeof this[`on${type}`] === "function") this[`on${type}`](event);
+      (this._listeners[type] || []).forEach((fn) => fn(event));
+    }
+
+    _open() {
+      if (this.readyState === MockEventSource.CLOSED) return;
+      const url = new URL(this.url, origin);
+      const since = url.searchParams.get("since");
+      const unsubscribe = server.subscribeEvents(
+        since === null ? null : Number(since),
+        (event) => {
+          setTimeout(() => {
+            if (this.readyState !== MockEventSource.OPEN) return;
+            this._dispatch("message", { data: JSON.stringify(event), lastEventId: String(event.seq ?? "") });
+          }, 0);
+        },
+        url.searchParams.get("access_token")
+      );
+      if (!unsubscribe) {
+        // No session: the stream is refused
+        this.readyState = MockEventSource.CLOSED;
+        this._dispatch("error");
+        return;
+      }
+      this._unsubscribe = unsubscribe;
+      this.readyState = MockEventSource.OPEN;
+      this._dispatch("open");
+    }
+  }
+  MockEventSource.CONNECTING = 0;
+  MockEventSource.OPEN = 1;
+  MockEventSource.CLOSED = 2;
+
+  function EventSourceProxy(url, init) {
+    const target = new URL(String(url), origin);
+    const basePath = base.pathname === "/" ? "" : base.pathname;
+    if (target.origin === base.origin && target.pathname === `${basePath}/events`) return new MockEventSource(url, init);
+    if (!OriginalEventSource) throw new TypeError("EventSource is not supported");
+    return new OriginalEventSource(url, init);
+  }
+
+  // Another tab using the same storage changed the data: pick it up
+  const onStorage = (e) => {
+    if (!storage || e.storageArea !== storage || !e.newValue) return;
+    try {
+      if (e.key === DB_KEY) server.db = JSON.parse(e.newValue);
+      // Tokens issued or rotated by another tab
+      if (e.key === TOKENS_KEY) server.tokens = JSON.parse(e.newValue);
+    } catch {
+      // ignore unreadable data
+    }
+  };
+
+  window.fetch = mockFetch;
+  window.EventSource = EventSourceProxy;
+  window.addEventListener("storage", onStorage);
+  return {
+    backend: server,
+    uninstall: () => {
+      if (window.fetch === mockFetch) window.fetch = originalFetch;
+      if (window.EventSource === EventSourceProxy) window.EventSource = OriginalEventSource;
+      window.removeEventListener("storage", onStorage);
+    },
+  };
+}
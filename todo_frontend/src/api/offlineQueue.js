@@ -0,0 +1,437 @@
+//
+// Offline mutation queue for the API client
+// - Persists queued mutations (and a cache of known tasks/subtasks) in localStorage, per user
+// - Overlays pending mutations on server or cached data so they show up immediately
+// - Tracks temporary IDs for records created offline and remaps them once synced
+//
+
+// Stored per user as `${STORAGE_KEY}.<user id>`
+const STORAGE_KEY = "sto.offlineQueue.v1";
+const TEMP_ID_PREFIX = "tmp-";
+
+let counter = 0;
+
+// PUBLIC_INTERFACE
+/**
+ * Create a temporary client-side ID for a record that has not reached the server yet.
+ * @returns {string}
+ */
+export function makeTempId() {
+  counter += 1;
+  return `${TEMP_ID_PREFIX}${Date.now().toString(36)}-${counter}`;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Whether the given ID is a temporary client-side ID.
+ * @param {any} id
+ * @returns {boolean}
+ */
+export function isTempId(id) {
+  return typeof id === "string" && id.startsWith(TEMP_ID_PREFIX);
+}
+
+function defaultStorage() {
+  try {
+    return typeof window !== "undefined" ? window.localStorage : null;
+  } catch {
+    return null;
+  }
+}
+
+function emptyState() {
+  return { ops: [], tasks: {}, subtasks: {} };
+}
+
+const TASK_KINDS = ["createTask", "updateTask", "deleteTask", "completeTask"];
+
+/**
+ * A durable FIFO of mutations that could not be sent to the server.
+ * Nothing is stored until the signed-in user is known (see setScope), so one user's queued
+ * changes and cached data are never shown to or replayed for another.
+ *
+ * Each operation has the shape:
+ *   { id, kind, taskId?, subtaskId?, tempId?, data?, label, status: 'pending'|'failed', error?, createdAt }
+ * where kind is one of createTask, updateTask, deleteTask, completeTask,
+ * createSubtask, updateSubtask, deleteSubtask, completeSubtask.
+ */
+export class OfflineQueue {
+  /**
+   * @param {Storage|null} [storage] - Defaults to window.localStorage when available
+   */
+  constructor(storage = defaultStorage()) {
+    this.storage = storage;
+    this.scope = null;
+    this.state = emptyState();
+    this.syncing = false;
+    this.listeners = new Set();
+  }
+
+  _key() {
+    return this.scope === null ? null : `${STORAGE_KEY}.${this.scope}`;
+  }
+
+  _load() {
+    if (!this.storage || !this._key()) return emptyState();
+    try {
+      const raw = this.storage.getItem(this._key());
+      return raw ? { ...emptyState(), ...JSON.parse(raw) } : emptyState();
+    } catch {
+      return emptyState();
+    }
+  }
+
+  _save() {
+    if (this.storage && this._key()) {
+      try {
+        this.storage.setItem(this._key(), JSON.stringify(this.state));
+      } catch {
+        // Storage full or unavailable; keep working from memory.
+      }
+    }
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * Switch to the queue and cache of a user, loading what was stored for them.
+   * @param {string|number|null} userId - null while nobody is signed in (kept in memory only)
+   */
+  setScope(userId) {
+    const scope = userId === null || userId === undefined ? null : String(userId);
+    if (scope === this.scope) return;
+    this.scope = scope;
+    this.state = this._load();
+    this._commit({ type: "scope" });
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * Drop every queued mutation and the cache of the current user, in memory and in storage.
+   */
+  clear() {
+    this.state = emptyState();
+    this._commit({ type: "cleared" });
+    try {
+      if (this.storage && this._key()) this.storage.removeItem(this._key());
+    } catch {
+      // Storage unavailable
+    }
+  }
+
+  _commit(event) {
+    this._save();
+    const status = this.status();
+    this.listeners.forEach((fn) => fn(status, event));
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * Subscribe to queue changes.
+   * @param {(status: ReturnType<OfflineQueue['status']>, event?: {type: string, synced?: number, idMap?: Record<string, any>}) => void} listener
+   * @returns {() => void} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * Snapshot of the queue for display.
+   * @returns {{ops: any[], pending: number, failed: number, syncing: boolean}}
+   */
+  status() {
+    const ops = this.state.ops.slice();
+    return {
+      ops,
+      pending: ops.filter((o) => o.status === "pending").length,
+      failed: ops.filter((o) => o.status === "failed").length,
+      syncing: this.syncing,
+    };
+  }
+
+  /** @returns {number} Number of operations still waiting to be sent. */
+  pendingCount() {
+    return this.state.ops.filter((o) => o.status === "pending").length;
+  }
+
+  /** @returns {any|null} The oldest pending operation. */
+  nextPending() {
+    return this.state.ops.find((o) => o.status === "pending") || null;
+  }
+
+  setSyncing(syncing, event) {
+    this.syncing = syncing;
+    this._commit(event);
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * Append a mutation to the queue.
+   * @param {Object} op - Operation without id/status/createdAt
+   * @returns {any} The stored operation
+   */
+  enqueue(op) {
+    const stored = {
+      ...op,
+      id: makeTempId(),
+      status: "pending",
+      createdAt: new Date().toISOString(),
+    };
+    this.state.ops.push(stored);
+    this._commit({ type: "enqueued" });
+    return stored;
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * Record a successful replay: drop the operation, update the cache and
+   * rewrite later operations that referenced the operation's temporary ID.
+   * @param {any} op
+   * @param {any} result - Server response for the operation
+   * @returns {any} The real ID assigned by the server for create operations, if any
+   */
+  complete(op, result) {
+    this.state.ops = this.state.ops.filter((o) => o.id !== op.id);
+    this.recordResult(op, result);
+    let realId;
+    if (op.tempId) {
+      realId = result?.id ?? result?.task?.id ?? result?.subtask?.id;
+      if (realId !== undefined) this._remap(op, realId);
+    }
+    this._commit({ type: "completed" });
+    return realId;
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * Mark an operation (and operations depending on its temporary ID) as failed.
+   * @param {any} op
+   * @param {string} message
+   */
+  fail(op, message) {
+    this.state.ops = this.state.ops.map((o) => {
+      if (o.id === op.id) return { ...o, status: "failed", error: message };
+      if (op.tempId && this._dependsOn(o, op.tempId)) {
+        return { ...o, status: "failed", error: `Depends on a failed change: ${op.label}` };
+      }
+      return o;
+    });
+    this._commit({ type: "failed" });
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * Put a failed operation (and its dependents) back in line for replay.
+   * @param {string} opId
+   */
+  retry(opId) {
+    const op = this.state.ops.find((o) => o.id === opId);
+    if (!op) return;
+    this.state.ops = this.state.ops.map((o) =>
+      o.id === opId || (op.tempId && this._dependsOn(o, op.tempId))
+        ? { ...o, status: "pending", error: undefined }
+        : o
+    );
+    this._commit({ type: "retry" });
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * Drop an operation without sending it. Operations that depend on a
+   * discarded create are discarded as well.
+   * @param {string} opId
+   */
+  discard(opId) {
+    const op = this.state.ops.find((o) => o.id === opId);
+    if (!op) return;
+    this.state.ops = this.state.ops.filter(
+      (o) => o.id !== opId && !(op.tempId && this._dependsOn(o, op.tempId))
+    );
+    if (op.tempId && op.kind === "createTask") delete this.state.subtasks[op.tempId];
+    this._commit({ type: "discarded" });
+  }
+
+  _dependsOn(o, tempId) {
+    return o.taskId === tempId || o.subtaskId === tempId || o.data?.parent_id === tempId;
+  }
+
+  _remap(op, realId) {
+    const tempId = op.tempId;
+    this.state.ops = this.state.ops.map((o) => {
+      const next = { ...o };
+      if (o.taskId === tempId) next.taskId = realId;
+      if (o.subtaskId === tempId) next.subtaskId = realId;
+      // Subtasks nested under one that was created offline
+      if (o.data?.parent_id === tempId) next.data = { ...o.data, parent_id: realId };
+      return next;
+    });
+    if (op.kind === "createTask" && this.state.subtasks[tempId]) {
+      this.state.subtasks[realId] = this.state.subtasks[tempId];
+      delete this.state.subtasks[tempId];
+    }
+  }
+
+  // =========================
+  // Cache of server data
+  // =========================
+
+  // PUBLIC_INTERFACE
+  /**
+   * Remember tasks returned by the server. An unfiltered listing replaces the
+   * cache; filtered listings are merged into it.
+   * @param {any[]} tasks
+   * @param {boolean} [complete=false] - Whether the listing contains every task
+   */
+  cacheTasks(tasks, complete = false) {
+    const next = complete ? {} : { ...this.state.tasks };
+    (tasks || []).forEach((t) => {
+      if (t && t.id !== undefined) next[t.id] = t;
+    });
+    this.state.tasks = next;
+    this._save();
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * Remember the subtasks of a task returned by the server.
+   * @param {string|number} taskId
+   * @param {any[]} subtasks
+   */
+  cacheSubtasks(taskId, subtasks) {
+    this.state.subtasks = { ...this.state.subtasks, [taskId]: subtasks || [] };
+    this._save();
+  }
+
+  /** @returns {any[]} Cached tasks */
+  cachedTasks() {
+    return Object.values(this.state.tasks);
+  }
+
+  /**
+   * @param {string|number} taskId
+   * @returns {any[]} Cached subtasks of the task
+   */
+  cachedSubtasks(taskId) {
+    return this.state.subtasks[taskId] || [];
+  }
+
+  /**
+   * @param {string|number} taskId
+   * @returns {any|null} Cached task
+   */
+  cachedTask(taskId) {
+    return this.state.tasks[taskId] || null;
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * Keep the cache in line with a mutation the server accepted.
+   * @param {any} op
+   * @param {any} result
+   */
+  recordResult(op, result) {
+    const record = result && typeof result === "object" ? result.task || result.subtask || result : null;
+    const { tasks, subtasks } = this.state;
+    switch (op.kind) {
+      case "createTask":
+      case "updateTask":
+      case "completeTask":
+        if (op.tempId) delete tasks[op.tempId];
+        if (record && record.id !== undefined) tasks[record.id] = { ...(tasks[record.id] || {}), ...record };
+        break;
+      case "deleteTask":
+        delete tasks[op.taskId];
+        delete subtasks[op.taskId];
+        break;
+      case "deleteSubtask":
+        subtasks[op.taskId] = (subtasks[op.taskId] || []).filter((s) => s.id !== op.subtaskId);
+        break;
+      default:
+        if (record && record.id !== undefined) {
+          const list = (subtasks[op.taskId] || []).filter((s) => s.id !== record.id && s.id !== op.tempId);
+          subtasks[op.taskId] = [...list, record];
+        }
+        break;
+    }
+    this._save();
+  }
+
+  // =========================
+  // Local overlay of pending mutations
+  // =========================
+
+  // PUBLIC_INTERFACE
+  /**
+   * Apply pending task mutations on top of a task list.
+   * @param {any[]} tasks
+   * @returns {any[]}
+   */
+  applyToTasks(tasks) {
+    let result = (tasks || []).slice();
+    this.state.ops
+      .filter((o) => o.status === "pending" && TASK_KINDS.includes(o.kind))
+      .forEach((o) => {
+        if (o.kind === "createTask") {
+          result.push(localTask(o));
+        } else if (o.kind === "deleteTask") {
+          result = result.filter((t) => t.id !== o.taskId);
+        } else {
+          result = result.map((t) => (t.id === o.taskId ? { ...t, ...o.data, pending: true } : t));
+        }
+      });
+    return result;
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * Apply pending subtask mutations of one task on top of its subtask list.
+   * @param {string|number} taskId
+   * @param {any[]} subtasks
+   * @returns {any[]}
+   */
+  applyToSubtasks(taskId, subtasks) {
+    let result = (subtasks || []).slice();
+    this.state.ops
+      .filter((o) => o.status === "pending" && !TASK_KINDS.includes(o.kind) && o.taskId === taskId)
+      .forEach((o) => {
+        if (o.kind === "createSubtask") {
+          result.push({ ...o.data, id: o.tempId, completed: !!o.data?.completed, pending: true });
+        } else if (o.kind === "deleteSubtask") {
+          result = result.filter((s) => s.id !== o.subtaskId);
+        } else {
+          result = result.map((s) => (s.id === o.subtaskId ? { ...s, ...o.data, pending: true } : s));
+        }
+      });
+    return result;
+  }
+
+  // PUBLIC_INTERFACE
+  /**
+   * The value a queued mutation resolves with, mirroring what the server would return.
+   * @param {any} op
+   * @returns {any}
+   */
+  localResult(op) {
+    switch (op.kind) {
+      case "createTask":
+        return localTask(op);
+      case "createSubtask":
+        return { ...op.data, id: op.tempId, completed: !!op.data?.completed, pending: true };
+      case "deleteTask":
+      case "deleteSubtask":
+        return { success: true, queued: true };
+      case "updateTask":
+      case "completeTask":
+        return { ...(this.cachedTask(op.taskId) || {}), ...op.data, id: op.taskId, pending: true };
+      default: {
+        const cached = this.cachedSubtasks(op.taskId).find((s) => s.id === op.subtaskId);
+        return { ...(cached || {}), ...op.data, id: op.subtaskId, pending: true };
+      }
+    }
+  }
+}
+
+function localTask(op) {
+  return { completed: false, ...op.data, id: op.tempId, pending: true };
+}
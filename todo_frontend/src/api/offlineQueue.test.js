@@ -0,0 +1,105 @@
+import { ApiClient } from "./client";
+import { installMockBackend } from "./mockBackend";
+import { OfflineQueue, isTempId, makeTempId } from "./offlineQueue";
+
+let mock;
+
+beforeEach(() => {
+  window.localStorage.clear();
+});
+
+afterEach(() => {
+  if (mock) mock.uninstall();
+  mock = null;
+});
+
+function queueFor(userId) {
+  const queue = new OfflineQueue(window.localStorage);
+  queue.setScope(userId);
+  return queue;
+}
+
+test("queued changes and cached tasks survive a reload, for their own user only", () => {
+  const queue = queueFor(1);
+  queue.enqueue({ kind: "createTask", tempId: makeTempId(), data: { title: "Offline task" }, label: "Create" });
+  queue.cacheTasks([{ id: 5, title: "Cached" }], true);
+
+  const reloaded = queueFor(1);
+  expect(reloaded.status().pending).toBe(1);
+  expect(reloaded.applyToTasks(reloaded.cachedTasks()).map((t) => t.title)).toEqual(["Cached", "Offline task"]);
+
+  expect(queueFor(2).status().ops).toEqual([]);
+  expect(queueFor(2).cachedTasks()).toEqual([]);
+  // Nothing is kept before the user is known
+  expect(new OfflineQueue(window.localStorage).status().ops).toEqual([]);
+
+  reloaded.clear();
+  expect(queueFor(1).status().ops).toEqual([]);
+});
+
+test("a synced create remaps the temporary IDs of the changes queued after it", () => {
+  const queue = queueFor(1);
+  const taskTemp = makeTempId();
+  const subtaskTemp = makeTempId();
+  const createTask = queue.enqueue({ kind: "createTask", tempId: taskTemp, data: { title: "Trip" } });
+  const createSubtask = queue.enqueue({ kind: "createSubtask", taskId: taskTemp, tempId: subtaskTemp, data: { title: "Book" } });
+  queue.enqueue({ kind: "createSubtask", taskId: taskTemp, tempId: makeTempId(), data: { title: "Hotel", parent_id: subtaskTemp } });
+  queue.enqueue({ kind: "updateSubtask", taskId: taskTemp, subtaskId: subtaskTemp, data: { title: "Book trains" } });
+  expect(isTempId(taskTemp)).toBe(true);
+
+  expect(queue.complete(createTask, { id: 10, title: "Trip" })).toBe(10);
+  expect(queue.status().ops.map((o) => o.taskId)).toEqual([10, 10, 10]);
+  expect(queue.cachedTask(10)).toMatchObject({ title: "Trip" });
+
+  expect(queue.complete(queue.nextPending(), { id: 20, title: "Book" })).toBe(20);
+  const [nested, update] = queue.status().ops;
+  expect(nested.data.parent_id).toBe(20);
+  expect(update.subtaskId).toBe(20);
+  expect(createSubtask.id).not.toBe(nested.id);
+});
+
+test("a failed create fails the changes that depend on it; retry and discard take them along", () => {
+  const queue = queueFor(1);
+  const tempId = makeTempId();
+  const create = queue.enqueue({ kind: "createTask", tempId, data: { title: "Trip" }, label: 'Create task "Trip"' });
+  queue.enqueue({ kind: "updateTask", taskId: tempId, data: { priority: "high" } });
+  queue.enqueue({ kind: "updateTask", taskId: 3, data: { priority: "low" } });
+
+  queue.fail(create, "Title is too long");
+  expect(queue.status().ops.map((o) => [o.status, o.error])).toEqual([
+    ["failed", "Title is too long"],
+    ["failed", 'Depends on a failed change: Create task "Trip"'],
+    ["pending", undefined],
+  ]);
+  expect(queue.nextPending().taskId).toBe(3);
+
+  queue.retry(create.id);
+  expect(queue.status()).toMatchObject({ pending: 3, failed: 0 });
+
+  queue.discard(create.id);
+  expect(queue.status().ops.map((o) => o.taskId)).toEqual([3]);
+});
+
+test("replay sends queued changes in order, with the IDs the server gave earlier creates", async () => {
+  const client = new ApiClient("/api");
+  mock = installMockBackend({ baseUrl: "/api" });
+  await client.login("demo", "demo");
+  const requests = [];
+  const handle = mock.backend.handle.bind(mock.backend);
+  jest.spyOn(mock.backend, "handle").mockImplementation((req) => {
+    requests.push(`${req.method} ${req.path}`);
+    return handle(req);
+  });
+
+  const tempId = makeTempId();
+  client.queue.enqueue({ kind: "createTask", tempId, data: { title: "Offline task" } });
+  client.queue.enqueue({ kind: "createSubtask", taskId: tempId, tempId: makeTempId(), data: { title: "First step" } });
+  client.queue.enqueue({ kind: "completeTask", taskId: 3, data: { completed: true } });
+
+  const { synced, idMap } = await client.flushQueue();
+  const id = idMap[tempId];
+  expect(synced).toBe(3);
+  expect(requests).toEqual(["POST /tasks", `POST /tasks/${id}/subtasks`, "POST /tasks/3/complete"]);
+  expect((await client.listSubtasks(id)).map((s) => s.title)).toEqual(["First step"]);
+  expect(client.syncStatus().ops).toEqual([]);
+});
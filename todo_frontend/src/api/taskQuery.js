@@ -0,0 +1,105 @@
+//
+// Client-side task querying
+// - Mirrors the backend's /tasks search/sort/filter semantics
+// - Used to answer getTasks from the offline cache
+//
+
+import { matchesTags } from "../utils/tags";
+
+const PRIORITY_RANK = { critical: 4, high: 3, medium: 2, low: 1 };
+
+/**
+ * Parse a due date into a Date at local midnight, or null when missing/invalid.
+ * @param {string|null|undefined} value
+ * @returns {Date|null}
+ */
+export function parseDueDate(value) {
+  if (!value) return null;
+  const str = String(value);
+  // Date-only values ("2024-05-01") are treated as local dates, not UTC.
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(str);
+  const date = m ? new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3])) : new Date(str);
+  if (isNaN(date.getTime())) return null;
+  date.setHours(0, 0, 0, 0);
+  return date;
+}
+
+/**
+ * The time of day of a due date as "HH:MM" (local), or "" for date-only values.
+ * @param {string|null|undefined} value
+ * @returns {string}
+ */
+export function parseDueTime(value) {
+  if (!value || /^\d{4}-\d{2}-\d{2}$/.test(String(value))) return "";
+  const date = new Date(String(value));
+  if (isNaN(date.getTime())) return "";
+  return `${String(date.getHours()).padStart(2, "0")}:${String(date.getMinutes()).padStart(2, "0")}`;
+}
+
+function asList(value) {
+  if (value === undefined || value === null || value === "") return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+function compareNullable(a, b) {
+  if (a === null && b === null) return 0;
+  if (a === null) return 1;
+  if (b === null) return -1;
+  return a - b;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Apply getTasks query params to an in-memory task list.
+ * @param {any[]} tasks
+ * @param {Object} [params] - Same shape as ApiClient.getTasks params (search, sort, priority, due_within_days, tags, tag_match)
+ * @param {Date} [now] - Reference time for due_within_days (defaults to current time)
+ * @returns {any[]} A new, filtered and sorted array
+ */
+export function queryTasks(tasks, params = {}, now = new Date()) {
+  const search = String(params.search || "").trim().toLowerCase();
+  const priorities = asList(params.priority).map(String);
+  const tags = asList(params.tags).map(String);
+  const withinDays =
+    params.due_within_days === undefined || params.due_within_days === null || params.due_within_days === ""
+      ? null
+      : Number(params.due_within_days);
+
+  const today = new Date(now);
+  today.setHours(0, 0, 0, 0);
+
+  let result = (tasks || []).filter((t) => {
+    if (search) {
+      const haystack = `${t.title || ""} ${t.description || ""}`.toLowerCase();
+      if (!haystack.includes(search)) return false;
+    }
+    if (priorities.length && !priorities.includes(t.priority)) return false;
+    if (tags.length && !matchesTags(t, tags, params.tag_match)) return false;
+    if (withinDays !== null && !isNaN(withinDays)) {
+      const due = parseDueDate(t.due_date);
+      if (!due) return false;
+      const days = Math.round((due.getTime() - today.getTime()) / 86400000);
+      if (days > withinDays) return false;
+    }
+    return true;
+  });
+
+  switch (params.sort) {
+    case "priority":
+      result = result.sort((a, b) => (PRIORITY_RANK[b.priority] || 0) - (PRIORITY_RANK[a.priority] || 0));
+      break;
+    case "due_date":
+      result = result.sort((a, b) =>
+        compareNullable(parseDueDate(a.due_date)?.getTime() ?? null, parseDueDate(b.due_date)?.getTime() ?? null)
+      );
+      break;
+    case "eta":
+      result = result.sort((a, b) =>
+        compareNullable(a.eta === null || a.eta === undefined ? null : Number(a.eta), b.eta === null || b.eta === undefined ? null : Number(b.eta))
+      );
+      break;
+    default:
+      break;
+  }
+  return result;
+}
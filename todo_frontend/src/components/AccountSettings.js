@@ -0,0 +1,174 @@
+import React, { useState } from "react";
+import FormField from "./FormField";
+import { formErrors, MIN_PASSWORD_LENGTH, validateEmail, validateNewPassword } from "../utils/accountForms";
+
+/**
+ * AccountSettings edits the signed-in user's profile (display name, email) and password.
+ *
+ * Props:
+ * - user: { username, name?, email? }
+ * - onSaveProfile: ({ name?, email? }) => Promise<void> - only changed fields; rejects with the server error
+ * - onChangePassword: (currentPassword, newPassword) => Promise<void> - rejects with the server error
+ * - onClose: () => void
+ */
+export default function AccountSettings({ user, onSaveProfile, onChangePassword, onClose }) {
+  return (
+    <div className="main-panel account-settings">
+      <header className="detail-header">
+        <h2 className="detail-title">Account</h2>
+        <div className="detail-actions">
+          <button className="btn btn-secondary" onClick={onClose}>
+            Close
+          </button>
+        </div>
+      </header>
+      <div className="meta">Signed in as {user.username}</div>
+      <ProfileForm user={user} onSave={onSaveProfile} />
+      <PasswordForm onChange={onChangePassword} />
+    </div>
+  );
+}
+
+function ProfileForm({ user, onSave }) {
+  const [form, setForm] = useState({ name: user.name || "", email: user.email || "" });
+  const [errors, setErrors] = useState({});
+  const [message, setMessage] = useState(null);
+  const [saved, setSaved] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  const changes = {};
+  if (form.name.trim() !== (user.name || "")) changes.name = form.name.trim();
+  if (form.email.trim() !== (user.email || "")) changes.email = form.email.trim();
+  const changed = Object.keys(changes).length > 0;
+
+  const update = (field) => (e) => {
+    const value = e.target.value;
+    setForm((f) => ({ ...f, [field]: value }));
+    setErrors((errs) => (errs[field] ? { ...errs, [field]: null } : errs));
+    setSaved(false);
+  };
+
+  const submit = async (e) => {
+    e.preventDefault();
+    const problem = "email" in changes ? validateEmail(changes.email) : null;
+    setErrors(problem ? { email: problem } : {});
+    setMessage(null);
+    if (problem || !changed) return;
+    setSaving(true);
+    try {
+      await onSave(changes);
+      setSaved(true);
+    } catch (err) {
+      const mapped = formErrors(err, {}, ["name", "email"]);
+      setErrors(mapped.fields);
+      setMessage(mapped.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form className="account-section" onSubmit={submit} noValidate>
+      <h3>Profile</h3>
+      <FormField label="Display name" error={errors.name}>
+        <input className="input" autoComplete="name" value={form.name} onChange={update("name")} />
+      </FormField>
+      <FormField label="Email" error={errors.email}>
+        <input className="input" type="email" autoComplete="email" value={form.email} onChange={update("email")} />
+      </FormField>
+      {message ? <div className="alert error">{message}</div> : null}
+      {saved ? (
+        <div className="alert success" role="status">
+          Profile saved.
+        </div>
+      ) : null}
+      <div className="form-actions">
+        <button type="submit" className="btn btn-primary" disabled={saving || !changed}>
+          {saving ? "Saving..." : "Save profile"}
+        </button>
+      </div>
+    </form>
+  );
+}
+
+function PasswordForm({ onChange }) {
+  const empty = { current: "", password: "", confirm: "" };
+  const [form, setForm] = useState(empty);
+  const [errors, setErrors] = useState({});
+  const [message, setMessage] = useState(null);
+  const [saved, setSaved] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  const update = (field) => (e) => {
+    const value = e.target.value;
+    setForm((f) => ({ ...f, [field]: value }));
+    setErrors((errs) => (errs[field] ? { ...errs, [field]: null } : errs));
+    setSaved(false);
+  };
+
+  const submit = async (e) => {
+    e.preventDefault();
+    const problems = validateNewPassword(form);
+    if (!form.current) problems.current = "is required";
+    setErrors(problems);
+    setMessage(null);
+    if (Object.keys(problems).length) return;
+    setSaving(true);
+    try {
+      await onChange(form.current, form.password);
+      setForm(empty);
+      setSaved(true);
+    } catch (err) {
+      const mapped = formErrors(err, { current_password: "current", new_password: "password" }, ["current", "password"]);
+      setErrors(mapped.fields);
+      setMessage(mapped.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form className="account-section" onSubmit={submit} noValidate>
+      <h3>Password</h3>
+      <FormField label="Current password" error={errors.current}>
+        <input
+          className="input"
+          type="password"
+          autoComplete="current-password"
+          value={form.current}
+          onChange={update("current")}
+        />
+      </FormField>
+      <FormField label="New password" error={errors.password}>
+        <input
+          className="input"
+          type="password"
+          autoComplete="new-password"
+          value={form.password}
+          onChange={update("password")}
+          placeholder={`At least ${MIN_PASSWORD_LENGTH} characters, with a letter and a digit`}
+        />
+      </FormField>
+      <FormField label="Confirm new password" error={errors.confirm}>
+        <input
+          className="input"
+          type="password"
+          autoComplete="new-password"
+          value={form.confirm}
+          onChange={update("confirm")}
+        />
+      </FormField>
+      {message ? <div className="alert error">{message}</div> : null}
+      {saved ? (
+        <div className="alert success" role="status">
+          Password changed.
+        </div>
+      ) : null}
+      <div className="form-actions">
+        <button type="submit" className="btn btn-primary" disabled={saving}>
+          {saving ? "Saving..." : "Change password"}
+        </button>
+      </div>
+    </form>
+  );
+}
@@ -0,0 +1,223 @@
+import React, { useEffect, useRef, useState } from "react";
+import { CSV_IMPORT_FIELDS, csvToEntries, guessCsvMapping } from "../utils/backup";
+
+const STATUS_LABELS = { new: "New", updated: "Updated", conflict: "Conflict", unchanged: "Unchanged" };
+const MAX_ERRORS = 8;
+
+/**
+ * BackupRestore walks through restoring a JSON backup or CSV file: CSV column mapping,
+ * validation errors, a diff against the current tasks, and applying the chosen changes
+ * with progress. Failed or stopped runs can be retried/resumed without duplicating work.
+ *
+ * Props:
+ * - source: { fileName, kind: "json"|"csv", entries?, errors?, rows? } - Parsed file (rows for CSV)
+ * - onPlan: (entries) => Promise<changes> - Diff against current tasks (see planRestore)
+ * - onApply: (changes, { onProgress, shouldStop }) => Promise<{ applied, failed, remaining }>
+ * - onDone: (applied: number) => void - All chosen changes were applied
+ * - onClose: () => void
+ */
+export default function BackupRestore({ source, onPlan, onApply, onDone, onClose }) {
+  const isCsv = source.kind === "csv";
+  const [mapping, setMapping] = useState(() => (isCsv ? guessCsvMapping(source.rows[0] || []) : []));
+  const [errors, setErrors] = useState(isCsv ? [] : source.errors || []);
+  const [changes, setChanges] = useState(null);
+  const [checked, setChecked] = useState([]);
+  const [planning, setPlanning] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [pending, setPending] = useState(null); // { failed, remaining } after an incomplete run
+  const [applied, setApplied] = useState(0);
+  const stopRef = useRef(false);
+
+  const plan = async (entries) => {
+    setPlanning(true);
+    try {
+      const list = await onPlan(entries);
+      setChanges(list);
+      setChecked(list.map((c) => c.status === "new" || c.status === "updated"));
+    } catch {
+      // onPlan reports the error; stay on this step so it can be retried
+    } finally {
+      setPlanning(false);
+    }
+  };
+
+  // Plan once for the file this panel was opened with (CSV files are planned after mapping)
+  const planRef = useRef(plan);
+  planRef.current = plan;
+  const initialEntriesRef = useRef(isCsv ? null : source.entries || []);
+  useEffect(() => {
+    const entries = initialEntriesRef.current;
+    initialEntriesRef.current = null;
+    if (entries) planRef.current(entries);
+  }, []);
+
+  const previewCsv = () => {
+    const result = csvToEntries(source.rows, mapping);
+    setErrors(result.errors);
+    if (result.entries.length) plan(result.entries);
+  };
+
+  const run = async (list) => {
+    stopRef.current = false;
+    setPending(null);
+    setProgress({ done: 0, total: list.length });
+    const result = await onApply(list, {
+      onProgress: (done, total) => setProgress({ done, total }),
+      shouldStop: () => stopRef.current,
+    });
+    setProgress(null);
+    const total = applied + result.applied;
+    setApplied(total);
+    if (result.failed.length || result.remaining.length) setPending(result);
+    else onDone(total);
+  };
+
+  const counts = (changes || []).reduce((acc, c) => ({ ...acc, [c.status]: (acc[c.status] || 0) + 1 }), {});
+  const actionable = (changes || []).map((c, i) => ({ c, i })).filter(({ c }) => c.status !== "unchanged");
+  const chosen = actionable.filter(({ i }) => checked[i]).map(({ c }) => c);
+  const busy = planning || !!progress;
+
+  const toggle = (index) => setChecked((list) => list.map((v, i) => (i === index ? !v : v)));
+
+  const headerAction = () => {
+    if (progress) {
+      return (
+        <button className="btn btn-secondary" onClick={() => (stopRef.current = true)}>
+          Stop ({progress.done}/{progress.total})
+        </button>
+      );
+    }
+    if (pending) {
+      const retry = [...pending.failed.map((f) => f.change), ...pending.remaining];
+      return (
+        <button className="btn btn-primary" onClick={() => run(retry)}>
+          {pending.remaining.length ? "Resume" : "Retry failed"} ({retry.length})
+        </button>
+      );
+    }
+    if (!changes) {
+      return isCsv ? (
+        <button className="btn btn-primary" onClick={previewCsv} disabled={busy}>
+          {planning ? "Comparing..." : "Preview changes"}
+        </button>
+      ) : null;
+    }
+    return (
+      <button className="btn btn-primary" onClick={() => run(chosen)} disabled={chosen.length === 0}>
+        Apply {chosen.length}
+      </button>
+    );
+  };
+
+  return (
+    <div className="main-panel import-preview">
+      <header className="detail-header">
+        <div className="detail-title-block">
+          <h2 className="detail-title">Restore from backup</h2>
+          <div className="meta">
+            {source.fileName}
+            {applied ? ` · ${applied} applied` : ""}
+          </div>
+        </div>
+        <div className="detail-actions">
+          <button className="btn btn-secondary" onClick={onClose} disabled={!!progress}>
+            {applied ? "Close" : "Cancel"}
+          </button>
+          {headerAction()}
+        </div>
+      </header>
+
+      {isCsv && !changes ? (
+        <section className="restore-section">
+          <h3>Columns</h3>
+          <div className="csv-mapping">
+            {(source.rows[0] || []).map((header, col) => (
+              <label key={col} className="csv-mapping-row">
+                <span className="csv-mapping-header">
+                  {header || `Column ${col + 1}`}
+                  <span className="meta">{source.rows[1] ? source.rows[1][col] : ""}</span>
+                </span>
+                <select
+                  className="input input-small"
+                  value={mapping[col] || ""}
+                  onChange={(e) => setMapping((m) => m.map((f, i) => (i === col ? e.target.value : f)))}
+                  aria-label={`Field for column ${header || col + 1}`}
+                >
+                  <option value="">Ignore</option>
+                  {CSV_IMPORT_FIELDS.map((f) => (
+                    <option key={f.value} value={f.value}>
+                      {f.label}
+                    </option>
+                  ))}
+                </select>
+              </label>
+            ))}
+          </div>
+        </section>
+      ) : null}
+
+      {errors.length ? (
+        <section className="restore-section">
+          <h3>
+            Skipped {errors.length} problem{errors.length === 1 ? "" : "s"}
+          </h3>
+          <ul className="restore-errors">
+            {errors.slice(0, MAX_ERRORS).map((e, i) => (
+              <li key={i}>{e}</li>
+            ))}
+            {errors.length > MAX_ERRORS ? <li>…and {errors.length - MAX_ERRORS} more</li> : null}
+          </ul>
+        </section>
+      ) : null}
+
+      {pending && pending.failed.length ? (
+        <section className="restore-section">
+          <h3>Failed</h3>
+          <ul className="restore-errors">
+            {pending.failed.map(({ change, error }, i) => (
+              <li key={i}>
+                {change.incoming.title}: {error.message}
+              </li>
+            ))}
+          </ul>
+        </section>
+      ) : null}
+
+      {changes ? (
+        <>
+          <div className="meta restore-summary">
+            {Object.keys(STATUS_LABELS)
+              .filter((s) => counts[s])
+              .map((s) => `${counts[s]} ${STATUS_LABELS[s].toLowerCase()}`)
+              .join(" · ") || "Nothing to restore"}
+          </div>
+          <div className="tasklist">
+            {actionable.map(({ c, i }) => (
+              <label key={i} className={`tasklist-item import-item ${c.status}`}>
+                <input type="checkbox" checked={!!checked[i]} onChange={() => toggle(i)} disabled={busy || !!pending} />
+                <div className="task-titlegroup">
+                  <div className="task-title">{c.incoming.title}</div>
+                  <div className="task-subtitle">
+                    <span className={`pill restore-${c.status}`}>{STATUS_LABELS[c.status]}</span>
+                    {c.fields.length ? <span className="meta">Changes: {c.fields.join(", ")}</span> : null}
+                    {c.subtasks.create.length ? (
+                      <span className="meta">
+                        +{c.subtasks.create.length} subtask{c.subtasks.create.length === 1 ? "" : "s"}
+                      </span>
+                    ) : null}
+                    {c.subtasks.update.length ? (
+                      <span className="meta">
+                        {c.subtasks.update.length} subtask{c.subtasks.update.length === 1 ? "" : "s"} updated
+                      </span>
+                    ) : null}
+                    {c.status === "conflict" ? <span className="meta">Edited here since the backup; check to overwrite</span> : null}
+                  </div>
+                </div>
+              </label>
+            ))}
+          </div>
+        </>
+      ) : null}
+    </div>
+  );
+}
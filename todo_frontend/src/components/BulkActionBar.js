@@ -0,0 +1,107 @@
+import React, { useState } from "react";
+import { normalizeTags } from "../utils/tags";
+
+const PRIORITIES = ["low", "medium", "high", "critical"];
+
+/**
+ * BulkActionBar offers actions for the tasks checked in TaskList's checkbox mode.
+ *
+ * Props:
+ * - count: number - Checked tasks
+ * - total: number | null - Tasks matching the current filters; null while not all are loaded (count unknown)
+ * - busy: boolean - A bulk action is running
+ * - onSelectAll: () => void
+ * - onClear: () => void
+ * - onAction: (action, value?) => void - action is one of complete, uncomplete, delete, priority, shift, tags
+ * - onDone: () => void - Leave checkbox mode
+ */
+export default function BulkActionBar({ count, total, busy = false, onSelectAll, onClear, onAction, onDone }) {
+  const [days, setDays] = useState("1");
+  const [tags, setTags] = useState("");
+  const disabled = busy || count === 0;
+
+  const addTags = () => {
+    const list = normalizeTags(tags.split(","));
+    if (!list.length) return;
+    onAction("tags", list);
+    setTags("");
+  };
+
+  return (
+    <div className="bulk-bar" role="toolbar" aria-label="Bulk actions">
+      <div className="bulk-bar-row">
+        <strong>{count} selected</strong>
+        {total === null || count < total ? (
+          <button className="btn btn-secondary" onClick={onSelectAll} disabled={busy}>
+            {total === null ? "Select all matching" : `Select all ${total}`}
+          </button>
+        ) : null}
+        {count > 0 ? (
+          <button className="btn btn-secondary" onClick={onClear}>
+            Clear
+          </button>
+        ) : null}
+        {busy ? <div className="spinner" aria-label="working" /> : null}
+        <button className="btn btn-secondary bulk-done" onClick={onDone}>
+          Done
+        </button>
+      </div>
+      <div className="bulk-bar-row">
+        <button className="btn btn-primary" disabled={disabled} onClick={() => onAction("complete")}>
+          Complete
+        </button>
+        <button className="btn btn-secondary" disabled={disabled} onClick={() => onAction("uncomplete")}>
+          Uncomplete
+        </button>
+        <select
+          className="input input-small"
+          value=""
+          disabled={disabled}
+          onChange={(e) => e.target.value && onAction("priority", e.target.value)}
+          aria-label="Set priority"
+        >
+          <option value="">Priority…</option>
+          {PRIORITIES.map((p) => (
+            <option key={p} value={p}>
+              {p}
+            </option>
+          ))}
+        </select>
+        <button className="btn btn-danger" disabled={disabled} onClick={() => onAction("delete")}>
+          Delete
+        </button>
+      </div>
+      <div className="bulk-bar-row">
+        <label className="checkbox">
+          Shift due by
+          <input
+            className="input input-small"
+            type="number"
+            value={days}
+            onChange={(e) => setDays(e.target.value)}
+            aria-label="Days to shift due dates"
+          />
+          days
+        </label>
+        <button
+          className="btn btn-secondary"
+          disabled={disabled || !Number(days)}
+          onClick={() => onAction("shift", Number(days))}
+        >
+          Shift
+        </button>
+        <input
+          className="input input-small"
+          value={tags}
+          onChange={(e) => setTags(e.target.value)}
+          onKeyDown={(e) => e.key === "Enter" && !disabled && addTags()}
+          placeholder="tag, another"
+          aria-label="Tags to add"
+        />
+        <button className="btn btn-secondary" disabled={disabled || !tags.trim()} onClick={addTags}>
+          Add tags
+        </button>
+      </div>
+    </div>
+  );
+}
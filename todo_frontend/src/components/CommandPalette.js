@@ -0,0 +1,91 @@
+import React, { useMemo, useState } from "react";
+import { fuzzyFilter } from "../utils/shortcuts";
+
+const MAX_RESULTS = 12;
+
+/**
+ * CommandPalette is a modal search box (Ctrl/Cmd-K) that fuzzy-matches commands
+ * and task titles. Arrow keys move the highlight, Enter runs it, Escape closes.
+ *
+ * Props:
+ * - commands: Array<{ id: string, label: string, hint?: string, run: () => void }>
+ * - tasks: Array<Task>
+ * - onSelectTask: (task) => void
+ * - onClose: () => void
+ */
+export default function CommandPalette({ commands = [], tasks = [], onSelectTask, onClose }) {
+  const [query, setQuery] = useState("");
+  const [active, setActive] = useState(0);
+
+  const items = useMemo(() => {
+    const taskItems = tasks.map((t) => ({
+      id: `task-${t.id}`,
+      label: t.title,
+      hint: t.completed ? "Task · done" : "Task",
+      run: () => onSelectTask(t),
+    }));
+    return fuzzyFilter([...commands, ...taskItems], query, (item) => item.label).slice(0, MAX_RESULTS);
+  }, [commands, tasks, query, onSelectTask]);
+
+  const run = (item) => {
+    onClose();
+    item.run();
+  };
+
+  const onKeyDown = (e) => {
+    if (e.key === "Escape") {
+      e.preventDefault();
+      onClose();
+    } else if (e.key === "ArrowDown") {
+      e.preventDefault();
+      setActive((i) => Math.min(i + 1, items.length - 1));
+    } else if (e.key === "ArrowUp") {
+      e.preventDefault();
+      setActive((i) => Math.max(i - 1, 0));
+    } else if (e.key === "Enter" && items[active]) {
+      e.preventDefault();
+      run(items[active]);
+    }
+  };
+
+  return (
+    <div className="overlay" onClick={onClose}>
+      <div className="palette" role="dialog" aria-label="Command palette" onClick={(e) => e.stopPropagation()}>
+        <input
+          className="input"
+          autoFocus
+          value={query}
+          onChange={(e) => {
+            setQuery(e.target.value);
+            setActive(0);
+          }}
+          onKeyDown={onKeyDown}
+          placeholder="Type a command or task title..."
+          aria-label="Command"
+        />
+        {items.length === 0 ? (
+          <div className="empty">No matches</div>
+        ) : (
+          <ul className="palette-results" role="listbox">
+            {items.map((item, i) => (
+              <li
+                key={item.id}
+                role="option"
+                aria-selected={i === active}
+                className={`palette-item ${i === active ? "active" : ""}`}
+                onMouseEnter={() => setActive(i)}
+                onMouseDown={(e) => {
+                  e.preventDefault();
+                  run(item);
+                }}
+              >
+                <span>{item.label}</span>
+                {item.hint ? <span className="meta">{item.hint}</span> : null}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
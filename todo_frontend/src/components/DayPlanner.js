@@ -0,0 +1,160 @@
+import React, { useMemo, useState } from "react";
+import { planSchedule, weekCapacity } from "../utils/planner";
+
+const UNSCHEDULED_REASONS = {
+  due: "not enough time before it is due",
+  capacity: "no room left in the plan",
+};
+
+/**
+ * DayPlanner proposes a plan for the hours available today (and optionally the rest of the
+ * week): open tasks are ranked by urgency and priority and packed by ETA. Tasks that do not fit
+ * are listed with the reason. Accepting the plan replaces the Today list with today's part.
+ *
+ * Props:
+ * - tasks: Array<Task> - All tasks; completed and blocked ones are left out
+ * - loading: boolean
+ * - hasTodayPlan: boolean - Whether accepting replaces an existing Today list
+ * - onAccept: (entries: Array<{ id, title, hours }>) => void
+ * - onSelectTask: (task) => void
+ * - onClose: () => void
+ */
+export default function DayPlanner({ tasks = [], loading, hasTodayPlan, onAccept, onSelectTask, onClose }) {
+  const [todayHours, setTodayHours] = useState(6);
+  const [planWeek, setPlanWeek] = useState(false);
+  const [dayHours, setDayHours] = useState(6);
+
+  const plan = useMemo(() => {
+    const today = new Date();
+    const capacity = planWeek ? weekCapacity(todayHours, dayHours, today) : [todayHours];
+    return planSchedule(tasks, capacity, { today });
+  }, [tasks, todayHours, planWeek, dayHours]);
+
+  const todayItems = plan.days[0]?.items || [];
+
+  const accept = () =>
+    onAccept(todayItems.map(({ task, hours }) => ({ id: task.id, title: task.title, hours: roundHours(hours) })));
+
+  return (
+    <div className="main-panel day-planner">
+      <header className="detail-header">
+        <h2 className="detail-title">Plan my day</h2>
+        <div className="detail-actions">
+          <button className="btn btn-secondary" onClick={onClose}>
+            Close
+          </button>
+        </div>
+      </header>
+
+      <div className="planner-hours">
+        <label className="input-label">
+          Hours available today
+          <input
+            className="input input-small"
+            type="number"
+            min="0"
+            max="24"
+            step="0.5"
+            value={todayHours}
+            onChange={(e) => setTodayHours(clampHours(e.target.value))}
+          />
+        </label>
+        <label className="checkbox">
+          <input type="checkbox" checked={planWeek} onChange={(e) => setPlanWeek(e.target.checked)} />
+          Also plan the rest of the week
+        </label>
+        {planWeek ? (
+          <label className="input-label">
+            Hours per day after today
+            <input
+              className="input input-small"
+              type="number"
+              min="0"
+              max="24"
+              step="0.5"
+              value={dayHours}
+              onChange={(e) => setDayHours(clampHours(e.target.value))}
+            />
+          </label>
+        ) : null}
+      </div>
+
+      {loading ? (
+        <div className="meta">Loading tasks...</div>
+      ) : (
+        <>
+          {plan.days.map((day, i) => (
+            <section key={day.date} className="planner-day">
+              <div className="planner-day-header">
+                <h3>{i === 0 ? "Today" : fmtDay(day.date)}</h3>
+                <span className="meta">
+                  {roundHours(day.used)} of {roundHours(day.hours)}h planned
+                </span>
+              </div>
+              {day.items.length ? (
+                <ul className="planner-items">
+                  {day.items.map((item) => (
+                    <li key={`${item.task.id}-${item.part}`} className="planner-item">
+                      <button type="button" className="saved-view-link" onClick={() => onSelectTask(item.task)}>
+                        {item.task.title}
+                      </button>
+                      <span className="meta">
+                        {roundHours(item.hours)}h
+                        {item.parts > 1 ? ` · part ${item.part} of ${item.parts}` : ""}
+                        {item.assumedEta ? " · no ETA, 1h assumed" : ""}
+                      </span>
+                      {item.overdue ? <span className="pill critical">overdue</span> : null}
+                    </li>
+                  ))}
+                </ul>
+              ) : (
+                <div className="meta">Nothing planned.</div>
+              )}
+            </section>
+          ))}
+
+          {plan.unscheduled.length ? (
+            <section className="planner-day planner-unscheduled">
+              <div className="planner-day-header">
+                <h3>Can't fit</h3>
+                <span className="meta">{plan.unscheduled.length}</span>
+              </div>
+              <ul className="planner-items">
+                {plan.unscheduled.map(({ task, eta, reason }) => (
+                  <li key={task.id} className="planner-item">
+                    <button type="button" className="saved-view-link" onClick={() => onSelectTask(task)}>
+                      {task.title}
+                    </button>
+                    <span className="meta">
+                      {roundHours(eta)}h · {UNSCHEDULED_REASONS[reason]}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            </section>
+          ) : null}
+
+          <div className="form-actions">
+            <button className="btn btn-primary" onClick={accept} disabled={!todayItems.length}>
+              {hasTodayPlan ? "Replace today's list" : "Accept today's plan"}
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+function clampHours(value) {
+  const hours = Number(value);
+  return Number.isFinite(hours) ? Math.min(24, Math.max(0, hours)) : 0;
+}
+
+function roundHours(hours) {
+  return Math.round(hours * 100) / 100;
+}
+
+function fmtDay(isoDate) {
+  const [y, m, d] = isoDate.split("-").map(Number);
+  return new Date(y, m - 1, d).toLocaleDateString(undefined, { weekday: "long", month: "short", day: "numeric" });
+}
@@ -0,0 +1,108 @@
+import React, { useMemo } from "react";
+import { criticalPath, dependencyLayout } from "../utils/dependencies";
+
+const NODE_WIDTH = 180;
+const NODE_HEIGHT = 48;
+const COLUMN_GAP = 56;
+const ROW_GAP = 16;
+const TITLE_CHARS = 24;
+
+/**
+ * DependencyGraph draws linked tasks left to right, each after the tasks blocking it, and
+ * highlights the critical path: the longest chain of open work by ETA.
+ *
+ * Props:
+ * - tasks: Array<Task> - Tasks with their `blocked_by` links
+ * - onSelectTask: (task) => void
+ * - onClose: () => void
+ */
+export default function DependencyGraph({ tasks = [], onSelectTask, onClose }) {
+  const { nodes, edges } = useMemo(() => dependencyLayout(tasks), [tasks]);
+  const path = useMemo(() => criticalPath(tasks), [tasks]);
+
+  const position = new Map(
+    nodes.map((n) => [String(n.task.id), { x: n.column * (NODE_WIDTH + COLUMN_GAP), y: n.row * (NODE_HEIGHT + ROW_GAP) }])
+  );
+  const onPath = new Set(path.ids.map(String));
+  // Consecutive tasks of the path
+  const pathEdges = new Set(path.ids.slice(1).map((id, i) => `${path.ids[i]}>${id}`));
+  const width = Math.max(0, ...nodes.map((n) => position.get(String(n.task.id)).x)) + NODE_WIDTH;
+  const height = Math.max(0, ...nodes.map((n) => position.get(String(n.task.id)).y)) + NODE_HEIGHT;
+  const titles = path.ids.map((id) => tasks.find((t) => String(t.id) === String(id))?.title);
+
+  return (
+    <div className="main-panel dependency-graph">
+      <header className="detail-header">
+        <h2 className="detail-title">Dependencies</h2>
+        <div className="detail-actions">
+          <button className="btn btn-secondary" onClick={onClose}>
+            Close
+          </button>
+        </div>
+      </header>
+
+      {!nodes.length ? (
+        <div className="empty">No dependencies yet. Link tasks from the Dependencies section of a task.</div>
+      ) : (
+        <>
+          <div className="meta critical-summary">
+            {path.ids.length
+              ? `Critical path: ${path.hours}h over ${path.ids.length} tasks (${titles.join(" → ")})`
+              : "No open chains of tasks left."}
+          </div>
+          <div className="graph-scroll">
+            <svg width={width} height={height} role="img" aria-label="Dependency graph">
+              <defs>
+                <marker id="graph-arrow" viewBox="0 0 8 8" refX="8" refY="4" markerWidth="8" markerHeight="8" orient="auto">
+                  <path d="M0,0 L8,4 L0,8 z" />
+                </marker>
+              </defs>
+              {edges.map(({ from, to }) => {
+                const a = position.get(String(from));
+                const b = position.get(String(to));
+                const x1 = a.x + NODE_WIDTH;
+                const y1 = a.y + NODE_HEIGHT / 2;
+                const x2 = b.x;
+                const y2 = b.y + NODE_HEIGHT / 2;
+                const bend = Math.max(24, (x2 - x1) / 2);
+                return (
+                  <path
+                    key={`${from}>${to}`}
+                    className={`graph-edge ${pathEdges.has(`${from}>${to}`) ? "critical" : ""}`}
+                    d={`M${x1},${y1} C${x1 + bend},${y1} ${x2 - bend},${y2} ${x2},${y2}`}
+                    markerEnd="url(#graph-arrow)"
+                  />
+                );
+              })}
+              {nodes.map(({ task }) => {
+                const { x, y } = position.get(String(task.id));
+                const title = task.title.length > TITLE_CHARS ? `${task.title.slice(0, TITLE_CHARS - 1)}…` : task.title;
+                return (
+                  <g
+                    key={task.id}
+                    className={`graph-node ${onPath.has(String(task.id)) ? "critical" : ""} ${task.completed ? "completed" : ""}`}
+                    transform={`translate(${x},${y})`}
+                    role="button"
+                    tabIndex={0}
+                    aria-label={task.title}
+                    onClick={() => onSelectTask(task)}
+                    onKeyDown={(e) => e.key === "Enter" && onSelectTask(task)}
+                  >
+                    <title>{task.title}</title>
+                    <rect width={NODE_WIDTH} height={NODE_HEIGHT} rx="6" />
+                    <text x="10" y="20" className="graph-title">
+                      {title}
+                    </text>
+                    <text x="10" y="38" className="graph-meta">
+                      {task.completed ? "done" : Number(task.eta) > 0 ? `${task.eta}h` : "no ETA"}
+                    </text>
+                  </g>
+                );
+              })}
+            </svg>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,83 @@
+import React, { useState } from "react";
+import FormField from "./FormField";
+import { formErrors, validateEmail } from "../utils/accountForms";
+
+/**
+ * ForgotPassword asks for the account's email and requests a reset link for it.
+ *
+ * Props:
+ * - onRequest: (email) => Promise<void> - rejects with the server error
+ * - onShowLogin: () => void
+ */
+export default function ForgotPassword({ onRequest, onShowLogin }) {
+  const [email, setEmail] = useState("");
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [sending, setSending] = useState(false);
+  const [sentTo, setSentTo] = useState(null);
+
+  const submit = async (e) => {
+    e.preventDefault();
+    const problem = validateEmail(email);
+    setError(problem);
+    setMessage(null);
+    if (problem) return;
+    setSending(true);
+    try {
+      await onRequest(email.trim());
+      setSentTo(email.trim());
+    } catch (err) {
+      const mapped = formErrors(err, {}, ["email"]);
+      setError(mapped.fields.email || null);
+      setMessage(mapped.message);
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div className="auth-container">
+      <div className="auth-card">
+        <h1 className="app-title">Reset your password</h1>
+        {sentTo ? (
+          <div className="auth-form">
+            {/* The server does not say whether the address has an account */}
+            <div className="alert success" role="status">
+              If an account uses {sentTo}, we sent it a link to choose a new password. Check your inbox.
+            </div>
+            <button type="button" className="btn btn-primary btn-large" onClick={onShowLogin}>
+              Back to login
+            </button>
+          </div>
+        ) : (
+          <>
+            <p className="app-subtitle">Enter your account's email and we'll send you a reset link.</p>
+            <form className="auth-form" onSubmit={submit} noValidate>
+              <FormField label="Email" error={error}>
+                <input
+                  className="input"
+                  type="email"
+                  autoComplete="email"
+                  value={email}
+                  onChange={(e) => {
+                    setEmail(e.target.value);
+                    setError(null);
+                  }}
+                />
+              </FormField>
+              {message ? <div className="alert error">{message}</div> : null}
+              <button type="submit" className="btn btn-primary btn-large" disabled={sending}>
+                {sending ? "Sending..." : "Send reset link"}
+              </button>
+            </form>
+            <div className="auth-links">
+              <button type="button" className="btn-link" onClick={onShowLogin}>
+                Back to login
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,25 @@
+import React from "react";
+
+/**
+ * FormField wraps an input with its label and, below it, the problem with its value if any.
+ *
+ * Props:
+ * - label: string
+ * - error: string | null - a phrase shown after the label, e.g. "is required"
+ * - children: the input
+ */
+export default function FormField({ label, error = null, children }) {
+  return (
+    <div className="form-field">
+      <label className="input-label">
+        {label}
+        {children}
+      </label>
+      {error ? (
+        <span className="field-error" role="alert">
+          {label} {error}
+        </span>
+      ) : null}
+    </div>
+  );
+}
@@ -0,0 +1,71 @@
+import React, { useState } from "react";
+import TagChips from "./TagChips";
+
+/**
+ * ICalImport previews the tasks parsed from an .ics file before they are created.
+ * Entries already imported (same UID) are marked and unchecked.
+ *
+ * Props:
+ * - fileName: string
+ * - plan: Array<{ item: Object, subtasks: Object[], duplicate: boolean }> (see planICalImport)
+ * - progress: { done: number, total: number } | null - Set while importing
+ * - onImport: (entries) => void
+ * - onClose: () => void
+ * - tagColors: Record<string, string>
+ */
+export default function ICalImport({ fileName, plan = [], progress = null, onImport, onClose, tagColors = {} }) {
+  const [checked, setChecked] = useState(() => plan.map((entry) => !entry.duplicate));
+  const chosen = plan.filter((_, i) => checked[i]);
+  const duplicates = plan.filter((entry) => entry.duplicate).length;
+
+  const toggle = (index) => setChecked((list) => list.map((c, i) => (i === index ? !c : c)));
+
+  return (
+    <div className="main-panel import-preview">
+      <header className="detail-header">
+        <div className="detail-title-block">
+          <h2 className="detail-title">Import from calendar</h2>
+          <div className="meta">
+            {fileName} · {plan.length} item{plan.length === 1 ? "" : "s"}
+            {duplicates ? ` · ${duplicates} already imported` : ""}
+          </div>
+        </div>
+        <div className="detail-actions">
+          <button className="btn btn-secondary" onClick={onClose} disabled={!!progress}>
+            Cancel
+          </button>
+          <button className="btn btn-primary" onClick={() => onImport(chosen)} disabled={!!progress || chosen.length === 0}>
+            {progress ? `Importing ${progress.done}/${progress.total}...` : `Import ${chosen.length}`}
+          </button>
+        </div>
+      </header>
+
+      <div className="tasklist">
+        {plan.map((entry, i) => {
+          const { item, subtasks, duplicate } = entry;
+          return (
+            <label key={`${item.uid || "item"}-${i}`} className={`tasklist-item import-item ${duplicate ? "duplicate" : ""}`}>
+              <input type="checkbox" checked={!!checked[i]} onChange={() => toggle(i)} disabled={!!progress} />
+              <div className="task-titlegroup">
+                <div className={`task-title ${item.completed ? "completed" : ""}`}>{item.title}</div>
+                <div className="task-subtitle">
+                  <span className="meta">{item.type === "VEVENT" ? "Event" : "To-do"}</span>
+                  {item.priority ? <span className={`pill ${item.priority}`}>{item.priority}</span> : null}
+                  <TagChips tags={item.tags} colors={tagColors} />
+                  {item.due_date ? <span className="meta">Due: {item.due_date.replace("T", " ")}</span> : null}
+                  {subtasks.length ? (
+                    <span className="meta">
+                      {subtasks.length} subtask{subtasks.length === 1 ? "" : "s"}
+                    </span>
+                  ) : null}
+                  {item.recurrence ? <span className="meta">↻</span> : null}
+                  {duplicate ? <span className="meta">Already imported</span> : null}
+                </div>
+              </div>
+            </label>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
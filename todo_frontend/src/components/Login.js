@@ -8,9 +8,23 @@ import React, { useState } from "react";
  * - onLogin: (username, password) => Promise<void>
  * - loading: boolean
  * - error: string | null
+ * - title, subtitle: string (optional headings)
+ * - initialUsername: string (optional, e.g. when signing in again)
+ * - secondaryAction: { label, onClick } (optional button next to Login)
+ * - onSignUp, onForgotPassword: () => void (optional links to those screens)
  */
-export default function Login({ onLogin, loading = false, error = null }) {
-  const [username, setUsername] = useState("");
+export default function Login({
+  onLogin,
+  loading = false,
+  error = null,
+  title = "Smart Task Organizer",
+  subtitle = "Stay on top of your day",
+  initialUsername = "",
+  secondaryAction = null,
+  onSignUp = null,
+  onForgotPassword = null,
+}) {
+  const [username, setUsername] = useState(initialUsername);
   const [password, setPassword] = useState("");
 
   const disabled = loading || !username || !password;
@@ -24,8 +38,8 @@ export default function Login({ onLogin, loading = false, error = null }) {
   return (
     <div className="auth-container">
       <div className="auth-card">
-        <h1 className="app-title">Smart Task Organizer</h1>
-        <p className="app-subtitle">Stay on top of your day</p>
+        <h1 className="app-title">{title}</h1>
+        <p className="app-subtitle">{subtitle}</p>
         <form className="auth-form" onSubmit={handleSubmit}>
           <label className="input-label">
             Username
@@ -47,13 +61,33 @@ export default function Login({ onLogin, loading = false, error = null }) {
               value={password}
               onChange={(e) => setPassword(e.target.value)}
               placeholder="Enter password"
+              autoFocus={Boolean(initialUsername)}
             />
           </label>
           {error ? <div className="alert error">{error}</div> : null}
           <button type="submit" className="btn btn-primary btn-large" disabled={disabled}>
             {loading ? "Logging in..." : "Login"}
           </button>
+          {secondaryAction ? (
+            <button type="button" className="btn btn-secondary" onClick={secondaryAction.onClick} disabled={loading}>
+              {secondaryAction.label}
+            </button>
+          ) : null}
         </form>
+        {onSignUp || onForgotPassword ? (
+          <div className="auth-links">
+            {onForgotPassword ? (
+              <button type="button" className="btn-link" onClick={onForgotPassword}>
+                Forgot password?
+              </button>
+            ) : null}
+            {onSignUp ? (
+              <button type="button" className="btn-link" onClick={onSignUp}>
+                Create an account
+              </button>
+            ) : null}
+          </div>
+        ) : null}
       </div>
     </div>
   );
@@ -0,0 +1,66 @@
+import React, { useState } from "react";
+
+/**
+ * PendingChanges shows the offline queue status in the topbar and a dropdown
+ * to inspect queued changes, retry failed ones or discard them.
+ *
+ * Props:
+ * - status: { ops: Array<QueuedOp>, pending: number, failed: number, syncing: boolean }
+ * - onSync: () => void
+ * - onRetry: (op) => void
+ * - onDiscard: (op) => void
+ */
+export default function PendingChanges({ status, onSync, onRetry, onDiscard }) {
+  const [open, setOpen] = useState(false);
+  const { ops = [], pending = 0, failed = 0, syncing = false } = status || {};
+
+  if (ops.length === 0) return null;
+
+  const label = syncing
+    ? "Syncing..."
+    : `${pending} change${pending === 1 ? "" : "s"} pending${failed ? `, ${failed} failed` : ""}`;
+
+  return (
+    <div className="pending-changes">
+      <button
+        className={`btn btn-secondary pending-indicator ${failed ? "has-failed" : ""}`}
+        onClick={() => setOpen((o) => !o)}
+        aria-expanded={open}
+      >
+        {label}
+      </button>
+      {open ? (
+        <div className="pending-panel" role="dialog" aria-label="Pending changes">
+          <div className="pending-panel-header">
+            <strong>Pending changes</strong>
+            <button className="btn btn-primary" onClick={onSync} disabled={syncing || pending === 0}>
+              Sync now
+            </button>
+          </div>
+          <ul className="pending-list">
+            {ops.map((op) => (
+              <li key={op.id} className={`pending-item ${op.status}`}>
+                <div className="pending-item-main">
+                  <div>{op.label || op.kind}</div>
+                  <div className="meta">
+                    {op.status === "failed" ? `Failed: ${op.error || "Request failed"}` : "Waiting to sync"}
+                  </div>
+                </div>
+                {op.status === "failed" ? (
+                  <div className="row-actions">
+                    <button className="btn btn-secondary" onClick={() => onRetry(op)}>
+                      Retry
+                    </button>
+                    <button className="btn btn-danger" onClick={() => onDiscard(op)}>
+                      Discard
+                    </button>
+                  </div>
+                ) : null}
+              </li>
+            ))}
+          </ul>
+        </div>
+      ) : null}
+    </div>
+  );
+}
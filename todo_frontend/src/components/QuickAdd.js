@@ -0,0 +1,59 @@
+import React, { useMemo, useState } from "react";
+import { parseQuickAdd } from "../utils/quickAdd";
+import TagChips from "./TagChips";
+
+/**
+ * QuickAdd is a single-line task entry that understands dates, times, priority,
+ * ETA and tags written inline, e.g. "Send deck to Maria on fri 3pm !high ~1.5h #sales".
+ * A live preview shows how the text will be interpreted before it is submitted.
+ *
+ * Props:
+ * - onCreate: (payload) => Promise<void>
+ * - tagColors: Record<string, string>
+ */
+export default function QuickAdd({ onCreate, tagColors = {} }) {
+  const [text, setText] = useState("");
+  const parsed = useMemo(() => parseQuickAdd(text), [text]);
+
+  const submit = async (e) => {
+    e.preventDefault();
+    if (!parsed.title) return;
+    const payload = { title: parsed.title, priority: parsed.priority || "medium", tags: parsed.tags };
+    if (parsed.due_date) payload.due_date = parsed.due_date;
+    if (parsed.eta !== null) payload.eta = parsed.eta;
+    setText("");
+    await onCreate(payload);
+  };
+
+  return (
+    <form className="quick-add" onSubmit={submit}>
+      <input
+        className="input"
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        onKeyDown={(e) => e.key === "Escape" && setText("")}
+        placeholder='Quick add, e.g. "Send deck to Maria on fri 3pm !high ~1.5h #sales"'
+        aria-label="Quick add task"
+      />
+      {text.trim() ? (
+        <div className="quick-add-preview" aria-live="polite">
+          <span className={`quick-add-title ${parsed.title ? "" : "missing"}`}>{parsed.title || "Add a title"}</span>
+          {parsed.priority ? <span className={`pill ${parsed.priority}`}>{parsed.priority}</span> : null}
+          {parsed.due_date ? <span className="meta">Due: {fmtDue(parsed.due_date)}</span> : null}
+          {parsed.eta !== null ? <span className="meta">ETA: {parsed.eta}h</span> : null}
+          <TagChips tags={parsed.tags} colors={tagColors} />
+          <button type="submit" className="btn btn-primary" disabled={!parsed.title}>
+            Add
+          </button>
+        </div>
+      ) : null}
+    </form>
+  );
+}
+
+function fmtDue(value) {
+  const [date, time] = value.split("T");
+  const [y, m, d] = date.split("-").map(Number);
+  const label = new Date(y, m - 1, d).toLocaleDateString(undefined, { weekday: "short", month: "short", day: "numeric" });
+  return time ? `${label} ${time}` : label;
+}
@@ -0,0 +1,31 @@
+import React from "react";
+import Login from "./Login";
+
+/**
+ * ReauthModal asks for the password again when the session expires. It opens over the current
+ * view, so whatever is on screen (such as a half-written task) stays as it was.
+ *
+ * Props:
+ * - username: string - who was logged in
+ * - onLogin: (username, password) => Promise<void>
+ * - onLogout: () => void
+ * - loading: boolean
+ * - error: string | null
+ */
+export default function ReauthModal({ username = "", onLogin, onLogout, loading = false, error = null }) {
+  return (
+    <div className="overlay">
+      <div className="reauth" role="dialog" aria-modal="true" aria-label="Session expired">
+        <Login
+          title="Session expired"
+          subtitle="Log in again to pick up where you left off. Unsaved changes are kept."
+          initialUsername={username}
+          onLogin={onLogin}
+          loading={loading}
+          error={error}
+          secondaryAction={{ label: "Log out", onClick: onLogout }}
+        />
+      </div>
+    </div>
+  );
+}
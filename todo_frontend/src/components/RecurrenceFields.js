@@ -0,0 +1,233 @@
+import React from "react";
+import { WEEKDAYS, describeRRule, formatRRule, parseRRule, splitByDay, toIsoDate } from "../utils/recurrence";
+import { parseDueDate } from "../api/taskQuery";
+
+const FREQ_OPTIONS = [
+  { value: "", label: "Does not repeat" },
+  { value: "DAILY", label: "Daily" },
+  { value: "WEEKLY", label: "Weekly" },
+  { value: "MONTHLY", label: "Monthly" },
+  { value: "YEARLY", label: "Yearly" },
+];
+
+const UNIT_LABELS = { DAILY: "day(s)", WEEKLY: "week(s)", MONTHLY: "month(s)", YEARLY: "year(s)" };
+
+const ORDINAL_OPTIONS = [
+  { value: 1, label: "first" },
+  { value: 2, label: "second" },
+  { value: 3, label: "third" },
+  { value: 4, label: "fourth" },
+  { value: -1, label: "last" },
+];
+
+/**
+ * RecurrenceFields edits a task's repeat rule, stored as an RRULE string.
+ *
+ * Props:
+ * - value: string | null (RRULE, e.g. "FREQ=WEEKLY;BYDAY=MO,WE")
+ * - dueDate: string ("YYYY-MM-DD") used to pick sensible defaults
+ * - onChange: (rrule: string | null) => void
+ */
+export default function RecurrenceFields({ value, dueDate, onChange }) {
+  const rule = parseRRule(value);
+  const anchor = parseDueDate(dueDate) || new Date();
+  const anchorDay = WEEKDAYS[(anchor.getDay() + 6) % 7];
+
+  const emit = (patch) => onChange(formatRRule({ ...rule, ...patch }));
+
+  const setFreq = (freq) => {
+    if (!freq) {
+      onChange(null);
+      return;
+    }
+    onChange(
+      formatRRule({
+        freq,
+        interval: rule?.interval || 1,
+        byDay: freq === "WEEKLY" ? [anchorDay] : [],
+        byMonthDay: freq === "MONTHLY" ? anchor.getDate() : null,
+        until: rule?.until || null,
+        count: rule?.count || null,
+      })
+    );
+  };
+
+  if (!rule) {
+    return (
+      <div className="recurrence">
+        <label className="input-label">
+          Repeat
+          <select className="input" value="" onChange={(e) => setFreq(e.target.value)}>
+            {FREQ_OPTIONS.map((o) => (
+              <option key={o.value} value={o.value}>
+                {o.label}
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+    );
+  }
+
+  const toggleWeekday = (day) => {
+    const set = new Set(rule.byDay);
+    if (set.has(day)) set.delete(day);
+    else set.add(day);
+    // Keep at least one weekday; order them Monday first
+    const byDay = WEEKDAYS.filter((d) => set.has(d));
+    emit({ byDay: byDay.length ? byDay : [day] });
+  };
+
+  const monthlyNth = rule.freq === "MONTHLY" && rule.byDay.length > 0 ? splitByDay(rule.byDay[0]) : null;
+  const endMode = rule.until ? "until" : rule.count ? "count" : "never";
+
+  return (
+    <div className="recurrence">
+      <div className="grid-2">
+        <label className="input-label">
+          Repeat
+          <select className="input" value={rule.freq} onChange={(e) => setFreq(e.target.value)}>
+            {FREQ_OPTIONS.map((o) => (
+              <option key={o.value} value={o.value}>
+                {o.label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="input-label">
+          Every
+          <div className="recurrence-inline">
+            <input
+              className="input"
+              type="number"
+              min="1"
+              value={rule.interval}
+              onChange={(e) => emit({ interval: Math.max(1, Number(e.target.value) || 1) })}
+              aria-label="Repeat interval"
+            />
+            <span>{UNIT_LABELS[rule.freq]}</span>
+          </div>
+        </label>
+      </div>
+
+      {rule.freq === "WEEKLY" ? (
+        <div className="priority-chips" role="group" aria-label="Repeat on weekdays">
+          {WEEKDAYS.map((d) => (
+            <button
+              type="button"
+              key={d}
+              className={`chip ${rule.byDay.includes(d) ? "active" : ""}`}
+              onClick={() => toggleWeekday(d)}
+            >
+              {d}
+            </button>
+          ))}
+        </div>
+      ) : null}
+
+      {rule.freq === "MONTHLY" ? (
+        <div className="recurrence-monthly">
+          <label className="checkbox">
+            <input
+              type="radio"
+              name="monthly-mode"
+              checked={!monthlyNth}
+              onChange={() => emit({ byDay: [], byMonthDay: anchor.getDate() })}
+            />
+            On day
+            <input
+              className="input input-small"
+              type="number"
+              min="1"
+              max="31"
+              value={rule.byMonthDay || anchor.getDate()}
+              disabled={!!monthlyNth}
+              onChange={(e) => emit({ byMonthDay: Math.min(31, Math.max(1, Number(e.target.value) || 1)) })}
+              aria-label="Day of month"
+            />
+          </label>
+          <label className="checkbox">
+            <input
+              type="radio"
+              name="monthly-mode"
+              checked={!!monthlyNth}
+              onChange={() => emit({ byMonthDay: null, byDay: [`${Math.min(4, Math.ceil(anchor.getDate() / 7))}${anchorDay}`] })}
+            />
+            On the
+            <select
+              className="input input-small"
+              value={monthlyNth?.n ?? 1}
+              disabled={!monthlyNth}
+              onChange={(e) => emit({ byDay: [`${e.target.value}${monthlyNth.day}`] })}
+              aria-label="Week of month"
+            >
+              {ORDINAL_OPTIONS.map((o) => (
+                <option key={o.value} value={o.value}>
+                  {o.label}
+                </option>
+              ))}
+            </select>
+            <select
+              className="input input-small"
+              value={monthlyNth?.day || anchorDay}
+              disabled={!monthlyNth}
+              onChange={(e) => emit({ byDay: [`${monthlyNth.n ?? 1}${e.target.value}`] })}
+              aria-label="Weekday"
+            >
+              {WEEKDAYS.map((d) => (
+                <option key={d} value={d}>
+                  {d}
+                </option>
+              ))}
+            </select>
+          </label>
+        </div>
+      ) : null}
+
+      <div className="grid-2">
+        <label className="input-label">
+          Ends
+          <select
+            className="input"
+            value={endMode}
+            onChange={(e) => {
+              const mode = e.target.value;
+              if (mode === "never") emit({ until: null, count: null });
+              if (mode === "until") emit({ count: null, until: toIsoDate(anchor) });
+              if (mode === "count") emit({ until: null, count: rule.count || 10 });
+            }}
+          >
+            <option value="never">Never</option>
+            <option value="until">On date</option>
+            <option value="count">After a number of times</option>
+          </select>
+        </label>
+        {endMode === "until" ? (
+          <label className="input-label">
+            End date
+            <input
+              className="input"
+              type="date"
+              value={rule.until || ""}
+              onChange={(e) => emit({ until: e.target.value || null })}
+            />
+          </label>
+        ) : null}
+        {endMode === "count" ? (
+          <label className="input-label">
+            Occurrences
+            <input
+              className="input"
+              type="number"
+              min="1"
+              value={rule.count || ""}
+              onChange={(e) => emit({ count: Math.max(1, Number(e.target.value) || 1) })}
+            />
+          </label>
+        ) : null}
+      </div>
+
+      <div className="recurrence-summary">↻ {describeRRule(rule)}</div>
+    </div>
+  );
+}
@@ -0,0 +1,115 @@
+import React, { useState } from "react";
+import FormField from "./FormField";
+import { formErrors, MIN_PASSWORD_LENGTH, validateNewPassword } from "../utils/accountForms";
+
+/**
+ * ResetPassword sets a new password with the token from a reset link.
+ *
+ * Props:
+ * - token: string | null - from the link's ?token=
+ * - onReset: (token, password) => Promise<void> - rejects with the server error
+ * - onShowLogin: () => void
+ * - onForgotPassword: () => void - to request a new link
+ */
+export default function ResetPassword({ token, onReset, onShowLogin, onForgotPassword }) {
+  const [form, setForm] = useState({ password: "", confirm: "" });
+  const [errors, setErrors] = useState({});
+  const [message, setMessage] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [done, setDone] = useState(false);
+
+  const update = (field) => (e) => {
+    const value = e.target.value;
+    setForm((f) => ({ ...f, [field]: value }));
+    setErrors((errs) => (errs[field] ? { ...errs, [field]: null } : errs));
+  };
+
+  const submit = async (e) => {
+    e.preventDefault();
+    const problems = validateNewPassword(form);
+    setErrors(problems);
+    setMessage(null);
+    if (Object.keys(problems).length) return;
+    setSaving(true);
+    try {
+      await onReset(token, form.password);
+      setDone(true);
+    } catch (err) {
+      const mapped = formErrors(err, {}, ["password"]);
+      setErrors(mapped.fields);
+      setMessage(mapped.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  let body;
+  if (done) {
+    body = (
+      <div className="auth-form">
+        <div className="alert success" role="status">
+          Your password was changed. Log in with the new password.
+        </div>
+        <button type="button" className="btn btn-primary btn-large" onClick={onShowLogin}>
+          Log in
+        </button>
+      </div>
+    );
+  } else if (!token) {
+    body = (
+      <div className="auth-form">
+        <div className="alert error">This reset link is incomplete. Open the link from the email again, or request a new one.</div>
+        <button type="button" className="btn btn-primary btn-large" onClick={onForgotPassword}>
+          Request a new link
+        </button>
+      </div>
+    );
+  } else {
+    body = (
+      <form className="auth-form" onSubmit={submit} noValidate>
+        <FormField label="New password" error={errors.password}>
+          <input
+            className="input"
+            type="password"
+            autoComplete="new-password"
+            value={form.password}
+            onChange={update("password")}
+            placeholder={`At least ${MIN_PASSWORD_LENGTH} characters, with a letter and a digit`}
+          />
+        </FormField>
+        <FormField label="Confirm password" error={errors.confirm}>
+          <input
+            className="input"
+            type="password"
+            autoComplete="new-password"
+            value={form.confirm}
+            onChange={update("confirm")}
+          />
+        </FormField>
+        {message ? <div className="alert error">{message}</div> : null}
+        <button type="submit" className="btn btn-primary btn-large" disabled={saving}>
+          {saving ? "Saving..." : "Set new password"}
+        </button>
+      </form>
+    );
+  }
+
+  return (
+    <div className="auth-container">
+      <div className="auth-card">
+        <h1 className="app-title">Choose a new password</h1>
+        {body}
+        {done ? null : (
+          <div className="auth-links">
+            <button type="button" className="btn-link" onClick={onForgotPassword}>
+              Request a new link
+            </button>
+            <button type="button" className="btn-link" onClick={onShowLogin}>
+              Back to login
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,168 @@
+import React, { useState } from "react";
+
+/**
+ * SavedViews lists named filter presets in the sidebar. Pinned views are shown with live
+ * task counts; "Manage" lists every view to rename, reorder, pin, delete or make default.
+ *
+ * Props:
+ * - views: Array<{ id, name, filters, pinned, is_default }>
+ * - counts: Record<string, number> - Matching tasks per pinned view
+ * - activeId: string|null - The view whose filters are applied
+ * - onApply: (view) => void
+ * - onSave: (name) => void - Save the current filters as a new view
+ * - onUpdate: (id, patch) => void - Patch name/pinned/is_default
+ * - onMove: (id, step) => void - Move up (-1) or down (+1)
+ * - onDelete: (id) => void
+ */
+export default function SavedViews({ views = [], counts = {}, activeId, onApply, onSave, onUpdate, onMove, onDelete }) {
+  const [managing, setManaging] = useState(false);
+  const [naming, setNaming] = useState(false);
+  const [name, setName] = useState("");
+
+  const pinned = views.filter((v) => v.pinned);
+
+  const save = (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+    onSave(name.trim());
+    setName("");
+    setNaming(false);
+  };
+
+  return (
+    <div className="filter-group saved-views">
+      <div className="filter-group-header">
+        <div className="input-label">Views</div>
+        <div className="row-actions">
+          {!naming ? (
+            <button type="button" className="chip" onClick={() => setNaming(true)} title="Save the current filters as a view">
+              + Save
+            </button>
+          ) : null}
+          {views.length ? (
+            <button type="button" className={`chip ${managing ? "active" : ""}`} onClick={() => setManaging((m) => !m)}>
+              {managing ? "Done" : "Manage"}
+            </button>
+          ) : null}
+        </div>
+      </div>
+
+      {naming ? (
+        <form className="saved-view-new" onSubmit={save}>
+          <input
+            className="input input-small"
+            value={name}
+            autoFocus
+            onChange={(e) => setName(e.target.value)}
+            onKeyDown={(e) => e.key === "Escape" && setNaming(false)}
+            placeholder="View name"
+            aria-label="View name"
+          />
+          <button className="btn btn-primary" type="submit" disabled={!name.trim()}>
+            Save
+          </button>
+        </form>
+      ) : null}
+
+      {managing ? (
+        <div className="saved-view-list">
+          {views.map((view, i) => (
+            <SavedViewRow
+              key={view.id}
+              view={view}
+              first={i === 0}
+              last={i === views.length - 1}
+              onApply={onApply}
+              onUpdate={onUpdate}
+              onMove={onMove}
+              onDelete={onDelete}
+            />
+          ))}
+        </div>
+      ) : pinned.length ? (
+        <div className="saved-view-list">
+          {pinned.map((view) => (
+            <button
+              key={view.id}
+              type="button"
+              className={`saved-view ${view.id === activeId ? "active" : ""}`}
+              onClick={() => onApply(view)}
+              aria-pressed={view.id === activeId}
+            >
+              <span className="saved-view-name">
+                {view.name}
+                {view.is_default ? <span className="meta"> · default</span> : null}
+              </span>
+              <span className="saved-view-count">{counts[view.id] ?? "…"}</span>
+            </button>
+          ))}
+        </div>
+      ) : !naming ? (
+        <div className="meta">{views.length ? "No pinned views." : "Save filters you use often as a view."}</div>
+      ) : null}
+    </div>
+  );
+}
+
+function SavedViewRow({ view, first, last, onApply, onUpdate, onMove, onDelete }) {
+  const [editing, setEditing] = useState(false);
+  const [name, setName] = useState(view.name);
+
+  const rename = () => {
+    if (name.trim() && name.trim() !== view.name) onUpdate(view.id, { name: name.trim() });
+    else setName(view.name);
+    setEditing(false);
+  };
+
+  return (
+    <div className="saved-view-row">
+      {editing ? (
+        <input
+          className="input input-small"
+          value={name}
+          autoFocus
+          onChange={(e) => setName(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === "Enter") rename();
+            if (e.key === "Escape") {
+              setName(view.name);
+              setEditing(false);
+            }
+          }}
+          onBlur={rename}
+          aria-label={`Rename view ${view.name}`}
+        />
+      ) : (
+        <button type="button" className="saved-view-name saved-view-link" onClick={() => onApply(view)} onDoubleClick={() => setEditing(true)}>
+          {view.name}
+        </button>
+      )}
+      <div className="row-actions">
+        <label className="checkbox" title="Show in the sidebar">
+          <input type="checkbox" checked={!!view.pinned} onChange={() => onUpdate(view.id, { pinned: !view.pinned })} />
+          Pin
+        </label>
+        <label className="checkbox" title="Apply on login">
+          <input
+            type="checkbox"
+            checked={!!view.is_default}
+            onChange={() => onUpdate(view.id, { is_default: !view.is_default })}
+          />
+          Default
+        </label>
+        <button type="button" className="btn btn-secondary" onClick={() => setEditing(true)} aria-label={`Rename ${view.name}`}>
+          ✎
+        </button>
+        <button type="button" className="btn btn-secondary" onClick={() => onMove(view.id, -1)} disabled={first} aria-label={`Move ${view.name} up`}>
+          ↑
+        </button>
+        <button type="button" className="btn btn-secondary" onClick={() => onMove(view.id, 1)} disabled={last} aria-label={`Move ${view.name} down`}>
+          ↓
+        </button>
+        <button type="button" className="btn btn-danger" onClick={() => onDelete(view.id)} aria-label={`Delete ${view.name}`}>
+          ×
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,36 @@
+import React from "react";
+import { SHORTCUTS } from "../utils/shortcuts";
+
+/**
+ * ShortcutHelp is an overlay listing all keyboard shortcuts.
+ *
+ * Props:
+ * - onClose: () => void
+ */
+export default function ShortcutHelp({ onClose }) {
+  return (
+    <div className="overlay" onClick={onClose}>
+      <div className="shortcut-help" role="dialog" aria-label="Keyboard shortcuts" onClick={(e) => e.stopPropagation()}>
+        <header className="detail-header">
+          <h2 className="detail-title">Keyboard shortcuts</h2>
+          <div className="detail-actions">
+            <button className="btn btn-secondary" onClick={onClose} autoFocus>
+              Close
+            </button>
+          </div>
+        </header>
+        <dl className="shortcut-list">
+          {SHORTCUTS.map((s) => (
+            <React.Fragment key={s.id}>
+              <dt>
+                <kbd>{s.label}</kbd>
+              </dt>
+              <dd>{s.description}</dd>
+            </React.Fragment>
+          ))}
+        </dl>
+        <div className="meta">Shortcuts are paused while typing in a text field. Press Escape to close.</div>
+      </div>
+    </div>
+  );
+}
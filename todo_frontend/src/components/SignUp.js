@@ -0,0 +1,103 @@
+import React, { useState } from "react";
+import FormField from "./FormField";
+import { formErrors, MIN_PASSWORD_LENGTH, validateSignUp } from "../utils/accountForms";
+
+const FIELDS = ["username", "name", "email", "password", "confirm"];
+
+/**
+ * SignUp is the registration form. Values are checked before sending; problems the server
+ * reports (e.g. a taken username) are shown next to their fields.
+ *
+ * Props:
+ * - onSignUp: ({ username, name, email, password }) => Promise<void> - rejects with the server error
+ * - onShowLogin: () => void
+ */
+export default function SignUp({ onSignUp, onShowLogin }) {
+  const [form, setForm] = useState({ username: "", name: "", email: "", password: "", confirm: "" });
+  const [errors, setErrors] = useState({});
+  const [message, setMessage] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  // Editing a field clears its problem until the next submit
+  const update = (field) => (e) => {
+    const value = e.target.value;
+    setForm((f) => ({ ...f, [field]: value }));
+    setErrors((errs) => (errs[field] ? { ...errs, [field]: null } : errs));
+  };
+
+  const submit = async (e) => {
+    e.preventDefault();
+    const problems = validateSignUp(form);
+    setErrors(problems);
+    setMessage(null);
+    if (Object.keys(problems).length) return;
+    setSaving(true);
+    try {
+      await onSignUp({
+        username: form.username.trim(),
+        name: form.name.trim(),
+        email: form.email.trim(),
+        password: form.password,
+      });
+    } catch (err) {
+      const mapped = formErrors(err, {}, FIELDS);
+      setErrors(mapped.fields);
+      setMessage(mapped.message);
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="auth-container">
+      <div className="auth-card">
+        <h1 className="app-title">Create your account</h1>
+        <p className="app-subtitle">Smart Task Organizer</p>
+        <form className="auth-form" onSubmit={submit} noValidate>
+          <FormField label="Username" error={errors.username}>
+            <input className="input" autoComplete="username" value={form.username} onChange={update("username")} />
+          </FormField>
+          <FormField label="Display name" error={errors.name}>
+            <input
+              className="input"
+              autoComplete="name"
+              value={form.name}
+              onChange={update("name")}
+              placeholder="Optional"
+            />
+          </FormField>
+          <FormField label="Email" error={errors.email}>
+            <input className="input" type="email" autoComplete="email" value={form.email} onChange={update("email")} />
+          </FormField>
+          <FormField label="Password" error={errors.password}>
+            <input
+              className="input"
+              type="password"
+              autoComplete="new-password"
+              value={form.password}
+              onChange={update("password")}
+              placeholder={`At least ${MIN_PASSWORD_LENGTH} characters, with a letter and a digit`}
+            />
+          </FormField>
+          <FormField label="Confirm password" error={errors.confirm}>
+            <input
+              className="input"
+              type="password"
+              autoComplete="new-password"
+              value={form.confirm}
+              onChange={update("confirm")}
+            />
+          </FormField>
+          {message ? <div className="alert error">{message}</div> : null}
+          <button type="submit" className="btn btn-primary btn-large" disabled={saving}>
+            {saving ? "Creating account..." : "Create account"}
+          </button>
+        </form>
+        <div className="auth-links">
+          <button type="button" className="btn-link" onClick={onShowLogin}>
+            Already have an account? Log in
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
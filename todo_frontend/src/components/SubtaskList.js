@@ -1,27 +1,87 @@
-import React, { useState } from "react";
+import React, { useEffect, useRef, useState } from "react";
+import { buildSubtaskTree, indentPatch, outdentPatch } from "../utils/subtaskTree";
 
 /**
- * SubtaskList manages subtasks list, add, edit, delete and complete toggle.
+ * SubtaskList manages a task's subtasks as a collapsible tree: add (at the top level or under
+ * a subtask), edit, delete, complete toggle, indent/outdent and promote to a task.
+ * A focused row indents with Tab and outdents with Shift+Tab.
  *
  * Props:
- * - subtasks: Array<Subtask>
- * - onAdd: (title) => Promise<void>
+ * - subtasks: Array<Subtask> - Flat list; nesting comes from `parent_id` and `position`
+ * - onAdd: (title, parentId) => Promise<void> - parentId is null for the top level
  * - onUpdate: (subtask, data) => Promise<void>
- * - onDelete: (subtask) => Promise<void>
+ * - onDelete: (subtask) => Promise<void> - Subtasks nested under it go too
  * - onToggleComplete: (subtask) => Promise<void>
+ * - onMove?: (subtask, {parent_id, position}) => void
+ * - onPromote?: (subtask) => void - Turn the subtask into a task of its own
  */
-export default function SubtaskList({ subtasks = [], onAdd, onUpdate, onDelete, onToggleComplete }) {
+export default function SubtaskList({ subtasks = [], onAdd, onUpdate, onDelete, onToggleComplete, onMove, onPromote }) {
   const [newTitle, setNewTitle] = useState("");
+  const [collapsed, setCollapsed] = useState(() => new Set());
+  const [addingTo, setAddingTo] = useState(null);
+  // A moved row is rendered anew under its new parent; keep the keyboard focus on it
+  const [focusId, setFocusId] = useState(null);
 
   const addDisabled = !newTitle.trim();
 
   const handleAdd = async (e) => {
     e.preventDefault();
     if (addDisabled) return;
-    await onAdd(newTitle.trim());
+    await onAdd(newTitle.trim(), null);
     setNewTitle("");
   };
 
+  const toggleCollapsed = (id) =>
+    setCollapsed((prev) => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+
+  const move = (subtask, patch) => {
+    if (!patch || !onMove) return false;
+    // The new parent opens so the subtask stays in view
+    if (patch.parent_id !== null) {
+      setCollapsed((prev) => {
+        const next = new Set(prev);
+        next.delete(patch.parent_id);
+        return next;
+      });
+    }
+    setFocusId(subtask.id);
+    onMove(subtask, patch);
+    return true;
+  };
+
+  const tree = {
+    collapsed,
+    addingTo,
+    focusId,
+    onToggleCollapsed: toggleCollapsed,
+    onStartAdd: (subtask) => {
+      setCollapsed((prev) => {
+        const next = new Set(prev);
+        next.delete(subtask.id);
+        return next;
+      });
+      setAddingTo(subtask.id);
+    },
+    onCancelAdd: () => setAddingTo(null),
+    onAddChild: async (subtask, title) => {
+      await onAdd(title, subtask.id);
+      setAddingTo(null);
+    },
+    onIndent: onMove ? (subtask) => move(subtask, indentPatch(subtasks, subtask.id)) : null,
+    onOutdent: onMove ? (subtask) => move(subtask, outdentPatch(subtasks, subtask.id)) : null,
+    canIndent: (subtask) => !!onMove && !!indentPatch(subtasks, subtask.id),
+    canOutdent: (subtask) => !!onMove && !!outdentPatch(subtasks, subtask.id),
+    onUpdate,
+    onDelete,
+    onToggleComplete,
+    onPromote,
+  };
+
   return (
     <div className="subtasks">
       <h3>Subtasks</h3>
@@ -43,14 +103,8 @@ export default function SubtaskList({ subtasks = [], onAdd, onUpdate, onDelete,
         <div className="empty">No subtasks</div>
       ) : (
         <div className="subtask-list">
-          {subtasks.map((s) => (
-            <SubtaskRow
-              key={s.id}
-              subtask={s}
-              onUpdate={onUpdate}
-              onDelete={onDelete}
-              onToggleComplete={onToggleComplete}
-            />
+          {buildSubtaskTree(subtasks).map((node) => (
+            <SubtaskNode key={node.subtask.id} node={node} tree={tree} />
           ))}
         </div>
       )}
@@ -58,21 +112,67 @@ export default function SubtaskList({ subtasks = [], onAdd, onUpdate, onDelete,
   );
 }
 
-function SubtaskRow({ subtask, onUpdate, onDelete, onToggleComplete }) {
+function SubtaskNode({ node, tree }) {
+  const { subtask, depth, children } = node;
+  const open = !tree.collapsed.has(subtask.id);
+  return (
+    <>
+      <SubtaskRow subtask={subtask} depth={depth} childCount={children.length} open={open} tree={tree} />
+      {tree.addingTo === subtask.id ? (
+        <ChildForm parent={subtask} depth={depth + 1} onAdd={tree.onAddChild} onCancel={tree.onCancelAdd} />
+      ) : null}
+      {open ? children.map((child) => <SubtaskNode key={child.subtask.id} node={child} tree={tree} />) : null}
+    </>
+  );
+}
+
+function SubtaskRow({ subtask, depth, childCount, open, tree }) {
   const [editing, setEditing] = useState(false);
   const [title, setTitle] = useState(subtask.title || "");
+  const rowRef = useRef(null);
+  const focused = tree.focusId === subtask.id;
+
+  useEffect(() => {
+    if (focused && rowRef.current) rowRef.current.focus();
+  }, [focused]);
 
   const save = async () => {
-    await onUpdate(subtask, { title });
+    await tree.onUpdate(subtask, { title });
     setEditing(false);
   };
 
+  // Only when the row itself has focus, so Tab still moves between the row's controls
+  const handleKeyDown = (e) => {
+    if (e.key !== "Tab" || e.target !== e.currentTarget) return;
+    const moved = e.shiftKey ? tree.onOutdent?.(subtask) : tree.onIndent?.(subtask);
+    if (moved) e.preventDefault();
+  };
+
   return (
-    <div className="subtask-row">
+    <div
+      ref={rowRef}
+      className="subtask-row tree-row"
+      style={{ marginLeft: depth * 24 }}
+      tabIndex={0}
+      onKeyDown={handleKeyDown}
+    >
+      {childCount ? (
+        <button
+          type="button"
+          className="tree-caret"
+          onClick={() => tree.onToggleCollapsed(subtask.id)}
+          aria-expanded={open}
+          aria-label={`${open ? "Collapse" : "Expand"} ${subtask.title}`}
+        >
+          {open ? "▾" : "▸"}
+        </button>
+      ) : (
+        <span />
+      )}
       <input
         type="checkbox"
         checked={!!subtask.completed}
-        onChange={() => onToggleComplete(subtask)}
+        onChange={() => tree.onToggleComplete(subtask)}
         aria-label={`Mark subtask ${subtask.title} ${subtask.completed ? "incomplete" : "complete"}`}
       />
       {editing ? (
@@ -89,27 +189,62 @@ function SubtaskRow({ subtask, onUpdate, onDelete, onToggleComplete }) {
               }
             }}
           />
-          <button className="btn btn-primary" onClick={save}>
-            Save
-          </button>
-          <button
-            className="btn btn-secondary"
-            onClick={() => {
-              setTitle(subtask.title || "");
-              setEditing(false);
-            }}
-          >
-            Cancel
-          </button>
+          <div className="row-actions">
+            <button className="btn btn-primary" onClick={save}>
+              Save
+            </button>
+            <button
+              className="btn btn-secondary"
+              onClick={() => {
+                setTitle(subtask.title || "");
+                setEditing(false);
+              }}
+            >
+              Cancel
+            </button>
+          </div>
         </>
       ) : (
         <>
-          <div className={`subtask-title ${subtask.completed ? "completed" : ""}`}>{subtask.title}</div>
+          <div className={`subtask-title ${subtask.completed ? "completed" : ""}`}>
+            {subtask.title}
+            {!open ? <span className="meta"> ({childCount} hidden)</span> : null}
+          </div>
           <div className="row-actions">
+            {tree.onIndent ? (
+              <>
+                <button
+                  className="btn btn-secondary"
+                  onClick={() => tree.onOutdent(subtask)}
+                  disabled={!tree.canOutdent(subtask)}
+                  aria-label={`Outdent ${subtask.title}`}
+                  title="Outdent (Shift+Tab)"
+                >
+                  ⇤
+                </button>
+                <button
+                  className="btn btn-secondary"
+                  onClick={() => tree.onIndent(subtask)}
+                  disabled={!tree.canIndent(subtask)}
+                  aria-label={`Indent ${subtask.title}`}
+                  title="Indent (Tab)"
+                >
+                  ⇥
+                </button>
+              </>
+            ) : null}
+            <button className="btn btn-secondary" onClick={() => tree.onStartAdd(subtask)} aria-label={`Add a subtask to ${subtask.title}`}>
+              + Sub
+            </button>
+            {tree.onPromote ? (
+              <button className="btn btn-secondary" onClick={() => tree.onPromote(subtask)} aria-label={`Promote ${subtask.title} to a task`}>
+                Promote
+              </button>
+            ) : null}
             <button className="btn btn-secondary" onClick={() => setEditing(true)}>
               Edit
             </button>
-            <button className="btn btn-danger" onClick={() => onDelete(subtask)}>
+            <button className="btn btn-danger" onClick={() => tree.onDelete(subtask)}>
               Delete
             </button>
           </div>
@@ -118,3 +253,33 @@ function SubtaskRow({ subtask, onUpdate, onDelete, onToggleComplete }) {
     </div>
   );
 }
+
+function ChildForm({ parent, depth, onAdd, onCancel }) {
+  const [title, setTitle] = useState("");
+
+  const submit = async (e) => {
+    e.preventDefault();
+    if (!title.trim()) return;
+    await onAdd(parent, title.trim());
+  };
+
+  return (
+    <form onSubmit={submit} className="subtask-new" style={{ marginLeft: depth * 24 }}>
+      <input
+        className="input"
+        type="text"
+        value={title}
+        autoFocus
+        onChange={(e) => setTitle(e.target.value)}
+        onKeyDown={(e) => e.key === "Escape" && onCancel()}
+        placeholder={`Add a subtask to "${parent.title}"...`}
+      />
+      <button className="btn btn-primary" type="submit" disabled={!title.trim()}>
+        Add
+      </button>
+      <button className="btn btn-secondary" type="button" onClick={onCancel}>
+        Cancel
+      </button>
+    </form>
+  );
+}
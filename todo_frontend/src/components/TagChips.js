@@ -0,0 +1,36 @@
+import React from "react";
+import { defaultTagColor } from "../utils/tags";
+
+/**
+ * TagChips renders a task's tags as small colored chips.
+ *
+ * Props:
+ * - tags: string[]
+ * - colors: Record<string, string> (tag name -> color)
+ * - onRemove?: (tag) => void - When given, each chip gets a remove button
+ */
+export default function TagChips({ tags = [], colors = {}, onRemove }) {
+  if (!tags || tags.length === 0) return null;
+  return (
+    <span className="tag-chips">
+      {tags.map((tag) => (
+        <span key={tag} className="tag-chip" style={{ "--tag-color": colors[tag] || defaultTagColor(tag) }}>
+          #{tag}
+          {onRemove ? (
+            <button
+              type="button"
+              className="tag-remove"
+              onClick={(e) => {
+                e.stopPropagation();
+                onRemove(tag);
+              }}
+              aria-label={`Remove tag ${tag}`}
+            >
+              ×
+            </button>
+          ) : null}
+        </span>
+      ))}
+    </span>
+  );
+}
@@ -0,0 +1,93 @@
+import React, { useMemo, useState } from "react";
+import TagChips from "./TagChips";
+import { normalizeTag, normalizeTags } from "../utils/tags";
+
+/**
+ * TagInput edits a list of tags with autocomplete from known tags.
+ * Enter or comma adds the typed (or highlighted) tag, Tab completes to the first suggestion,
+ * and Backspace on an empty input removes the last tag.
+ *
+ * Props:
+ * - value: string[]
+ * - onChange: (tags: string[]) => void
+ * - suggestions: Array<{ name: string, color?: string }>
+ * - colors: Record<string, string>
+ */
+export default function TagInput({ value = [], onChange, suggestions = [], colors = {} }) {
+  const [text, setText] = useState("");
+  const [active, setActive] = useState(-1);
+
+  const query = normalizeTag(text);
+  const matches = useMemo(
+    () =>
+      suggestions
+        .map((s) => s.name)
+        .filter((name) => !value.includes(name) && (!query || name.includes(query)))
+        .slice(0, 6),
+    [suggestions, value, query]
+  );
+
+  const add = (name) => {
+    const tag = normalizeTag(name);
+    if (tag) onChange(normalizeTags([...value, tag]));
+    setText("");
+    setActive(-1);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === "ArrowDown" && matches.length) {
+      e.preventDefault();
+      setActive((i) => (i + 1) % matches.length);
+    } else if (e.key === "ArrowUp" && matches.length) {
+      e.preventDefault();
+      setActive((i) => (i <= 0 ? matches.length - 1 : i - 1));
+    } else if ((e.key === "Enter" || e.key === ",") && (text || active >= 0)) {
+      e.preventDefault();
+      add(active >= 0 && matches[active] ? matches[active] : text);
+    } else if (e.key === "Tab" && text) {
+      // Tab completes to the first suggestion
+      e.preventDefault();
+      add(matches[0] || text);
+    } else if (e.key === "Backspace" && !text && value.length) {
+      onChange(value.slice(0, -1));
+    }
+  };
+
+  return (
+    <div className="tag-input">
+      <TagChips tags={value} colors={colors} onRemove={(tag) => onChange(value.filter((t) => t !== tag))} />
+      <input
+        className="input"
+        value={text}
+        onChange={(e) => {
+          setText(e.target.value);
+          setActive(-1);
+        }}
+        onKeyDown={handleKeyDown}
+        onBlur={() => text && add(text)}
+        placeholder="Add tags..."
+        aria-label="Tags"
+        aria-autocomplete="list"
+      />
+      {text && matches.length ? (
+        <ul className="tag-suggestions" role="listbox">
+          {matches.map((name, i) => (
+            <li
+              key={name}
+              role="option"
+              aria-selected={i === active}
+              className={i === active ? "active" : ""}
+              onMouseDown={(e) => {
+                // Keep focus in the input so onBlur does not add the partial text
+                e.preventDefault();
+                add(name);
+              }}
+            >
+              #{name}
+            </li>
+          ))}
+        </ul>
+      ) : null}
+    </div>
+  );
+}
@@ -0,0 +1,138 @@
+import React, { useState } from "react";
+import { normalizeTag } from "../utils/tags";
+
+/**
+ * TagManager lists all tags with usage counts and lets the user rename, recolor,
+ * merge and delete them across all tasks.
+ *
+ * Props:
+ * - tags: Array<{ name: string, color: string, count: number }>
+ * - onRename: (name, newName) => Promise<void>
+ * - onRecolor: (name, color) => Promise<void>
+ * - onMerge: (sources: string[], target: string) => Promise<void>
+ * - onDelete: (name) => Promise<void>
+ * - onClose: () => void
+ */
+export default function TagManager({ tags = [], onRename, onRecolor, onMerge, onDelete, onClose }) {
+  const [selected, setSelected] = useState([]);
+  const [mergeTarget, setMergeTarget] = useState("");
+
+  const toggleSelected = (name) =>
+    setSelected((list) => (list.includes(name) ? list.filter((n) => n !== name) : [...list, name]));
+
+  const merge = async () => {
+    const target = normalizeTag(mergeTarget) || selected[0];
+    if (selected.length < 2 || !target) return;
+    await onMerge(selected, target);
+    setSelected([]);
+    setMergeTarget("");
+  };
+
+  return (
+    <div className="main-panel tag-manager">
+      <header className="detail-header">
+        <h2 className="detail-title">Manage tags</h2>
+        <div className="detail-actions">
+          <button className="btn btn-secondary" onClick={onClose}>
+            Close
+          </button>
+        </div>
+      </header>
+
+      {tags.length === 0 ? (
+        <div className="empty">No tags yet. Add tags to tasks from the task form.</div>
+      ) : (
+        <div className="tag-manager-list">
+          {tags.map((tag) => (
+            <TagRow
+              key={tag.name}
+              tag={tag}
+              selected={selected.includes(tag.name)}
+              onToggleSelected={() => toggleSelected(tag.name)}
+              onRename={onRename}
+              onRecolor={onRecolor}
+              onDelete={onDelete}
+            />
+          ))}
+        </div>
+      )}
+
+      {selected.length >= 2 ? (
+        <div className="tag-merge">
+          <span>Merge {selected.map((n) => `#${n}`).join(", ")} into</span>
+          <input
+            className="input input-small"
+            value={mergeTarget}
+            onChange={(e) => setMergeTarget(e.target.value)}
+            placeholder={selected[0]}
+            aria-label="Merge target tag"
+          />
+          <button className="btn btn-primary" onClick={merge}>
+            Merge
+          </button>
+        </div>
+      ) : (
+        <div className="meta">Select two or more tags to merge them.</div>
+      )}
+    </div>
+  );
+}
+
+function TagRow({ tag, selected, onToggleSelected, onRename, onRecolor, onDelete }) {
+  const [editing, setEditing] = useState(false);
+  const [name, setName] = useState(tag.name);
+  const [color, setColor] = useState(tag.color);
+
+  const save = async () => {
+    const next = normalizeTag(name);
+    if (next && next !== tag.name) await onRename(tag.name, next);
+    setEditing(false);
+  };
+
+  return (
+    <div className="tag-row">
+      <input type="checkbox" checked={selected} onChange={onToggleSelected} aria-label={`Select tag ${tag.name}`} />
+      <input
+        type="color"
+        className="tag-color"
+        value={color}
+        onChange={(e) => setColor(e.target.value)}
+        onBlur={() => color !== tag.color && onRecolor(tag.name, color)}
+        aria-label={`Color for ${tag.name}`}
+      />
+      {editing ? (
+        <input
+          className="input"
+          value={name}
+          autoFocus
+          onChange={(e) => setName(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === "Enter") save();
+            if (e.key === "Escape") {
+              setName(tag.name);
+              setEditing(false);
+            }
+          }}
+        />
+      ) : (
+        <div className="tag-row-name">
+          #{tag.name} <span className="meta">{tag.count} task{tag.count === 1 ? "" : "s"}</span>
+        </div>
+      )}
+      <div className="row-actions">
+        {editing ? (
+          <button className="btn btn-primary" onClick={save}>
+            Save
+          </button>
+        ) : (
+          <button className="btn btn-secondary" onClick={() => setEditing(true)}>
+            Rename
+          </button>
+        )}
+        <button className="btn btn-danger" onClick={() => onDelete(tag.name)}>
+          Delete
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,183 @@
+import React, { useMemo, useState } from "react";
+import { boardColumns, columnOf, loadBoardSettings, saveBoardSettings } from "../utils/board";
+
+/**
+ * TaskBoard shows tasks as cards in columns (by workflow status or by priority).
+ * Cards are moved between columns with drag-and-drop; columns can be renamed,
+ * hidden and given WIP limits.
+ *
+ * Props:
+ * - tasks: Array<Task>
+ * - userKey: string - Board settings are kept per user
+ * - selectedId: string | number | null
+ * - onSelect: (task) => void
+ * - onMove: (task, column) => void
+ * - onBlocked: (message: string) => void - Called when a move is refused (e.g. WIP limit reached)
+ */
+export default function TaskBoard({ tasks = [], userKey, selectedId = null, onSelect, onMove, onBlocked }) {
+  const [settings, setSettings] = useState(() => loadBoardSettings(userKey));
+  const [configuring, setConfiguring] = useState(false);
+  const [dropTarget, setDropTarget] = useState(null);
+
+  const columns = useMemo(() => boardColumns(settings), [settings]);
+
+  const cardsByColumn = useMemo(() => {
+    const map = Object.fromEntries(columns.map((c) => [c.id, []]));
+    tasks.forEach((t) => {
+      const id = columnOf(t, settings.groupBy);
+      if (map[id]) map[id].push(t);
+    });
+    return map;
+  }, [tasks, columns, settings.groupBy]);
+
+  const updateSettings = (next) => {
+    setSettings(next);
+    saveBoardSettings(userKey, next);
+  };
+
+  const updateColumn = (colId, patch) => {
+    const group = settings.columns?.[settings.groupBy] || {};
+    updateSettings({
+      ...settings,
+      columns: {
+        ...settings.columns,
+        [settings.groupBy]: { ...group, [colId]: { ...(group[colId] || {}), ...patch } },
+      },
+    });
+  };
+
+  const handleDrop = (e, column) => {
+    e.preventDefault();
+    setDropTarget(null);
+    const id = e.dataTransfer.getData("text/plain");
+    const task = tasks.find((t) => String(t.id) === id);
+    if (!task || columnOf(task, settings.groupBy) === column.id) return;
+    const count = (cardsByColumn[column.id] || []).length;
+    if (column.wip && count >= column.wip) {
+      if (onBlocked) onBlocked(`"${column.label}" is at its WIP limit of ${column.wip}`);
+      return;
+    }
+    if (onMove) onMove(task, column);
+  };
+
+  const visible = columns.filter((c) => !c.hidden);
+
+  return (
+    <div className="board">
+      <div className="board-toolbar">
+        <label className="checkbox">
+          Group by
+          <select
+            className="input input-small"
+            value={settings.groupBy}
+            onChange={(e) => updateSettings({ ...settings, groupBy: e.target.value })}
+          >
+            <option value="status">Status</option>
+            <option value="priority">Priority</option>
+          </select>
+        </label>
+        <button className="btn btn-secondary" onClick={() => setConfiguring((c) => !c)} aria-expanded={configuring}>
+          {configuring ? "Done" : "Configure columns"}
+        </button>
+      </div>
+
+      {configuring ? (
+        <div className="board-config">
+          {columns.map((c) => (
+            <div key={c.id} className="board-config-row">
+              <label className="checkbox">
+                <input
+                  type="checkbox"
+                  checked={!c.hidden}
+                  onChange={(e) => updateColumn(c.id, { hidden: !e.target.checked })}
+                  aria-label={`Show ${c.label}`}
+                />
+              </label>
+              <input
+                className="input input-small"
+                value={c.label}
+                onChange={(e) => updateColumn(c.id, { label: e.target.value })}
+                aria-label={`Label for ${c.id}`}
+              />
+              <input
+                className="input input-small"
+                type="number"
+                min="0"
+                value={c.wip || ""}
+                placeholder="WIP limit"
+                onChange={(e) => updateColumn(c.id, { wip: Number(e.target.value) || null })}
+                aria-label={`WIP limit for ${c.label}`}
+              />
+            </div>
+          ))}
+        </div>
+      ) : null}
+
+      <div className="board-columns" style={{ gridTemplateColumns: `repeat(${visible.length || 1}, minmax(180px, 1fr))` }}>
+        {visible.map((column) => {
+          const cards = cardsByColumn[column.id] || [];
+          const eta = cards.reduce((sum, t) => sum + (Number(t.eta) || 0), 0);
+          const overLimit = column.wip && cards.length > column.wip;
+          return (
+            <div
+              key={column.id}
+              className={`board-column ${dropTarget === column.id ? "drop-target" : ""} ${overLimit ? "over-limit" : ""}`}
+              onDragOver={(e) => {
+                e.preventDefault();
+                if (dropTarget !== column.id) setDropTarget(column.id);
+              }}
+              onDragLeave={() => setDropTarget((t) => (t === column.id ? null : t))}
+              onDrop={(e) => handleDrop(e, column)}
+            >
+              <div className="board-column-header">
+                <strong>{column.label}</strong>
+                <span className="meta">
+                  {cards.length}
+                  {column.wip ? `/${column.wip}` : ""} · {Math.round(eta * 10) / 10}h
+                </span>
+              </div>
+              {cards.map((t) => (
+                <div
+                  key={t.id}
+                  className={`board-card ${selectedId === t.id ? "selected" : ""}`}
+                  draggable
+                  onDragStart={(e) => {
+                    e.dataTransfer.setData("text/plain", String(t.id));
+                    e.dataTransfer.effectAllowed = "move";
+                  }}
+                  onClick={() => onSelect && onSelect(t)}
+                  role="button"
+                  tabIndex={0}
+                  onKeyDown={(e) => {
+                    if (e.key === "Enter" || e.key === " ") {
+                      e.preventDefault();
+                      onSelect && onSelect(t);
+                    }
+                  }}
+                >
+                  <div className={`task-title ${t.completed ? "completed" : ""}`}>{t.title}</div>
+                  <div className="task-subtitle">
+                    {t.priority && settings.groupBy !== "priority" ? (
+                      <span className={`pill ${t.priority}`}>{t.priority}</span>
+                    ) : null}
+                    {t.eta ? <span className="meta">{t.eta}h</span> : null}
+                    {t.due_date ? <span className="meta">Due: {fmtDate(t.due_date)}</span> : null}
+                  </div>
+                </div>
+              ))}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+function fmtDate(d) {
+  try {
+    const date = new Date(d);
+    return isNaN(date.getTime()) ? String(d) : date.toLocaleDateString();
+  } catch {
+    return String(d);
+  }
+}
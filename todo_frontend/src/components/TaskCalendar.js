@@ -0,0 +1,136 @@
+import React, { useMemo, useState } from "react";
+import { calendarDays, groupByDueDay, rescheduledDueDate } from "../utils/calendar";
+import { toIsoDate } from "../utils/recurrence";
+
+const WEEKDAY_LABELS = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
+
+/**
+ * TaskCalendar places tasks on a month or week grid by due date.
+ * Tasks can be dragged to another day to reschedule them.
+ *
+ * Props:
+ * - tasks: Array<Task>
+ * - selectedId: string | number | null
+ * - onSelect: (task) => void
+ * - onReschedule: (task, dueDate: string) => void - The new day, with the task's time of day if it has one
+ */
+export default function TaskCalendar({ tasks = [], selectedId = null, onSelect, onReschedule }) {
+  const [mode, setMode] = useState("month");
+  const [cursor, setCursor] = useState(() => new Date());
+  const [dropTarget, setDropTarget] = useState(null);
+
+  const todayIso = toIsoDate(new Date());
+  const days = useMemo(() => calendarDays(mode, cursor), [mode, cursor]);
+  const { byDay, undated } = useMemo(() => groupByDueDay(tasks), [tasks]);
+
+  const move = (direction) => {
+    const next = new Date(cursor);
+    if (mode === "week") next.setDate(next.getDate() + 7 * direction);
+    else next.setMonth(next.getMonth() + direction, 1);
+    setCursor(next);
+  };
+
+  const title =
+    mode === "week"
+      ? `Week of ${days[0].toLocaleDateString()}`
+      : cursor.toLocaleDateString(undefined, { month: "long", year: "numeric" });
+
+  const handleDrop = (e, iso) => {
+    e.preventDefault();
+    setDropTarget(null);
+    const id = e.dataTransfer.getData("text/plain");
+    const task = tasks.find((t) => String(t.id) === id);
+    if (!task || !onReschedule) return;
+    const dueDate = rescheduledDueDate(task, iso);
+    if (dueDate) onReschedule(task, dueDate);
+  };
+
+  return (
+    <div className="calendar">
+      <div className="calendar-toolbar">
+        <div className="row-actions">
+          <button className="btn btn-secondary" onClick={() => move(-1)} aria-label="Previous">
+            ‹
+          </button>
+          <button className="btn btn-secondary" onClick={() => setCursor(new Date())}>
+            Today
+          </button>
+          <button className="btn btn-secondary" onClick={() => move(1)} aria-label="Next">
+            ›
+          </button>
+        </div>
+        <div className="calendar-title">{title}</div>
+        <div className="row-actions" role="group" aria-label="Calendar range">
+          <button className={`chip ${mode === "month" ? "active" : ""}`} onClick={() => setMode("month")}>
+            Month
+          </button>
+          <button className={`chip ${mode === "week" ? "active" : ""}`} onClick={() => setMode("week")}>
+            Week
+          </button>
+        </div>
+      </div>
+
+      <div className={`calendar-grid ${mode}`}>
+        {WEEKDAY_LABELS.map((d) => (
+          <div key={d} className="calendar-weekday">
+            {d}
+          </div>
+        ))}
+        {days.map((day) => {
+          const iso = toIsoDate(day);
+          const outside = mode === "month" && day.getMonth() !== cursor.getMonth();
+          return (
+            <div
+              key={iso}
+              className={`calendar-day ${outside ? "outside" : ""} ${iso === todayIso ? "today" : ""} ${
+                dropTarget === iso ? "drop-target" : ""
+              }`}
+              onDragOver={(e) => {
+                e.preventDefault();
+                if (dropTarget !== iso) setDropTarget(iso);
+              }}
+              onDragLeave={() => setDropTarget((t) => (t === iso ? null : t))}
+              onDrop={(e) => handleDrop(e, iso)}
+            >
+              <div className="calendar-date">{day.getDate()}</div>
+              {(byDay[iso] || []).map((t) => {
+                const overdue = !t.completed && iso < todayIso;
+                return (
+                  <div
+                    key={t.id}
+                    className={`calendar-task pill ${t.priority || ""} ${overdue ? "overdue" : ""} ${
+                      t.completed ? "completed" : ""
+                    } ${selectedId === t.id ? "selected" : ""}`}
+                    draggable
+                    onDragStart={(e) => {
+                      e.dataTransfer.setData("text/plain", String(t.id));
+                      e.dataTransfer.effectAllowed = "move";
+                    }}
+                    onClick={() => onSelect && onSelect(t)}
+                    role="button"
+                    tabIndex={0}
+                    onKeyDown={(e) => {
+                      if (e.key === "Enter" || e.key === " ") {
+                        e.preventDefault();
+                        onSelect && onSelect(t);
+                      }
+                    }}
+                    title={overdue ? `${t.title} (overdue)` : t.title}
+                  >
+                    {t.title}
+                  </div>
+                );
+              })}
+            </div>
+          );
+        })}
+      </div>
+
+      {undated.length ? (
+        <div className="calendar-undated">
+          {undated.length} task{undated.length === 1 ? "" : "s"} without a due date
+        </div>
+      ) : null}
+    </div>
+  );
+}
@@ -0,0 +1,110 @@
+import React from "react";
+import { blockerIds, findCycle } from "../utils/dependencies";
+
+/**
+ * TaskDependencies lists what a task is blocked by and what it blocks, and links or unlinks
+ * tasks. Tasks that would create a cycle are not offered.
+ *
+ * Props:
+ * - task: Task
+ * - blockers: Array<Task> - Tasks this one is blocked by
+ * - dependents: Array<Task> - Tasks blocked by this one
+ * - candidates: Array<Task> - Tasks that can be linked
+ * - graphTasks: Array<Task> - Every known task with its links, to check for cycles
+ * - onAddBlocker: (blocker) => void
+ * - onRemoveBlocker: (blocker) => void
+ * - onAddDependent: (dependent) => void
+ * - onRemoveDependent: (dependent) => void
+ * - onSelect: (task) => void
+ * - onShowGraph: () => void
+ */
+export default function TaskDependencies({
+  task,
+  blockers = [],
+  dependents = [],
+  candidates = [],
+  graphTasks = [],
+  onAddBlocker,
+  onRemoveBlocker,
+  onAddDependent,
+  onRemoveDependent,
+  onSelect,
+  onShowGraph,
+}) {
+  const linked = new Set([task.id, ...blockers.map((t) => t.id), ...dependents.map((t) => t.id)].map(String));
+  const unlinked = candidates.filter((c) => !linked.has(String(c.id)));
+  const blockerOptions = unlinked.filter((c) => !findCycle(graphTasks, task.id, [...blockerIds(task), c.id]));
+  const dependentOptions = unlinked.filter((c) => !findCycle(graphTasks, c.id, [...blockerIds(c), task.id]));
+
+  const pick = (options, onPick) => (e) => {
+    const chosen = options.find((c) => String(c.id) === e.target.value);
+    if (chosen) onPick(chosen);
+  };
+
+  return (
+    <div className="dependencies">
+      <div className="filter-group-header">
+        <h3>Dependencies</h3>
+        <button type="button" className="chip" onClick={onShowGraph}>
+          Graph
+        </button>
+      </div>
+
+      <DependencyGroup
+        label="Blocked by"
+        tasks={blockers}
+        empty="Not blocked by other tasks."
+        onSelect={onSelect}
+        onRemove={onRemoveBlocker}
+      />
+      <select className="input" value="" onChange={pick(blockerOptions, onAddBlocker)} aria-label="Add a task this is blocked by">
+        <option value="">Blocked by...</option>
+        {blockerOptions.map((c) => (
+          <option key={c.id} value={c.id}>
+            {c.title}
+          </option>
+        ))}
+      </select>
+
+      <DependencyGroup label="Blocks" tasks={dependents} empty="Does not block other tasks." onSelect={onSelect} onRemove={onRemoveDependent} />
+      <select className="input" value="" onChange={pick(dependentOptions, onAddDependent)} aria-label="Add a task this blocks">
+        <option value="">Blocks...</option>
+        {dependentOptions.map((c) => (
+          <option key={c.id} value={c.id}>
+            {c.title}
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+}
+
+function DependencyGroup({ label, tasks, empty, onSelect, onRemove }) {
+  return (
+    <div className="dependency-group">
+      <div className="input-label">{label}</div>
+      {tasks.length ? (
+        <div className="subtask-list">
+          {tasks.map((t) => (
+            <div key={t.id} className="subtask-row dependency-row">
+              <button
+                type="button"
+                className={`saved-view-link subtask-title ${t.completed ? "completed" : ""}`}
+                onClick={() => onSelect(t)}
+              >
+                {t.title}
+              </button>
+              <div className="row-actions">
+                <button type="button" className="btn btn-danger" onClick={() => onRemove(t)} aria-label={`Unlink ${t.title}`}>
+                  ×
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      ) : (
+        <div className="meta">{empty}</div>
+      )}
+    </div>
+  );
+}
@@ -1,25 +1,61 @@
 import React from "react";
+import { describeRRule } from "../utils/recurrence";
+import { TASK_STATUSES } from "../utils/board";
+import TagChips from "./TagChips";
 import SubtaskList from "./SubtaskList";
+import TaskDependencies from "./TaskDependencies";
 
 /**
- * TaskDetail shows task content, metadata and subtasks with actions.
+ * TaskDetail shows task content, metadata, subtasks and dependencies with actions.
  *
  * Props:
  * - task: Task | null
  * - onEdit: () => void
  * - onDelete: () => void
  * - onToggleComplete: () => void
+ * - onExport?: () => void - Download the task as .ics
+ * - missingId?: string|number|null - A linked task that no longer exists (shown instead of the empty state)
+ * - onDismissMissing?: () => void
  * - subtasks: Array<Subtask>
- * - subtaskHandlers: { onAdd, onUpdate, onDelete, onToggleComplete }
+ * - subtaskHandlers: { onAdd, onUpdate, onDelete, onToggleComplete, onMove?, onPromote? } - See SubtaskList
+ * - dependencies?: Props of TaskDependencies except `task`
+ * - promotedFrom?: Task | null - The task this one was a subtask of (`parent_task_id`), when known
+ * - onOpenTask?: (id) => void
+ * - demoteTargets?: Array<Task> - Tasks this one can become a subtask of
+ * - onDemote?: (target) => void
+ * - tagColors: Record<string, string>
  */
 export default function TaskDetail({
   task,
   onEdit,
   onDelete,
   onToggleComplete,
+  onExport,
+  missingId = null,
+  onDismissMissing,
   subtasks = [],
   subtaskHandlers = {},
+  dependencies = null,
+  promotedFrom = null,
+  onOpenTask,
+  demoteTargets = [],
+  onDemote,
+  tagColors = {},
 }) {
+  if (!task && missingId !== null) {
+    return (
+      <div className="main-panel empty-state">
+        <h2 className="detail-title">Task not found</h2>
+        <div>Task {missingId} does not exist anymore. It may have been deleted.</div>
+        {onDismissMissing ? (
+          <button className="btn btn-secondary" onClick={onDismissMissing}>
+            Back to tasks
+          </button>
+        ) : null}
+      </div>
+    );
+  }
+
   if (!task) {
     return (
       <div className="main-panel empty-state">
@@ -28,7 +64,9 @@ export default function TaskDetail({
     );
   }
 
-  const { onAdd, onUpdate, onDelete: onDeleteSub, onToggleComplete: onToggleSub } = subtaskHandlers;
+  const { onAdd, onUpdate, onDelete: onDeleteSub, onToggleComplete: onToggleSub, onMove, onPromote } = subtaskHandlers;
+  const formerParentId = task.parent_task_id ?? null;
+  const openBlockers = (dependencies?.blockers || []).filter((t) => !t.completed);
 
   return (
     <div className="main-panel">
@@ -37,14 +75,32 @@ export default function TaskDetail({
           <h2 className={`detail-title ${task.completed ? "completed" : ""}`}>{task.title}</h2>
           <div className="detail-meta">
             {task.priority ? <span className={`pill ${task.priority}`}>{task.priority}</span> : null}
+            <TagChips tags={task.tags} colors={tagColors} />
             {task.due_date ? <span className="meta">Due: {fmtDate(task.due_date)}</span> : null}
             {task.eta ? <span className="meta">ETA: {task.eta}h</span> : null}
+            {task.status && task.status !== "todo" && !task.completed ? (
+              <span className="meta">{statusLabel(task.status)}</span>
+            ) : null}
+            {task.recurrence ? <span className="meta">↻ {describeRRule(task.recurrence)}</span> : null}
+            {openBlockers.length && !task.completed ? (
+              <span className="pill blocked">Blocked by {openBlockers.length}</span>
+            ) : null}
+            {formerParentId !== null && onOpenTask ? (
+              <button type="button" className="saved-view-link meta" onClick={() => onOpenTask(formerParentId)}>
+                Promoted from {promotedFrom ? `"${promotedFrom.title}"` : `task ${formerParentId}`}
+              </button>
+            ) : null}
           </div>
         </div>
         <div className="detail-actions">
           <button className="btn btn-secondary" onClick={onEdit}>
             Edit
           </button>
+          {onExport ? (
+            <button className="btn btn-secondary" onClick={onExport} title="Download as .ics">
+              Export
+            </button>
+          ) : null}
           <button className="btn btn-danger" onClick={onDelete}>
             Delete
           </button>
@@ -62,7 +118,30 @@ export default function TaskDetail({
         onUpdate={onUpdate}
         onDelete={onDeleteSub}
         onToggleComplete={onToggleSub}
+        onMove={onMove}
+        onPromote={onPromote}
       />
+
+      {onDemote && demoteTargets.length ? (
+        <select
+          className="input demote-select"
+          value=""
+          onChange={(e) => {
+            const target = demoteTargets.find((t) => String(t.id) === e.target.value);
+            if (target) onDemote(target);
+          }}
+          aria-label="Make this a subtask of another task"
+        >
+          <option value="">Make this a subtask of...</option>
+          {demoteTargets.map((t) => (
+            <option key={t.id} value={t.id}>
+              {t.title}
+            </option>
+          ))}
+        </select>
+      ) : null}
+
+      {dependencies ? <TaskDependencies task={task} {...dependencies} /> : null}
     </div>
   );
 }
@@ -75,3 +154,7 @@ function fmtDate(d) {
     return String(d);
   }
 }
+
+function statusLabel(status) {
+  return TASK_STATUSES.find((s) => s.value === status)?.label || status;
+}
@@ -1,16 +1,46 @@
-import React, { useMemo } from "react";
+import React, { useMemo, useRef } from "react";
 
 /**
  * TaskFilters renders sidebar controls for searching, sorting and filtering tasks.
  *
  * Props:
- * - filters: { search: string, sort: string, priorities: string[], dueWithinDays: number | '' }
+ * - filters: { search: string, sort: string, priorities: string[], dueWithinDays: number | '', tags: string[], tagMatch: 'any' | 'all' }
  * - onChange: (partialFilters) => void
  * - onCreateTask: () => void
  * - onRefresh: () => void
+ * - tags: Array<{ name: string, color: string, count: number }> - Known tags for the tag filter
+ * - onManageTags: () => void
+ * - searchRef?: React ref attached to the search input (used by the "/" shortcut)
+ * - onExportICal?: () => void - Export the listed tasks as .ics
+ * - onImportICal?: (file: File) => void
+ * - onExportBackup?: (format: "json"|"csv") => void - Export all tasks with their subtasks
+ * - onRestoreBackup?: (file: File) => void - Restore from a JSON backup or CSV file
+ * - children?: Extra sidebar content shown above the filters (saved views)
  */
-export default function TaskFilters({ filters, onChange, onCreateTask, onRefresh }) {
-  const { search = "", sort = "", priorities = [], dueWithinDays = "" } = filters || {};
+export default function TaskFilters({
+  filters,
+  onChange,
+  onCreateTask,
+  onRefresh,
+  tags = [],
+  onManageTags,
+  searchRef,
+  onExportICal,
+  onImportICal,
+  onExportBackup,
+  onRestoreBackup,
+  children,
+}) {
+  const icalInputRef = useRef(null);
+  const backupInputRef = useRef(null);
+  const {
+    search = "",
+    sort = "",
+    priorities = [],
+    dueWithinDays = "",
+    tags: selectedTags = [],
+    tagMatch = "any",
+  } = filters || {};
 
   const sortOptions = useMemo(
     () => [
@@ -31,6 +61,13 @@ export default function TaskFilters({ filters, onChange, onCreateTask, onRefresh
     onChange({ priorities: Array.from(set) });
   };
 
+  const toggleTag = (name) => {
+    const set = new Set(selectedTags);
+    if (set.has(name)) set.delete(name);
+    else set.add(name);
+    onChange({ tags: Array.from(set) });
+  };
+
   const handleDueDays = (v) => {
     const n = v === "" ? "" : Math.max(0, Number(v) || 0);
     onChange({ dueWithinDays: n });
@@ -50,12 +87,15 @@ export default function TaskFilters({ filters, onChange, onCreateTask, onRefresh
         </div>
       </div>
 
+      {children}
+
       <div className="filter-group">
         <label className="input-label">
           Search
           <input
             className="input"
             type="text"
+            ref={searchRef}
             value={search}
             onChange={(e) => onChange({ search: e.target.value })}
             placeholder="Search tasks..."
@@ -99,6 +139,52 @@ export default function TaskFilters({ filters, onChange, onCreateTask, onRefresh
         </div>
       </div>
 
+      <div className="filter-group">
+        <div className="filter-group-header">
+          <div className="input-label">Tags</div>
+          <div className="row-actions">
+            <button
+              type="button"
+              className={`chip ${tagMatch === "any" ? "active" : ""}`}
+              onClick={() => onChange({ tagMatch: "any" })}
+              aria-pressed={tagMatch === "any"}
+            >
+              any
+            </button>
+            <button
+              type="button"
+              className={`chip ${tagMatch === "all" ? "active" : ""}`}
+              onClick={() => onChange({ tagMatch: "all" })}
+              aria-pressed={tagMatch === "all"}
+            >
+              all
+            </button>
+          </div>
+        </div>
+        <div className="priority-chips">
+          {tags.length === 0 ? <span className="meta">No tags yet</span> : null}
+          {tags.map((t) => {
+            const active = selectedTags.includes(t.name);
+            return (
+              <button
+                type="button"
+                key={t.name}
+                className={`chip tag-filter ${active ? "active" : ""}`}
+                style={{ "--tag-color": t.color }}
+                onClick={() => toggleTag(t.name)}
+              >
+                #{t.name}
+              </button>
+            );
+          })}
+        </div>
+        {onManageTags ? (
+          <button type="button" className="btn btn-secondary" onClick={onManageTags}>
+            Manage tags
+          </button>
+        ) : null}
+      </div>
+
       <div className="filter-group">
         <label className="input-label">
           Due within (days)
@@ -112,6 +198,75 @@ export default function TaskFilters({ filters, onChange, onCreateTask, onRefresh
           />
         </label>
       </div>
+
+      {onExportICal || onImportICal ? (
+        <div className="filter-group">
+          <div className="input-label">Calendar (.ics)</div>
+          <div className="row-actions">
+            {onExportICal ? (
+              <button type="button" className="btn btn-secondary" onClick={onExportICal} title="Export the listed tasks">
+                Export
+              </button>
+            ) : null}
+            {onImportICal ? (
+              <>
+                <button type="button" className="btn btn-secondary" onClick={() => icalInputRef.current.click()}>
+                  Import
+                </button>
+                <input
+                  ref={icalInputRef}
+                  type="file"
+                  accept=".ics,text/calendar"
+                  hidden
+                  onChange={(e) => {
+                    const file = e.target.files[0];
+                    e.target.value = "";
+                    if (file) onImportICal(file);
+                  }}
+                  aria-label="Import calendar file"
+                />
+              </>
+            ) : null}
+          </div>
+        </div>
+      ) : null}
+
+      {onExportBackup || onRestoreBackup ? (
+        <div className="filter-group">
+          <div className="input-label">Backup</div>
+          <div className="row-actions">
+            {onExportBackup ? (
+              <>
+                <button type="button" className="btn btn-secondary" onClick={() => onExportBackup("json")} title="Back up all tasks as JSON">
+                  JSON
+                </button>
+                <button type="button" className="btn btn-secondary" onClick={() => onExportBackup("csv")} title="Export all tasks as CSV">
+                  CSV
+                </button>
+              </>
+            ) : null}
+            {onRestoreBackup ? (
+              <>
+                <button type="button" className="btn btn-secondary" onClick={() => backupInputRef.current.click()}>
+                  Restore
+                </button>
+                <input
+                  ref={backupInputRef}
+                  type="file"
+                  accept=".json,.csv,application/json,text/csv"
+                  hidden
+                  onChange={(e) => {
+                    const file = e.target.files[0];
+                    e.target.value = "";
+                    if (file) onRestoreBackup(file);
+                  }}
+                  aria-label="Restore backup file"
+                />
+              </>
+            ) : null}
+          </div>
+        </div>
+      ) : null}
     </aside>
   );
 }
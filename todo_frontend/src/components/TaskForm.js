@@ -1,44 +1,50 @@
 import React, { useEffect, useState } from "react";
+import RecurrenceFields from "./RecurrenceFields";
+import TagInput from "./TagInput";
+import { TASK_STATUSES } from "../utils/board";
+import { parseDueTime } from "../api/taskQuery";
 
 /**
  * TaskForm handles create and edit of tasks.
  *
  * Props:
  * - initial: Task | null
+ * - draft?: Object | null - Values to start a new task from (e.g. after a failed save)
  * - onCancel: () => void
  * - onSave: (data) => Promise<void>
+ * - tagSuggestions: Array<{ name: string, color: string }>
+ * - tagColors: Record<string, string>
+ * - remoteChange?: { deleted: boolean, task: Task | null } - The task was changed or deleted elsewhere while editing
+ * - onLoadRemote?: () => void - Replace the form content with the changed task
+ * - onDismissRemote?: () => void - Keep editing (saving overwrites the other change)
  */
-export default function TaskForm({ initial = null, onCancel, onSave }) {
-  const [form, setForm] = useState({
-    title: "",
-    description: "",
-    priority: "medium",
-    eta: "",
-    due_date: "",
-    completed: false,
-  });
+export default function TaskForm({
+  initial = null,
+  draft = null,
+  onCancel,
+  onSave,
+  tagSuggestions = [],
+  tagColors = {},
+  remoteChange = null,
+  onLoadRemote,
+  onDismissRemote,
+}) {
+  const [form, setForm] = useState(() => toFormState(initial || draft));
 
   useEffect(() => {
-    if (initial) {
-      setForm({
-        title: initial.title || "",
-        description: initial.description || "",
-        priority: initial.priority || "medium",
-        eta: initial.eta ?? "",
-        due_date: initial.due_date ? toInputDate(initial.due_date) : "",
-        completed: !!initial.completed,
-      });
-    }
+    if (initial) setForm(toFormState(initial));
   }, [initial]);
 
   const update = (patch) => setForm((f) => ({ ...f, ...patch }));
 
   const submit = async (e) => {
     e.preventDefault();
+    const { due_time: dueTime, ...fields } = form;
     const payload = {
-      ...form,
+      ...fields,
       eta: form.eta === "" ? null : Number(form.eta),
-      due_date: form.due_date || null,
+      due_date: form.due_date ? form.due_date + (dueTime ? `T${dueTime}` : "") : null,
+      recurrence: form.recurrence || null,
     };
     await onSave(payload);
   };
@@ -48,6 +54,25 @@ export default function TaskForm({ initial = null, onCancel, onSave }) {
   return (
     <form className="task-form" onSubmit={submit}>
       <h3>{isEdit ? "Edit Task" : "New Task"}</h3>
+      {remoteChange ? (
+        <div className="remote-change" role="alert">
+          <span>
+            {remoteChange.deleted
+              ? "This task was deleted elsewhere. Saving will fail; copy anything you want to keep."
+              : "This task was changed elsewhere. Saving keeps your version."}
+          </span>
+          <div className="row-actions">
+            {!remoteChange.deleted && remoteChange.task ? (
+              <button type="button" className="btn btn-secondary" onClick={onLoadRemote}>
+                Load their changes
+              </button>
+            ) : null}
+            <button type="button" className="btn btn-secondary" onClick={onDismissRemote}>
+              Dismiss
+            </button>
+          </div>
+        </div>
+      ) : null}
       <label className="input-label">
         Title
         <input
@@ -68,6 +93,15 @@ export default function TaskForm({ initial = null, onCancel, onSave }) {
           rows={4}
         />
       </label>
+      <div className="input-label">
+        Tags
+        <TagInput
+          value={form.tags}
+          onChange={(tags) => update({ tags })}
+          suggestions={tagSuggestions}
+          colors={tagColors}
+        />
+      </div>
       <div className="grid-2">
         <label className="input-label">
           Priority
@@ -96,15 +130,42 @@ export default function TaskForm({ initial = null, onCancel, onSave }) {
         </label>
       </div>
       <div className="grid-2">
-        <label className="input-label">
+        <div className="input-label">
           Due date
-          <input
+          <div className="due-fields">
+            <input
+              className="input"
+              type="date"
+              aria-label="Due date"
+              value={form.due_date}
+              onChange={(e) => update({ due_date: e.target.value })}
+            />
+            <input
+              className="input"
+              type="time"
+              aria-label="Due time"
+              value={form.due_time}
+              disabled={!form.due_date}
+              onChange={(e) => update({ due_time: e.target.value })}
+            />
+          </div>
+        </div>
+        <label className="input-label">
+          Status
+          <select
             className="input"
-            type="date"
-            value={form.due_date}
-            onChange={(e) => update({ due_date: e.target.value })}
-          />
+            value={form.status}
+            onChange={(e) => update({ status: e.target.value })}
+          >
+            {TASK_STATUSES.map((s) => (
+              <option key={s.value} value={s.value}>
+                {s.label}
+              </option>
+            ))}
+          </select>
         </label>
+      </div>
+      <div className="grid-2">
         <label className="checkbox">
           <input
             type="checkbox"
@@ -115,6 +176,12 @@ export default function TaskForm({ initial = null, onCancel, onSave }) {
         </label>
       </div>
 
+      <RecurrenceFields
+        value={form.recurrence}
+        dueDate={form.due_date}
+        onChange={(recurrence) => update({ recurrence })}
+      />
+
       <div className="form-actions">
         <button type="button" className="btn btn-secondary" onClick={onCancel}>
           Cancel
@@ -127,6 +194,22 @@ export default function TaskForm({ initial = null, onCancel, onSave }) {
   );
 }
 
+function toFormState(task) {
+  return {
+    title: task?.title || "",
+    description: task?.description || "",
+    priority: task?.priority || "medium",
+    status: task?.status || "todo",
+    eta: task?.eta ?? "",
+    due_date: task?.due_date ? toInputDate(task.due_date) : "",
+    // Kept apart so a time (e.g. from quick add) survives editing the date
+    due_time: parseDueTime(task?.due_date),
+    completed: !!task?.completed,
+    tags: task?.tags || [],
+    recurrence: task?.recurrence || null,
+  };
+}
+
 function toInputDate(d) {
   try {
     const date = new Date(d);
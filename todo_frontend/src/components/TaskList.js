@@ -1,56 +1,224 @@
-import React from "react";
+import React, { useEffect, useLayoutEffect, useRef, useState } from "react";
+import { describeRRule } from "../utils/recurrence";
+import { TASK_STATUSES } from "../utils/board";
+import { rowOffsets, visibleRange } from "../utils/virtualList";
+import TagChips from "./TagChips";
+
+// Rows are measured once rendered; until then they count as this tall (including the gap)
+const ESTIMATED_ROW_HEIGHT = 64;
+const ROW_GAP = 8;
+const OVERSCAN = 6;
 
 /**
- * TaskList displays the list of tasks with completion toggles and selection.
+ * TaskList displays the list of tasks with completion toggles and selection, and a
+ * checkbox mode for picking several tasks for bulk actions. Only the rows around the
+ * visible area are rendered; scrolling near the end asks for the next page.
  *
  * Props:
  * - tasks: Array<Task>
  * - onSelect: (task) => void
  * - onToggleComplete: (task) => void
  * - selectedId: string | number | null
+ * - tagColors: Record<string, string>
+ * - blockedBy?: Record<string, Array<Task>> - Open blockers by task ID, for tasks that have any
+ * - selecting?: boolean - Checkbox mode: rows toggle membership in `checkedIds` (shift-click selects a range)
+ * - checkedIds?: Array<string | number>
+ * - onCheckedChange?: (ids) => void
+ * - hasMore?: boolean - More tasks can be loaded
+ * - loadingMore?: boolean
+ * - onLoadMore?: () => void
+ * - scrollRef?: { current: number } - Keeps the scroll position while the list is not shown
  */
-export default function TaskList({ tasks = [], onSelect, onToggleComplete, selectedId = null }) {
+export default function TaskList({
+  tasks = [],
+  onSelect,
+  onToggleComplete,
+  selectedId = null,
+  tagColors = {},
+  blockedBy = {},
+  selecting = false,
+  checkedIds = [],
+  onCheckedChange,
+  hasMore = false,
+  loadingMore = false,
+  onLoadMore,
+  scrollRef,
+}) {
+  const containerRef = useRef(null);
+  const [scrollTop, setScrollTop] = useState(() => (scrollRef ? scrollRef.current : 0));
+  const [viewportHeight, setViewportHeight] = useState(0);
+
+  // Measured row heights by task ID; a changed height re-renders with the new offsets
+  const heightsRef = useRef(new Map());
+  const rowRefs = useRef(new Map());
+  const [, setMeasured] = useState(0);
+
+  const offsets = rowOffsets(tasks.map((t) => heightsRef.current.get(t.id) || ESTIMATED_ROW_HEIGHT));
+  // Before layout (and without one, as in tests) assume the window's height
+  const { start, end } = visibleRange(offsets, scrollTop, viewportHeight || window.innerHeight, OVERSCAN);
+  const visible = tasks.slice(start, end);
+
+  useLayoutEffect(() => {
+    let changed = false;
+    rowRefs.current.forEach((el, id) => {
+      const height = el.offsetHeight;
+      if (height && heightsRef.current.get(id) !== height + ROW_GAP) {
+        heightsRef.current.set(id, height + ROW_GAP);
+        changed = true;
+      }
+    });
+    if (changed) setMeasured((n) => n + 1);
+  }, [tasks, start, end]);
+
+  // Restore the scroll position from before the list was last shown (on mount only: the
+  // position is read through a ref kept from the first render)
+  const restoreFromRef = useRef(scrollRef);
+  useLayoutEffect(() => {
+    const el = containerRef.current;
+    const saved = restoreFromRef.current;
+    if (!el) return;
+    if (saved && saved.current) el.scrollTop = saved.current;
+    setViewportHeight(el.clientHeight);
+  }, []);
+
+  useEffect(() => {
+    const onResize = () => containerRef.current && setViewportHeight(containerRef.current.clientHeight);
+    window.addEventListener("resize", onResize);
+    return () => window.removeEventListener("resize", onResize);
+  }, []);
+
+  const onScroll = (e) => {
+    setScrollTop(e.currentTarget.scrollTop);
+    if (scrollRef) scrollRef.current = e.currentTarget.scrollTop;
+  };
+
+  // Infinite scroll: ask for the next page once the last rows are rendered. Only scrolling or
+  // new rows ask again, so a failed load is not retried in a loop.
+  const loadMoreRef = useRef(null);
+  loadMoreRef.current = !loadingMore && onLoadMore;
+  useEffect(() => {
+    if (hasMore && loadMoreRef.current && end >= tasks.length - OVERSCAN) loadMoreRef.current();
+  }, [hasMore, end, tasks.length]);
+
+  // Keep the selection visible when it moves via keyboard shortcuts. Only when the selection
+  // changes, not on every refresh: the current rows are read through a ref.
+  const layoutRef = useRef(null);
+  layoutRef.current = { tasks, offsets };
+  useEffect(() => {
+    const { tasks: rows, offsets: tops } = layoutRef.current;
+    const index = rows.findIndex((t) => t.id === selectedId);
+    const el = containerRef.current;
+    if (index === -1 || !el) return;
+    const row = rowRefs.current.get(selectedId);
+    if (row && row.scrollIntoView) row.scrollIntoView({ block: "nearest" });
+    else if (!row) el.scrollTop = Math.max(0, tops[index] - el.clientHeight / 2);
+  }, [selectedId]);
+
+  // Shift-click extends from the last row toggled without shift
+  const anchorRef = useRef(null);
+  const toggleChecked = (task, extend) => {
+    const checked = new Set(checkedIds);
+    const from = tasks.findIndex((t) => t.id === anchorRef.current);
+    const to = tasks.findIndex((t) => t.id === task.id);
+    if (extend && from !== -1) {
+      tasks.slice(Math.min(from, to), Math.max(from, to) + 1).forEach((t) => checked.add(t.id));
+    } else {
+      if (checked.has(task.id)) checked.delete(task.id);
+      else checked.add(task.id);
+      anchorRef.current = task.id;
+    }
+    onCheckedChange && onCheckedChange(tasks.filter((t) => checked.has(t.id)).map((t) => t.id));
+  };
+
+  const activate = (task, e) => {
+    if (selecting) toggleChecked(task, e.shiftKey);
+    else onSelect && onSelect(task);
+  };
+
+  const rowRef = (id) => (el) => {
+    if (el) rowRefs.current.set(id, el);
+    else rowRefs.current.delete(id);
+  };
+
   return (
-    <div className="tasklist">
+    <div className="tasklist virtual" ref={containerRef} onScroll={onScroll}>
       {(!tasks || tasks.length === 0) ? (
         <div className="empty">No tasks found</div>
       ) : (
-        tasks.map((t) => (
-          <div
-            key={t.id}
-            className={`tasklist-item ${selectedId === t.id ? "selected" : ""}`}
-            onClick={() => onSelect && onSelect(t)}
-            role="button"
-            tabIndex={0}
-            onKeyDown={(e) => {
-              if (e.key === "Enter" || e.key === " ") {
-                e.preventDefault();
-                onSelect && onSelect(t);
-              }
-            }}
-          >
-            <div className="task-main">
-              <input
-                type="checkbox"
-                checked={!!t.completed}
-                onChange={(e) => {
-                  e.stopPropagation();
-                  onToggleComplete && onToggleComplete(t);
-                }}
-                aria-label={`Mark ${t.title} ${t.completed ? "incomplete" : "complete"}`}
-              />
-              <div className="task-titlegroup">
-                <div className={`task-title ${t.completed ? "completed" : ""}`}>{t.title}</div>
-                <div className="task-subtitle">
-                  {t.priority ? <span className={`pill ${t.priority}`}>{t.priority}</span> : null}
-                  {t.due_date ? <span className="meta">Due: {fmtDate(t.due_date)}</span> : null}
-                  {t.eta ? <span className="meta">ETA: {t.eta}h</span> : null}
+        <div
+          className="tasklist-window"
+          style={{ paddingTop: offsets[start], paddingBottom: offsets[tasks.length] - offsets[end] }}
+        >
+          {visible.map((t) => (
+            <div
+              key={t.id}
+              ref={rowRef(t.id)}
+              className={`tasklist-item ${selectedId === t.id ? "selected" : ""} ${
+                selecting && checkedIds.includes(t.id) ? "checked" : ""
+              }`}
+              onClick={(e) => activate(t, e)}
+              role="button"
+              tabIndex={0}
+              onKeyDown={(e) => {
+                if (e.key === "Enter" || e.key === " ") {
+                  e.preventDefault();
+                  activate(t, e);
+                }
+              }}
+            >
+              <div className="task-main">
+                {selecting ? (
+                  <input
+                    type="checkbox"
+                    className="select-checkbox"
+                    checked={checkedIds.includes(t.id)}
+                    readOnly
+                    aria-label={`Select ${t.title}`}
+                  />
+                ) : (
+                  <input
+                    type="checkbox"
+                    checked={!!t.completed}
+                    onChange={(e) => {
+                      e.stopPropagation();
+                      onToggleComplete && onToggleComplete(t);
+                    }}
+                    aria-label={`Mark ${t.title} ${t.completed ? "incomplete" : "complete"}`}
+                  />
+                )}
+                <div className="task-titlegroup">
+                  <div className={`task-title ${t.completed ? "completed" : ""}`}>{t.title}</div>
+                  <div className="task-subtitle">
+                    {t.priority ? <span className={`pill ${t.priority}`}>{t.priority}</span> : null}
+                    <TagChips tags={t.tags} colors={tagColors} />
+                    {t.due_date ? <span className="meta">Due: {fmtDate(t.due_date)}</span> : null}
+                    {t.eta ? <span className="meta">ETA: {t.eta}h</span> : null}
+                    {t.status && t.status !== "todo" && !t.completed ? (
+                      <span className="meta">{statusLabel(t.status)}</span>
+                    ) : null}
+                    {blockedBy[t.id] && !t.completed ? (
+                      <span className="pill blocked" title={`Blocked by ${blockedBy[t.id].map((b) => b.title).join(", ")}`}>
+                        blocked
+                      </span>
+                    ) : null}
+                    {t.recurrence ? (
+                      <span className="meta" title={describeRRule(t.recurrence)}>
+                        ↻
+                      </span>
+                    ) : null}
+                    {t.pending ? <span className="meta">Not synced</span> : null}
+                  </div>
                 </div>
               </div>
             </div>
-          </div>
-        ))
+          ))}
+        </div>
       )}
+      {hasMore ? (
+        <button type="button" className="btn btn-secondary tasklist-more" onClick={onLoadMore} disabled={loadingMore}>
+          {loadingMore ? "Loading more..." : "Load more"}
+        </button>
+      ) : null}
     </div>
   );
 }
@@ -63,3 +231,7 @@ function fmtDate(d) {
     return String(d);
   }
 }
+
+function statusLabel(status) {
+  return TASK_STATUSES.find((s) => s.value === status)?.label || status;
+}
@@ -0,0 +1,94 @@
+import React from "react";
+import { RETENTION_OPTIONS, daysUntilPurge } from "../utils/trash";
+
+/**
+ * TaskTrash lists deleted tasks so they can be restored or purged for good.
+ *
+ * Props:
+ * - items: Array<Task & { deleted_at: string, subtask_count?: number }>
+ * - loading: boolean
+ * - retentionDays: number - 0 keeps tasks until purged by hand
+ * - onRetentionChange: (days) => void
+ * - onRestore: (task) => void
+ * - onPurge: (task) => void
+ * - onEmpty: () => void
+ */
+export default function TaskTrash({
+  items = [],
+  loading = false,
+  retentionDays,
+  onRetentionChange,
+  onRestore,
+  onPurge,
+  onEmpty,
+}) {
+  return (
+    <div className="trash">
+      <div className="board-toolbar">
+        <label className="checkbox">
+          Purge deleted tasks after
+          <select
+            className="input input-small"
+            value={retentionDays}
+            onChange={(e) => onRetentionChange(Number(e.target.value))}
+          >
+            {RETENTION_OPTIONS.map((o) => (
+              <option key={o.value} value={o.value}>
+                {o.label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <button className="btn btn-danger" onClick={onEmpty} disabled={items.length === 0}>
+          Empty trash
+        </button>
+      </div>
+
+      {items.length === 0 ? (
+        <div className="empty">{loading ? "Loading..." : "Trash is empty"}</div>
+      ) : (
+        <div className="tasklist">
+          {items.map((t) => {
+            const left = daysUntilPurge(t.deleted_at, retentionDays);
+            return (
+              <div key={t.id} className="tasklist-item trash-item">
+                <div className="task-titlegroup">
+                  <div className="task-title">{t.title}</div>
+                  <div className="task-subtitle">
+                    {t.priority ? <span className={`pill ${t.priority}`}>{t.priority}</span> : null}
+                    <span className="meta">Deleted {fmtDateTime(t.deleted_at)}</span>
+                    {t.subtask_count ? (
+                      <span className="meta">
+                        {t.subtask_count} subtask{t.subtask_count === 1 ? "" : "s"}
+                      </span>
+                    ) : null}
+                    {left !== null ? (
+                      <span className="meta">{left === 0 ? "Purged soon" : `Purged in ${left} day${left === 1 ? "" : "s"}`}</span>
+                    ) : null}
+                  </div>
+                </div>
+                <div className="row-actions">
+                  <button className="btn btn-secondary" onClick={() => onRestore(t)}>
+                    Restore
+                  </button>
+                  <button className="btn btn-danger" onClick={() => onPurge(t)}>
+                    Delete forever
+                  </button>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function fmtDateTime(d) {
+  try {
+    const date = new Date(d);
+    return isNaN(date.getTime()) ? String(d) : date.toLocaleString();
+  } catch {
+    return String(d);
+  }
+}
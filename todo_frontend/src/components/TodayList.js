@@ -0,0 +1,85 @@
+import React from "react";
+
+/**
+ * TodayList shows the accepted day plan in the sidebar, in the user's order. Entries follow the
+ * live task (title, completion) when it is loaded and fall back to what was planned otherwise.
+ *
+ * Props:
+ * - entries: Array<{ id, title, hours }>
+ * - tasks: Array<Task> - Loaded tasks, to resolve entries
+ * - selectedId: string|number|null
+ * - onSelect: (id) => void
+ * - onToggleComplete: (task) => void
+ * - onMove: (id, step) => void - Move up (-1) or down (+1)
+ * - onRemove: (id) => void
+ * - onPlan: () => void - Open the planner
+ */
+export default function TodayList({ entries = [], tasks = [], selectedId, onSelect, onToggleComplete, onMove, onRemove, onPlan }) {
+  const byId = new Map(tasks.map((t) => [t.id, t]));
+  const open = entries.filter((e) => !byId.get(e.id)?.completed);
+  const hoursLeft = Math.round(open.reduce((sum, e) => sum + (Number(e.hours) || 0), 0) * 100) / 100;
+
+  return (
+    <div className="filter-group today-list">
+      <div className="filter-group-header">
+        <div className="input-label">Today</div>
+        <div className="row-actions">
+          <button type="button" className="chip" onClick={onPlan} title="Plan the day from the hours you have">
+            Plan my day
+          </button>
+        </div>
+      </div>
+
+      {entries.length ? (
+        <>
+          <ol className="today-entries">
+            {entries.map((entry, i) => {
+              const task = byId.get(entry.id);
+              const title = task ? task.title : entry.title;
+              return (
+                <li key={entry.id} className={`today-entry ${entry.id === selectedId ? "active" : ""}`}>
+                  {task ? (
+                    <input
+                      type="checkbox"
+                      checked={!!task.completed}
+                      onChange={() => onToggleComplete(task)}
+                      aria-label={`Complete ${title}`}
+                    />
+                  ) : null}
+                  <button
+                    type="button"
+                    className={`saved-view-link today-title ${task?.completed ? "completed" : ""}`}
+                    onClick={() => onSelect(entry.id)}
+                  >
+                    {title}
+                  </button>
+                  <span className="saved-view-count">{entry.hours}h</span>
+                  <div className="row-actions">
+                    <button type="button" className="btn btn-secondary" onClick={() => onMove(entry.id, -1)} disabled={i === 0} aria-label={`Move ${title} up`}>
+                      ↑
+                    </button>
+                    <button
+                      type="button"
+                      className="btn btn-secondary"
+                      onClick={() => onMove(entry.id, 1)}
+                      disabled={i === entries.length - 1}
+                      aria-label={`Move ${title} down`}
+                    >
+                      ↓
+                    </button>
+                    <button type="button" className="btn btn-danger" onClick={() => onRemove(entry.id)} aria-label={`Remove ${title} from today`}>
+                      ×
+                    </button>
+                  </div>
+                </li>
+              );
+            })}
+          </ol>
+          <div className="meta">{open.length ? `${hoursLeft}h left today` : "All done for today."}</div>
+        </>
+      ) : (
+        <div className="meta">No plan for today yet.</div>
+      )}
+    </div>
+  );
+}
@@ -2,6 +2,19 @@ import React from 'react';
 import ReactDOM from 'react-dom/client';
 import './index.css';
 import App from './App';
+import api from './api/client';
+import { installMockBackend } from './api/mockBackend';
+
+// Serve the API from an in-browser fake when no backend is available (demo/offline dev).
+if (process.env.REACT_APP_MOCK_API === 'true') {
+  installMockBackend({
+    baseUrl: api.baseUrl,
+    delay: 150,
+    storage: window.localStorage,
+    // There is no mail server: password reset links show up in the console
+    onMail: (mail) => console.info(`[mock mail to ${mail.to}] ${mail.subject}: ${mail.text}`),
+  });
+}
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
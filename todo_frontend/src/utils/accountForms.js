@@ -0,0 +1,107 @@
+//
+// Account form validation
+// - Sign-up, password reset and account settings rules, shared with the mock backend
+// - Problems are short phrases ("is required") shown after the field label, like the server's `fields`
+// - Server errors are mapped back onto the form's fields
+//
+
+import { describeError } from "./errorMessages";
+
+// PUBLIC_INTERFACE
+export const MIN_PASSWORD_LENGTH = 8;
+
+const USERNAME_PATTERN = /^[A-Za-z0-9_.-]{3,32}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// PUBLIC_INTERFACE
+/**
+ * @param {string} value
+ * @returns {string|null} The problem, or null when valid
+ */
+export function validateUsername(value) {
+  const username = String(value || "").trim();
+  if (!username) return "is required";
+  if (!USERNAME_PATTERN.test(username)) return "must be 3-32 letters, digits, dots, dashes or underscores";
+  return null;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * @param {string} value
+ * @param {{required?: boolean}} [options]
+ * @returns {string|null}
+ */
+export function validateEmail(value, { required = true } = {}) {
+  const email = String(value || "").trim();
+  if (!email) return required ? "is required" : null;
+  return EMAIL_PATTERN.test(email) ? null : "is not a valid email address";
+}
+
+// PUBLIC_INTERFACE
+/**
+ * @param {string} value
+ * @returns {string|null}
+ */
+export function validatePassword(value) {
+  const password = String(value || "");
+  if (!password) return "is required";
+  if (password.length < MIN_PASSWORD_LENGTH) return `must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  if (!/[A-Za-z]/.test(password) || !/\d/.test(password)) return "must contain a letter and a digit";
+  return null;
+}
+
+function collect(checks) {
+  return Object.fromEntries(Object.entries(checks).filter(([, problem]) => problem));
+}
+
+// PUBLIC_INTERFACE
+/**
+ * @param {{username: string, email: string, password: string, confirm: string}} values
+ * @returns {Object<string, string>} Problems by field; empty when the form can be sent
+ */
+export function validateSignUp({ username, email, password, confirm }) {
+  return collect({
+    username: validateUsername(username),
+    email: validateEmail(email),
+    password: validatePassword(password),
+    confirm: password && confirm !== password ? "does not match the password" : null,
+  });
+}
+
+// PUBLIC_INTERFACE
+/**
+ * New password and its confirmation (password reset, password change).
+ * @param {{password: string, confirm: string}} values
+ * @returns {Object<string, string>}
+ */
+export function validateNewPassword({ password, confirm }) {
+  return collect({
+    password: validatePassword(password),
+    confirm: password && confirm !== password ? "does not match the password" : null,
+  });
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Map a failed request onto a form: problems the server reported for known fields go next to
+ * them, anything else becomes one message for the whole form.
+ * @param {any} err
+ * @param {Object<string, string>} [fieldNames] - Form field for each server field name (same name when absent)
+ * @param {string[]} [known] - Form fields
+ * @returns {{fields: Object<string, string>, message: string|null}}
+ */
+export function formErrors(err, fieldNames = {}, known = []) {
+  const reported = err?.fields || err?.data?.fields || {};
+  const fields = {};
+  const others = [];
+  Object.entries(reported).forEach(([name, problem]) => {
+    const field = fieldNames[name] || name;
+    if (known.includes(field)) fields[field] = String(problem);
+    else others.push(`${name} ${problem}`);
+  });
+  let message = null;
+  if (others.length) message = `Please check: ${others.join("; ")}`;
+  // Field problems speak for themselves; otherwise the server's own words beat a generic message
+  else if (!Object.keys(fields).length) message = err?.data?.message || describeError(err);
+  return { fields, message };
+}
@@ -0,0 +1,31 @@
+import { ConflictError, ValidationError } from "../api/client";
+import { formErrors, validateNewPassword, validateSignUp } from "./accountForms";
+
+test("validates sign-up and new password forms", () => {
+  expect(validateSignUp({ username: "", email: "me@", password: "short", confirm: "" })).toEqual({
+    username: "is required",
+    email: "is not a valid email address",
+    password: "must be at least 8 characters",
+    confirm: "does not match the password",
+  });
+  expect(validateSignUp({ username: "sam.lee", email: "sam@example.com", password: "tasks2024", confirm: "tasks2024" })).toEqual(
+    {}
+  );
+  expect(validateNewPassword({ password: "longpassword", confirm: "longpassword" })).toEqual({
+    password: "must contain a letter and a digit",
+  });
+});
+
+test("maps server errors onto form fields", () => {
+  const taken = new ConflictError("Conflict", 409, { message: "That username is taken", fields: { username: "is already taken" } });
+  expect(formErrors(taken, {}, ["username", "email"])).toEqual({ fields: { username: "is already taken" }, message: null });
+
+  const wrong = new ValidationError("Bad", 400, { fields: { current_password: "is incorrect", otp: "is required" } });
+  expect(formErrors(wrong, { current_password: "current" }, ["current"])).toEqual({
+    fields: { current: "is incorrect" },
+    message: "Please check: otp is required",
+  });
+
+  const expired = new ValidationError("Bad", 400, { error: "invalid_token", message: "This reset link is invalid or has expired" });
+  expect(formErrors(expired, {}, ["password"])).toEqual({ fields: {}, message: "This reset link is invalid or has expired" });
+});
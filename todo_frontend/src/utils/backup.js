@@ -0,0 +1,482 @@
+//
+// Backup and restore
+// - Versioned JSON backups and flat CSV exports of tasks with their subtasks
+// - Import validation, CSV column mapping and a diff against the current tasks
+// - Applying a restore one task at a time so failures can be retried and stopped runs resumed
+//
+
+import { normalizeTags } from "./tags";
+
+// PUBLIC_INTERFACE
+/** Identifies our JSON backups; `version` is bumped when the layout changes. */
+export const BACKUP_FORMAT = "smart-task-organizer-backup";
+export const BACKUP_VERSION = 1;
+
+const PRIORITIES = ["low", "medium", "high", "critical"];
+
+/** Task fields that are backed up, compared and restored. */
+const TASK_FIELDS = ["title", "description", "priority", "due_date", "eta", "completed", "tags", "recurrence"];
+
+// PUBLIC_INTERFACE
+/** CSV columns, in export order. Subtasks are rows of type "subtask" whose task_id is their task's id. */
+export const CSV_COLUMNS = [
+  "type",
+  "id",
+  "task_id",
+  "title",
+  "description",
+  "priority",
+  "due_date",
+  "eta",
+  "completed",
+  "tags",
+  "recurrence",
+  "created_at",
+  "updated_at",
+];
+
+// PUBLIC_INTERFACE
+/** Fields a CSV column can be mapped to on import. */
+export const CSV_IMPORT_FIELDS = [
+  { value: "type", label: "Row type (task/subtask)" },
+  { value: "id", label: "Task ID" },
+  { value: "task_id", label: "Parent task ID" },
+  { value: "title", label: "Title" },
+  { value: "description", label: "Description" },
+  { value: "priority", label: "Priority" },
+  { value: "due_date", label: "Due date" },
+  { value: "eta", label: "ETA (hours)" },
+  { value: "completed", label: "Completed" },
+  { value: "tags", label: "Tags" },
+  { value: "recurrence", label: "Recurrence (RRULE)" },
+  { value: "updated_at", label: "Last updated" },
+];
+
+// Header names from other apps that map onto our fields
+const CSV_ALIASES = {
+  type: ["type", "kind", "row type"],
+  id: ["id", "task id"],
+  task_id: ["task_id", "parent", "parent id", "parent_id", "parent task", "parent task id"],
+  title: ["title", "name", "task", "summary", "subject"],
+  description: ["description", "notes", "note", "details", "content"],
+  priority: ["priority", "importance"],
+  due_date: ["due_date", "due", "due date", "deadline", "date"],
+  eta: ["eta", "estimate", "hours", "duration"],
+  completed: ["completed", "done", "status", "complete", "is completed"],
+  tags: ["tags", "labels", "categories", "tag", "label"],
+  recurrence: ["recurrence", "rrule", "repeat"],
+  updated_at: ["updated_at", "updated", "modified", "last modified"],
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Error for files that cannot be restored at all (not JSON, not a backup, newer version).
+ * Problems with individual tasks are reported as validation errors instead.
+ */
+export class BackupError extends Error {
+  /**
+   * @param {string} message
+   */
+  constructor(message) {
+    super(message);
+    this.name = "BackupError";
+  }
+}
+
+function pickFields(task) {
+  const out = {};
+  TASK_FIELDS.forEach((field) => {
+    if (field === "tags") out.tags = normalizeTags(task.tags);
+    else if (field === "completed") out.completed = !!task.completed;
+    else out[field] = task[field] ?? null;
+  });
+  return out;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Build a versioned JSON backup.
+ * @param {Array<{task: Object, subtasks?: Object[]}>} entries
+ * @param {Date} [now]
+ * @returns {string}
+ */
+export function backupToJson(entries, now = new Date()) {
+  const backup = {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exported_at: now.toISOString(),
+    tasks: (entries || []).map(({ task, subtasks = [] }) => ({
+      id: task.id,
+      ...pickFields(task),
+      created_at: task.created_at || null,
+      updated_at: task.updated_at || null,
+      subtasks: subtasks.map((s) => ({ id: s.id, title: s.title, completed: !!s.completed })),
+    })),
+  };
+  return JSON.stringify(backup, null, 2);
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  const text = Array.isArray(value) ? value.join(";") : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Flatten tasks and subtasks into CSV with the CSV_COLUMNS header. Tags are joined with ";".
+ * @param {Array<{task: Object, subtasks?: Object[]}>} entries
+ * @returns {string}
+ */
+export function tasksToCsv(entries) {
+  const rows = [CSV_COLUMNS];
+  (entries || []).forEach(({ task, subtasks = [] }) => {
+    const fields = pickFields(task);
+    rows.push(
+      CSV_COLUMNS.map((col) => {
+        if (col === "type") return "task";
+        if (col === "task_id") return "";
+        return col in fields ? fields[col] : task[col];
+      })
+    );
+    subtasks.forEach((s) => {
+      const sub = { type: "subtask", id: s.id, task_id: task.id, title: s.title, completed: !!s.completed };
+      rows.push(CSV_COLUMNS.map((col) => sub[col]));
+    });
+  });
+  return rows.map((row) => row.map(csvCell).join(",")).join("\r\n") + "\r\n";
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Parse CSV text (RFC 4180 quoting, CRLF or LF line ends) into rows of cells.
+ * @param {string} text
+ * @returns {string[][]}
+ */
+export function parseCsv(text) {
+  const src = String(text || "").replace(/^\uFEFF/, "");
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < src.length; i += 1) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i += 1;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((c) => c.trim()));
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Guess which field each CSV column holds from its header.
+ * @param {string[]} headers
+ * @returns {string[]} A field per column, "" for columns to ignore
+ */
+export function guessCsvMapping(headers) {
+  const used = new Set();
+  return (headers || []).map((header) => {
+    const name = String(header || "").trim().toLowerCase();
+    const field = Object.keys(CSV_ALIASES).find((f) => !used.has(f) && CSV_ALIASES[f].includes(name));
+    if (!field) return "";
+    used.add(field);
+    return field;
+  });
+}
+
+function parseCompleted(value) {
+  if (typeof value === "boolean") return value;
+  const text = String(value ?? "").trim().toLowerCase();
+  if (["true", "yes", "y", "1", "x", "done", "completed", "complete"].includes(text)) return true;
+  if (["", "false", "no", "n", "0", "todo", "open", "in_progress", "in progress"].includes(text)) return false;
+  return null;
+}
+
+function parseDue(value) {
+  if (value === null || value === undefined || value === "") return { value: null };
+  const m = /^(\d{4}-\d{2}-\d{2})(?:[T ](\d{2}:\d{2}))?/.exec(String(value).trim());
+  if (!m) return { error: `invalid due date "${value}"` };
+  return { value: m[2] ? `${m[1]}T${m[2]}` : m[1] };
+}
+
+/**
+ * Validate and normalize one task-like record into our task fields.
+ * @returns {{task: Object|null, errors: string[]}}
+ */
+function normalizeRecord(raw, where) {
+  const errors = [];
+  const title = String(raw.title ?? "").trim();
+  if (!title) errors.push(`${where}: title is required`);
+
+  let priority = raw.priority ? String(raw.priority).trim().toLowerCase() : "medium";
+  if (priority === "med") priority = "medium";
+  if (!PRIORITIES.includes(priority)) errors.push(`${where}: unknown priority "${raw.priority}"`);
+
+  const due = parseDue(raw.due_date);
+  if (due.error) errors.push(`${where}: ${due.error}`);
+
+  let eta = null;
+  if (raw.eta !== null && raw.eta !== undefined && raw.eta !== "") {
+    eta = Number(raw.eta);
+    if (!Number.isFinite(eta) || eta < 0) errors.push(`${where}: invalid ETA "${raw.eta}"`);
+  }
+
+  const completed = parseCompleted(raw.completed);
+  if (completed === null) errors.push(`${where}: invalid completed value "${raw.completed}"`);
+
+  const tags = Array.isArray(raw.tags) ? raw.tags : String(raw.tags || "").split(/[;,]/);
+
+  if (errors.length) return { task: null, errors };
+  const task = {
+    title,
+    description: raw.description ? String(raw.description) : "",
+    priority,
+    due_date: due.value,
+    eta,
+    completed,
+    tags: normalizeTags(tags),
+    recurrence: raw.recurrence ? String(raw.recurrence).trim() : null,
+  };
+  if (raw.id !== undefined && raw.id !== null && raw.id !== "") task.id = raw.id;
+  if (raw.updated_at) task.updated_at = String(raw.updated_at);
+  return { task, errors };
+}
+
+function normalizeSubtask(raw, where) {
+  const title = String(raw.title ?? "").trim();
+  const completed = parseCompleted(raw.completed);
+  const errors = [];
+  if (!title) errors.push(`${where}: subtask title is required`);
+  if (completed === null) errors.push(`${where}: invalid completed value "${raw.completed}"`);
+  return errors.length ? { subtask: null, errors } : { subtask: { title, completed }, errors };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Read a JSON backup. Invalid tasks are skipped and reported, not fatal.
+ * @param {string} text
+ * @returns {{entries: Array<{task: Object, subtasks: Object[]}>, errors: string[], exportedAt: string|null}}
+ * @throws {BackupError} When the file is not a backup this version can read
+ */
+export function parseJsonBackup(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new BackupError("The file is not valid JSON");
+  }
+  if (!data || data.format !== BACKUP_FORMAT || !Array.isArray(data.tasks)) {
+    throw new BackupError("The file is not a Smart Task Organizer backup");
+  }
+  if (typeof data.version !== "number" || data.version > BACKUP_VERSION) {
+    throw new BackupError(`Backup version ${data.version} is newer than this app supports (${BACKUP_VERSION})`);
+  }
+
+  const entries = [];
+  const errors = [];
+  data.tasks.forEach((raw, i) => {
+    const where = `Task ${i + 1}${raw && raw.title ? ` ("${raw.title}")` : ""}`;
+    if (!raw || typeof raw !== "object") {
+      errors.push(`${where}: not an object`);
+      return;
+    }
+    const { task, errors: taskErrors } = normalizeRecord(raw, where);
+    errors.push(...taskErrors);
+    if (!task) return;
+    const subtasks = [];
+    (Array.isArray(raw.subtasks) ? raw.subtasks : []).forEach((s, j) => {
+      const { subtask, errors: subErrors } = normalizeSubtask(s || {}, `${where}, subtask ${j + 1}`);
+      errors.push(...subErrors);
+      if (subtask) subtasks.push(subtask);
+    });
+    entries.push({ task, subtasks });
+  });
+  return { entries, errors, exportedAt: data.exported_at || null };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Turn CSV rows into tasks using a column mapping. The first row is the header.
+ * A row is a subtask when its type is "subtask", or when there is no type column
+ * and it names a parent task ID.
+ * @param {string[][]} rows
+ * @param {string[]} mapping - Field per column (see guessCsvMapping), "" to ignore
+ * @returns {{entries: Array<{task: Object, subtasks: Object[]}>, errors: string[]}}
+ */
+export function csvToEntries(rows, mapping) {
+  const errors = [];
+  if (!mapping.includes("title")) return { entries: [], errors: ["Map a column to Title"] };
+
+  const records = (rows || []).slice(1).map((cells, i) => {
+    const raw = {};
+    mapping.forEach((field, col) => {
+      if (field && cells[col] !== undefined) raw[field] = cells[col].trim();
+    });
+    return { raw, where: `Row ${i + 2}` };
+  });
+  const isSubtask = ({ raw }) =>
+    raw.type !== undefined ? raw.type.toLowerCase() === "subtask" : Boolean(raw.task_id);
+
+  const entries = [];
+  const byId = new Map();
+  records
+    .filter((r) => !isSubtask(r))
+    .forEach(({ raw, where }) => {
+      const { task, errors: rowErrors } = normalizeRecord(raw, where);
+      errors.push(...rowErrors);
+      if (!task) return;
+      const entry = { task, subtasks: [] };
+      entries.push(entry);
+      if (task.id !== undefined) byId.set(String(task.id), entry);
+    });
+  records.filter(isSubtask).forEach(({ raw, where }) => {
+    const parent = byId.get(String(raw.task_id || ""));
+    if (!parent) {
+      errors.push(`${where}: parent task "${raw.task_id || ""}" is not in the file`);
+      return;
+    }
+    const { subtask, errors: subErrors } = normalizeSubtask(raw, where);
+    errors.push(...subErrors);
+    if (subtask) parent.subtasks.push(subtask);
+  });
+  return { entries, errors };
+}
+
+function sameValue(a, b) {
+  if (Array.isArray(a) || Array.isArray(b)) return JSON.stringify(a || []) === JSON.stringify(b || []);
+  return (a ?? null) === (b ?? null) || String(a ?? "") === String(b ?? "");
+}
+
+function titleKey(title) {
+  return String(title || "").trim().toLowerCase();
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Compare imported tasks with the current ones. Tasks match by ID (backups from another
+ * account never match, so they come in as new). A matched task that differs is "updated",
+ * or "conflict" when it was changed here after the imported copy was last updated.
+ * Subtasks match by title; restoring adds missing ones and syncs completion, never deletes.
+ * @param {Array<{task: Object, subtasks: Object[]}>} entries - Imported
+ * @param {Array<{task: Object, subtasks: Object[]}>} current - Current tasks with their subtasks
+ * @returns {Array<{
+ *   status: "new"|"updated"|"conflict"|"unchanged", incoming: Object, existing: Object|null,
+ *   fields: string[], subtasks: {create: Object[], update: Array<{id: any, title: string, completed: boolean}>}
+ * }>}
+ */
+export function planRestore(entries, current) {
+  const byId = new Map((current || []).map((entry) => [String(entry.task.id), entry]));
+  return (entries || []).map(({ task, subtasks = [] }) => {
+    const match = task.id !== undefined ? byId.get(String(task.id)) : null;
+    if (!match) {
+      return { status: "new", incoming: task, existing: null, fields: [], subtasks: { create: subtasks, update: [] } };
+    }
+    const existing = pickFields(match.task);
+    const fields = TASK_FIELDS.filter((f) => !sameValue(task[f], existing[f]));
+
+    const existingSubs = new Map((match.subtasks || []).map((s) => [titleKey(s.title), s]));
+    const create = [];
+    const update = [];
+    subtasks.forEach((s) => {
+      const found = existingSubs.get(titleKey(s.title));
+      if (!found) create.push(s);
+      else if (!!found.completed !== !!s.completed) update.push({ id: found.id, title: found.title, completed: s.completed });
+    });
+
+    let status = "unchanged";
+    if (fields.length || create.length || update.length) {
+      const changedHere =
+        task.updated_at && match.task.updated_at && new Date(match.task.updated_at) > new Date(task.updated_at);
+      status = changedHere ? "conflict" : "updated";
+    }
+    return { status, incoming: task, existing: match.task, fields, subtasks: { create, update } };
+  });
+}
+
+async function applyChange(change, api, progress) {
+  const { incoming } = change;
+  let taskId = change.existing ? change.existing.id : null;
+  if (!taskId) {
+    const data = { ...incoming };
+    delete data.id;
+    delete data.updated_at;
+    const created = await api.createTask(data);
+    taskId = created.id;
+    // From here on a retry must not create the task again
+    progress.change = {
+      ...change,
+      status: "updated",
+      existing: created,
+      fields: [],
+      subtasks: { ...change.subtasks },
+    };
+  } else if (change.fields.length) {
+    await api.updateTask(taskId, Object.fromEntries(change.fields.map((f) => [f, incoming[f]])));
+    progress.change = { ...progress.change, fields: [] };
+  }
+  const create = [...progress.change.subtasks.create];
+  while (create.length) {
+    await api.createSubtask(taskId, { title: create[0].title, completed: create[0].completed });
+    create.shift();
+    progress.change = { ...progress.change, subtasks: { ...progress.change.subtasks, create: [...create] } };
+  }
+  const update = [...progress.change.subtasks.update];
+  while (update.length) {
+    await api.updateSubtask(taskId, update[0].id, { completed: update[0].completed });
+    update.shift();
+    progress.change = { ...progress.change, subtasks: { ...progress.change.subtasks, update: [...update] } };
+  }
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Apply planned changes one task at a time. A failed change is returned with only the
+ * steps that are still to do, so passing `failed` (and `remaining`) back in resumes
+ * without creating anything twice.
+ * @param {ReturnType<typeof planRestore>} changes
+ * @param {{createTask: Function, updateTask: Function, createSubtask: Function, updateSubtask: Function}} api
+ * @param {{onProgress?: (done: number, total: number) => void, shouldStop?: () => boolean}} [options]
+ * @returns {Promise<{applied: number, failed: Array<{change: Object, error: Error}>, remaining: Object[]}>}
+ */
+export async function applyRestore(changes, api, { onProgress, shouldStop } = {}) {
+  const list = changes || [];
+  const failed = [];
+  let applied = 0;
+  for (let i = 0; i < list.length; i += 1) {
+    if (shouldStop && shouldStop()) return { applied, failed, remaining: list.slice(i) };
+    const progress = { change: list[i] };
+    try {
+      await applyChange(list[i], api, progress);
+      applied += 1;
+    } catch (error) {
+      failed.push({ change: progress.change, error });
+    }
+    if (onProgress) onProgress(i + 1, list.length);
+  }
+  return { applied, failed, remaining: [] };
+}
@@ -0,0 +1,156 @@
+import {
+  BackupError,
+  applyRestore,
+  backupToJson,
+  csvToEntries,
+  guessCsvMapping,
+  parseCsv,
+  parseJsonBackup,
+  planRestore,
+  tasksToCsv,
+} from "./backup";
+
+const NOW = new Date(Date.UTC(2024, 4, 8, 12, 0, 0));
+
+const entries = [
+  {
+    task: {
+      id: 1,
+      title: 'Report, "final"',
+      description: "Line one\nLine two",
+      priority: "high",
+      due_date: "2024-05-10",
+      eta: 2,
+      completed: false,
+      tags: ["finance", "q2"],
+      updated_at: "2024-05-01T00:00:00.000Z",
+    },
+    subtasks: [{ id: 5, task_id: 1, title: "Collect numbers", completed: true }],
+  },
+  { task: { id: 2, title: "Call Maria", priority: "low", completed: true }, subtasks: [] },
+];
+
+test("JSON backups and CSV exports read back into the same tasks", () => {
+  const fromJson = parseJsonBackup(backupToJson(entries, NOW));
+  expect(fromJson.errors).toEqual([]);
+  expect(fromJson.exportedAt).toBe("2024-05-08T12:00:00.000Z");
+
+  const rows = parseCsv(tasksToCsv(entries));
+  expect(rows).toHaveLength(4);
+  const fromCsv = csvToEntries(rows, guessCsvMapping(rows[0]));
+  expect(fromCsv.errors).toEqual([]);
+
+  [fromJson, fromCsv].forEach(({ entries: read }) => {
+    expect(read).toHaveLength(2);
+    expect(read[0].task).toMatchObject({
+      id: expect.anything(),
+      title: 'Report, "final"',
+      description: "Line one\nLine two",
+      priority: "high",
+      due_date: "2024-05-10",
+      eta: 2,
+      completed: false,
+      tags: ["finance", "q2"],
+    });
+    expect(read[0].subtasks).toEqual([{ title: "Collect numbers", completed: true }]);
+    expect(read[1].task).toMatchObject({ title: "Call Maria", completed: true });
+  });
+});
+
+test("rejects files that are not backups and reports invalid tasks", () => {
+  expect(() => parseJsonBackup("nope")).toThrow(BackupError);
+  expect(() => parseJsonBackup('{"tasks": []}')).toThrow(/not a Smart Task Organizer backup/);
+  expect(() => parseJsonBackup('{"format": "smart-task-organizer-backup", "version": 99, "tasks": []}')).toThrow(/newer/);
+
+  const { entries: read, errors } = parseJsonBackup(
+    JSON.stringify({
+      format: "smart-task-organizer-backup",
+      version: 1,
+      tasks: [{ title: "" }, { title: "Ok", priority: "urgent" }, { title: "Fine", due_date: "2024-06-01 09:30" }],
+    })
+  );
+  expect(read.map((e) => e.task)).toEqual([expect.objectContaining({ title: "Fine", due_date: "2024-06-01T09:30" })]);
+  expect(errors).toEqual(["Task 1: title is required", 'Task 2 ("Ok"): unknown priority "urgent"']);
+});
+
+test("maps foreign CSV headers and nests subtasks under their parent", () => {
+  const rows = parseCsv("Name,Notes,Due,Done,Labels,Parent,Key\r\nPlan trip,,2024-07-01,no,travel;fun,,t1\r\nBook hotel,,,yes,,t1,\r\n");
+  const mapping = guessCsvMapping(rows[0]);
+  expect(mapping).toEqual(["title", "description", "due_date", "completed", "tags", "task_id", ""]);
+  expect(csvToEntries(rows, mapping).errors).toEqual(['Row 3: parent task "t1" is not in the file']);
+
+  mapping[6] = "id";
+  expect(csvToEntries(rows, mapping)).toEqual({
+    entries: [
+      {
+        task: expect.objectContaining({ id: "t1", title: "Plan trip", due_date: "2024-07-01", tags: ["travel", "fun"] }),
+        subtasks: [{ title: "Book hotel", completed: true }],
+      },
+    ],
+    errors: [],
+  });
+});
+
+test("plans new, updated, conflicting and unchanged tasks", () => {
+  const incoming = parseJsonBackup(backupToJson(entries, NOW)).entries;
+  incoming.push({ task: { id: 3, title: "Gone", priority: "medium", completed: false, tags: [] }, subtasks: [] });
+  const current = [
+    { task: { ...entries[0].task, title: "Report (draft)" }, subtasks: [{ id: 5, title: "collect numbers", completed: false }] },
+    { task: { ...entries[1].task, updated_at: "2024-05-02T00:00:00.000Z", completed: false }, subtasks: [] },
+  ];
+  const byTitle = Object.fromEntries(planRestore(incoming, current).map((c) => [c.incoming.title, c]));
+  expect(byTitle['Report, "final"']).toMatchObject({
+    status: "updated",
+    fields: ["title"],
+    subtasks: { create: [], update: [{ id: 5, completed: true }] },
+  });
+  expect(byTitle["Call Maria"].status).toBe("updated");
+  expect(byTitle.Gone.status).toBe("new");
+
+  // Changed here after the backup copy was last updated
+  incoming[1].task.updated_at = "2024-05-01T00:00:00.000Z";
+  expect(planRestore(incoming, current)[1].status).toBe("conflict");
+  expect(planRestore(incoming, incoming)[0].status).toBe("unchanged");
+});
+
+test("applies changes and resumes failures without creating tasks twice", async () => {
+  const calls = [];
+  let failSubtask = true;
+  const api = {
+    createTask: async (data) => {
+      calls.push(["createTask", data.title]);
+      return { id: 10, ...data };
+    },
+    updateTask: async (id) => calls.push(["updateTask", id]),
+    createSubtask: async (taskId, data) => {
+      if (data.title === "Second" && failSubtask) throw new Error("boom");
+      calls.push(["createSubtask", taskId, data.title]);
+    },
+    updateSubtask: async () => {},
+  };
+  const changes = planRestore(
+    [
+      { task: { title: "New one", priority: "medium", completed: false, tags: [] }, subtasks: [{ title: "First" }, { title: "Second" }] },
+      { task: { title: "Later", priority: "low", completed: false, tags: [] }, subtasks: [] },
+    ],
+    []
+  );
+  const progress = [];
+  const first = await applyRestore(changes, api, { onProgress: (done, total) => progress.push(`${done}/${total}`) });
+  expect(first.applied).toBe(1);
+  expect(first.failed.map((f) => f.error.message)).toEqual(["boom"]);
+  expect(progress).toEqual(["1/2", "2/2"]);
+
+  failSubtask = false;
+  const second = await applyRestore(first.failed.map((f) => f.change), api);
+  expect(second).toEqual({ applied: 1, failed: [], remaining: [] });
+  expect(calls).toEqual([
+    ["createTask", "New one"],
+    ["createSubtask", 10, "First"],
+    ["createTask", "Later"],
+    ["createSubtask", 10, "Second"],
+  ]);
+
+  const stopped = await applyRestore(changes, api, { shouldStop: () => true });
+  expect(stopped).toEqual({ applied: 0, failed: [], remaining: changes });
+});
@@ -0,0 +1,102 @@
+//
+// Kanban board configuration
+// - Column definitions for grouping tasks by workflow status or by priority
+// - Per-user board settings (grouping, column labels, WIP limits, hidden columns) kept in localStorage
+//
+
+const STORAGE_PREFIX = "sto.board.v1:";
+
+// PUBLIC_INTERFACE
+/**
+ * Workflow statuses a task can have while it is not completed.
+ */
+export const TASK_STATUSES = [
+  { value: "todo", label: "To do" },
+  { value: "in_progress", label: "In progress" },
+  { value: "blocked", label: "Blocked" },
+];
+
+/**
+ * Columns for each grouping. `patch` is the task update that puts a card in the column;
+ * `completes` columns go through markTaskComplete instead.
+ */
+export const BOARD_GROUPINGS = {
+  status: [
+    ...TASK_STATUSES.map((s) => ({ id: s.value, label: s.label, patch: { status: s.value } })),
+    { id: "done", label: "Done", completes: true },
+  ],
+  priority: ["critical", "high", "medium", "low"].map((p) => ({
+    id: p,
+    label: p[0].toUpperCase() + p.slice(1),
+    patch: { priority: p },
+  })),
+};
+
+// PUBLIC_INTERFACE
+/**
+ * The column id a task belongs to for a grouping.
+ * @param {Object} task
+ * @param {"status"|"priority"} groupBy
+ * @returns {string}
+ */
+export function columnOf(task, groupBy) {
+  if (groupBy === "priority") return task.priority || "medium";
+  if (task.completed) return "done";
+  return TASK_STATUSES.some((s) => s.value === task.status) ? task.status : "todo";
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Columns for a grouping with the user's labels, WIP limits and visibility applied.
+ * @param {ReturnType<typeof loadBoardSettings>} settings
+ * @returns {Array<{id: string, label: string, patch?: Object, completes?: boolean, wip: number|null, hidden: boolean}>}
+ */
+export function boardColumns(settings) {
+  const overrides = settings.columns?.[settings.groupBy] || {};
+  return (BOARD_GROUPINGS[settings.groupBy] || BOARD_GROUPINGS.status).map((col) => {
+    const o = overrides[col.id] || {};
+    return { ...col, label: o.label || col.label, wip: o.wip || null, hidden: !!o.hidden };
+  });
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Whether moving a task to a column reopens it: only a completed task dragged out of the
+ * "Done" column of the status grouping. Priority columns leave completion alone.
+ * @param {Object} task
+ * @param {Object} column - A column of BOARD_GROUPINGS
+ * @returns {boolean}
+ */
+export function reopensTask(task, column) {
+  return !!task.completed && !column.completes && "status" in (column.patch || {});
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Read a user's board settings.
+ * @param {string} userKey
+ * @returns {{groupBy: "status"|"priority", columns: Record<string, Record<string, {label?: string, wip?: number, hidden?: boolean}>>}}
+ */
+export function loadBoardSettings(userKey) {
+  const defaults = { groupBy: "status", columns: {} };
+  try {
+    const raw = window.localStorage.getItem(STORAGE_PREFIX + userKey);
+    return raw ? { ...defaults, ...JSON.parse(raw) } : defaults;
+  } catch {
+    return defaults;
+  }
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Persist a user's board settings.
+ * @param {string} userKey
+ * @param {ReturnType<typeof loadBoardSettings>} settings
+ */
+export function saveBoardSettings(userKey, settings) {
+  try {
+    window.localStorage.setItem(STORAGE_PREFIX + userKey, JSON.stringify(settings));
+  } catch {
+    // ignore storage failures; settings stay in memory for this session
+  }
+}
@@ -0,0 +1,22 @@
+import { BOARD_GROUPINGS, loadBoardSettings, reopensTask, saveBoardSettings } from "./board";
+
+const column = (groupBy, id) => BOARD_GROUPINGS[groupBy].find((c) => c.id === id);
+
+beforeEach(() => {
+  window.localStorage.clear();
+});
+
+test("only dragging a completed task out of Done reopens it", () => {
+  const done = { id: 1, completed: true, status: "todo", priority: "low" };
+  expect(reopensTask(done, column("priority", "high"))).toBe(false);
+  expect(reopensTask(done, column("status", "in_progress"))).toBe(true);
+  expect(reopensTask(done, column("status", "done"))).toBe(false);
+  expect(reopensTask({ ...done, completed: false }, column("status", "todo"))).toBe(false);
+});
+
+test("board settings are kept per user", () => {
+  saveBoardSettings("demo", { groupBy: "priority", columns: { priority: { low: { hidden: true } } } });
+
+  expect(loadBoardSettings("demo")).toEqual({ groupBy: "priority", columns: { priority: { low: { hidden: true } } } });
+  expect(loadBoardSettings("alex")).toEqual({ groupBy: "status", columns: {} });
+});
@@ -0,0 +1,66 @@
+//
+// Bulk task actions
+// - Turns an action on a selection of tasks into ApiClient.batchTasks operations
+// - Tasks the action would not change are skipped
+//
+
+import { toIsoDate } from "./recurrence";
+import { normalizeTags } from "./tags";
+
+// PUBLIC_INTERFACE
+/**
+ * Move a due date by a number of days, keeping any time-of-day part ("2024-05-10T15:00").
+ * @param {string|null} value
+ * @param {number} days
+ * @returns {string|null} null when there is no (valid) due date
+ */
+export function shiftDueDate(value, days) {
+  if (!value) return null;
+  const m = /^(\d{4})-(\d{2})-(\d{2})(.*)$/.exec(String(value));
+  const date = m ? new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3])) : new Date(value);
+  if (isNaN(date.getTime())) return null;
+  date.setDate(date.getDate() + days);
+  return toIsoDate(date) + (m ? m[4] : "");
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Build batch operations for a bulk action.
+ * @param {any[]} tasks - Selected tasks
+ * @param {"complete"|"uncomplete"|"delete"|"priority"|"shift"|"tags"} action
+ * @param {any} [value] - Priority name, number of days, or tags to add
+ * @returns {Array<{id: string|number, action: "update"|"delete"|"complete", data?: Object}>}
+ */
+export function bulkOperations(tasks, action, value) {
+  const ops = [];
+  (tasks || []).forEach((t) => {
+    switch (action) {
+      case "complete":
+      case "uncomplete": {
+        const completed = action === "complete";
+        if (!!t.completed !== completed) ops.push({ id: t.id, action: "complete", data: { completed } });
+        break;
+      }
+      case "delete":
+        ops.push({ id: t.id, action: "delete" });
+        break;
+      case "priority":
+        if (value && t.priority !== value) ops.push({ id: t.id, action: "update", data: { priority: value } });
+        break;
+      case "shift": {
+        const due = Number(value) ? shiftDueDate(t.due_date, Number(value)) : null;
+        if (due) ops.push({ id: t.id, action: "update", data: { due_date: due } });
+        break;
+      }
+      case "tags": {
+        const own = normalizeTags(t.tags);
+        const next = normalizeTags([...own, ...(value || [])]);
+        if (next.length !== own.length) ops.push({ id: t.id, action: "update", data: { tags: next } });
+        break;
+      }
+      default:
+        break;
+    }
+  });
+  return ops;
+}
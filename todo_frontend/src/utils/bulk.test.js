@@ -0,0 +1,22 @@
+import { bulkOperations, shiftDueDate } from "./bulk";
+
+test("shifts due dates across month ends and keeps the time", () => {
+  expect(shiftDueDate("2024-05-30", 3)).toBe("2024-06-02");
+  expect(shiftDueDate("2024-03-01T09:00", -1)).toBe("2024-02-29T09:00");
+  expect(shiftDueDate(null, 3)).toBeNull();
+});
+
+test("builds batch operations only for tasks the action changes", () => {
+  const tasks = [
+    { id: 1, completed: false, priority: "low", due_date: "2024-05-10", tags: ["bug"] },
+    { id: 2, completed: true, priority: "high", due_date: null, tags: [] },
+  ];
+  expect(bulkOperations(tasks, "complete")).toEqual([{ id: 1, action: "complete", data: { completed: true } }]);
+  expect(bulkOperations(tasks, "priority", "high")).toEqual([{ id: 1, action: "update", data: { priority: "high" } }]);
+  expect(bulkOperations(tasks, "shift", 7)).toEqual([{ id: 1, action: "update", data: { due_date: "2024-05-17" } }]);
+  expect(bulkOperations(tasks, "tags", ["bug", "Sprint 12"])).toEqual([
+    { id: 1, action: "update", data: { tags: ["bug", "sprint-12"] } },
+    { id: 2, action: "update", data: { tags: ["bug", "sprint-12"] } },
+  ]);
+  expect(bulkOperations(tasks, "delete").map((op) => op.id)).toEqual([1, 2]);
+});
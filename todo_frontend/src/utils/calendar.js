@@ -0,0 +1,76 @@
+//
+// Calendar view helpers
+// - Month/week grids of days (weeks start on Monday)
+// - Tasks grouped by the local day they are due
+// - Rescheduling to another day keeps a due date's time of day
+//
+
+import { parseDueDate, parseDueTime } from "../api/taskQuery";
+import { toIsoDate } from "./recurrence";
+
+function startOfWeek(date) {
+  const d = new Date(date);
+  d.setHours(0, 0, 0, 0);
+  d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+  return d;
+}
+
+function addDays(date, n) {
+  const d = new Date(date);
+  d.setDate(d.getDate() + n);
+  return d;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Days shown for the cursor: whole weeks covering its month, or the single week around it.
+ * @param {"month"|"week"} mode
+ * @param {Date} cursor
+ * @returns {Date[]}
+ */
+export function calendarDays(mode, cursor) {
+  if (mode === "week") {
+    const start = startOfWeek(cursor);
+    return Array.from({ length: 7 }, (_, i) => addDays(start, i));
+  }
+  const first = new Date(cursor.getFullYear(), cursor.getMonth(), 1);
+  const last = new Date(cursor.getFullYear(), cursor.getMonth() + 1, 0);
+  const start = startOfWeek(first);
+  const weeks = Math.ceil((Math.round((last - start) / 86400000) + 1) / 7);
+  return Array.from({ length: weeks * 7 }, (_, i) => addDays(start, i));
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Group tasks by the day they are due.
+ * @param {any[]} tasks
+ * @returns {{byDay: Record<string, any[]>, undated: any[]}} `byDay` is keyed by "YYYY-MM-DD"
+ */
+export function groupByDueDay(tasks) {
+  const byDay = {};
+  const undated = [];
+  (tasks || []).forEach((t) => {
+    const due = parseDueDate(t.due_date);
+    if (!due) {
+      undated.push(t);
+      return;
+    }
+    const key = toIsoDate(due);
+    (byDay[key] = byDay[key] || []).push(t);
+  });
+  return { byDay, undated };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * The due date of a task moved to another day, keeping its time of day.
+ * @param {Object} task
+ * @param {string} day - "YYYY-MM-DD"
+ * @returns {string|null} null when the task is already due that day
+ */
+export function rescheduledDueDate(task, day) {
+  const due = parseDueDate(task.due_date);
+  if (due && toIsoDate(due) === day) return null;
+  const time = parseDueTime(task.due_date);
+  return time ? `${day}T${time}` : day;
+}
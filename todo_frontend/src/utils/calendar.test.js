@@ -0,0 +1,46 @@
+import { calendarDays, groupByDueDay, rescheduledDueDate } from "./calendar";
+import { toIsoDate } from "./recurrence";
+
+test("the month grid covers whole Monday-first weeks around the month", () => {
+  // May 2024 starts on a Wednesday and ends on a Friday
+  const days = calendarDays("month", new Date(2024, 4, 17)).map(toIsoDate);
+  expect(days).toHaveLength(35);
+  expect(days[0]).toBe("2024-04-29");
+  expect(days[2]).toBe("2024-05-01");
+  expect(days[34]).toBe("2024-06-02");
+
+  // September 2024 starts on a Sunday, so it needs six weeks
+  expect(calendarDays("month", new Date(2024, 8, 1))).toHaveLength(42);
+  expect(calendarDays("week", new Date(2024, 4, 12)).map(toIsoDate)).toEqual([
+    "2024-05-06",
+    "2024-05-07",
+    "2024-05-08",
+    "2024-05-09",
+    "2024-05-10",
+    "2024-05-11",
+    "2024-05-12",
+  ]);
+});
+
+test("tasks are placed on the day they are due, times included, and undated ones are set apart", () => {
+  const tasks = [
+    { id: 1, due_date: "2024-05-10" },
+    { id: 2, due_date: "2024-05-10T23:30" },
+    { id: 3, due_date: "2024-05-11T00:15" },
+    { id: 4, due_date: null },
+    { id: 5, due_date: "not a date" },
+  ];
+  const { byDay, undated } = groupByDueDay(tasks);
+  expect(Object.fromEntries(Object.entries(byDay).map(([day, list]) => [day, list.map((t) => t.id)]))).toEqual({
+    "2024-05-10": [1, 2],
+    "2024-05-11": [3],
+  });
+  expect(undated.map((t) => t.id)).toEqual([4, 5]);
+});
+
+test("rescheduling moves the day and keeps the time of day", () => {
+  expect(rescheduledDueDate({ due_date: "2024-05-10" }, "2024-05-14")).toBe("2024-05-14");
+  expect(rescheduledDueDate({ due_date: "2024-05-10T15:00" }, "2024-05-14")).toBe("2024-05-14T15:00");
+  expect(rescheduledDueDate({ due_date: null }, "2024-05-14")).toBe("2024-05-14");
+  expect(rescheduledDueDate({ due_date: "2024-05-14T08:00" }, "2024-05-14")).toBeNull();
+});
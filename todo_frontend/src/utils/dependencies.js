@@ -0,0 +1,179 @@
+//
+// Task dependencies
+// - A task's `blocked_by` lists the tasks that must be done before it can be completed
+// - Links that would make a task (indirectly) wait for itself are rejected, here and by the mock backend
+// - The dependency graph is laid out in columns, each task right of everything blocking it
+// - The critical path is the longest chain of open work, by ETA
+//
+
+function key(id) {
+  return String(id);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * The IDs a task is blocked by.
+ * @param {any} task
+ * @returns {Array<string|number>}
+ */
+export function blockerIds(task) {
+  return Array.isArray(task?.blocked_by) ? task.blocked_by : [];
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Look up tasks by ID; later lists win, so fresher records can be laid over older ones.
+ * @param {...any[]} lists
+ * @returns {Map<string, any>}
+ */
+export function indexTasks(...lists) {
+  const byId = new Map();
+  lists.forEach((list) => (list || []).forEach((task) => byId.set(key(task.id), task)));
+  return byId;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Tasks that block or are blocked by another task.
+ * @param {any[]} tasks
+ * @returns {any[]}
+ */
+export function linkedTasks(tasks) {
+  const blocking = new Set((tasks || []).flatMap((t) => blockerIds(t).map(key)));
+  return (tasks || []).filter((t) => blockerIds(t).length || blocking.has(key(t.id)));
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Blockers of a task that are still open. Blockers that no longer exist do not block.
+ * @param {any} task
+ * @param {Map<string, any>} byId - See indexTasks
+ * @returns {any[]}
+ */
+export function openBlockers(task, byId) {
+  return blockerIds(task)
+    .map((id) => byId.get(key(id)))
+    .filter((blocker) => blocker && !blocker.completed);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Tasks blocked by the given one.
+ * @param {any[]} tasks
+ * @param {string|number} id
+ * @returns {any[]}
+ */
+export function dependentsOf(tasks, id) {
+  return (tasks || []).filter((t) => blockerIds(t).some((b) => key(b) === key(id)));
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Check a task's new blocker list for cycles.
+ * @param {any[]} tasks - Tasks with their current `blocked_by`
+ * @param {string|number} taskId
+ * @param {Array<string|number>} blockedBy - The list `taskId` would get
+ * @returns {Array<string|number>|null} The cycle as IDs from the task back to itself, or null
+ */
+export function findCycle(tasks, taskId, blockedBy) {
+  const byId = indexTasks(tasks);
+  const edges = (id) => (key(id) === key(taskId) ? blockedBy : blockerIds(byId.get(key(id))));
+  const visited = new Set();
+  const walk = (id, path) => {
+    if (key(id) === key(taskId)) return [...path, id];
+    if (visited.has(key(id))) return null;
+    visited.add(key(id));
+    for (const next of edges(id)) {
+      const cycle = walk(next, [...path, id]);
+      if (cycle) return cycle;
+    }
+    return null;
+  };
+  for (const id of blockedBy) {
+    const cycle = walk(id, [taskId]);
+    if (cycle) return cycle;
+  }
+  return null;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Lay out the tasks that have links: a task's column is the length of the longest chain of
+ * blockers before it. Links to tasks that are not given are left out.
+ * @param {any[]} tasks
+ * @returns {{nodes: Array<{task: any, column: number, row: number}>, edges: Array<{from: string|number, to: string|number}>}}
+ */
+export function dependencyLayout(tasks) {
+  const byId = indexTasks(tasks);
+  const edges = [];
+  (tasks || []).forEach((task) =>
+    blockerIds(task).forEach((id) => {
+      if (byId.has(key(id))) edges.push({ from: byId.get(key(id)).id, to: task.id });
+    })
+  );
+  const linked = new Set(edges.flatMap((e) => [key(e.from), key(e.to)]));
+
+  const columns = new Map();
+  const columnOf = (task, seen = new Set()) => {
+    const id = key(task.id);
+    if (columns.has(id)) return columns.get(id);
+    // Cycles cannot be created, but stored data is not trusted to be free of them
+    if (seen.has(id)) return 0;
+    seen.add(id);
+    const blockers = blockerIds(task).filter((b) => byId.has(key(b)));
+    const column = blockers.length ? 1 + Math.max(...blockers.map((b) => columnOf(byId.get(key(b)), seen))) : 0;
+    columns.set(id, column);
+    return column;
+  };
+
+  const rows = [];
+  const nodes = (tasks || [])
+    .filter((task) => linked.has(key(task.id)))
+    .map((task) => {
+      const column = columnOf(task);
+      rows[column] = (rows[column] || 0) + 1;
+      return { task, column, row: rows[column] - 1 };
+    });
+  return { nodes, edges };
+}
+
+// More hours, or as many hours over more tasks (tasks without an ETA still make a chain longer)
+function longer(chain, than) {
+  return chain.hours > than.hours || (chain.hours === than.hours && chain.ids.length > than.ids.length);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * The longest chain of open tasks, counting each task's ETA (tasks without one count as 0).
+ * Completed tasks are done and are not part of the path.
+ * @param {any[]} tasks
+ * @returns {{ids: Array<string|number>, hours: number}} From the first task to do to the last
+ */
+export function criticalPath(tasks) {
+  const open = (tasks || []).filter((t) => !t.completed);
+  const byId = indexTasks(open);
+  const memo = new Map();
+  // Longest chain ending at a task: its own ETA plus the longest chain of its open blockers
+  const longest = (task, seen = new Set()) => {
+    const id = key(task.id);
+    if (memo.has(id)) return memo.get(id);
+    if (seen.has(id)) return { hours: 0, ids: [] };
+    seen.add(id);
+    let best = { hours: 0, ids: [] };
+    blockerIds(task).forEach((b) => {
+      const blocker = byId.get(key(b));
+      const chain = blocker ? longest(blocker, seen) : null;
+      if (chain && longer(chain, best)) best = chain;
+    });
+    const result = { hours: best.hours + (Number(task.eta) > 0 ? Number(task.eta) : 0), ids: [...best.ids, task.id] };
+    memo.set(id, result);
+    return result;
+  };
+  return open.reduce(
+    (best, task) => {
+      const chain = longest(task);
+      return chain.ids.length > 1 && longer(chain, best) ? chain : best;
+    },
+    { hours: 0, ids: [] }
+  );
+}
@@ -0,0 +1,52 @@
+import { criticalPath, dependencyLayout, dependentsOf, findCycle, indexTasks, openBlockers } from "./dependencies";
+
+const tasks = [
+  { id: 1, title: "Design", eta: 2, completed: true },
+  { id: 2, title: "Backend", eta: 5, blocked_by: [1] },
+  { id: 3, title: "Frontend", eta: 3, blocked_by: [1] },
+  { id: 4, title: "Release", eta: 1, blocked_by: [2, 3] },
+  { id: 5, title: "Unrelated", eta: 8 },
+];
+
+test("finds open blockers and dependents", () => {
+  const byId = indexTasks(tasks);
+  expect(openBlockers(tasks[3], byId).map((t) => t.id)).toEqual([2, 3]);
+  // Completed and deleted blockers do not block
+  expect(openBlockers(tasks[1], byId)).toEqual([]);
+  expect(openBlockers({ id: 9, blocked_by: [42] }, byId)).toEqual([]);
+  expect(dependentsOf(tasks, 1).map((t) => t.id)).toEqual([2, 3]);
+  // Fresher records win
+  expect(openBlockers(tasks[3], indexTasks(tasks, [{ ...tasks[1], completed: true }])).map((t) => t.id)).toEqual([3]);
+});
+
+test("rejects links that would create a cycle", () => {
+  expect(findCycle(tasks, 1, [4])).toEqual([1, 4, 2, 1]);
+  expect(findCycle(tasks, 2, [2])).toEqual([2, 2]);
+  // IDs from the URL or a form are strings
+  expect(findCycle(tasks, "3", ["4"])).toEqual(["3", "4", 3]);
+  expect(findCycle(tasks, 4, [2, 3, 5])).toBeNull();
+  expect(findCycle(tasks, 5, [4])).toBeNull();
+});
+
+test("lays out linked tasks in columns after their blockers", () => {
+  const { nodes, edges } = dependencyLayout(tasks);
+  expect(nodes.map((n) => [n.task.id, n.column, n.row])).toEqual([
+    [1, 0, 0],
+    [2, 1, 0],
+    [3, 1, 1],
+    [4, 2, 0],
+  ]);
+  expect(edges).toEqual([
+    { from: 1, to: 2 },
+    { from: 1, to: 3 },
+    { from: 2, to: 4 },
+    { from: 3, to: 4 },
+  ]);
+});
+
+test("the critical path is the longest chain of open work", () => {
+  expect(criticalPath(tasks)).toEqual({ ids: [2, 4], hours: 6 });
+  const reopened = tasks.map((t) => (t.id === 1 ? { ...t, completed: false } : t));
+  expect(criticalPath(reopened)).toEqual({ ids: [1, 2, 4], hours: 8 });
+  expect(criticalPath([tasks[4]])).toEqual({ ids: [], hours: 0 });
+});
@@ -0,0 +1,53 @@
+//
+// File helpers for import/export
+//
+
+// PUBLIC_INTERFACE
+/**
+ * Offer text content as a file download.
+ * @param {string} filename
+ * @param {string} content
+ * @param {string} [type] - MIME type
+ */
+export function downloadFile(filename, content, type = "text/plain") {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Read a user-picked file as text.
+ * @param {File} file
+ * @returns {Promise<string>}
+ */
+export function readFileText(file) {
+  if (file.text) return file.text();
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(String(reader.result || ""));
+    reader.onerror = () => reject(reader.error || new Error("Could not read file"));
+    reader.readAsText(file);
+  });
+}
+
+// PUBLIC_INTERFACE
+/**
+ * A file-name friendly version of a title.
+ * @param {string} text
+ * @returns {string}
+ */
+export function slugify(text) {
+  return (
+    String(text || "")
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "")
+      .slice(0, 60) || "task"
+  );
+}
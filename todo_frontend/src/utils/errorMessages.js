@@ -0,0 +1,51 @@
+//
+// User-facing error messages
+// - Turns ApiClient errors into messages that say what happened and what to do next
+//
+
+import { ApiError } from "../api/client";
+
+function seconds(ms) {
+  const s = Math.ceil(ms / 1000);
+  return `${s} second${s === 1 ? "" : "s"}`;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * A message for an error, by its kind (see ApiError#code).
+ * @param {any} err
+ * @returns {string|null} null for cancelled requests, which need no message
+ */
+export function describeError(err) {
+  if (!(err instanceof ApiError)) return err?.message || "Something went wrong";
+  const serverMessage = err.data?.message;
+  switch (err.code) {
+    case "cancelled":
+      return null;
+    case "timeout":
+      return "The server is taking too long to respond. Try again in a moment.";
+    case "network":
+      return "Can't reach the server. Check your connection and try again.";
+    case "auth":
+      return err.status === 403
+        ? "You don't have permission to do that."
+        : "Your session has expired. Log in again to continue.";
+    case "validation": {
+      const fields = Object.entries(err.fields || {});
+      if (fields.length) return `Please check: ${fields.map(([field, message]) => `${field} ${message}`).join("; ")}`;
+      return serverMessage || "Some values were not accepted. Check them and try again.";
+    }
+    case "not_found":
+      return `${serverMessage || "Not found"}. It may have been deleted; refresh to update the list.`;
+    case "conflict":
+      // A task whose blockers are still open (see ApiClient#markTaskComplete)
+      if (err.data?.error === "blocked") return `${serverMessage || "Blocked by open tasks"}. Complete those first.`;
+      return "This was changed elsewhere in the meantime. Refresh to get the latest version, then try again.";
+    case "rate_limited":
+      return `Too many requests. Try again ${err.retryAfter ? `in ${seconds(err.retryAfter)}` : "in a moment"}.`;
+    case "server":
+      return `The server ran into a problem (${err.status}). Try again in a few minutes.`;
+    default:
+      return serverMessage || err.message || "Request failed";
+  }
+}
@@ -0,0 +1,24 @@
+import { AuthError, CancelledError, ConflictError, NetworkError, RateLimitError, ServerError, TimeoutError, ValidationError } from "../api/client";
+import { describeError } from "./errorMessages";
+
+test("describes each kind of API error with what to do next", () => {
+  expect(describeError(new NetworkError())).toMatch(/Can't reach the server/);
+  expect(describeError(new TimeoutError(30000))).toMatch(/taking too long/);
+  expect(describeError(new AuthError("Not authenticated", 401))).toMatch(/Log in again/);
+  expect(describeError(new AuthError("Forbidden", 403))).toMatch(/permission/);
+  expect(describeError(new ConflictError("Conflict", 409))).toMatch(/Refresh to get the latest version/);
+  expect(describeError(new ConflictError("Blocked", 409, { error: "blocked", message: 'Blocked by 1 open task: "Design"' }))).toBe(
+    'Blocked by 1 open task: "Design". Complete those first.'
+  );
+  expect(describeError(new RateLimitError("Slow down", 429, null, 1500))).toBe("Too many requests. Try again in 2 seconds.");
+  expect(describeError(new ServerError("Boom", 500))).toMatch(/problem \(500\)/);
+  expect(describeError(new CancelledError())).toBeNull();
+  expect(describeError(new Error("Plain failure"))).toBe("Plain failure");
+});
+
+test("uses the server's validation details", () => {
+  expect(describeError(new ValidationError("Bad", 400, { message: "Title is required" }))).toBe("Title is required");
+  expect(describeError(new ValidationError("Bad", 422, { fields: { title: "is required", eta: "must be a number" } }))).toBe(
+    "Please check: title is required; eta must be a number"
+  );
+});
@@ -0,0 +1,304 @@
+//
+// iCalendar (RFC 5545) export and import
+// - Tasks become VTODOs; subtasks are VTODOs linked to their task with RELATED-TO
+// - Import reads VTODO and VEVENT components into task drafts, de-duplicated by UID
+//
+
+import { formatRRule, parseRRule, toIsoDate } from "./recurrence";
+import { normalizeTags } from "./tags";
+
+const PRODID = "-//Smart Task Organizer//Tasks//EN";
+const UID_DOMAIN = "smart-task-organizer";
+
+// iCalendar PRIORITY is 1 (highest) to 9 (lowest); 0 means undefined
+const PRIORITY_TO_ICAL = { critical: 1, high: 3, medium: 5, low: 9 };
+
+function priorityFromICal(value) {
+  const n = Number(value);
+  if (!n) return null;
+  if (n === 1) return "critical";
+  if (n <= 4) return "high";
+  if (n === 5) return "medium";
+  return "low";
+}
+
+// PUBLIC_INTERFACE
+/**
+ * The UID a task is exported with: the one it was imported with, else one derived from its ID.
+ * @param {Object} task
+ * @returns {string}
+ */
+export function taskUid(task) {
+  return task.ical_uid || `task-${task.id}@${UID_DOMAIN}`;
+}
+
+function subtaskUid(task, subtask) {
+  return `subtask-${task.id}-${subtask.id}@${UID_DOMAIN}`;
+}
+
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+function unescapeText(value) {
+  return String(value).replace(/\\([\\;,nN])/g, (_, ch) => (ch === "n" || ch === "N" ? "\n" : ch));
+}
+
+function utf8Length(ch) {
+  const code = ch.codePointAt(0);
+  if (code < 0x80) return 1;
+  if (code < 0x800) return 2;
+  return code < 0x10000 ? 3 : 4;
+}
+
+/** Fold a content line to 75 octets, continuation lines starting with a space. */
+function foldLine(line) {
+  const out = [];
+  let current = "";
+  let size = 0;
+  for (const ch of line) {
+    const len = utf8Length(ch);
+    const limit = out.length === 0 ? 75 : 74;
+    if (size + len > limit) {
+      out.push(current);
+      current = "";
+      size = 0;
+    }
+    current += ch;
+    size += len;
+  }
+  out.push(current);
+  return out.join("\r\n ");
+}
+
+function pad(n) {
+  return String(n).padStart(2, "0");
+}
+
+function utcStamp(date) {
+  return (
+    `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}` +
+    `T${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`
+  );
+}
+
+/** DUE property for a "YYYY-MM-DD" or "YYYY-MM-DDTHH:MM" due date (times are floating local). */
+function dueProperty(value) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2}))?/.exec(String(value));
+  if (m) {
+    return m[4] ? `DUE:${m[1]}${m[2]}${m[3]}T${m[4]}${m[5]}00` : `DUE;VALUE=DATE:${m[1]}${m[2]}${m[3]}`;
+  }
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : `DUE:${utcStamp(date)}`;
+}
+
+/** Parse a DATE or DATE-TIME value into our due date format, converting UTC times to local. */
+function parseDateValue(value) {
+  const m = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/.exec(String(value).trim());
+  if (!m) return null;
+  if (!m[4]) return `${m[1]}-${m[2]}-${m[3]}`;
+  let date = new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3]), Number(m[4]), Number(m[5]));
+  if (m[7]) date = new Date(Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3]), Number(m[4]), Number(m[5])));
+  return `${toIsoDate(date)}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+function vtodo(lines, { uid, stamp, title, description, priority, due, completed, tags, recurrence, parentUid }) {
+  lines.push("BEGIN:VTODO", `UID:${uid}`, `DTSTAMP:${stamp}`, `SUMMARY:${escapeText(title || "")}`);
+  if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+  if (priority && PRIORITY_TO_ICAL[priority]) lines.push(`PRIORITY:${PRIORITY_TO_ICAL[priority]}`);
+  const dueLine = due ? dueProperty(due) : null;
+  if (dueLine) lines.push(dueLine);
+  if (tags && tags.length) lines.push(`CATEGORIES:${tags.map(escapeText).join(",")}`);
+  if (recurrence) lines.push(`RRULE:${String(recurrence).replace(/^RRULE:/i, "")}`);
+  if (parentUid) lines.push(`RELATED-TO;RELTYPE=PARENT:${parentUid}`);
+  if (completed) lines.push("STATUS:COMPLETED", "PERCENT-COMPLETE:100");
+  else lines.push("STATUS:NEEDS-ACTION");
+  lines.push("END:VTODO");
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Serialize tasks (with their subtasks) as an iCalendar file of VTODOs.
+ * @param {Array<{task: Object, subtasks?: any[]}>} entries
+ * @param {Date} [now] - DTSTAMP
+ * @returns {string} CRLF-separated iCalendar text
+ */
+export function tasksToICalendar(entries, now = new Date()) {
+  const stamp = utcStamp(now);
+  const lines = ["BEGIN:VCALENDAR", "VERSION:2.0", `PRODID:${PRODID}`, "CALSCALE:GREGORIAN"];
+  (entries || []).forEach(({ task, subtasks = [] }) => {
+    const uid = taskUid(task);
+    vtodo(lines, {
+      uid,
+      stamp,
+      title: task.title,
+      description: task.description,
+      priority: task.priority,
+      due: task.due_date,
+      completed: task.completed,
+      tags: normalizeTags(task.tags),
+      recurrence: task.recurrence,
+    });
+    subtasks.forEach((s) =>
+      vtodo(lines, { uid: subtaskUid(task, s), stamp, title: s.title, completed: s.completed, parentUid: uid })
+    );
+  });
+  lines.push("END:VCALENDAR");
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
+
+/** Split a list value on commas that are not escaped. */
+function splitList(value) {
+  const parts = [];
+  let current = "";
+  for (let i = 0; i < value.length; i += 1) {
+    if (value[i] === "\\" && i + 1 < value.length) {
+      current += value[i] + value[i + 1];
+      i += 1;
+    } else if (value[i] === ",") {
+      parts.push(current);
+      current = "";
+    } else {
+      current += value[i];
+    }
+  }
+  parts.push(current);
+  return parts;
+}
+
+/** Split iCalendar text into unfolded content lines: {name, params, value}. */
+function contentLines(text) {
+  return String(text || "")
+    .replace(/\r?\n[ \t]/g, "")
+    .split(/\r?\n/)
+    .filter((line) => line.trim())
+    .map((line) => {
+      // The value starts at the first ":" outside a quoted parameter value
+      let quoted = false;
+      let at = -1;
+      for (let i = 0; i < line.length; i += 1) {
+        if (line[i] === '"') quoted = !quoted;
+        else if (line[i] === ":" && !quoted) {
+          at = i;
+          break;
+        }
+      }
+      if (at === -1) return null;
+      const [name, ...paramParts] = line.slice(0, at).split(";");
+      const params = Object.fromEntries(
+        paramParts.map((p) => {
+          const [k, v = ""] = p.split("=");
+          return [k.toUpperCase(), v.replace(/^"|"$/g, "")];
+        })
+      );
+      return { name: name.toUpperCase(), params, value: line.slice(at + 1) };
+    })
+    .filter(Boolean);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Parse VTODO and VEVENT components from iCalendar text into task drafts.
+ * @param {string} text
+ * @returns {Array<{
+ *   uid: string|null, type: "VTODO"|"VEVENT", title: string, description: string,
+ *   priority: string|null, due_date: string|null, completed: boolean, tags: string[],
+ *   recurrence: string|null, parentUid: string|null
+ * }>}
+ */
+export function parseICalendar(text) {
+  const items = [];
+  let current = null;
+  let depth = 0;
+  contentLines(text).forEach(({ name, params, value }) => {
+    if (name === "BEGIN") {
+      const type = value.toUpperCase();
+      if (!current && (type === "VTODO" || type === "VEVENT")) {
+        current = { type, props: {} };
+        depth = 0;
+      } else if (current) {
+        // Nested components (e.g. VALARM) are skipped
+        depth += 1;
+      }
+      return;
+    }
+    if (name === "END") {
+      if (current && depth > 0) depth -= 1;
+      else if (current && value.toUpperCase() === current.type) {
+        items.push(toDraft(current));
+        current = null;
+      }
+      return;
+    }
+    if (current && depth === 0) {
+      if (name === "CATEGORIES") {
+        current.props.CATEGORIES = [...(current.props.CATEGORIES || []), ...splitList(value).map(unescapeText)];
+      } else if (!(name in current.props)) {
+        current.props[name] = { value, params };
+      }
+    }
+  });
+  return items;
+}
+
+function toDraft({ type, props }) {
+  const text = (name) => (props[name] ? unescapeText(props[name].value).trim() : "");
+  const dateProp = type === "VTODO" ? props.DUE || props.DTSTART : props.DTSTART || props.DUE;
+  const rule = props.RRULE ? parseRRule(props.RRULE.value) : null;
+  const status = text("STATUS").toUpperCase();
+  const related = props["RELATED-TO"];
+  return {
+    uid: text("UID") || null,
+    type,
+    title: text("SUMMARY") || "(untitled)",
+    description: text("DESCRIPTION"),
+    priority: props.PRIORITY ? priorityFromICal(props.PRIORITY.value) : null,
+    due_date: dateProp ? parseDateValue(dateProp.value) : null,
+    completed: type === "VTODO" && (status === "COMPLETED" || Boolean(props.COMPLETED)),
+    tags: normalizeTags(props.CATEGORIES || []),
+    recurrence: rule ? formatRRule(rule) : null,
+    parentUid:
+      related && (!related.params.RELTYPE || related.params.RELTYPE.toUpperCase() === "PARENT")
+        ? unescapeText(related.value).trim()
+        : null,
+  };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Group parsed items into tasks with subtasks and mark duplicates.
+ * An item whose RELATED-TO parent is another item in the file becomes that item's subtask.
+ * Items whose UID matches an existing task (or an earlier item in the file) are duplicates.
+ * @param {ReturnType<typeof parseICalendar>} items
+ * @param {any[]} existingTasks
+ * @returns {Array<{item: Object, subtasks: Object[], duplicate: boolean}>}
+ */
+export function planICalImport(items, existingTasks = []) {
+  const known = new Set((existingTasks || []).map(taskUid));
+  const byUid = new Map();
+  (items || []).forEach((item) => {
+    if (item.uid && !byUid.has(item.uid)) byUid.set(item.uid, item);
+  });
+
+  const seen = new Set();
+  const plan = [];
+  const parents = new Map();
+  (items || []).forEach((item) => {
+    if (item.parentUid && byUid.has(item.parentUid) && byUid.get(item.parentUid) !== item) return;
+    const duplicate = Boolean(item.uid && (known.has(item.uid) || seen.has(item.uid)));
+    if (item.uid) seen.add(item.uid);
+    const entry = { item, subtasks: [], duplicate };
+    plan.push(entry);
+    if (item.uid && !duplicate) parents.set(item.uid, entry);
+  });
+  (items || []).forEach((item) => {
+    if (!item.parentUid || byUid.get(item.parentUid) === item) return;
+    const parent = parents.get(item.parentUid);
+    if (parent) parent.subtasks.push(item);
+  });
+  return plan;
+}
@@ -0,0 +1,90 @@
+import { parseICalendar, planICalImport, tasksToICalendar } from "./ical";
+
+const NOW = new Date(Date.UTC(2024, 4, 8, 12, 0, 0));
+
+test("exports tasks and subtasks as VTODOs that parse back", () => {
+  const ics = tasksToICalendar(
+    [
+      {
+        task: {
+          id: 1,
+          title: "Prepare report; Q2, final",
+          description: "Line one\nLine two",
+          priority: "high",
+          due_date: "2024-05-10",
+          completed: false,
+          tags: ["finance"],
+          recurrence: "FREQ=WEEKLY;BYDAY=FR",
+        },
+        subtasks: [{ id: 5, title: "Collect numbers", completed: true }],
+      },
+      { task: { id: 2, title: "Call Maria", priority: "low", due_date: "2024-05-11T15:30", completed: true } },
+    ],
+    NOW
+  );
+  expect(ics).toContain("DTSTAMP:20240508T120000Z\r\n");
+  expect(ics).toContain("DUE;VALUE=DATE:20240510");
+  expect(ics).toContain("SUMMARY:Prepare report\\; Q2\\, final");
+
+  const items = parseICalendar(ics);
+  expect(items).toHaveLength(3);
+  expect(items[0]).toMatchObject({
+    uid: "task-1@smart-task-organizer",
+    title: "Prepare report; Q2, final",
+    description: "Line one\nLine two",
+    priority: "high",
+    due_date: "2024-05-10",
+    completed: false,
+    tags: ["finance"],
+    recurrence: "FREQ=WEEKLY;BYDAY=FR",
+  });
+  expect(items[1]).toMatchObject({ title: "Collect numbers", completed: true, parentUid: "task-1@smart-task-organizer" });
+  expect(items[2]).toMatchObject({ due_date: "2024-05-11T15:30", completed: true, priority: "low" });
+});
+
+test("folds long lines and unfolds them when parsing", () => {
+  const title = "A very long task title ".repeat(6).trim();
+  const ics = tasksToICalendar([{ task: { id: 3, title } }], NOW);
+  expect(ics.split("\r\n").every((line) => line.length <= 75)).toBe(true);
+  expect(parseICalendar(ics)[0].title).toBe(title);
+});
+
+test("reads VEVENTs and plans an import with subtasks and duplicates", () => {
+  const ics = [
+    "BEGIN:VCALENDAR",
+    "BEGIN:VEVENT",
+    "UID:evt-1",
+    "SUMMARY:Team offsite",
+    "DTSTART:20240601T090000",
+    "CATEGORIES:work,Team Events",
+    "BEGIN:VALARM",
+    "SUMMARY:Reminder",
+    "END:VALARM",
+    "END:VEVENT",
+    "BEGIN:VTODO",
+    "UID:todo-1",
+    "SUMMARY:Book venue",
+    "PRIORITY:1",
+    "END:VTODO",
+    "BEGIN:VTODO",
+    "UID:todo-2",
+    "SUMMARY:Call caterer",
+    "RELATED-TO:todo-1",
+    "END:VTODO",
+    "BEGIN:VTODO",
+    "UID:task-7@smart-task-organizer",
+    "SUMMARY:Already here",
+    "END:VTODO",
+    "END:VCALENDAR",
+  ].join("\n");
+  const items = parseICalendar(ics);
+  expect(items[0]).toMatchObject({ type: "VEVENT", title: "Team offsite", due_date: "2024-06-01T09:00", tags: ["work", "team-events"] });
+  expect(items[1].priority).toBe("critical");
+
+  const plan = planICalImport(items, [{ id: 7, title: "Already here" }]);
+  expect(plan.map((p) => [p.item.title, p.subtasks.map((s) => s.title), p.duplicate])).toEqual([
+    ["Team offsite", [], false],
+    ["Book venue", ["Call caterer"], false],
+    ["Already here", [], true],
+  ]);
+});
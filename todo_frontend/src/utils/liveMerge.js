@@ -0,0 +1,57 @@
+//
+// Live update merging
+// - Applies task/subtask change events (see api/liveUpdates) to lists already on screen
+// - Tasks that stop matching the current filters leave the list; new matches join it
+//
+
+import { queryTasks } from "../api/taskQuery";
+
+// Whether a local copy is newer than the incoming one (e.g. an optimistic edit not echoed yet)
+function isStale(incoming, local) {
+  if (!local || !incoming.updated_at || !local.updated_at) return false;
+  return new Date(incoming.updated_at).getTime() < new Date(local.updated_at).getTime();
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Apply a task event to a task list.
+ * @param {any[]} tasks - Listed tasks
+ * @param {{type: string, task_id: any, task?: Object}} event - Task events carry the full task, except deletions
+ * @param {Object} [params] - getTasks parameters of the list (to decide whether a task belongs in it)
+ * @returns {any[]} The same array when nothing changed
+ */
+export function mergeTaskEvent(tasks, event, params = {}) {
+  const index = tasks.findIndex((t) => String(t.id) === String(event.task_id));
+  if (event.type === "task.deleted") {
+    return index === -1 ? tasks : tasks.filter((_, i) => i !== index);
+  }
+  const task = event.task;
+  if (!task || (event.type !== "task.created" && event.type !== "task.updated")) return tasks;
+  if (index !== -1 && isStale(task, tasks[index])) return tasks;
+
+  const { sort, ...filters } = params;
+  const matches = queryTasks([task], filters).length > 0;
+  if (!matches) return index === -1 ? tasks : tasks.filter((_, i) => i !== index);
+  if (index !== -1) return tasks.map((t, i) => (i === index ? { ...t, ...task } : t));
+  const next = [...tasks, task];
+  // A sorted list places the newcomer by the sort; otherwise it goes last, like a new task created here
+  return sort ? queryTasks(next, { sort }) : next;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Apply a subtask event to the subtasks of one task.
+ * @param {any[]} subtasks
+ * @param {{type: string, subtask_id: any, subtask?: Object}} event
+ * @returns {any[]} The same array when nothing changed
+ */
+export function mergeSubtaskEvent(subtasks, event) {
+  const index = subtasks.findIndex((s) => String(s.id) === String(event.subtask_id));
+  if (event.type === "subtask.deleted") {
+    return index === -1 ? subtasks : subtasks.filter((_, i) => i !== index);
+  }
+  const subtask = event.subtask;
+  if (!subtask) return subtasks;
+  if (index !== -1) return subtasks.map((s, i) => (i === index ? { ...s, ...subtask } : s));
+  return [...subtasks, subtask];
+}
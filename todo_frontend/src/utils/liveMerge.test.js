@@ -0,0 +1,37 @@
+import { mergeSubtaskEvent, mergeTaskEvent } from "./liveMerge";
+
+const tasks = [
+  { id: 1, title: "Write report", priority: "high", updated_at: "2024-05-01T10:00:00Z" },
+  { id: 2, title: "Call bank", priority: "low", updated_at: "2024-05-01T10:00:00Z" },
+];
+
+test("merges task events into the list, following the filters", () => {
+  const updated = mergeTaskEvent(tasks, {
+    type: "task.updated",
+    task_id: 2,
+    task: { ...tasks[1], title: "Call the bank", updated_at: "2024-05-02T10:00:00Z" },
+  });
+  expect(updated.map((t) => t.title)).toEqual(["Write report", "Call the bank"]);
+
+  // An older copy does not overwrite a newer local one
+  const stale = { type: "task.updated", task_id: 1, task: { ...tasks[0], title: "Old", updated_at: "2024-04-01T00:00:00Z" } };
+  expect(mergeTaskEvent(tasks, stale)).toBe(tasks);
+
+  // No longer matching the search: it leaves the list; a new match joins it in sort order
+  const renamed = { type: "task.updated", task_id: 1, task: { ...tasks[0], title: "Write memo", updated_at: "2024-05-03T00:00:00Z" } };
+  expect(mergeTaskEvent(tasks, renamed, { search: "report" }).map((t) => t.id)).toEqual([2]);
+  const created = { type: "task.created", task_id: 3, task: { id: 3, title: "Fix outage", priority: "critical" } };
+  expect(mergeTaskEvent(tasks, created, { sort: "priority" }).map((t) => t.id)).toEqual([3, 1, 2]);
+
+  expect(mergeTaskEvent(tasks, { type: "task.deleted", task_id: "1" }).map((t) => t.id)).toEqual([2]);
+  expect(mergeTaskEvent(tasks, { type: "task.deleted", task_id: 9 })).toBe(tasks);
+});
+
+test("merges subtask events", () => {
+  const subtasks = [{ id: 10, title: "Draft", completed: false }];
+  const added = mergeSubtaskEvent(subtasks, { type: "subtask.created", subtask_id: 11, subtask: { id: 11, title: "Review" } });
+  expect(added.map((s) => s.id)).toEqual([10, 11]);
+  const done = mergeSubtaskEvent(added, { type: "subtask.updated", subtask_id: 10, subtask: { id: 10, completed: true } });
+  expect(done[0]).toEqual({ id: 10, title: "Draft", completed: true });
+  expect(mergeSubtaskEvent(done, { type: "subtask.deleted", subtask_id: 11 }).map((s) => s.id)).toEqual([10]);
+});
@@ -0,0 +1,87 @@
+//
+// Helpers for optimistic list updates
+// - Pure functions over arrays of records keyed by `id`
+// - Rollbacks only undo the fields a change touched, so concurrent changes survive
+//
+
+// PUBLIC_INTERFACE
+/**
+ * Merge a patch into the record with the given id.
+ * @param {any[]} list
+ * @param {string|number} id
+ * @param {Object} patch
+ * @returns {any[]}
+ */
+export function patchItem(list, id, patch) {
+  return list.map((item) => (item.id === id ? { ...item, ...patch } : item));
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Replace the record with the given id (e.g. a temporary record with the server's copy).
+ * @param {any[]} list
+ * @param {string|number} id
+ * @param {Object} next
+ * @returns {any[]}
+ */
+export function replaceItem(list, id, next) {
+  return list.map((item) => (item.id === id ? next : item));
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Remove the record with the given id.
+ * @param {any[]} list
+ * @param {string|number} id
+ * @returns {any[]}
+ */
+export function removeItem(list, id) {
+  return list.filter((item) => item.id !== id);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Re-insert a record at (or near) its former position, unless it is already present.
+ * @param {any[]} list
+ * @param {Object} item
+ * @param {number} index
+ * @returns {any[]}
+ */
+export function insertAt(list, item, index) {
+  if (list.some((i) => i.id === item.id)) return list;
+  const next = list.slice();
+  next.splice(Math.max(0, Math.min(index, next.length)), 0, item);
+  return next;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Undo a patch on one record. A field is only restored while it still holds the
+ * value the patch set, so a newer change to the same field is not clobbered.
+ * @param {any[]} list
+ * @param {string|number} id
+ * @param {Object} patch - The patch that was applied
+ * @param {Object} previous - The record as it was before the patch
+ * @returns {any[]}
+ */
+export function revertPatch(list, id, patch, previous) {
+  return list.map((item) => {
+    if (item.id !== id) return item;
+    const restored = { ...item };
+    Object.keys(patch).forEach((key) => {
+      if (restored[key] === patch[key]) restored[key] = previous[key];
+    });
+    return restored;
+  });
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Pick the record out of a mutation response, if the server returned one.
+ * @param {any} result
+ * @returns {Object|null}
+ */
+export function recordFrom(result) {
+  const record = result && typeof result === "object" ? result.task || result.subtask || result : null;
+  return record && record.id !== undefined ? record : null;
+}
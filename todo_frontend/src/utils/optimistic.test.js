@@ -0,0 +1,52 @@
+import { insertAt, patchItem, recordFrom, removeItem, replaceItem, revertPatch } from "./optimistic";
+
+const list = [
+  { id: 1, title: "One", priority: "low" },
+  { id: 2, title: "Two", priority: "medium" },
+  { id: 3, title: "Three", priority: "high" },
+];
+
+test("patch, replace and remove touch only the record with the given id", () => {
+  const patched = patchItem(list, 2, { priority: "high" });
+  expect(patched[1]).toEqual({ id: 2, title: "Two", priority: "high" });
+  expect(patched[0]).toBe(list[0]);
+  expect(list[1].priority).toBe("medium");
+
+  const server = { id: 2, title: "Two (saved)", priority: "medium" };
+  expect(replaceItem(list, 2, server)[1]).toBe(server);
+  expect(removeItem(list, 2).map((t) => t.id)).toEqual([1, 3]);
+  expect(removeItem(list, 9)).toEqual(list);
+});
+
+test("a removed record goes back to its former position, clamped to the list, and only once", () => {
+  const removed = removeItem(list, 2);
+  expect(insertAt(removed, list[1], 1).map((t) => t.id)).toEqual([1, 2, 3]);
+  expect(insertAt(removed, list[1], 10).map((t) => t.id)).toEqual([1, 3, 2]);
+  expect(insertAt(removed, list[1], -1).map((t) => t.id)).toEqual([2, 1, 3]);
+  expect(insertAt(list, list[1], 0)).toBe(list);
+});
+
+test("a rollback restores the patched fields but keeps newer changes to them", () => {
+  const previous = list[0];
+  const patch = { title: "Renamed", priority: "high" };
+  const applied = patchItem(list, 1, patch);
+  expect(revertPatch(applied, 1, patch, previous)[0]).toEqual(previous);
+
+  // Another change set the priority again after this one was applied
+  const changedSince = patchItem(applied, 1, { priority: "medium", completed: true });
+  expect(revertPatch(changedSince, 1, patch, previous)[0]).toEqual({
+    id: 1,
+    title: "One",
+    priority: "medium",
+    completed: true,
+  });
+});
+
+test("the record is picked out of the shapes a mutation may respond with", () => {
+  expect(recordFrom({ id: 4, title: "Plain" })).toEqual({ id: 4, title: "Plain" });
+  expect(recordFrom({ task: { id: 5 } })).toEqual({ id: 5 });
+  expect(recordFrom({ subtask: { id: 6 } })).toEqual({ id: 6 });
+  expect(recordFrom({ ok: true })).toBeNull();
+  expect(recordFrom(null)).toBeNull();
+  expect(recordFrom("")).toBeNull();
+});
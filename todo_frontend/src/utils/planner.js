@@ -0,0 +1,192 @@
+//
+// "Plan my day" scheduling
+// - Ranks open tasks by urgency (days until due) and priority
+// - Packs them into the hours available per day, by ETA, never past a task's due date
+// - Tasks that cannot fit are returned with the reason, instead of silently dropped
+// - The accepted "Today" list is kept per user in this browser
+//
+
+import { parseDueDate } from "../api/taskQuery";
+import { toIsoDate } from "./recurrence";
+
+const STORAGE_PREFIX = "sto.today.v1.";
+const PRIORITY_WEIGHT = { critical: 8, high: 5, medium: 3, low: 1 };
+// Overdue tasks rank above anything due today
+const OVERDUE_URGENCY = 12;
+// Hours below this are rounding noise, not free time
+const EPSILON = 1e-6;
+
+function addDays(date, days) {
+  const d = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  d.setDate(d.getDate() + days);
+  return d;
+}
+
+function daysUntil(dueDate, today) {
+  const due = parseDueDate(dueDate);
+  if (!due) return null;
+  return Math.round((due.getTime() - addDays(today, 0).getTime()) / 86400000);
+}
+
+// No due date sorts last
+function compareDays(a, b) {
+  if (a === b) return 0;
+  if (a === null) return 1;
+  if (b === null) return -1;
+  return a - b;
+}
+
+// Tasks of unknown length come after estimated ones
+function etaOf(task) {
+  return Number(task.eta) > 0 ? Number(task.eta) : Number.MAX_VALUE;
+}
+
+/**
+ * Tasks that can be planned: open and not marked blocked.
+ * @param {any} task
+ * @returns {boolean}
+ */
+function isPlannable(task) {
+  return !task.completed && task.status !== "blocked";
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Open tasks, most pressing first: the urgency of the due date (overdue, today, soon) plus
+ * the priority. Ties go to the earlier due date, then the shorter task.
+ * @param {any[]} tasks
+ * @param {Date} [today]
+ * @returns {Array<{task: any, score: number, daysLeft: number|null}>}
+ */
+export function rankTasks(tasks, today = new Date()) {
+  return (tasks || [])
+    .filter(isPlannable)
+    .map((task) => {
+      const daysLeft = daysUntil(task.due_date, today);
+      const urgency = daysLeft === null ? 0 : daysLeft < 0 ? OVERDUE_URGENCY : Math.max(0, 10 - daysLeft);
+      return { task, daysLeft, score: urgency + (PRIORITY_WEIGHT[task.priority] || PRIORITY_WEIGHT.medium) };
+    })
+    .sort((a, b) => b.score - a.score || compareDays(a.daysLeft, b.daysLeft) || etaOf(a.task) - etaOf(b.task));
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Pack open tasks into days, highest ranked first. A task goes into the earliest days with
+ * room, split across days when it is longer than what is left of one; it only uses days up
+ * to its due date (overdue tasks may use any day).
+ *
+ * Unscheduled reasons: "due" (not enough time before the due date) or "capacity" (no room left
+ * in the plan).
+ *
+ * @param {any[]} tasks
+ * @param {number[]} capacity - Hours available per day, starting today
+ * @param {Object} [options]
+ * @param {Date} [options.today]
+ * @param {number} [options.defaultEta=1] - Hours assumed for tasks without an ETA
+ * @returns {{
+ *   days: Array<{date: string, hours: number, used: number, items: Array<{task: any, hours: number, part: number, parts: number, assumedEta: boolean, overdue: boolean}>}>,
+ *   unscheduled: Array<{task: any, eta: number, reason: "due"|"capacity"}>
+ * }}
+ */
+export function planSchedule(tasks, capacity, { today = new Date(), defaultEta = 1 } = {}) {
+  const days = capacity.map((hours, i) => ({
+    date: toIsoDate(addDays(today, i)),
+    hours: Math.max(0, Number(hours) || 0),
+    used: 0,
+    items: [],
+  }));
+  const unscheduled = [];
+
+  rankTasks(tasks, today).forEach(({ task, daysLeft }) => {
+    const assumedEta = !(Number(task.eta) > 0);
+    const eta = assumedEta ? defaultEta : Number(task.eta);
+    const overdue = daysLeft !== null && daysLeft < 0;
+    const last = daysLeft === null || overdue ? days.length - 1 : Math.min(daysLeft, days.length - 1);
+    const usable = days.slice(0, last + 1);
+    const free = usable.reduce((sum, day) => sum + (day.hours - day.used), 0);
+    if (free + EPSILON < eta) {
+      const dueInPlan = daysLeft !== null && (overdue || daysLeft < days.length);
+      unscheduled.push({ task, eta, reason: dueInPlan ? "due" : "capacity" });
+      return;
+    }
+
+    const pieces = [];
+    let left = eta;
+    for (const day of usable) {
+      const hours = Math.min(left, day.hours - day.used);
+      if (hours > EPSILON) {
+        day.used += hours;
+        pieces.push({ day, hours });
+        left -= hours;
+      }
+      if (left <= EPSILON) break;
+    }
+    pieces.forEach(({ day, hours }, i) =>
+      day.items.push({ task, hours, part: i + 1, parts: pieces.length, assumedEta, overdue })
+    );
+  });
+
+  return { days, unscheduled };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Hours available per day from today through Sunday: `todayHours` today, `dayHours` after.
+ * @param {number} todayHours
+ * @param {number} dayHours
+ * @param {Date} [today]
+ * @returns {number[]}
+ */
+export function weekCapacity(todayHours, dayHours, today = new Date()) {
+  const daysLeft = (7 - today.getDay()) % 7;
+  return [todayHours, ...Array.from({ length: daysLeft }, () => dayHours)];
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Move an entry of the Today list up (-1) or down (+1).
+ * @param {Array<{id: any}>} entries
+ * @param {any} id
+ * @param {number} step
+ * @returns {Array<{id: any}>}
+ */
+export function moveEntry(entries, id, step) {
+  const from = entries.findIndex((e) => e.id === id);
+  const to = from + step;
+  if (from === -1 || to < 0 || to >= entries.length) return entries;
+  const next = [...entries];
+  const [entry] = next.splice(from, 1);
+  next.splice(to, 0, entry);
+  return next;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Today's accepted plan for a user; a plan from an earlier day is not returned.
+ * @param {string} userKey
+ * @param {Date} [today]
+ * @returns {Array<{id: any, title: string, hours: number}>}
+ */
+export function loadTodayPlan(userKey, today = new Date()) {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(STORAGE_PREFIX + userKey) || "null");
+    return stored && stored.date === toIsoDate(today) && Array.isArray(stored.entries) ? stored.entries : [];
+  } catch {
+    return [];
+  }
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Store today's plan for a user.
+ * @param {string} userKey
+ * @param {Array<{id: any, title: string, hours: number}>} entries
+ * @param {Date} [today]
+ */
+export function saveTodayPlan(userKey, entries, today = new Date()) {
+  try {
+    window.localStorage.setItem(STORAGE_PREFIX + userKey, JSON.stringify({ date: toIsoDate(today), entries }));
+  } catch {
+    // ignore storage failures
+  }
+}
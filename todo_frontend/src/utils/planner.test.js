@@ -0,0 +1,62 @@
+import { moveEntry, planSchedule, rankTasks, weekCapacity } from "./planner";
+
+// A Wednesday
+const today = new Date(2024, 4, 15);
+const task = (id, extra) => ({ id, title: `Task ${id}`, priority: "medium", eta: 1, due_date: null, completed: false, ...extra });
+
+test("ranks open tasks by due date urgency and priority", () => {
+  const tasks = [
+    task(1, { priority: "low" }),
+    task(2, { priority: "critical" }),
+    task(3, { due_date: "2024-05-15" }),
+    task(4, { due_date: "2024-05-10", priority: "low" }),
+    task(5, { completed: true, priority: "critical" }),
+    task(6, { status: "blocked", due_date: "2024-05-15" }),
+  ];
+  expect(rankTasks(tasks, today).map((r) => r.task.id)).toEqual([4, 3, 2, 1]);
+});
+
+test("packs tasks into the day by ETA and flags what cannot fit", () => {
+  const tasks = [
+    task(1, { priority: "high", eta: 3 }),
+    task(2, { eta: 2, due_date: "2024-05-15" }),
+    task(3, { priority: "low", eta: 0.5 }),
+    task(4, { priority: "low", eta: 4 }),
+    task(5, { priority: "low", eta: null }),
+  ];
+  const { days, unscheduled } = planSchedule(tasks, [6], { today });
+  expect(days[0].date).toBe("2024-05-15");
+  expect(days[0].items.map((i) => [i.task.id, i.hours])).toEqual([
+    [2, 2],
+    [1, 3],
+    [3, 0.5],
+  ]);
+  expect(days[0].used).toBe(5.5);
+  expect(unscheduled.map((u) => [u.task.id, u.reason])).toEqual([
+    [4, "capacity"],
+    [5, "capacity"],
+  ]);
+});
+
+test("plans a week, splitting long tasks and respecting due dates", () => {
+  expect(weekCapacity(4, 6, today)).toEqual([4, 6, 6, 6, 6]);
+  const tasks = [
+    task(1, { eta: 8, priority: "high" }),
+    task(2, { eta: 6, due_date: "2024-05-16" }),
+    task(3, { eta: 5, due_date: "2024-05-16", priority: "low" }),
+  ];
+  const { days, unscheduled } = planSchedule(tasks, [4, 6, 6], { today });
+  // Task 2 is most urgent and takes today plus 2h tomorrow; the high-priority task without a due date follows
+  expect(days.map((d) => d.items.map((i) => `${i.task.id}:${i.hours}(${i.part}/${i.parts})`))).toEqual([
+    ["2:4(1/2)"],
+    ["2:2(2/2)", "1:4(1/2)"],
+    ["1:4(2/2)"],
+  ]);
+  // Task 3 comes next but only 4h are left before it is due
+  expect(unscheduled).toEqual([expect.objectContaining({ reason: "due", eta: 5 })]);
+  expect(unscheduled[0].task.id).toBe(3);
+
+  const entries = [{ id: 1 }, { id: 2 }, { id: 3 }];
+  expect(moveEntry(entries, 3, -1).map((e) => e.id)).toEqual([1, 3, 2]);
+  expect(moveEntry(entries, 1, -1)).toBe(entries);
+});
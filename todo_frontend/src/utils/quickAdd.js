@@ -0,0 +1,299 @@
+//
+// Natural-language quick-add parser
+// - Turns "Send deck to Maria on fri 3pm !high ~1.5h #sales" into task fields
+// - Dates: today, tonight, tomorrow, weekdays ("friday", "on fri"; short names only after
+//   on/by/due so words like "sun" or "sat" stay in the title), "next monday" (the one in
+//   the following week), "next week", "next month", "in 3 days/weeks/months", "2024-05-10",
+//   "5/10", "5/10/2025", "may 10", "10 may"
+// - Times: "3pm", "3:30pm", "15:00", "noon", optionally preceded by "at"
+// - Priority "!low|!medium|!high|!critical" (also "!med", "!crit"), ETA "~1.5h" / "~30m",
+//   tags "#sales"
+//
+
+import { toIsoDate } from "./recurrence";
+import { normalizeTag } from "./tags";
+
+const WEEKDAY_INDEX = {
+  sun: 0,
+  sunday: 0,
+  mon: 1,
+  monday: 1,
+  tue: 2,
+  tues: 2,
+  tuesday: 2,
+  wed: 3,
+  wednesday: 3,
+  thu: 4,
+  thur: 4,
+  thurs: 4,
+  thursday: 4,
+  fri: 5,
+  friday: 5,
+  sat: 6,
+  saturday: 6,
+};
+
+const MONTH_INDEX = {
+  jan: 0,
+  january: 0,
+  feb: 1,
+  february: 1,
+  mar: 2,
+  march: 2,
+  apr: 3,
+  april: 3,
+  may: 4,
+  jun: 5,
+  june: 5,
+  jul: 6,
+  july: 6,
+  aug: 7,
+  august: 7,
+  sep: 8,
+  sept: 8,
+  september: 8,
+  oct: 9,
+  october: 9,
+  nov: 10,
+  november: 10,
+  dec: 11,
+  december: 11,
+};
+
+const PRIORITY_ALIASES = {
+  low: "low",
+  medium: "medium",
+  med: "medium",
+  high: "high",
+  critical: "critical",
+  crit: "critical",
+};
+
+const DATE_PREFIXES = ["on", "by", "due"];
+
+// Short weekday names that are also ordinary words need a prefix ("on sun", "next wed")
+const FULL_WEEKDAYS = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+
+function startOfDay(date) {
+  const d = new Date(date);
+  d.setHours(0, 0, 0, 0);
+  return d;
+}
+
+function addDays(date, n) {
+  const d = new Date(date);
+  d.setDate(d.getDate() + n);
+  return d;
+}
+
+function addMonths(date, n) {
+  const d = new Date(date);
+  const day = d.getDate();
+  d.setDate(1);
+  d.setMonth(d.getMonth() + n);
+  // Clamp to the end of shorter months (Jan 31 + 1 month = Feb 28/29)
+  d.setDate(Math.min(day, new Date(d.getFullYear(), d.getMonth() + 1, 0).getDate()));
+  return d;
+}
+
+function stripOrdinal(word) {
+  return word.replace(/(st|nd|rd|th)$/, "");
+}
+
+/** A calendar date in the current or next year (whichever is not in the past). */
+function upcomingDate(today, month, day, year) {
+  if (year !== undefined) {
+    const y = year < 100 ? 2000 + year : year;
+    const d = new Date(y, month, day);
+    return d.getMonth() === month ? d : null;
+  }
+  let d = new Date(today.getFullYear(), month, day);
+  if (d.getMonth() !== month) return null;
+  if (d < today) d = new Date(today.getFullYear() + 1, month, day);
+  return d;
+}
+
+/**
+ * Try to read a date starting at words[i].
+ * @param {boolean} prefixed - Whether words[i] follows on/by/due
+ * @returns {{date: Date, length: number}|null}
+ */
+function matchDate(words, i, today, prefixed) {
+  const w = words[i];
+  const next = words[i + 1];
+  const third = words[i + 2];
+
+  if (w === "today" || w === "tonight") return { date: today, length: 1 };
+  if (w === "tomorrow" || w === "tmr" || w === "tmrw") return { date: addDays(today, 1), length: 1 };
+
+  if (w in WEEKDAY_INDEX && (prefixed || FULL_WEEKDAYS.includes(w))) {
+    const diff = (WEEKDAY_INDEX[w] - today.getDay() + 7) % 7;
+    return { date: addDays(today, diff), length: 1 };
+  }
+
+  if (w === "next" && next) {
+    if (next === "week") return { date: addDays(today, 7), length: 2 };
+    if (next === "month") return { date: addMonths(today, 1), length: 2 };
+    if (next in WEEKDAY_INDEX) {
+      // The weekday in the following (Monday-based) week
+      const mondayNextWeek = addDays(today, 7 - ((today.getDay() + 6) % 7));
+      return { date: addDays(mondayNextWeek, (WEEKDAY_INDEX[next] + 6) % 7), length: 2 };
+    }
+  }
+
+  if (w === "in" && next && third && /^\d+$/.test(next)) {
+    const n = Number(next);
+    if (/^(d|day|days)$/.test(third)) return { date: addDays(today, n), length: 3 };
+    if (/^(w|wk|wks|week|weeks)$/.test(third)) return { date: addDays(today, 7 * n), length: 3 };
+    if (/^(mo|month|months)$/.test(third)) return { date: addMonths(today, n), length: 3 };
+  }
+
+  let m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(w);
+  if (m) {
+    const d = new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3]));
+    return isNaN(d.getTime()) ? null : { date: d, length: 1 };
+  }
+
+  m = /^(\d{1,2})\/(\d{1,2})(?:\/(\d{2}|\d{4}))?$/.exec(w);
+  if (m) {
+    const d = upcomingDate(today, Number(m[1]) - 1, Number(m[2]), m[3] === undefined ? undefined : Number(m[3]));
+    return d ? { date: d, length: 1 } : null;
+  }
+
+  if (w in MONTH_INDEX && next && /^\d{1,2}(st|nd|rd|th)?$/.test(next)) {
+    const d = upcomingDate(today, MONTH_INDEX[w], Number(stripOrdinal(next)));
+    return d ? { date: d, length: 2 } : null;
+  }
+  if (/^\d{1,2}(st|nd|rd|th)?$/.test(w) && next in MONTH_INDEX) {
+    const d = upcomingDate(today, MONTH_INDEX[next], Number(stripOrdinal(w)));
+    return d ? { date: d, length: 2 } : null;
+  }
+
+  return null;
+}
+
+/**
+ * Try to read a time of day from a single word.
+ * @returns {{hours: number, minutes: number}|null}
+ */
+function matchTime(word) {
+  if (word === "noon") return { hours: 12, minutes: 0 };
+  if (word === "midnight") return { hours: 0, minutes: 0 };
+  let m = /^(\d{1,2})(?::(\d{2}))?(am|pm)$/.exec(word);
+  if (m) {
+    let hours = Number(m[1]) % 12;
+    if (m[3] === "pm") hours += 12;
+    const minutes = Number(m[2] || 0);
+    return Number(m[1]) <= 12 && minutes < 60 ? { hours, minutes } : null;
+  }
+  m = /^(\d{1,2}):(\d{2})$/.exec(word);
+  if (m && Number(m[1]) < 24 && Number(m[2]) < 60) return { hours: Number(m[1]), minutes: Number(m[2]) };
+  return null;
+}
+
+function matchEta(word) {
+  const m = /^~(\d+(?:\.\d+)?)(h|hr|hrs|hours?|m|min|mins|minutes?)?$/.exec(word);
+  if (!m) return null;
+  const value = Number(m[1]);
+  const unit = m[2] || "h";
+  return unit.startsWith("m") ? Math.round((value / 60) * 100) / 100 : value;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Parse a quick-add phrase into task fields.
+ * @param {string} text
+ * @param {Date} [now] - Reference time for relative dates
+ * @returns {{
+ *   title: string,
+ *   due_date: string|null,     // "YYYY-MM-DD", or "YYYY-MM-DDTHH:MM" when a time was given
+ *   priority: string|null,
+ *   eta: number|null,          // hours
+ *   tags: string[],
+ *   matches: Array<{type: "date"|"time"|"priority"|"eta"|"tag", text: string}>
+ * }}
+ */
+export function parseQuickAdd(text, now = new Date()) {
+  const raw = String(text || "")
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean);
+  const words = raw.map((w) => w.toLowerCase());
+  const today = startOfDay(now);
+  const used = new Array(raw.length).fill(false);
+  const matches = [];
+  const consume = (type, start, length) => {
+    for (let k = start; k < start + length; k += 1) used[k] = true;
+    matches.push({ type, text: raw.slice(start, start + length).join(" ") });
+  };
+
+  let date = null;
+  let time = null;
+  let priority = null;
+  let eta = null;
+  const tags = [];
+
+  for (let i = 0; i < words.length; i += 1) {
+    const w = words[i];
+
+    if (w.startsWith("#") && w.length > 1) {
+      const tag = normalizeTag(w);
+      if (tag && !tags.includes(tag)) tags.push(tag);
+      consume("tag", i, 1);
+      continue;
+    }
+
+    if (w.startsWith("!") && PRIORITY_ALIASES[w.slice(1)] && !priority) {
+      priority = PRIORITY_ALIASES[w.slice(1)];
+      consume("priority", i, 1);
+      continue;
+    }
+
+    if (eta === null && w.startsWith("~")) {
+      const hours = matchEta(w);
+      if (hours !== null) {
+        eta = hours;
+        consume("eta", i, 1);
+        continue;
+      }
+    }
+
+    if (!date) {
+      const prefixed = DATE_PREFIXES.includes(w) ? 1 : 0;
+      const found = matchDate(words, i + prefixed, today, prefixed === 1);
+      if (found) {
+        date = found.date;
+        consume("date", i, found.length + prefixed);
+        i += found.length + prefixed - 1;
+        continue;
+      }
+    }
+
+    if (!time) {
+      const prefixed = w === "at" ? 1 : 0;
+      const found = words[i + prefixed] !== undefined ? matchTime(words[i + prefixed]) : null;
+      if (found) {
+        time = found;
+        consume("time", i, 1 + prefixed);
+        i += prefixed;
+        continue;
+      }
+    }
+  }
+
+  if (time && !date) date = today;
+
+  let due = date ? toIsoDate(date) : null;
+  if (due && time) {
+    due += `T${String(time.hours).padStart(2, "0")}:${String(time.minutes).padStart(2, "0")}`;
+  }
+
+  return {
+    title: raw.filter((_, k) => !used[k]).join(" "),
+    due_date: due,
+    priority,
+    eta,
+    tags,
+    matches,
+  };
+}
@@ -0,0 +1,59 @@
+import { parseQuickAdd } from "./quickAdd";
+
+// 2024-05-08 is a Wednesday
+const NOW = new Date(2024, 4, 8, 9, 30);
+
+test("parses title, weekday, time, priority, ETA and tags", () => {
+  const parsed = parseQuickAdd("Send deck to Maria on fri 3pm !high ~1.5h #sales", NOW);
+  expect(parsed).toMatchObject({
+    title: "Send deck to Maria",
+    due_date: "2024-05-10T15:00",
+    priority: "high",
+    eta: 1.5,
+    tags: ["sales"],
+  });
+  expect(parsed.matches.map((m) => m.type)).toEqual(["date", "time", "priority", "eta", "tag"]);
+});
+
+test("understands relative dates", () => {
+  const due = (text) => parseQuickAdd(`Task ${text}`, NOW).due_date;
+  expect(due("today")).toBe("2024-05-08");
+  expect(due("tomorrow")).toBe("2024-05-09");
+  expect(due("wednesday")).toBe("2024-05-08");
+  expect(due("on wed")).toBe("2024-05-08");
+  expect(due("due sat")).toBe("2024-05-11");
+  expect(due("next wed")).toBe("2024-05-15");
+  expect(due("on monday")).toBe("2024-05-13");
+  expect(due("next monday")).toBe("2024-05-13");
+  expect(due("next friday")).toBe("2024-05-17");
+  expect(due("in 3 days")).toBe("2024-05-11");
+  expect(due("in 2 weeks")).toBe("2024-05-22");
+  expect(due("next week")).toBe("2024-05-15");
+});
+
+test("understands explicit dates, rolling past ones into next year", () => {
+  const due = (text) => parseQuickAdd(`Task ${text}`, NOW).due_date;
+  expect(due("2024-06-01")).toBe("2024-06-01");
+  expect(due("by may 20th")).toBe("2024-05-20");
+  expect(due("3 jan")).toBe("2025-01-03");
+  expect(due("12/24")).toBe("2024-12-24");
+  expect(due("2/30")).toBeNull();
+});
+
+test("keeps unrecognized words and only the first date in the title", () => {
+  const parsed = parseQuickAdd("Call mom at 18:30 about friday dinner ~45m", NOW);
+  expect(parsed.title).toBe("Call mom about dinner");
+  expect(parsed.due_date).toBe("2024-05-10T18:30");
+  expect(parsed.eta).toBe(0.75);
+
+  const plain = parseQuickAdd("Plan the next sprint !urgent", NOW);
+  expect(plain).toMatchObject({ title: "Plan the next sprint !urgent", due_date: null, priority: null, eta: null, tags: [] });
+});
+
+test("short weekday names without a prefix stay in the title", () => {
+  expect(parseQuickAdd("Buy sun cream", NOW)).toMatchObject({ title: "Buy sun cream", due_date: null });
+  expect(parseQuickAdd("Fix sat nav mount", NOW)).toMatchObject({ title: "Fix sat nav mount", due_date: null });
+  expect(parseQuickAdd("Book wed venue for June", NOW)).toMatchObject({ title: "Book wed venue for June", due_date: null });
+  expect(parseQuickAdd("Wash the car on sun", NOW)).toMatchObject({ title: "Wash the car", due_date: "2024-05-12" });
+  expect(parseQuickAdd("Sunday roast prep", NOW)).toMatchObject({ title: "roast prep", due_date: "2024-05-12" });
+});
@@ -0,0 +1,230 @@
+//
+// Recurrence rules for repeating tasks
+// - Rules are stored on tasks as RFC 5545 RRULE strings (e.g. "FREQ=WEEKLY;BYDAY=MO,WE")
+//   so they round-trip with calendar tools
+// - Supports DAILY/WEEKLY/MONTHLY/YEARLY with INTERVAL, BYDAY (incl. nth weekday),
+//   BYMONTHDAY, BYSETPOS (single weekday), UNTIL and COUNT
+//
+
+import { parseDueDate } from "../api/taskQuery";
+
+export const WEEKDAYS = ["MO", "TU", "WE", "TH", "FR", "SA", "SU"];
+
+const WEEKDAY_NAMES = { MO: "Mon", TU: "Tue", WE: "Wed", TH: "Thu", FR: "Fri", SA: "Sat", SU: "Sun" };
+const FREQ_UNITS = { DAILY: "day", WEEKLY: "week", MONTHLY: "month", YEARLY: "year" };
+const ORDINALS = { 1: "first", 2: "second", 3: "third", 4: "fourth", 5: "fifth", "-1": "last" };
+
+// PUBLIC_INTERFACE
+/**
+ * Format a Date as a local "YYYY-MM-DD" string.
+ * @param {Date} date
+ * @returns {string}
+ */
+export function toIsoDate(date) {
+  const mm = String(date.getMonth() + 1).padStart(2, "0");
+  const dd = String(date.getDate()).padStart(2, "0");
+  return `${date.getFullYear()}-${mm}-${dd}`;
+}
+
+/** JS getDay() (0 = Sunday) to RRULE weekday code. */
+function weekdayCode(date) {
+  return WEEKDAYS[(date.getDay() + 6) % 7];
+}
+
+function parseUntil(value) {
+  const m = /^(\d{4})(\d{2})(\d{2})/.exec(value || "");
+  return m ? `${m[1]}-${m[2]}-${m[3]}` : null;
+}
+
+/**
+ * Split a BYDAY entry like "2TU" or "-1FR" into its ordinal and weekday.
+ * @param {string} entry
+ * @returns {{n: number|null, day: string}}
+ */
+export function splitByDay(entry) {
+  const m = /^([+-]?\d{1,2})?(MO|TU|WE|TH|FR|SA|SU)$/.exec(String(entry).toUpperCase());
+  if (!m) return { n: null, day: null };
+  return { n: m[1] ? Number(m[1]) : null, day: m[2] };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Parse an RRULE string into a rule object.
+ * @param {string|null|undefined} rrule - With or without the "RRULE:" prefix
+ * @returns {{freq: string, interval: number, byDay: string[], byMonthDay: number|null, until: string|null, count: number|null}|null}
+ *   null when the string is empty or has no supported FREQ
+ */
+export function parseRRule(rrule) {
+  if (!rrule) return null;
+  const body = String(rrule).trim().replace(/^RRULE:/i, "");
+  const parts = Object.fromEntries(
+    body
+      .split(";")
+      .map((p) => p.split("="))
+      .filter(([k, v]) => k && v !== undefined)
+      .map(([k, v]) => [k.toUpperCase(), v.toUpperCase()])
+  );
+  if (!FREQ_UNITS[parts.FREQ]) return null;
+
+  let byDay = parts.BYDAY ? parts.BYDAY.split(",").filter((d) => splitByDay(d).day) : [];
+  // Outlook style "BYDAY=TU;BYSETPOS=2" is the same as "BYDAY=2TU"
+  if (parts.BYSETPOS && byDay.length === 1 && splitByDay(byDay[0]).n === null) {
+    byDay = [`${Number(parts.BYSETPOS)}${byDay[0]}`];
+  }
+
+  return {
+    freq: parts.FREQ,
+    interval: Math.max(1, Number(parts.INTERVAL) || 1),
+    byDay,
+    byMonthDay: parts.BYMONTHDAY ? Number(parts.BYMONTHDAY) : null,
+    until: parseUntil(parts.UNTIL),
+    count: parts.COUNT ? Math.max(1, Number(parts.COUNT) || 1) : null,
+  };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Serialize a rule object to an RRULE string (without the "RRULE:" prefix).
+ * @param {ReturnType<typeof parseRRule>} rule
+ * @returns {string|null}
+ */
+export function formatRRule(rule) {
+  if (!rule || !FREQ_UNITS[rule.freq]) return null;
+  const parts = [`FREQ=${rule.freq}`];
+  if (rule.interval && rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.byDay && rule.byDay.length) parts.push(`BYDAY=${rule.byDay.join(",")}`);
+  if (rule.byMonthDay) parts.push(`BYMONTHDAY=${rule.byMonthDay}`);
+  if (rule.until) parts.push(`UNTIL=${rule.until.replace(/-/g, "")}`);
+  else if (rule.count) parts.push(`COUNT=${rule.count}`);
+  return parts.join(";");
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Human readable summary, e.g. "Every 2 weeks on Mon, Wed, 5 times".
+ * @param {string|ReturnType<typeof parseRRule>} ruleOrString
+ * @returns {string}
+ */
+export function describeRRule(ruleOrString) {
+  const rule = typeof ruleOrString === "string" ? parseRRule(ruleOrString) : ruleOrString;
+  if (!rule) return "";
+  const unit = FREQ_UNITS[rule.freq];
+  let text = rule.interval > 1 ? `Every ${rule.interval} ${unit}s` : `Every ${unit}`;
+  if (rule.freq === "DAILY" && rule.interval === 1) text = "Daily";
+
+  if (rule.byDay.length) {
+    const days = rule.byDay.map((entry) => {
+      const { n, day } = splitByDay(entry);
+      return n === null ? WEEKDAY_NAMES[day] : `${ORDINALS[n] || `#${n}`} ${WEEKDAY_NAMES[day]}`;
+    });
+    text += ` on ${rule.freq === "MONTHLY" ? "the " : ""}${days.join(", ")}`;
+  } else if (rule.byMonthDay) {
+    text += ` on day ${rule.byMonthDay}`;
+  }
+
+  if (rule.until) text += ` until ${rule.until}`;
+  else if (rule.count) text += `, ${rule.count} time${rule.count === 1 ? "" : "s"}`;
+  return text;
+}
+
+function addDays(date, n) {
+  const d = new Date(date);
+  d.setDate(d.getDate() + n);
+  return d;
+}
+
+/** Monday of the week containing date. */
+function weekStart(date) {
+  return addDays(date, -((date.getDay() + 6) % 7));
+}
+
+function daysInMonth(year, month) {
+  return new Date(year, month + 1, 0).getDate();
+}
+
+/** Dates in the given month that match a monthly rule, ascending. */
+function monthlyCandidates(rule, year, month, anchor) {
+  if (rule.byDay.length) {
+    return rule.byDay
+      .map((entry) => nthWeekdayOfMonth(year, month, splitByDay(entry)))
+      .filter(Boolean)
+      .sort((a, b) => a - b);
+  }
+  const day = rule.byMonthDay || anchor.getDate();
+  const len = daysInMonth(year, month);
+  const resolved = day < 0 ? len + day + 1 : day;
+  // Months without that day are skipped, as in RFC 5545
+  return resolved >= 1 && resolved <= len ? [new Date(year, month, resolved)] : [];
+}
+
+function nthWeekdayOfMonth(year, month, { n, day }) {
+  const target = WEEKDAYS.indexOf(day);
+  const matches = [];
+  for (let d = 1; d <= daysInMonth(year, month); d += 1) {
+    const date = new Date(year, month, d);
+    if ((date.getDay() + 6) % 7 === target) matches.push(date);
+  }
+  if (n === null) return matches[0] || null;
+  return (n > 0 ? matches[n - 1] : matches[matches.length + n]) || null;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Compute the occurrence that follows `current` for a rule.
+ * @param {string|ReturnType<typeof parseRRule>} ruleOrString
+ * @param {string|Date} current - Due date of the current occurrence ("YYYY-MM-DD" or Date)
+ * @param {number} [occurrence=1] - 1-based number of the current occurrence (for COUNT)
+ * @returns {string|null} "YYYY-MM-DD" of the next occurrence, or null when the series has ended
+ */
+export function nextOccurrence(ruleOrString, current, occurrence = 1) {
+  const rule = typeof ruleOrString === "string" ? parseRRule(ruleOrString) : ruleOrString;
+  const anchor = current instanceof Date ? new Date(current) : parseDueDate(current);
+  if (!rule || !anchor) return null;
+  anchor.setHours(0, 0, 0, 0);
+  if (rule.count && occurrence >= rule.count) return null;
+
+  let next = null;
+  switch (rule.freq) {
+    case "DAILY":
+      next = addDays(anchor, rule.interval);
+      break;
+    case "WEEKLY": {
+      const days = rule.byDay.map((d) => splitByDay(d).day).filter(Boolean);
+      if (!days.length) {
+        next = addDays(anchor, 7 * rule.interval);
+        break;
+      }
+      const start = weekStart(anchor);
+      for (let i = 1; i <= 7 * rule.interval * 2 && !next; i += 1) {
+        const candidate = addDays(anchor, i);
+        const weeks = Math.round((weekStart(candidate) - start) / (7 * 86400000));
+        if (weeks % rule.interval === 0 && days.includes(weekdayCode(candidate))) next = candidate;
+      }
+      break;
+    }
+    case "MONTHLY":
+      for (let step = 0; step <= 48 && !next; step += 1) {
+        const total = anchor.getMonth() + step * rule.interval;
+        const year = anchor.getFullYear() + Math.floor(total / 12);
+        const candidates = monthlyCandidates(rule, year, total % 12, anchor);
+        next = candidates.find((d) => d > anchor) || null;
+      }
+      break;
+    case "YEARLY":
+      for (let step = 1; step <= 8 && !next; step += 1) {
+        const year = anchor.getFullYear() + step * rule.interval;
+        // Feb 29 only recurs in leap years
+        if (anchor.getDate() <= daysInMonth(year, anchor.getMonth())) {
+          next = new Date(year, anchor.getMonth(), anchor.getDate());
+        }
+      }
+      break;
+    default:
+      return null;
+  }
+
+  if (!next) return null;
+  const iso = toIsoDate(next);
+  if (rule.until && iso > rule.until) return null;
+  return iso;
+}
@@ -0,0 +1,41 @@
+import { describeRRule, formatRRule, nextOccurrence, parseRRule } from "./recurrence";
+
+test("parses and formats RRULE strings round-trip", () => {
+  const rule = parseRRule("RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE;UNTIL=20251231T000000Z");
+  expect(rule).toEqual({
+    freq: "WEEKLY",
+    interval: 2,
+    byDay: ["MO", "WE"],
+    byMonthDay: null,
+    until: "2025-12-31",
+    count: null,
+  });
+  expect(formatRRule(rule)).toBe("FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE;UNTIL=20251231");
+  expect(parseRRule("FREQ=MONTHLY;BYDAY=TU;BYSETPOS=2").byDay).toEqual(["2TU"]);
+  expect(parseRRule("FREQ=HOURLY")).toBeNull();
+});
+
+test("computes the next weekly occurrence on chosen weekdays", () => {
+  // 2024-05-06 is a Monday
+  expect(nextOccurrence("FREQ=WEEKLY;BYDAY=MO,WE", "2024-05-06")).toBe("2024-05-08");
+  expect(nextOccurrence("FREQ=WEEKLY;BYDAY=MO,WE", "2024-05-08")).toBe("2024-05-13");
+  expect(nextOccurrence("FREQ=WEEKLY;INTERVAL=2;BYDAY=MO", "2024-05-06")).toBe("2024-05-20");
+});
+
+test("computes monthly occurrences by date and by nth weekday", () => {
+  expect(nextOccurrence("FREQ=MONTHLY;BYMONTHDAY=31", "2024-01-31")).toBe("2024-03-31");
+  expect(nextOccurrence("FREQ=MONTHLY;BYDAY=2TU", "2024-05-14")).toBe("2024-06-11");
+  expect(nextOccurrence("FREQ=MONTHLY;BYDAY=-1FR", "2024-05-31")).toBe("2024-06-28");
+});
+
+test("stops at UNTIL and COUNT", () => {
+  expect(nextOccurrence("FREQ=DAILY;INTERVAL=3", "2024-05-01")).toBe("2024-05-04");
+  expect(nextOccurrence("FREQ=DAILY;UNTIL=20240503", "2024-05-03")).toBeNull();
+  expect(nextOccurrence("FREQ=DAILY;COUNT=3", "2024-05-02", 2)).toBe("2024-05-03");
+  expect(nextOccurrence("FREQ=DAILY;COUNT=3", "2024-05-03", 3)).toBeNull();
+});
+
+test("describes rules", () => {
+  expect(describeRRule("FREQ=WEEKLY;BYDAY=MO,WE")).toBe("Every week on Mon, Wed");
+  expect(describeRRule("FREQ=MONTHLY;BYDAY=-1FR;COUNT=6")).toBe("Every month on the last Fri, 6 times");
+});
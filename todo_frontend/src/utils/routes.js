@@ -0,0 +1,125 @@
+//
+// Client-side routes
+// - Paths: /tasks, /tasks/new, /tasks/:id, /tasks/:id/edit ("/" is the task list too)
+// - Account paths: /account, and /signup, /forgot-password, /reset-password?token= when logged out
+// - Filters and the current view live in the query string so links can be shared
+//
+
+// PUBLIC_INTERFACE
+/** Filters when the query string sets none. */
+export const DEFAULT_FILTERS = {
+  search: "",
+  sort: "",
+  priorities: [],
+  dueWithinDays: "",
+  tags: [],
+  tagMatch: "any",
+};
+
+// Numeric IDs come back as numbers so they compare equal to task.id
+function parseId(segment) {
+  const id = decodeURIComponent(segment);
+  return /^\d+$/.test(id) ? Number(id) : id;
+}
+
+// Single-segment routes by path
+const PAGE_PATHS = {
+  account: "/account",
+  signup: "/signup",
+  forgot: "/forgot-password",
+  reset: "/reset-password",
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Parse a pathname into a route.
+ * @param {string} pathname
+ * @returns {{name: "tasks"|"new"|"task"|"edit"|"account"|"signup"|"forgot"|"reset"|"unknown", id?: string|number}}
+ */
+export function parseRoute(pathname) {
+  const parts = String(pathname || "/")
+    .split("/")
+    .filter(Boolean);
+  if (parts.length === 0 || (parts.length === 1 && parts[0] === "tasks")) return { name: "tasks" };
+  const page = parts.length === 1 && Object.keys(PAGE_PATHS).find((name) => PAGE_PATHS[name] === `/${parts[0]}`);
+  if (page) return { name: page };
+  if (parts[0] !== "tasks") return { name: "unknown" };
+  if (parts.length === 2) return parts[1] === "new" ? { name: "new" } : { name: "task", id: parseId(parts[1]) };
+  if (parts.length === 3 && parts[2] === "edit") return { name: "edit", id: parseId(parts[1]) };
+  return { name: "unknown" };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Pathname for a route.
+ * @param {{name: string, id?: string|number}} route
+ * @returns {string}
+ */
+export function formatRoute(route) {
+  const id = route.id === undefined ? "" : encodeURIComponent(route.id);
+  switch (route.name) {
+    case "new":
+      return "/tasks/new";
+    case "task":
+      return `/tasks/${id}`;
+    case "edit":
+      return `/tasks/${id}/edit`;
+    case "account":
+    case "signup":
+    case "forgot":
+    case "reset":
+      return PAGE_PATHS[route.name];
+    default:
+      return "/tasks";
+  }
+}
+
+function list(value) {
+  return value ? value.split(",").filter(Boolean) : [];
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Read filters and view from a query string. Invalid filter values fall back to defaults;
+ * the view is returned as given ("list" when absent) for the caller to check.
+ * @param {string} search - location.search
+ * @returns {{filters: typeof DEFAULT_FILTERS, view: string}}
+ */
+export function parseQuery(search) {
+  const params = new URLSearchParams(search || "");
+  const due = params.get("due_within");
+  return {
+    filters: {
+      search: params.get("q") || "",
+      sort: params.get("sort") || "",
+      priorities: list(params.get("priority")),
+      dueWithinDays: due && /^\d+$/.test(due) ? Number(due) : "",
+      tags: list(params.get("tags")),
+      tagMatch: params.get("tag_match") === "all" ? "all" : "any",
+    },
+    view: params.get("view") || "list",
+  };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Query string for filters and view, leaving out defaults.
+ * @param {typeof DEFAULT_FILTERS} filters
+ * @param {string} [view]
+ * @returns {string} "" or "?..."
+ */
+export function formatQuery(filters, view = "list") {
+  const params = new URLSearchParams();
+  const f = { ...DEFAULT_FILTERS, ...filters };
+  if (f.search) params.set("q", f.search);
+  if (f.sort) params.set("sort", f.sort);
+  if (f.priorities.length) params.set("priority", f.priorities.join(","));
+  if (f.dueWithinDays !== "" && f.dueWithinDays !== null) params.set("due_within", String(f.dueWithinDays));
+  if (f.tags.length) {
+    params.set("tags", f.tags.join(","));
+    if (f.tagMatch === "all") params.set("tag_match", "all");
+  }
+  if (view && view !== "list") params.set("view", view);
+  const query = params.toString();
+  return query ? `?${query}` : "";
+}
@@ -0,0 +1,37 @@
+import { formatQuery, formatRoute, parseQuery, parseRoute } from "./routes";
+
+test("parses and formats task routes", () => {
+  expect(parseRoute("/")).toEqual({ name: "tasks" });
+  expect(parseRoute("/tasks/")).toEqual({ name: "tasks" });
+  expect(parseRoute("/tasks/new")).toEqual({ name: "new" });
+  expect(parseRoute("/tasks/12")).toEqual({ name: "task", id: 12 });
+  expect(parseRoute("/tasks/tmp-abc/edit")).toEqual({ name: "edit", id: "tmp-abc" });
+  expect(parseRoute("/tasks/12/history")).toEqual({ name: "unknown" });
+  expect(parseRoute("/settings")).toEqual({ name: "unknown" });
+
+  expect(parseRoute("/reset-password")).toEqual({ name: "reset" });
+
+  ["/tasks", "/tasks/new", "/tasks/12", "/tasks/12/edit", "/account", "/signup", "/forgot-password"].forEach((path) => {
+    expect(formatRoute(parseRoute(path))).toBe(path);
+  });
+});
+
+test("round-trips filters and view through the query string, leaving out defaults", () => {
+  const filters = {
+    search: "report q2",
+    sort: "due_date",
+    priorities: ["high", "critical"],
+    dueWithinDays: 7,
+    tags: ["finance"],
+    tagMatch: "all",
+  };
+  const query = formatQuery(filters, "board");
+  expect(query).toBe("?q=report+q2&sort=due_date&priority=high%2Ccritical&due_within=7&tags=finance&tag_match=all&view=board");
+  expect(parseQuery(query)).toEqual({ filters, view: "board" });
+
+  expect(formatQuery({ search: "", tags: [], tagMatch: "all" })).toBe("");
+  expect(parseQuery("?due_within=soon&tag_match=whatever")).toEqual({
+    filters: { search: "", sort: "", priorities: [], dueWithinDays: "", tags: [], tagMatch: "any" },
+    view: "list",
+  });
+});
@@ -0,0 +1,155 @@
+//
+// Saved views
+// - Named filter presets: search, sort, priorities, due window and tags
+// - Stored per user on the server when it supports /views, otherwise in localStorage
+// - Changes saved while offline stay local and are sent when the server is reachable again
+//
+
+import { formatQuery } from "./routes";
+
+const STORAGE_PREFIX = "sto.savedViews.v1:";
+// Users whose local copy holds changes the server has not received yet
+const UNSYNCED_PREFIX = "sto.savedViews.unsynced.v1:";
+
+const FILTER_KEYS = ["search", "sort", "priorities", "dueWithinDays", "tags", "tagMatch"];
+
+// PUBLIC_INTERFACE
+/**
+ * getTasks parameters for the sidebar filters.
+ * @param {Object} filters
+ * @returns {Object}
+ */
+export function taskQueryParams(filters) {
+  const tags = filters.tags || [];
+  return {
+    search: filters.search || undefined,
+    sort: filters.sort || undefined,
+    priority: (filters.priorities || []).length ? filters.priorities : undefined,
+    due_within_days: filters.dueWithinDays === "" || filters.dueWithinDays == null ? undefined : Number(filters.dueWithinDays),
+    tags: tags.length ? tags : undefined,
+    tag_match: tags.length ? filters.tagMatch : undefined,
+  };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * The part of the filter state a view saves.
+ * @param {Object} filters
+ * @returns {Object}
+ */
+export function viewFilters(filters) {
+  return Object.fromEntries(FILTER_KEYS.filter((k) => k in (filters || {})).map((k) => [k, filters[k]]));
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Whether two filter states select the same tasks the same way.
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {boolean}
+ */
+export function sameFilters(a, b) {
+  // Selected priorities and tags are sets; their order does not matter
+  const key = (filters) => {
+    const f = viewFilters(filters);
+    return formatQuery({
+      ...f,
+      priorities: [...(f.priorities || [])].sort(),
+      tags: [...(f.tags || [])].sort(),
+    });
+  };
+  return key(a) === key(b);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * A new saved view. New views are pinned.
+ * @param {string} name
+ * @param {Object} filters
+ * @returns {{id: string, name: string, filters: Object, pinned: boolean, is_default: boolean}}
+ */
+export function createView(name, filters) {
+  return {
+    id: `view-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+    name: String(name).trim(),
+    filters: viewFilters(filters),
+    pinned: true,
+    is_default: false,
+  };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Move a view one place up (-1) or down (+1).
+ * @param {any[]} views
+ * @param {string} id
+ * @param {number} step
+ * @returns {any[]}
+ */
+export function moveView(views, id, step) {
+  const from = views.findIndex((v) => v.id === id);
+  const to = from + step;
+  if (from === -1 || to < 0 || to >= views.length) return views;
+  const next = [...views];
+  const [view] = next.splice(from, 1);
+  next.splice(to, 0, view);
+  return next;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Saved views stored in this browser for a user.
+ * @param {string} userKey
+ * @returns {any[]}
+ */
+export function loadLocalViews(userKey) {
+  try {
+    const list = JSON.parse(window.localStorage.getItem(STORAGE_PREFIX + userKey) || "[]");
+    return Array.isArray(list) ? list : [];
+  } catch {
+    return [];
+  }
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Store saved views in this browser for a user.
+ * @param {string} userKey
+ * @param {any[]} views
+ */
+export function saveLocalViews(userKey, views) {
+  try {
+    window.localStorage.setItem(STORAGE_PREFIX + userKey, JSON.stringify(views));
+  } catch {
+    // ignore storage failures
+  }
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Whether the local copy of a user's views has changes the server has not received.
+ * @param {string} userKey
+ * @returns {boolean}
+ */
+export function localViewsUnsynced(userKey) {
+  try {
+    return window.localStorage.getItem(UNSYNCED_PREFIX + userKey) === "1";
+  } catch {
+    return false;
+  }
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Mark the local copy of a user's views as (not) waiting to be sent to the server.
+ * @param {string} userKey
+ * @param {boolean} unsynced
+ */
+export function setLocalViewsUnsynced(userKey, unsynced) {
+  try {
+    if (unsynced) window.localStorage.setItem(UNSYNCED_PREFIX + userKey, "1");
+    else window.localStorage.removeItem(UNSYNCED_PREFIX + userKey);
+  } catch {
+    // ignore storage failures
+  }
+}
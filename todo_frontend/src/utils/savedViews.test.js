@@ -0,0 +1,21 @@
+import { createView, loadLocalViews, moveView, sameFilters, saveLocalViews } from "./savedViews";
+
+test("views save the filters, match them regardless of order", () => {
+  const view = createView("  Urgent  ", { search: "", priorities: ["critical", "high"], dueWithinDays: "", extra: 1 });
+  expect(view).toMatchObject({ name: "Urgent", pinned: true, is_default: false });
+  expect(view.filters).toEqual({ search: "", priorities: ["critical", "high"], dueWithinDays: "" });
+
+  expect(sameFilters(view.filters, { priorities: ["high", "critical"], sort: "", tags: [], tagMatch: "any" })).toBe(true);
+  expect(sameFilters(view.filters, { priorities: ["critical"] })).toBe(false);
+});
+
+test("reorders views and keeps a local copy per user", () => {
+  const views = [{ id: "a" }, { id: "b" }, { id: "c" }];
+  expect(moveView(views, "c", -1).map((v) => v.id)).toEqual(["a", "c", "b"]);
+  expect(moveView(views, "a", -1)).toBe(views);
+
+  window.localStorage.clear();
+  saveLocalViews("demo", views);
+  expect(loadLocalViews("demo")).toEqual(views);
+  expect(loadLocalViews("alex")).toEqual([]);
+});
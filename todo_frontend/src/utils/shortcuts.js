@@ -0,0 +1,97 @@
+//
+// Keyboard shortcuts
+// - Global single-key bindings and the Ctrl/Cmd-K command palette
+// - Fuzzy matching used by the palette for commands and task titles
+//
+
+// PUBLIC_INTERFACE
+/**
+ * Global key bindings, in the order shown by the help overlay.
+ * `keys` are KeyboardEvent.key values; `label` is how the binding is displayed.
+ */
+export const SHORTCUTS = [
+  { id: "next", keys: ["j"], label: "j", description: "Select next task" },
+  { id: "previous", keys: ["k"], label: "k", description: "Select previous task" },
+  { id: "toggle", keys: ["x"], label: "x", description: "Toggle complete" },
+  { id: "edit", keys: ["e"], label: "e", description: "Edit selected task" },
+  { id: "new", keys: ["n"], label: "n", description: "New task" },
+  { id: "search", keys: ["/"], label: "/", description: "Focus search" },
+  { id: "delete", keys: ["Delete"], label: "Delete", description: "Delete selected task (undo from the toast)" },
+  { id: "help", keys: ["?"], label: "?", description: "Show keyboard shortcuts" },
+  { id: "palette", keys: [], label: "Ctrl/⌘ K", description: "Open command palette" },
+];
+
+// PUBLIC_INTERFACE
+/**
+ * Whether a key event target is a place where the user is typing text
+ * (text inputs, textareas, selects, contenteditable), so shortcuts must not fire.
+ * @param {EventTarget|null} target
+ * @returns {boolean}
+ */
+export function isTypingTarget(target) {
+  if (!target || !target.tagName) return false;
+  if (target.isContentEditable) return true;
+  const tag = target.tagName.toLowerCase();
+  if (tag === "textarea" || tag === "select") return true;
+  if (tag !== "input") return false;
+  const type = (target.getAttribute("type") || "text").toLowerCase();
+  return !["checkbox", "radio", "button", "submit", "reset", "color", "range"].includes(type);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Resolve a keydown event to a shortcut id.
+ * @param {KeyboardEvent} e
+ * @returns {string|null}
+ */
+export function shortcutFor(e) {
+  if ((e.ctrlKey || e.metaKey) && !e.altKey && e.key.toLowerCase() === "k") return "palette";
+  if (e.ctrlKey || e.metaKey || e.altKey) return null;
+  const match = SHORTCUTS.find((s) => s.keys.includes(e.key));
+  return match ? match.id : null;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Score how well `query` fuzzy-matches `text`: every query character must appear
+ * in order. Consecutive runs and matches at word starts score higher.
+ * @param {string} query
+ * @param {string} text
+ * @returns {number|null} null when there is no match
+ */
+export function fuzzyScore(query, text) {
+  const q = String(query || "").toLowerCase().replace(/\s+/g, "");
+  const t = String(text || "").toLowerCase();
+  if (!q) return 0;
+  let score = 0;
+  let last = -2;
+  let from = 0;
+  for (const ch of q) {
+    const at = t.indexOf(ch, from);
+    if (at === -1) return null;
+    score += 1;
+    if (at === last + 1) score += 2;
+    if (at === 0 || /[\s\-_/#]/.test(t[at - 1])) score += 3;
+    last = at;
+    from = at + 1;
+  }
+  // Prefer shorter texts for the same matched characters
+  return score - t.length / 100;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Filter and rank items by fuzzy match against a query, best first.
+ * @template T
+ * @param {T[]} items
+ * @param {string} query
+ * @param {(item: T) => string} getText
+ * @returns {T[]}
+ */
+export function fuzzyFilter(items, query, getText) {
+  return (items || [])
+    .map((item, index) => ({ item, index, score: fuzzyScore(query, getText(item)) }))
+    .filter((r) => r.score !== null)
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .map((r) => r.item);
+}
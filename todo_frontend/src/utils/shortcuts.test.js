@@ -0,0 +1,28 @@
+import { fuzzyFilter, fuzzyScore, isTypingTarget, shortcutFor } from "./shortcuts";
+
+test("fuzzy matching requires characters in order and ranks word starts first", () => {
+  expect(fuzzyScore("nt", "New task")).not.toBeNull();
+  expect(fuzzyScore("tn", "New task")).toBeNull();
+  expect(fuzzyScore("", "anything")).toBe(0);
+
+  const items = ["Review pull requests", "Prepare quarterly report", "Plan release"];
+  expect(fuzzyFilter(items, "pr", (s) => s)[0]).toBe("Plan release");
+  expect(fuzzyFilter(items, "prep", (s) => s)).toEqual(["Prepare quarterly report"]);
+  expect(fuzzyFilter(items, "qrep", (s) => s)).toEqual(["Prepare quarterly report"]);
+});
+
+test("maps key events to shortcuts and ignores text fields", () => {
+  expect(shortcutFor({ key: "j" })).toBe("next");
+  expect(shortcutFor({ key: "Delete" })).toBe("delete");
+  expect(shortcutFor({ key: "k", ctrlKey: true })).toBe("palette");
+  expect(shortcutFor({ key: "K", metaKey: true })).toBe("palette");
+  expect(shortcutFor({ key: "j", ctrlKey: true })).toBeNull();
+
+  const input = document.createElement("input");
+  const checkbox = document.createElement("input");
+  checkbox.type = "checkbox";
+  expect(isTypingTarget(input)).toBe(true);
+  expect(isTypingTarget(document.createElement("textarea"))).toBe(true);
+  expect(isTypingTarget(checkbox)).toBe(false);
+  expect(isTypingTarget(document.createElement("button"))).toBe(false);
+});
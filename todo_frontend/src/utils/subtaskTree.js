@@ -0,0 +1,119 @@
+//
+// Nested subtasks
+// - Subtasks form a tree through `parent_id` (null for the task's own subtasks), siblings ordered by `position`
+// - Indent makes a subtask the last child of the sibling above it; outdent puts it right after its parent
+// - Moves are returned as { parent_id, position } patches for ApiClient#moveSubtask
+//
+
+function key(id) {
+  return id === null || id === undefined ? null : String(id);
+}
+
+// Subtasks without a position keep their place in the list
+function positionOf(subtask, index) {
+  return Number.isFinite(subtask.position) ? subtask.position : index;
+}
+
+// Siblings of every parent in order, by parent key ("" for the top level)
+function siblingsByParent(subtasks) {
+  const ids = new Set(subtasks.map((s) => key(s.id)));
+  const groups = new Map();
+  subtasks.forEach((subtask, index) => {
+    // A parent that is not listed (e.g. deleted) leaves its children at the top level
+    const parent = ids.has(key(subtask.parent_id)) ? key(subtask.parent_id) : "";
+    if (!groups.has(parent)) groups.set(parent, []);
+    groups.get(parent).push({ subtask, position: positionOf(subtask, index), index });
+  });
+  groups.forEach((list) => list.sort((a, b) => a.position - b.position || a.index - b.index));
+  return groups;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Nest a task's subtasks.
+ * @param {any[]} subtasks - Flat list with `parent_id` and `position`
+ * @returns {Array<{subtask: any, depth: number, children: any[]}>} Top-level nodes in order
+ */
+export function buildSubtaskTree(subtasks) {
+  const groups = siblingsByParent(subtasks || []);
+  const build = (parent, depth, seen) =>
+    (groups.get(parent) || [])
+      .filter(({ subtask }) => !seen.has(key(subtask.id)))
+      .map(({ subtask }) => {
+        seen.add(key(subtask.id));
+        return { subtask, depth, children: build(key(subtask.id), depth + 1, seen) };
+      });
+  return build("", 0, new Set());
+}
+
+// PUBLIC_INTERFACE
+/**
+ * A subtask and everything nested under it.
+ * @param {any[]} subtasks
+ * @param {string|number} id
+ * @returns {Array<string|number>} IDs, the subtask first
+ */
+export function subtreeIds(subtasks, id) {
+  const result = [id];
+  for (let i = 0; i < result.length; i += 1) {
+    (subtasks || []).forEach((s) => {
+      if (key(s.parent_id) === key(result[i]) && !result.some((r) => key(r) === key(s.id))) result.push(s.id);
+    });
+  }
+  return result;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * The position that puts a new subtask last among the children of `parentId`.
+ * @param {any[]} subtasks
+ * @param {string|number|null} parentId - null for the top level
+ * @returns {number}
+ */
+export function appendPosition(subtasks, parentId) {
+  const siblings = siblingsByParent(subtasks || []).get(parentId === null || parentId === undefined ? "" : key(parentId)) || [];
+  return siblings.length ? siblings[siblings.length - 1].position + 1 : 0;
+}
+
+function siblingsOf(subtasks, id) {
+  const groups = siblingsByParent(subtasks || []);
+  for (const list of groups.values()) {
+    const index = list.findIndex((entry) => key(entry.subtask.id) === key(id));
+    if (index !== -1) return { list, index };
+  }
+  return null;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Indent: the subtask becomes the last child of the sibling above it.
+ * @param {any[]} subtasks
+ * @param {string|number} id
+ * @returns {{parent_id: string|number, position: number}|null} null when there is no sibling above
+ */
+export function indentPatch(subtasks, id) {
+  const found = siblingsOf(subtasks, id);
+  if (!found || found.index === 0) return null;
+  const parent = found.list[found.index - 1].subtask;
+  return { parent_id: parent.id, position: appendPosition(subtasks, parent.id) };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Outdent: the subtask moves up a level, right after its former parent.
+ * @param {any[]} subtasks
+ * @param {string|number} id
+ * @returns {{parent_id: string|number|null, position: number}|null} null for top-level subtasks
+ */
+export function outdentPatch(subtasks, id) {
+  const subtask = (subtasks || []).find((s) => key(s.id) === key(id));
+  const parent = subtask && (subtasks || []).find((s) => key(s.id) === key(subtask.parent_id));
+  if (!parent) return null;
+  const { list, index } = siblingsOf(subtasks, parent.id);
+  const after = list[index].position;
+  const next = list[index + 1];
+  return {
+    parent_id: parent.parent_id ?? null,
+    position: next ? (after + next.position) / 2 : after + 1,
+  };
+}
@@ -0,0 +1,47 @@
+import { appendPosition, buildSubtaskTree, indentPatch, outdentPatch, subtreeIds } from "./subtaskTree";
+
+const subtasks = [
+  { id: 1, parent_id: null, position: 0, title: "Collect data" },
+  { id: 4, parent_id: 1, position: 1, title: "Revenue" },
+  { id: 3, parent_id: 1, position: 0, title: "Costs" },
+  { id: 5, parent_id: 3, position: 0, title: "Payroll" },
+  { id: 2, parent_id: null, position: 1, title: "Draft slides" },
+  { id: 6, parent_id: 99, position: 2, title: "Orphan" },
+];
+
+const outline = (nodes) => nodes.flatMap((n) => [`${"  ".repeat(n.depth)}${n.subtask.title}`, ...outline(n.children)]);
+
+test("nests subtasks by parent and position", () => {
+  expect(outline(buildSubtaskTree(subtasks))).toEqual([
+    "Collect data",
+    "  Costs",
+    "    Payroll",
+    "  Revenue",
+    "Draft slides",
+    "Orphan",
+  ]);
+  // Subtasks from before nesting keep their order
+  expect(outline(buildSubtaskTree([{ id: 8, title: "B" }, { id: 7, title: "A" }]))).toEqual(["B", "A"]);
+  expect(subtreeIds(subtasks, 1)).toEqual([1, 4, 3, 5]);
+});
+
+test("indent makes a subtask the last child of the one above", () => {
+  expect(indentPatch(subtasks, 2)).toEqual({ parent_id: 1, position: 2 });
+  expect(indentPatch(subtasks, 4)).toEqual({ parent_id: 3, position: 1 });
+  expect(indentPatch(subtasks, 3)).toBeNull();
+  expect(indentPatch(subtasks, 1)).toBeNull();
+});
+
+test("outdent places a subtask right after its parent", () => {
+  expect(outdentPatch(subtasks, 3)).toEqual({ parent_id: null, position: 0.5 });
+  expect(outdentPatch(subtasks, 5)).toEqual({ parent_id: 1, position: 0.5 });
+  expect(outdentPatch(subtasks, 4)).toEqual({ parent_id: null, position: 0.5 });
+  expect(outdentPatch(subtasks, 2)).toBeNull();
+  expect(outdentPatch(subtasks, 6)).toBeNull();
+});
+
+test("new subtasks go last among their siblings", () => {
+  expect(appendPosition(subtasks, null)).toBe(3);
+  expect(appendPosition(subtasks, 3)).toBe(1);
+  expect(appendPosition(subtasks, 5)).toBe(0);
+});
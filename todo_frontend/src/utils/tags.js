@@ -0,0 +1,109 @@
+//
+// Task tags
+// - Tags are free-form strings stored on tasks as `tags: string[]`
+// - Names are normalized (trimmed, lowercase, no leading "#", spaces as dashes)
+// - Colors come from the server tag registry, or a local fallback store
+//
+
+const COLORS_KEY = "sto.tagColors.v1";
+
+// PUBLIC_INTERFACE
+/**
+ * Palette used for tags without an explicit color.
+ */
+export const TAG_PALETTE = ["#5b8def", "#42be65", "#e7c773", "#ff9f9f", "#b28cff", "#3ddbd9", "#ff7eb6", "#a8a8a8"];
+
+// PUBLIC_INTERFACE
+/**
+ * Normalize a user-entered tag name.
+ * @param {string} name
+ * @returns {string} Empty string when nothing usable remains
+ */
+export function normalizeTag(name) {
+  return String(name || "")
+    .trim()
+    .replace(/^#+/, "")
+    .toLowerCase()
+    .replace(/\s+/g, "-");
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Normalize and de-duplicate a list of tags, keeping first-seen order.
+ * @param {string[]} tags
+ * @returns {string[]}
+ */
+export function normalizeTags(tags) {
+  return Array.from(new Set((tags || []).map(normalizeTag).filter(Boolean)));
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Stable palette color for a tag name.
+ * @param {string} name
+ * @returns {string}
+ */
+export function defaultTagColor(name) {
+  let hash = 0;
+  for (const ch of String(name)) hash = (hash * 31 + ch.charCodeAt(0)) >>> 0;
+  return TAG_PALETTE[hash % TAG_PALETTE.length];
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Count tag usage across tasks.
+ * @param {any[]} tasks
+ * @returns {Array<{name: string, count: number}>} Sorted by name
+ */
+export function collectTags(tasks) {
+  const counts = {};
+  (tasks || []).forEach((t) => {
+    normalizeTags(t.tags).forEach((name) => {
+      counts[name] = (counts[name] || 0) + 1;
+    });
+  });
+  return Object.keys(counts)
+    .sort()
+    .map((name) => ({ name, count: counts[name] }));
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Whether a task matches a tag filter.
+ * @param {Object} task
+ * @param {string[]} tags - Required tags
+ * @param {"any"|"all"} [match="any"]
+ * @returns {boolean}
+ */
+export function matchesTags(task, tags, match = "any") {
+  const wanted = normalizeTags(tags);
+  if (!wanted.length) return true;
+  const own = normalizeTags(task.tags);
+  return match === "all" ? wanted.every((t) => own.includes(t)) : wanted.some((t) => own.includes(t));
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Read locally stored tag colors (used when the backend has no tag registry).
+ * @returns {Record<string, string>}
+ */
+export function loadLocalTagColors() {
+  try {
+    return JSON.parse(window.localStorage.getItem(COLORS_KEY) || "{}");
+  } catch {
+    return {};
+  }
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Persist locally stored tag colors.
+ * @param {Record<string, string>} colors
+ */
+export function saveLocalTagColors(colors) {
+  try {
+    window.localStorage.setItem(COLORS_KEY, JSON.stringify(colors));
+  } catch {
+    // ignore storage failures
+  }
+}
@@ -0,0 +1,67 @@
+import {
+  TAG_PALETTE,
+  collectTags,
+  defaultTagColor,
+  loadLocalTagColors,
+  matchesTags,
+  normalizeTag,
+  normalizeTags,
+  saveLocalTagColors,
+} from "./tags";
+
+beforeEach(() => {
+  window.localStorage.clear();
+});
+
+test("tag names are trimmed, lowercased and stripped of leading hashes, with spaces as dashes", () => {
+  expect(normalizeTag("  Work ")).toBe("work");
+  expect(normalizeTag("##Urgent")).toBe("urgent");
+  expect(normalizeTag("Follow   up\tlater")).toBe("follow-up-later");
+  expect(normalizeTag("c#")).toBe("c#");
+  expect(normalizeTag("Café")).toBe("café");
+  expect(normalizeTag("#")).toBe("");
+  expect(normalizeTag("   ")).toBe("");
+  expect(normalizeTag(null)).toBe("");
+  expect(normalizeTag(42)).toBe("42");
+});
+
+test("tag lists drop empty names and duplicates that only differ in spelling, keeping first-seen order", () => {
+  expect(normalizeTags(["Home", "#home", "errands", " HOME ", "", "#", "Errands"])).toEqual(["home", "errands"]);
+  expect(normalizeTags(["a b", "a-b"])).toEqual(["a-b"]);
+  expect(normalizeTags(undefined)).toEqual([]);
+});
+
+test("the fallback color is a stable palette color for any name", () => {
+  const names = ["work", "home", "errands", "", "日本語", "a-very-long-tag-name-".repeat(20)];
+  names.forEach((name) => {
+    expect(TAG_PALETTE).toContain(defaultTagColor(name));
+    expect(defaultTagColor(name)).toBe(defaultTagColor(name));
+  });
+  expect(new Set(["a", "b", "c", "d", "e", "f", "g", "h"].map(defaultTagColor)).size).toBeGreaterThan(1);
+});
+
+test("tag usage is counted once per task and sorted by name", () => {
+  const tasks = [{ tags: ["Work", "#work", "home"] }, { tags: ["work"] }, { tags: null }, {}];
+  expect(collectTags(tasks)).toEqual([
+    { name: "home", count: 1 },
+    { name: "work", count: 2 },
+  ]);
+  expect(collectTags(null)).toEqual([]);
+});
+
+test("tag filters match any or all of the normalized tags", () => {
+  const task = { tags: ["Work", "urgent"] };
+  expect(matchesTags(task, [])).toBe(true);
+  expect(matchesTags(task, ["#WORK", "home"])).toBe(true);
+  expect(matchesTags(task, ["work", "home"], "all")).toBe(false);
+  expect(matchesTags(task, ["work", " Urgent"], "all")).toBe(true);
+  expect(matchesTags({}, ["work"])).toBe(false);
+});
+
+test("local tag colors survive a reload and fall back to none when the store is unreadable", () => {
+  saveLocalTagColors({ work: "#42be65" });
+  expect(loadLocalTagColors()).toEqual({ work: "#42be65" });
+
+  window.localStorage.setItem("sto.tagColors.v1", "{not json");
+  expect(loadLocalTagColors()).toEqual({});
+});
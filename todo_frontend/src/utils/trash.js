@@ -0,0 +1,61 @@
+//
+// Trash settings
+// - How long deleted tasks are kept before they are purged automatically
+//
+
+const STORAGE_KEY = "sto.trashRetention.v1";
+
+// PUBLIC_INTERFACE
+/**
+ * Retention choices offered in the trash view (days; 0 keeps tasks until purged by hand).
+ */
+export const RETENTION_OPTIONS = [
+  { value: 7, label: "7 days" },
+  { value: 30, label: "30 days" },
+  { value: 90, label: "90 days" },
+  { value: 0, label: "Forever" },
+];
+
+export const DEFAULT_RETENTION_DAYS = 30;
+
+// PUBLIC_INTERFACE
+/**
+ * Read the saved retention period.
+ * @returns {number} Days
+ */
+export function loadTrashRetention() {
+  try {
+    const raw = window.localStorage.getItem(STORAGE_KEY);
+    const days = raw === null ? DEFAULT_RETENTION_DAYS : Number(raw);
+    return Number.isFinite(days) && days >= 0 ? days : DEFAULT_RETENTION_DAYS;
+  } catch {
+    return DEFAULT_RETENTION_DAYS;
+  }
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Persist the retention period.
+ * @param {number} days
+ */
+export function saveTrashRetention(days) {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, String(days));
+  } catch {
+    // ignore storage failures
+  }
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Whole days left before a trashed task is purged.
+ * @param {string} deletedAt - ISO timestamp
+ * @param {number} retentionDays - 0 means never
+ * @param {Date} [now]
+ * @returns {number|null} null when it is never purged automatically
+ */
+export function daysUntilPurge(deletedAt, retentionDays, now = new Date()) {
+  if (!retentionDays || !deletedAt) return null;
+  const purgeAt = new Date(deletedAt).getTime() + retentionDays * 86400000;
+  return Math.max(0, Math.ceil((purgeAt - now.getTime()) / 86400000));
+}
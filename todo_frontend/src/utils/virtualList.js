@@ -0,0 +1,49 @@
+//
+// List virtualization
+// - Only the rows in (and slightly around) the viewport are rendered
+// - Row heights are measured once rendered; unmeasured rows use an estimate
+//
+
+// PUBLIC_INTERFACE
+/**
+ * Top offsets of each row, plus the total height as the last entry.
+ * @param {number[]} heights - Height of each row
+ * @returns {number[]} offsets.length === heights.length + 1
+ */
+export function rowOffsets(heights) {
+  const offsets = [0];
+  heights.forEach((h, i) => offsets.push(offsets[i] + h));
+  return offsets;
+}
+
+// Index of the row containing position y (offsets are ascending)
+function rowAt(offsets, y) {
+  let lo = 0;
+  let hi = offsets.length - 2;
+  while (lo < hi) {
+    const mid = (lo + hi + 1) >> 1;
+    if (offsets[mid] <= y) lo = mid;
+    else hi = mid - 1;
+  }
+  return lo;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Rows to render for a scroll position.
+ * @param {number[]} offsets - From rowOffsets
+ * @param {number} scrollTop
+ * @param {number} viewportHeight
+ * @param {number} [overscan=5] - Extra rows rendered above and below the viewport
+ * @returns {{start: number, end: number}} Rows start..end-1
+ */
+export function visibleRange(offsets, scrollTop, viewportHeight, overscan = 5) {
+  const count = offsets.length - 1;
+  if (count <= 0) return { start: 0, end: 0 };
+  const first = rowAt(offsets, Math.max(0, scrollTop));
+  const last = rowAt(offsets, Math.max(0, scrollTop + viewportHeight - 1));
+  return {
+    start: Math.max(0, first - overscan),
+    end: Math.min(count, last + 1 + overscan),
+  };
+}
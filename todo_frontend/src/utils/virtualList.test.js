@@ -0,0 +1,19 @@
+import { rowOffsets, visibleRange } from "./virtualList";
+
+test("computes row offsets and the rows around the viewport", () => {
+  const offsets = rowOffsets(Array(1000).fill(50));
+  expect(offsets[0]).toBe(0);
+  expect(offsets[1000]).toBe(50000);
+
+  expect(visibleRange(offsets, 0, 200, 2)).toEqual({ start: 0, end: 6 });
+  // Rows 20..23 are visible at 1000px
+  expect(visibleRange(offsets, 1000, 200, 2)).toEqual({ start: 18, end: 26 });
+  expect(visibleRange(offsets, 49900, 200, 2)).toEqual({ start: 996, end: 1000 });
+});
+
+test("handles rows of different heights and empty lists", () => {
+  const offsets = rowOffsets([100, 20, 20, 300, 20]);
+  expect(visibleRange(offsets, 110, 50, 0)).toEqual({ start: 1, end: 4 });
+  expect(visibleRange(offsets, 0, 10, 0)).toEqual({ start: 0, end: 1 });
+  expect(visibleRange(rowOffsets([]), 0, 500)).toEqual({ start: 0, end: 0 });
+});